@@ -1,5 +1,135 @@
 // Antenna calculator functions
 
+// Latest method-of-moments results per calculator, kept for pattern plots
+// and NEC2 export
+const momResults = {};
+
+// Calculator names used in exported NEC2 decks
+const NEC_DESIGN_NAMES = {
+    dipole: 'Dipole',
+    yagi: 'Yagi-Uda',
+    yagiOptimized: 'Optimized Yagi-Uda',
+    lpda: 'Log-periodic dipole array',
+    loop: 'Loop',
+    quad: 'Cubical quad',
+    moxon: 'Moxon rectangle',
+    nec: 'Edited NEC design'
+};
+
+// Number of rows in the rendered NEC wire table
+let necEditorWireCount = 0;
+
+// Transmission lines of the design in the NEC editor, kept as imported
+let necEditorLines = [];
+
+/**
+ * Build a centre-fed straight dipole along the y-axis
+ * @param {number} totalLength - Tip-to-tip length in meters
+ * @param {number} radius - Wire radius in meters
+ * @param {number} wavelength - Free-space wavelength in meters
+ * @returns {Object} Wire model for momSolve()
+ */
+function buildDipoleModel(totalLength, radius, wavelength) {
+    const segments = momSegmentsFor(totalLength, wavelength);
+    return {
+        wires: [{ tag: 1, segments, start: [0, -totalLength / 2, 0], end: [0, totalLength / 2, 0], radius }],
+        source: { tag: 1, segment: (segments + 1) / 2, voltage: 1 }
+    };
+}
+
+/**
+ * Build a Yagi-Uda array with elements parallel to the y-axis along a +x boom
+ * @param {Array} elements - [{name, length, position, driven}] in meters
+ * @param {number} radius - Element radius in meters
+ * @param {number} wavelength - Free-space wavelength in meters
+ * @param {number} perWavelength - Optional segment density override
+ * @returns {Object} Wire model for momSolve()
+ */
+function buildYagiModel(elements, radius, wavelength, perWavelength = undefined) {
+    const wires = elements.map((el, i) => ({
+        tag: i + 1,
+        segments: momSegmentsFor(el.length, wavelength, perWavelength),
+        start: [el.position, -el.length / 2, 0],
+        end: [el.position, el.length / 2, 0],
+        radius
+    }));
+    const driven = elements.findIndex(el => el.driven);
+    return {
+        wires,
+        source: { tag: driven + 1, segment: (wires[driven].segments + 1) / 2, voltage: 1 }
+    };
+}
+
+/**
+ * Build a closed loop in the yz-plane, fed at the centre of the bottom side
+ * @param {string} shape - 'circular' (as a polygon), 'square' or 'rectangular'
+ * @param {Object} dimensions - {sideLength} or {longSide, shortSide} or {radius}
+ * @param {number} radius - Wire radius in meters
+ * @param {number} wavelength - Free-space wavelength in meters
+ * @returns {Object} Wire model for momSolve()
+ */
+function buildLoopModel(shape, dimensions, radius, wavelength) {
+    let corners;
+    if (shape === 'circular') {
+        // Polygon with the same perimeter as the circle, one side at the bottom
+        const sides = CONSTANTS.ANTENNA.MOM.LOOP_POLYGON_SIDES;
+        const circumradius = Math.PI * dimensions.radius / (sides * Math.sin(Math.PI / sides));
+        corners = [];
+        for (let i = 0; i < sides; i++) {
+            const angle = -Math.PI / 2 - Math.PI / sides + 2 * Math.PI * i / sides;
+            corners.push([0, circumradius * Math.cos(angle), circumradius * Math.sin(angle)]);
+        }
+    } else {
+        const width = shape === 'square' ? dimensions.sideLength : dimensions.longSide;
+        const height = shape === 'square' ? dimensions.sideLength : dimensions.shortSide;
+        corners = [
+            [0, -width / 2, -height / 2],
+            [0, width / 2, -height / 2],
+            [0, width / 2, height / 2],
+            [0, -width / 2, height / 2]
+        ];
+    }
+    
+    const wires = corners.map((corner, i) => {
+        const next = corners[(i + 1) % corners.length];
+        const length = Math.hypot(next[1] - corner[1], next[2] - corner[2]);
+        return { tag: i + 1, segments: momSegmentsFor(length, wavelength), start: corner, end: next, radius };
+    });
+    
+    return {
+        wires,
+        source: { tag: 1, segment: (wires[0].segments + 1) / 2, voltage: 1 }
+    };
+}
+
+/**
+ * Plot the azimuth pattern from the latest MoM run of a calculator
+ * @param {string} key - Calculator key in momResults ('dipole', 'yagi')
+ */
+function plotMoMPattern(key) {
+    const result = momResults[key];
+    if (!result) return;
+    
+    // Built-in designs have horizontal elements along y, so the xy-plane is the E-plane
+    const planes = key === 'nec' ? ['Azimuth (xy-plane)', 'Elevation (xz-plane)'] : ['E-plane (xy)', 'H-plane (xz)'];
+    
+    showChart('radiation', {
+        antennaType: key,
+        parameters: {
+            cuts: [
+                { label: planes[0], pattern: result.farField.azimuth },
+                { label: planes[1], pattern: result.farField.elevation }
+            ],
+            gainAt: (azimuth, elevation) => {
+                const az = azimuth * Math.PI / 180;
+                const el = elevation * Math.PI / 180;
+                return momGainDbi(result.solution, [Math.cos(el) * Math.cos(az), Math.cos(el) * Math.sin(az), Math.sin(el)]);
+            },
+            gainOffset: result.gainOffset || 0
+        }
+    });
+}
+
 /**
  * Calculate wavelength and basic element lengths
  */
@@ -109,6 +239,11 @@ function calculateDipole() {
     const wireDiameter = parseFloat(document.getElementById('dipole-wire-diameter').value);
     const wireUnit = document.getElementById('dipole-wire-unit').value;
     
+    if (dipoleType === 'trap' || dipoleType === 'fan') {
+        calculateMultibandDipole(dipoleType);
+        return;
+    }
+    
     if (!validateInput(frequency)) {
         showError('dipole-freq', 'Please enter a valid frequency');
         return;
@@ -120,41 +255,55 @@ function calculateDipole() {
         const wavelength = frequencyToWavelength(frequency, freqUnit, CONSTANTS.DEFAULTS.VELOCITY_FACTOR);
         
         // Calculate lengths based on type
-        let totalLength, radiationResistance, directivity, gain, beamwidth;
+        let totalLength;
         
         switch (dipoleType) {
             case 'halfwave':
                 totalLength = wavelength / 2 * CONSTANTS.ANTENNA.DIPOLE_FACTOR;
-                radiationResistance = MATH.DIPOLE_RESISTANCE;
-                directivity = 1.64; // linear
-                gain = 2.14; // dBi
-                beamwidth = 78; // degrees
                 break;
                 
             case 'fullwave':
                 totalLength = wavelength * CONSTANTS.ANTENNA.DIPOLE_FACTOR;
-                radiationResistance = 199; // approximate for full-wave
-                directivity = 2.41; // linear
-                gain = 3.82; // dBi
-                beamwidth = 47; // degrees
                 break;
                 
             case 'quarterwave':
                 totalLength = wavelength / 4 * CONSTANTS.ANTENNA.MONOPOLE_FACTOR;
-                radiationResistance = MATH.MONOPOLE_RESISTANCE;
-                directivity = 1.64; // same as half-wave dipole
-                gain = 2.14; // dBi (over ground plane)
-                beamwidth = 78; // degrees
                 break;
         }
         
         // Calculate element lengths
         const elementLength = dipoleType === 'quarterwave' ? totalLength : totalLength / 2;
         
-        // Wire diameter effects (if provided)
+        // Wire diameter drives the MoM model; fall back to a typical wire
+        const hasDiameter = wireDiameter && validateInput(wireDiameter);
+        const diameterM = hasDiameter ?
+            wireDiameterToMeters(wireDiameter, wireUnit) :
+            CONSTANTS.ANTENNA.MOM.DEFAULT_WIRE_DIAMETER;
+        
+        // Solve with method of moments. A monopole over a perfect ground plane
+        // is its image dipole: half the impedance, twice the gain (+3 dB)
+        const freqHz = frequency * CONSTANTS.FREQ_UNITS[freqUnit];
+        const freeSpaceWavelength = frequencyToWavelength(freqHz, 'Hz');
+        const isMonopole = dipoleType === 'quarterwave';
+        const modelLength = isMonopole ? 2 * totalLength : totalLength;
+        const model = buildDipoleModel(modelLength, diameterM / 2, freeSpaceWavelength);
+        const solution = momSolve(model, freqHz);
+        const farField = momFarFieldSummary(solution);
+        const bandwidth = momMatchedBandwidth(model, freqHz, isMonopole || dipoleType === 'halfwave' ? 0.15 : 0.1);
+        
+        const impedanceScale = isMonopole ? 0.5 : 1;
+        const gainOffset = isMonopole ? MATH.RATIO_TO_DB(2) : 0;
+        const feedR = solution.impedance.real * impedanceScale;
+        const feedX = solution.impedance.imaginary * impedanceScale;
+        const gain = farField.maxGain + gainOffset;
+        const beamwidth = isMonopole ? farField.azimuthBeamwidth / 2 : farField.azimuthBeamwidth;
+        const gamma50 = complexImpedance(feedR - CONSTANTS.DEFAULTS.IMPEDANCE_50, feedX).magnitude /
+                        complexImpedance(feedR + CONSTANTS.DEFAULTS.IMPEDANCE_50, feedX).magnitude;
+        
+        momResults.dipole = { model, solution, farField, gainOffset, frequency: freqHz };
+        
         let diameterCorrection = '';
-        if (wireDiameter && validateInput(wireDiameter)) {
-            const diameterM = convertUnits(wireDiameter, wireUnit, 'm', CONSTANTS.LENGTH_UNITS);
+        if (hasDiameter) {
             const lengthToDiameterRatio = totalLength / diameterM;
             
             diameterCorrection = `
@@ -168,10 +317,6 @@ function calculateDipole() {
                 </div>`;
         }
         
-        // Calculate bandwidth (approximate)
-        const q = dipoleType === 'quarterwave' ? 25 : 15; // typical Q values
-        const bandwidth3db = frequency * CONSTANTS.FREQ_UNITS[freqUnit] / q / 1e6; // MHz
-        
         let html = `
             <h4>Dipole Antenna Results</h4>
             <div class="result-grid">
@@ -191,28 +336,524 @@ function calculateDipole() {
                 </div>
                 
                 <div class="result-item">
-                    <strong>Electrical Properties:</strong>
+                    <strong>Electrical Properties (MoM):</strong>
                     <ul>
-                        <li>Feed impedance: ${formatNumber(radiationResistance, 0)} Ω</li>
-                        <li>Directivity: ${formatNumber(directivity, 2)} (${formatNumber(10 * Math.log10(directivity), 2)} dBi)</li>
-                        <li>Gain: ${formatNumber(gain, 2)} dBi</li>
-                        <li>3dB beamwidth: ${beamwidth}°</li>
-                        <li>Bandwidth (VSWR<2): ~${formatNumber(bandwidth3db, 1)} MHz</li>
+                        <li>Feed impedance: ${formatNumber(feedR, 1)} ${feedX >= 0 ? '+' : '−'} j${formatNumber(Math.abs(feedX), 1)} Ω</li>
+                        <li>VSWR on 50 Ω: ${formatNumber(gammaToVSWR(gamma50), 2)}:1</li>
+                        <li>Gain: ${formatNumber(gain, 2)} dBi (${formatNumber(convertGain(gain, 'dBi', 'dBd'), 2)} dBd)</li>
+                        <li>3dB beamwidth: ${formatNumber(beamwidth, 0)}°</li>
+                        <li>2:1 SWR bandwidth (matched at f₀): ${bandwidth.limited ? '>' : '~'}${formatNumber(bandwidth.bandwidth / 1e6, 3)} MHz</li>
                     </ul>
                 </div>
                 
                 ${diameterCorrection}
             </div>
             
+            <button class="btn" onclick="plotMoMPattern('dipole')">Plot Pattern</button>
+            <button class="btn" onclick="exportNecDeck('dipole')">Export NEC</button>
+            
+            <div class="info-section">
+                <p><strong>Notes:</strong></p>
+                <ul>
+                    <li>Impedance, gain and pattern come from a thin-wire method-of-moments model (${model.wires[0].segments} segments, ${formatNumber(diameterM * 1000, 2)} mm wire${hasDiameter ? '' : ' assumed'})</li>
+                    <li>Values are for lossless wire in free space</li>
+                    <li>${dipoleType === 'quarterwave' ? 'Monopole is modeled over a perfect ground plane' : 'Dipole should be at least λ/4 above ground'}</li>
+                    <li>Reactance at the feed shows how far the wire is from resonance — trim to cancel it</li>
+                </ul>
+            </div>`;
+        
+        document.getElementById('dipole-results').innerHTML = html;
+        
+    } catch (error) {
+        document.getElementById('dipole-results').innerHTML = 
+            `<div class="error">Error: ${error.message}</div>`;
+    }
+}
+
+/**
+ * Show the multiband inputs for trap and fan dipoles
+ */
+function handleDipoleTypeChange() {
+    const dipoleType = document.getElementById('dipole-type').value;
+    const multiband = dipoleType === 'trap' || dipoleType === 'fan';
+    
+    document.getElementById('dipole-multiband-group').style.display = multiband ? '' : 'none';
+    document.getElementById('dipole-trap-group').style.display = dipoleType === 'trap' ? '' : 'none';
+    document.getElementById('dipole-fan-group').style.display = dipoleType === 'fan' ? '' : 'none';
+}
+
+/**
+ * Auto-calculation for the dipole frequency field. Trap and fan dipoles do
+ * not use it and their MoM runs are slow, so they only run from the button.
+ */
+function autoCalculateDipole() {
+    const dipoleType = document.getElementById('dipole-type').value;
+    if (dipoleType !== 'trap' && dipoleType !== 'fan') {
+        calculateDipole();
+    }
+}
+
+/**
+ * Amateur bands ticked in the dipole calculator, highest frequency first
+ * @returns {Array} [{key, name, freqHz}] designed at the band centre
+ */
+function selectedDipoleBands() {
+    return Object.entries(CONSTANTS.AMATEUR_BANDS)
+        .filter(([key]) => {
+            const box = document.getElementById(`dipole-band-${key}`);
+            return box && box.checked;
+        })
+        .map(([key, band]) => ({ key, name: band.name, freqHz: (band.freq + band.high) / 2 * 1e6 }))
+        .sort((a, b) => b.freqHz - a.freqHz);
+}
+
+/**
+ * Reactance of a parallel LC trap
+ * @param {Object} trap - {inductance, capacitance}
+ * @param {number} freqHz - Frequency in Hz
+ * @returns {number} Reactance in ohms (inductive below resonance)
+ */
+function trapReactance(trap, freqHz) {
+    const omega = 2 * Math.PI * freqHz;
+    return omega * trap.inductance / (1 - omega * omega * trap.inductance * trap.capacitance);
+}
+
+/**
+ * Size a coaxial trap wound on a former: the coax forms the coil and its
+ * centre-to-shield capacitance resonates it
+ * @param {number} freqHz - Trap resonant frequency in Hz
+ * @param {Object} coax - Entry of CONSTANTS.COAX_TYPES
+ * @param {number} formerDiameter - Former diameter in meters
+ * @returns {Object} {turns, coaxLength, coilLength, inductance, capacitance}
+ */
+function designCoaxTrap(freqHz, coax, formerDiameter) {
+    const od = coax.diameter / 1000;
+    const coilDiameter = formerDiameter + od;
+    const capacitancePerMeter = 1 / (coax.impedance * coax.vf * CONSTANTS.SPEED_OF_LIGHT);
+    
+    // Close-wound single-layer coil, Wheeler's formula in inches
+    const d = coilDiameter / 0.0254;
+    const p = od / 0.0254;
+    const trapFor = (turns) => {
+        const inductance = 1e-6 * d * d * turns * turns / (18 * d + 40 * turns * p);
+        const coaxLength = turns * Math.PI * coilDiameter;
+        const capacitance = capacitancePerMeter * coaxLength;
+        return {
+            turns,
+            coaxLength,
+            coilLength: turns * od,
+            inductance,
+            capacitance,
+            frequency: 1 / (2 * Math.PI * Math.sqrt(inductance * capacitance))
+        };
+    };
+    
+    let lo = 0.5;
+    let hi = 500;
+    if (trapFor(lo).frequency < freqHz) {
+        throw new Error(`Former is too large for a ${formatNumber(freqHz / 1e6, 3)} MHz coax trap`);
+    }
+    if (trapFor(hi).frequency > freqHz) {
+        throw new Error(`Former is too small for a ${formatNumber(freqHz / 1e6, 3)} MHz coax trap`);
+    }
+    
+    // Resonance falls as turns are added
+    for (let i = 0; i < 60; i++) {
+        const mid = (lo + hi) / 2;
+        if (trapFor(mid).frequency > freqHz) lo = mid; else hi = mid;
+    }
+    return trapFor((lo + hi) / 2);
+}
+
+/**
+ * Lay out a trap dipole arm: each section ends in a trap resonant on its band
+ * @param {Array} bands - [{key, name, freqHz}] highest frequency first
+ * @param {number} radius - Wire radius in meters
+ * @param {Function} makeTrap - Trap {inductance, capacitance, ...} for a resonant frequency
+ * @returns {Array} Sections [{band, length, armLength, trap}] from the feed outwards
+ */
+function designTrapDipole(bands, radius, makeTrap) {
+    const factor = CONSTANTS.ANTENNA.DIPOLE_FACTOR;
+    const quarter = (band) => CONSTANTS.SPEED_OF_LIGHT / band.freqHz / 4 * factor;
+    const sections = [{ band: bands[0], length: quarter(bands[0]) }];
+    
+    for (let j = 1; j < bands.length; j++) {
+        sections[j - 1].trap = makeTrap(bands[j - 1].freqHz);
+        
+        // Each arm as a single-wire line; the shortening factor slows the wave
+        const f = bands[j].freqHz;
+        const k = 2 * Math.PI * f / CONSTANTS.SPEED_OF_LIGHT / factor;
+        const z0 = 60 * (Math.log(CONSTANTS.SPEED_OF_LIGHT / f / (2 * radius)) - 1);
+        
+        // Feed reactance with the new section ℓ open at its far end; inner traps are inductive
+        const feedReactance = (length) => {
+            let x = -z0 / Math.tan(k * length);
+            for (let i = j - 1; i >= 0; i--) {
+                x += trapReactance(sections[i].trap, f);
+                const t = Math.tan(k * sections[i].length);
+                x = z0 * (x + z0 * t) / (z0 - x * t);
+            }
+            return x;
+        };
+        
+        // First upward zero crossing; poles cross downwards
+        const max = quarter(bands[j]);
+        const steps = 400;
+        let lo = null;
+        let previous = feedReactance(max / steps);
+        for (let s = 2; s <= steps; s++) {
+            const x = feedReactance(max * s / steps);
+            if (previous < 0 && x >= 0) {
+                lo = max * (s - 1) / steps;
+                break;
+            }
+            previous = x;
+        }
+        if (lo === null) {
+            throw new Error(`The traps leave no room for ${bands[j].name} - lower the trap reactance or drop a band`);
+        }
+        
+        let hi = lo + max / steps;
+        for (let i = 0; i < 60; i++) {
+            const mid = (lo + hi) / 2;
+            if (feedReactance(mid) < 0) lo = mid; else hi = mid;
+        }
+        sections.push({ band: bands[j], length: (lo + hi) / 2 });
+    }
+    
+    let armLength = 0;
+    sections.forEach(section => {
+        armLength += section.length;
+        section.armLength = armLength;
+    });
+    return sections;
+}
+
+/**
+ * Build parallel fan-dipole legs along the y-axis, stacked down the z-axis
+ * @param {Array} lengths - Tip-to-tip leg lengths in meters
+ * @param {number} radius - Wire radius in meters
+ * @param {number} spacing - Distance between neighbouring legs in meters
+ * @param {number} wavelength - Wavelength of the highest band in meters
+ * @returns {Object} {model, ports} with one centre port per leg
+ */
+function buildFanDipoleModel(lengths, radius, spacing, wavelength) {
+    const perWavelength = CONSTANTS.ANTENNA.MULTIBAND.SEGMENTS_PER_WAVELENGTH;
+    const wires = lengths.map((length, i) => ({
+        tag: i + 1,
+        segments: momSegmentsFor(length, wavelength, perWavelength),
+        start: [0, -length / 2, -i * spacing],
+        end: [0, length / 2, -i * spacing],
+        radius
+    }));
+    return {
+        model: { wires, source: { tag: 1, segment: (wires[0].segments + 1) / 2, voltage: 1 } },
+        ports: wires.map(wire => ({ tag: wire.tag, segment: (wire.segments + 1) / 2 }))
+    };
+}
+
+/**
+ * Feed impedance of fan-dipole legs joined at a common feed point
+ * @param {Object} fan - Result of buildFanDipoleModel()
+ * @param {number} freqHz - Frequency in Hz
+ * @returns {Object} {real, imaginary} in ohms
+ */
+function fanDipoleImpedance(fan, freqHz) {
+    // All ports see the same voltage: the input admittance is the sum of Y
+    const { admittance } = momSolvePorts(fan.model, fan.ports, freqHz);
+    let yRe = 0;
+    let yIm = 0;
+    admittance.re.forEach((v, i) => {
+        yRe += v;
+        yIm += admittance.im[i];
+    });
+    const y2 = yRe * yRe + yIm * yIm;
+    return { real: yRe / y2, imaginary: -yIm / y2 };
+}
+
+/**
+ * Trim one wire dimension to resonance at a frequency (secant search)
+ * @param {Array} lengths - Dimensions in meters; the trimmed entry is updated
+ * @param {number} index - Index of the dimension to trim
+ * @param {number} freqHz - Frequency in Hz
+ * @param {Function} impedanceFor - Feed impedance for a set of dimensions at a frequency
+ */
+function tuneWireToResonance(lengths, index, freqHz, impedanceFor) {
+    const limits = CONSTANTS.ANTENNA.MOM;
+    const reactance = (length) => {
+        const trial = lengths.slice();
+        trial[index] = length;
+        return impedanceFor(trial, freqHz).imaginary;
+    };
+    
+    let l0 = lengths[index];
+    let x0 = reactance(l0);
+    let l1 = l0 * (x0 > 0 ? 0.99 : 1.01);
+    let x1 = reactance(l1);
+    for (let i = 0; i < limits.RESONANCE_ITERATIONS && Math.abs(x1) > limits.RESONANCE_TOLERANCE && x1 !== x0; i++) {
+        const l2 = l1 - x1 * (l1 - l0) / (x1 - x0);
+        l0 = l1;
+        x0 = x1;
+        l1 = Math.min(Math.max(l2, l0 * 0.9), l0 * 1.1);
+        x1 = reactance(l1);
+    }
+    lengths[index] = l1;
+}
+
+/**
+ * Retune all fan-dipole legs together to resonance on their own bands.
+ * Each pass solves the fan once per band and moves every leg along its own
+ * secant, so the cost stays at one solve per band per pass.
+ * @param {Array} lengths - Leg lengths in meters, updated in place
+ * @param {Array} bands - Bands in the same order as the legs
+ * @param {Function} impedanceFor - Feed impedance for a set of lengths at a frequency
+ * @returns {Array} Feed impedances {real, imaginary} of the final lengths, one per band
+ */
+function retuneFanLegs(lengths, bands, impedanceFor) {
+    const limits = CONSTANTS.ANTENNA.MOM;
+    let previous = null;
+    
+    for (let pass = 0; ; pass++) {
+        const impedances = bands.map(band => impedanceFor(lengths, band.freqHz));
+        const reactances = impedances.map(z => z.imaginary);
+        if (pass === CONSTANTS.ANTENNA.MULTIBAND.FAN_PASSES - 1 ||
+            reactances.every(x => Math.abs(x) <= limits.RESONANCE_TOLERANCE)) {
+            return impedances;
+        }
+        
+        const current = { lengths: lengths.slice(), reactances };
+        lengths.forEach((length, i) => {
+            const x = reactances[i];
+            if (Math.abs(x) <= limits.RESONANCE_TOLERANCE) return;
+            const x0 = previous ? previous.reactances[i] : x;
+            const l0 = previous ? previous.lengths[i] : length;
+            const next = x0 !== x && l0 !== length ?
+                length - x * (length - l0) / (x - x0) :
+                length * (x > 0 ? 0.99 : 1.01);
+            lengths[i] = Math.min(Math.max(next, length * 0.9), length * 1.1);
+        });
+        previous = current;
+    }
+}
+
+/**
+ * Design a multiband trap or fan dipole for the ticked amateur bands
+ * @param {string} dipoleType - 'trap' or 'fan'
+ */
+function calculateMultibandDipole(dipoleType) {
+    const wireDiameter = parseFloat(document.getElementById('dipole-wire-diameter').value);
+    const wireUnit = document.getElementById('dipole-wire-unit').value;
+    const trapType = document.getElementById('dipole-trap-type').value;
+    const trapReactanceInput = parseFloat(document.getElementById('dipole-trap-reactance').value);
+    const coax = CONSTANTS.COAX_TYPES[document.getElementById('dipole-trap-coax').value];
+    const formerMm = parseFloat(document.getElementById('dipole-trap-former').value);
+    const spacingCm = parseFloat(document.getElementById('dipole-fan-spacing').value);
+    const limits = CONSTANTS.ANTENNA.MULTIBAND;
+    const bands = selectedDipoleBands();
+    
+    if (bands.length < 2 || bands.length > limits.MAX_BANDS) {
+        showError('dipole-type', `Please tick 2-${limits.MAX_BANDS} bands`);
+        return;
+    }
+    
+    if (dipoleType === 'trap' && trapType === 'lumped' && !isNaN(trapReactanceInput) && !validateInput(trapReactanceInput, 10, 2000)) {
+        showError('dipole-trap-reactance', 'Trap reactance should be between 10 and 2000 Ω');
+        return;
+    }
+    
+    if (dipoleType === 'trap' && trapType === 'coax' && !validateInput(formerMm)) {
+        showError('dipole-trap-former', 'Please enter the trap former diameter');
+        return;
+    }
+    
+    if (dipoleType === 'fan' && !isNaN(spacingCm) && !validateInput(spacingCm)) {
+        showError('dipole-fan-spacing', 'Please enter a positive leg spacing');
+        return;
+    }
+    
+    clearError('dipole-type');
+    clearError('dipole-trap-reactance');
+    clearError('dipole-trap-former');
+    clearError('dipole-fan-spacing');
+    
+    try {
+        const hasDiameter = wireDiameter && validateInput(wireDiameter);
+        const diameterM = hasDiameter ?
+            wireDiameterToMeters(wireDiameter, wireUnit) :
+            CONSTANTS.ANTENNA.MOM.DEFAULT_WIRE_DIAMETER;
+        const radius = diameterM / 2;
+        const feet = (m) => formatNumber(m / CONSTANTS.LENGTH_UNITS.ft, 2);
+        const bandList = bands.map(b => b.name).join(', ');
+        let html;
+        
+        if (dipoleType === 'trap') {
+            const reactance = isNaN(trapReactanceInput) ? limits.DEFAULT_TRAP_REACTANCE : trapReactanceInput;
+            const makeTrap = trapType === 'coax' ?
+                (f) => designCoaxTrap(f, coax, formerMm / 1000) :
+                (f) => {
+                    const omega = 2 * Math.PI * f;
+                    return { inductance: reactance / omega, capacitance: 1 / (omega * reactance) };
+                };
+            const sections = designTrapDipole(bands, radius, makeTrap);
+            const arm = sections[sections.length - 1].armLength;
+            const lowest = bands[bands.length - 1];
+            const fullSize = CONSTANTS.SPEED_OF_LIGHT / lowest.freqHz / 2 * CONSTANTS.ANTENNA.DIPOLE_FACTOR;
+            
+            const rows = sections.map(section => {
+                const trap = section.trap;
+                let trapCells = '<td>—</td><td>—</td><td>—</td>';
+                if (trap) {
+                    const resonance = 1 / (2 * Math.PI * Math.sqrt(trap.inductance * trap.capacitance));
+                    trapCells = `
+                            <td>${formatNumber(resonance / 1e6, 4)}</td>
+                            <td>${formatNumber(trap.inductance * 1e6, 3)}</td>
+                            <td>${formatNumber(trap.capacitance * 1e12, 1)}</td>`;
+                    if (trapType === 'coax') {
+                        trapCells += `
+                            <td>${formatNumber(trap.turns, 1)} turns, ${formatNumber(trap.coaxLength, 3)} m</td>`;
+                    }
+                } else if (trapType === 'coax') {
+                    trapCells += '<td>—</td>';
+                }
+                return `
+                        <tr>
+                            <td>${section.band.name}</td>
+                            <td>${formatNumber(section.band.freqHz / 1e6, 4)}</td>
+                            <td>${formatNumber(section.length, 3)}</td>
+                            <td>${formatNumber(section.armLength, 3)}</td>${trapCells}
+                        </tr>`;
+            });
+            
+            html = `
+            <h4>Trap Dipole Results</h4>
+            <div class="result-grid">
+                <div class="result-item">
+                    <strong>Overall Size:</strong>
+                    <ul>
+                        <li>Each side: ${formatNumber(arm, 3)} m (${feet(arm)} ft)</li>
+                        <li>Tip to tip: ${formatNumber(2 * arm, 3)} m (${feet(2 * arm)} ft)</li>
+                        <li>Full-size ${lowest.name} dipole: ${formatNumber(fullSize, 3)} m</li>
+                        <li>Shortening: ${formatNumber((1 - 2 * arm / fullSize) * 100, 1)}%</li>
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>Traps:</strong>
+                    <ul>
+                        <li>Traps per side: ${sections.length - 1}</li>
+                        <li>Type: ${trapType === 'coax' ?
+                            `${document.getElementById('dipole-trap-coax').value} coax on a ${formatNumber(formerMm, 3)} mm former` :
+                            `lumped L/C, ${formatNumber(reactance, 0)} Ω at resonance`}</li>
+                        <li>Bands: ${bandList}</li>
+                    </ul>
+                </div>
+            </div>
+            
+            <div class="iot-table-scroll">
+                <table class="iot-comparison-table">
+                    <thead>
+                        <tr>
+                            <th>Band</th>
+                            <th>Design (MHz)</th>
+                            <th>Section (m)</th>
+                            <th>Feed to end (m)</th>
+                            <th>Trap (MHz)</th>
+                            <th>L (µH)</th>
+                            <th>C (pF)</th>
+                            ${trapType === 'coax' ? '<th>Coax winding</th>' : ''}
+                        </tr>
+                    </thead>
+                    <tbody>${rows.join('')}
+                    </tbody>
+                </table>
+            </div>
+            
+            <div class="info-section">
+                <p><strong>Notes:</strong></p>
+                <ul>
+                    <li>Lengths are per side, measured from the feed point to the trap terminals; the trap at the end of a section is resonant on that section's band</li>
+                    <li>Outer sections are found from a transmission-line model of the arm, with the inner traps acting as loading inductors</li>
+                    ${trapType === 'coax' ?
+                        '<li>Coax traps: close-wound single-layer coil (Wheeler), centre-to-shield capacitance of the wound length; connect centre at one end to shield at the other</li>' :
+                        '<li>Higher trap reactance shortens the antenna but narrows the bandwidth on the lower bands</li>'}
+                    <li>Tune the innermost band first, then work outwards - trimming an inner section shifts every band beyond it</li>
+                </ul>
+            </div>`;
+        } else {
+            const spacing = (isNaN(spacingCm) ? limits.DEFAULT_FAN_SPACING * 100 : spacingCm) / 100;
+            const wavelengthHigh = CONSTANTS.SPEED_OF_LIGHT / bands[0].freqHz;
+            const impedanceFor = (lengths, f) =>
+                fanDipoleImpedance(buildFanDipoleModel(lengths, radius, spacing, wavelengthHigh), f);
+            const start = bands.map(b => CONSTANTS.SPEED_OF_LIGHT / b.freqHz / 2 * CONSTANTS.ANTENNA.DIPOLE_FACTOR);
+            
+            // Each leg alone, then all legs together, retuned leg by leg
+            const isolated = bands.map((band, i) => {
+                const single = [start[i]];
+                tuneWireToResonance(single, 0, band.freqHz, impedanceFor);
+                return single[0];
+            });
+            const lengths = isolated.slice();
+            const impedances = retuneFanLegs(lengths, bands, impedanceFor);
+            
+            const rows = bands.map((band, i) => {
+                const z = impedances[i];
+                const gamma = complexImpedance(z.real - CONSTANTS.DEFAULTS.IMPEDANCE_50, z.imaginary).magnitude /
+                              complexImpedance(z.real + CONSTANTS.DEFAULTS.IMPEDANCE_50, z.imaginary).magnitude;
+                return `
+                        <tr>
+                            <td>${band.name}</td>
+                            <td>${formatNumber(band.freqHz / 1e6, 4)}</td>
+                            <td>${formatNumber(isolated[i], 3)}</td>
+                            <td>${formatNumber(lengths[i], 3)}</td>
+                            <td>${formatNumber(lengths[i] / 2, 3)}</td>
+                            <td>${lengths[i] >= isolated[i] ? '+' : ''}${formatNumber((lengths[i] / isolated[i] - 1) * 100, 2)}%</td>
+                            <td>${formatNumber(z.real, 1)} ${z.imaginary >= 0 ? '+' : '−'} j${formatNumber(Math.abs(z.imaginary), 1)}</td>
+                            <td>${formatNumber(gammaToVSWR(gamma), 2)}</td>
+                        </tr>`;
+            });
+            
+            html = `
+            <h4>Fan Dipole Results</h4>
+            <div class="result-grid">
+                <div class="result-item">
+                    <strong>Layout:</strong>
+                    <ul>
+                        <li>Legs: ${bands.length} (${bandList})</li>
+                        <li>Leg spacing: ${formatNumber(spacing * 100, 3)} cm</li>
+                        <li>Longest leg: ${formatNumber(lengths[lengths.length - 1], 3)} m (${feet(lengths[lengths.length - 1])} ft)</li>
+                    </ul>
+                </div>
+            </div>
+            
+            <div class="iot-table-scroll">
+                <table class="iot-comparison-table">
+                    <thead>
+                        <tr>
+                            <th>Band</th>
+                            <th>Design (MHz)</th>
+                            <th>Alone (m)</th>
+                            <th>In fan (m)</th>
+                            <th>Each side (m)</th>
+                            <th>Correction</th>
+                            <th>Feed Z (Ω)</th>
+                            <th>VSWR 50 Ω</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows.join('')}
+                    </tbody>
+                </table>
+            </div>
+            
             <div class="info-section">
                 <p><strong>Notes:</strong></p>
                 <ul>
-                    <li>Values are theoretical for free space operation</li>
-                    <li>${dipoleType === 'quarterwave' ? 'Monopole requires ground plane for proper operation' : 'Dipole should be at least λ/4 above ground'}</li>
-                    <li>Bandwidth depends on wire thickness and environment</li>
-                    <li>SWR bandwidth typically 5-15% for thin wire antennas</li>
+                    <li>Legs are tip-to-tip lengths, resonated with the method-of-moments solver: first each dipole alone, then all legs in parallel on one feed</li>
+                    <li>Correction is the change from the stand-alone length caused by the other legs</li>
+                    <li>Model: parallel legs ${formatNumber(spacing * 100, 3)} cm apart in free space, ${formatNumber(diameterM * 1000, 2)} mm wire${hasDiameter ? '' : ' assumed'}; drooping or closely bunched legs interact more</li>
+                    <li>Trim the highest band first - its leg also loads the others</li>
                 </ul>
             </div>`;
+        }
         
         document.getElementById('dipole-results').innerHTML = html;
         
@@ -231,6 +872,8 @@ function calculateYagi() {
     const elements = parseInt(document.getElementById('yagi-elements').value) || 5;
     const boomLength = parseFloat(document.getElementById('yagi-boom-length').value);
     const boomUnit = document.getElementById('yagi-boom-unit').value;
+    const elementDiameter = parseFloat(document.getElementById('yagi-element-diameter').value);
+    const diameterUnit = document.getElementById('yagi-element-diameter-unit').value;
     
     if (!validateInput(frequency)) {
         showError('yagi-freq', 'Please enter a valid frequency');
@@ -264,24 +907,36 @@ function calculateYagi() {
             actualBoomLength = (elements - 1) * CONSTANTS.ANTENNA.YAGI.TYPICAL_SPACING * wavelength;
         }
         
-        // Calculate approximate gain
         const directorsCount = elements - 2; // excluding driven element and reflector
-        const approximateGain = CONSTANTS.ANTENNA.YAGI.BASE_GAIN + 
-                              directorsCount * CONSTANTS.ANTENNA.YAGI.GAIN_PER_DIRECTOR;
         
         // Calculate spacing
         const elementSpacing = actualBoomLength / (elements - 1);
         
-        // Estimate bandwidth and impedance
-        const estimatedImpedance = 28; // typical for Yagi with reflector
-        const estimatedBandwidth = 15 - (elements * 0.5); // rough estimate
+        // Element table: reflector, driven element, then directors
+        const elementTable = [
+            { name: 'Reflector', length: reflectorLength, position: 0 },
+            { name: 'Driven element', length: drivenElementLength, position: elementSpacing, driven: true }
+        ];
+        for (let i = 1; i <= directorsCount; i++) {
+            elementTable.push({ name: `Director ${i}`, length: directorLength, position: elementSpacing * (i + 1) });
+        }
         
-        // Calculate front-to-back ratio (rough estimate)
-        const frontToBack = 15 + directorsCount * 2; // dB
+        // Solve the array with method of moments
+        const freqHz = frequency * CONSTANTS.FREQ_UNITS[freqUnit];
+        const freeSpaceWavelength = frequencyToWavelength(freqHz, 'Hz');
+        const hasDiameter = elementDiameter && validateInput(elementDiameter);
+        const diameterM = hasDiameter ?
+            wireDiameterToMeters(elementDiameter, diameterUnit) :
+            CONSTANTS.ANTENNA.MOM.DEFAULT_WIRE_DIAMETER;
+        const model = buildYagiModel(elementTable, diameterM / 2, freeSpaceWavelength);
+        const solution = momSolve(model, freqHz);
+        const farField = momFarFieldSummary(solution);
+        const bandwidth = momMatchedBandwidth(model, freqHz, 0.05, 11);
+        const feed = solution.impedance;
+        const gamma50 = complexImpedance(feed.real - CONSTANTS.DEFAULTS.IMPEDANCE_50, feed.imaginary).magnitude /
+                        complexImpedance(feed.real + CONSTANTS.DEFAULTS.IMPEDANCE_50, feed.imaginary).magnitude;
         
-        // Calculate beamwidth (rough estimate)
-        const beamwidthE = 60 / Math.sqrt(approximateGain / 2.14); // degrees
-        const beamwidthH = beamwidthE * 1.2; // typically wider in H-plane
+        momResults.yagi = { model, solution, farField, elements: elementTable, frequency: freqHz };
         
         let html = `
             <h4>Yagi-Uda Antenna Results</h4>
@@ -300,44 +955,45 @@ function calculateYagi() {
                     <ul>
                         <li>Boom length: ${formatNumber(actualBoomLength, 3)} m (${formatNumber(actualBoomLength / CONSTANTS.LENGTH_UNITS.ft, 2)} ft)</li>
                         <li>Element spacing: ${formatNumber(elementSpacing, 3)} m (${formatNumber(elementSpacing / CONSTANTS.LENGTH_UNITS.inches, 1)} in)</li>
-                        <li>Spacing in λ: ${formatNumber(elementSpacing / wavelength, 3)}λ</li>
+                        <li>Spacing in λ: ${formatNumber(elementSpacing / freeSpaceWavelength, 3)}λ</li>
                     </ul>
                 </div>
                 
                 <div class="result-item">
-                    <strong>Performance (Estimated):</strong>
+                    <strong>Performance (MoM):</strong>
                     <ul>
-                        <li>Gain: ~${formatNumber(approximateGain, 1)} dBi</li>
-                        <li>Front-to-back: ~${formatNumber(frontToBack, 0)} dB</li>
-                        <li>Feed impedance: ~${estimatedImpedance} Ω</li>
-                        <li>3dB beamwidth: ${formatNumber(beamwidthE, 0)}° × ${formatNumber(beamwidthH, 0)}°</li>
-                        <li>Bandwidth: ~${formatNumber(estimatedBandwidth, 1)}%</li>
+                        <li>Forward gain: ${formatNumber(farField.forwardGain, 2)} dBi</li>
+                        <li>Front-to-back: ${formatNumber(farField.frontToBack, 1)} dB</li>
+                        <li>Feed impedance: ${formatNumber(feed.real, 1)} ${feed.imaginary >= 0 ? '+' : '−'} j${formatNumber(Math.abs(feed.imaginary), 1)} Ω</li>
+                        <li>VSWR on 50 Ω: ${formatNumber(gammaToVSWR(gamma50), 2)}:1</li>
+                        <li>3dB beamwidth: ${formatNumber(farField.azimuthBeamwidth, 0)}° (E) × ${formatNumber(farField.elevationBeamwidth, 0)}° (H)</li>
+                        <li>2:1 SWR bandwidth (matched at f₀): ${bandwidth.limited ? '>' : '~'}${formatNumber(bandwidth.bandwidth / freqHz * 100, 1)}%</li>
                     </ul>
                 </div>
                 
                 <div class="result-item">
                     <strong>Element Layout:</strong>
-                    <ul>
-                        <li>Reflector at 0 m</li>
-                        <li>Driven element at ${formatNumber(elementSpacing, 3)} m</li>`;
+                    <ul>`;
         
-        for (let i = 1; i <= directorsCount; i++) {
-            html += `<li>Director ${i} at ${formatNumber(elementSpacing * (i + 1), 3)} m</li>`;
-        }
+        elementTable.forEach(el => {
+            html += `<li>${el.name} at ${formatNumber(el.position, 3)} m</li>`;
+        });
         
         html += `
                     </ul>
                 </div>
             </div>
             
+            <button class="btn" onclick="plotMoMPattern('yagi')">Plot Pattern</button>
+            <button class="btn" onclick="exportNecDeck('yagi')">Export NEC</button>
+            
             <div class="info-section">
                 <p><strong>Design Notes:</strong></p>
                 <ul>
-                    <li>This is a simplified Yagi design using typical ratios</li>
-                    <li>Optimal designs require modeling software (NEC, EZNEC, etc.)</li>
-                    <li>Element diameters and mounting method affect tuning</li>
+                    <li>Element lengths use typical ratios; performance is computed with a thin-wire method-of-moments model (${formatNumber(diameterM * 1000, 2)} mm elements${hasDiameter ? '' : ' assumed'})</li>
+                    <li>Model assumes lossless elements in free space with no boom or mounting effects</li>
+                    <li>Insulated or through-boom mounting needs element length corrections</li>
                     <li>Gamma match or balun typically needed for 50Ω feed</li>
-                    <li>Performance estimates are approximate - actual results vary</li>
                 </ul>
             </div>`;
         
@@ -350,294 +1006,3604 @@ function calculateYagi() {
 }
 
 /**
- * Calculate loop antenna parameters
+ * Evaluate a Yagi design for the optimizer
+ * @param {Array} elements - [{name, length, position, driven}] in meters
+ * @param {Object} setup - {radius, wavelength, freqHz, perWavelength}
+ * @returns {Object} {forwardGain, frontToBack, impedance, vswr, returnLoss}
  */
-function calculateLoop() {
-    const frequency = parseFloat(document.getElementById('loop-freq').value);
-    const freqUnit = document.getElementById('loop-freq-unit').value;
-    const loopType = document.getElementById('loop-type').value;
-    const shape = document.getElementById('loop-shape').value;
+function evaluateYagiDesign(elements, setup) {
+    const model = buildYagiModel(elements, setup.radius, setup.wavelength, setup.perWavelength);
+    const solution = momSolve(model, setup.freqHz);
+    const forwardGain = momGainDbi(solution, [1, 0, 0]);
+    const backGain = momGainDbi(solution, [-1, 0, 0]);
+    const z = solution.impedance;
+    const gamma = complexImpedance(z.real - CONSTANTS.DEFAULTS.IMPEDANCE_50, z.imaginary).magnitude /
+                  complexImpedance(z.real + CONSTANTS.DEFAULTS.IMPEDANCE_50, z.imaginary).magnitude;
     
-    if (!validateInput(frequency)) {
-        showError('loop-freq', 'Please enter a valid frequency');
-        return;
-    }
+    return {
+        forwardGain,
+        frontToBack: forwardGain - backGain,
+        impedance: z,
+        vswr: gammaToVSWR(gamma),
+        returnLoss: gammaToReturnLoss(gamma)
+    };
+}
+
+/**
+ * How far a feed impedance lies outside the optimizer's buildable window
+ * @param {Object} impedance - {real, imaginary} in ohms
+ * @returns {number} Ohms outside the window (0 when inside)
+ */
+function yagiFeedViolation(impedance) {
+    const limits = CONSTANTS.ANTENNA.YAGI_OPTIMIZER;
+    return Math.max(0, limits.MIN_FEED_RESISTANCE - impedance.real) +
+           Math.max(0, Math.abs(impedance.imaginary) - limits.MAX_FEED_REACTANCE);
+}
+
+/**
+ * Trim a Yagi's driven element to resonance and evaluate it on the full-density mesh
+ * @param {Array} elements - [{name, length, position, driven}] in meters
+ * @param {Object} setup - {radius, wavelength, freqHz}
+ * @returns {Object} {elements, performance} with the trimmed elements
+ */
+function checkYagiFullMesh(elements, setup) {
+    const driven = elements.findIndex(el => el.driven);
+    const lengths = elements.map(el => el.length);
+    const withLengths = (trial) => elements.map((el, i) => ({ ...el, length: trial[i] }));
+    tuneWireToResonance(lengths, driven, setup.freqHz, (trial, f) =>
+        momSolve(buildYagiModel(withLengths(trial), setup.radius, setup.wavelength), f).impedance);
+    const trimmed = withLengths(lengths);
+    return { elements: trimmed, performance: evaluateYagiDesign(trimmed, setup) };
+}
+
+/**
+ * Optimize Yagi element lengths and spacings by pattern search, yielding to the
+ * browser every few trials so the page stays responsive
+ * @param {Array} elements - Starting design [{name, length, position, driven}]
+ * @param {Object} setup - {radius, wavelength, freqHz, maxBoom, weights: {gain, fb, match}, iterations}
+ * @param {Function} onProgress - Called as (iteration, bestScore) before each yield
+ * @returns {Promise<Object>} {elements, performance, history} where each history entry keeps the
+ *   best design so far in elements
+ */
+async function optimizeYagiDesign(elements, setup, onProgress = () => {}) {
+    const limits = CONSTANTS.ANTENNA.YAGI_OPTIMIZER;
+    const mom = CONSTANTS.ANTENNA.MOM;
+    const lambda = setup.wavelength;
+    const evalSetup = { ...setup, perWavelength: limits.SEGMENTS_PER_WAVELENGTH };
     
-    clearError('loop-freq');
+    // Work in wavelengths: element lengths followed by gaps between neighbours
+    const lengths = elements.map(el => el.length / lambda);
+    const gaps = elements.slice(1).map((el, i) => (el.position - elements[i].position) / lambda);
+    const maxBoom = setup.maxBoom / lambda;
+    const driven = elements.findIndex(el => el.driven);
     
-    try {
-        const wavelength = frequencyToWavelength(frequency, freqUnit, CONSTANTS.DEFAULTS.VELOCITY_FACTOR);
+    const toElements = () => {
+        let position = 0;
+        return elements.map((el, i) => {
+            if (i > 0) position += gaps[i - 1] * lambda;
+            return { ...el, length: lengths[i] * lambda, position };
+        });
+    };
+    
+    // Trim the driven element to resonance after every move, as it would be
+    // on the finished antenna; the secant slope carries over between trials
+    let slope = null;
+    const evaluateResonant = () => {
+        let perf = evaluateYagiDesign(toElements(), evalSetup);
+        for (let i = 0; i < mom.RESONANCE_ITERATIONS && Math.abs(perf.impedance.imaginary) > mom.RESONANCE_TOLERANCE; i++) {
+            const x = perf.impedance.imaginary;
+            const previous = lengths[driven];
+            const step = slope ? -x / slope : (x > 0 ? -limits.DRIVEN_STEP : limits.DRIVEN_STEP);
+            lengths[driven] = Math.min(Math.max(previous + step, limits.MIN_LENGTH), limits.MAX_LENGTH);
+            if (lengths[driven] === previous) break;
+            
+            const next = evaluateYagiDesign(toElements(), evalSetup);
+            const trialSlope = (next.impedance.imaginary - x) / (lengths[driven] - previous);
+            // Reactance rises with length near resonance; ignore noisy estimates
+            if (trialSlope > 0) slope = trialSlope;
+            perf = next;
+        }
+        return perf;
+    };
+    
+    const score = (perf) =>
+        setup.weights.gain * perf.forwardGain +
+        setup.weights.fb * Math.min(perf.frontToBack, limits.FB_CAP) +
+        setup.weights.match * Math.min(perf.returnLoss, limits.RETURN_LOSS_CAP);
+    
+    let best = evaluateResonant();
+    let bestScore = score(best);
+    let bestViolation = yagiFeedViolation(best.impedance);
+    const history = [{ iteration: 0, score: bestScore, ...best, elements: toElements() }];
+    
+    let lengthStep = limits.LENGTH_STEP;
+    let spacingStep = limits.SPACING_STEP;
+    let lastYield = Date.now();
+    
+    for (let iteration = 1; iteration <= setup.iterations; iteration++) {
+        let improved = false;
         
-        let circumference, radiationResistance, gain, efficiency, bandwidth, directivity;
-        let dimensions = {};
+        // Try a step up and down on every variable except the driven length,
+        // keeping any improvement
+        const variables = [
+            ...lengths.map((_, i) => ({ values: lengths, i, step: lengthStep, min: limits.MIN_LENGTH, max: limits.MAX_LENGTH }))
+                .filter(v => v.i !== driven),
+            ...gaps.map((_, i) => ({ values: gaps, i, step: spacingStep, min: limits.MIN_SPACING, max: limits.MAX_SPACING }))
+        ];
         
-        switch (loopType) {
-            case 'small':
-                // Small loop (< λ/10 circumference)
-                circumference = wavelength * 0.08; // 0.08λ typical
-                radiationResistance = 31171 * Math.pow(circumference / wavelength, 4); // Wheeler's formula
-                efficiency = 0.1; // 10% typical for small loops without loading
-                gain = -1.76; // dBi (compared to isotropic)
-                directivity = 1.5; // figure-8 pattern
-                bandwidth = 1; // very narrow
-                break;
-                
-            case 'large':
-                // Full-wave loop
-                circumference = wavelength * 1.005; // slightly larger than 1λ
-                radiationResistance = 115; // approximate
-                efficiency = 0.95; // high efficiency
-                gain = 2.1; // dBi
-                directivity = 1.64; // similar to dipole
-                bandwidth = 10; // moderate bandwidth
-                break;
+        for (const v of variables) {
+            for (const direction of [1, -1]) {
+                const original = v.values[v.i];
+                const drivenLength = lengths[driven];
+                const trial = original + direction * v.step;
+                v.values[v.i] = trial;
+                const boom = gaps.reduce((sum, g) => sum + g, 0);
                 
-            case 'quad':
-                // Quad loop (2λ circumference)
-                circumference = wavelength * 2.0;
-                radiationResistance = 50; // approximate
-                efficiency = 0.9; // good efficiency
-                gain = 3.1; // dBi
-                directivity = 2.0;
-                bandwidth = 8; // moderate bandwidth
-                break;
-        }
-        
-        // Calculate dimensions based on shape
-        switch (shape) {
-            case 'circular':
-                dimensions.diameter = circumference / Math.PI;
-                dimensions.radius = dimensions.diameter / 2;
-                dimensions.area = Math.PI * dimensions.radius * dimensions.radius;
-                break;
+                if (trial < v.min || trial > v.max || boom > maxBoom) {
+                    v.values[v.i] = original;
+                    continue;
+                }
                 
-            case 'square':
-                dimensions.sideLength = circumference / 4;
-                dimensions.area = dimensions.sideLength * dimensions.sideLength;
-                dimensions.diagonal = dimensions.sideLength * Math.sqrt(2);
-                break;
+                if (Date.now() - lastYield > limits.YIELD_INTERVAL) {
+                    onProgress(iteration, bestScore);
+                    await yieldToBrowser();
+                    lastYield = Date.now();
+                }
                 
-            case 'rectangular':
-                // Assume 2:1 aspect ratio
-                dimensions.longSide = circumference / 6;
-                dimensions.shortSide = circumference / 12;
-                dimensions.area = dimensions.longSide * dimensions.shortSide;
-                break;
+                const perf = evaluateResonant();
+                const trialScore = score(perf);
+                // Reject super-gain designs whose feed collapses: a step must
+                // not move the feed further outside the R and X window
+                const violation = yagiFeedViolation(perf.impedance);
+                const accepted = violation < bestViolation - 1e-6 ||
+                                 (violation <= bestViolation + 1e-6 && trialScore > bestScore + 1e-6);
+                if (accepted) {
+                    best = perf;
+                    bestScore = trialScore;
+                    bestViolation = violation;
+                    improved = true;
+                    break;
+                }
+                v.values[v.i] = original;
+                lengths[driven] = drivenLength;
+            }
         }
         
-        // Calculate magnetic field parameters for small loops
-        let magneticMoment = '';
-        if (loopType === 'small') {
-            const area = dimensions.area;
-            const inductance = area * 4e-7 * Math.PI / circumference; // approximate
-            magneticMoment = `
-                <div class="result-item">
-                    <strong>Magnetic Properties:</strong>
-                    <ul>
-                        <li>Loop area: ${formatNumber(area, 6)} m²</li>
-                        <li>Inductance: ~${formatNumber(inductance * 1e6, 2)} µH</li>
-                        <li>Required Q: ${formatNumber(50 / radiationResistance, 0)} (for 50Ω match)</li>
-                    </ul>
-                </div>`;
+        history.push({ iteration, score: bestScore, ...best, elements: toElements() });
+        
+        if (!improved) {
+            lengthStep /= 2;
+            spacingStep /= 2;
+            if (lengthStep < limits.MIN_STEP) break;
+        }
+    }
+    
+    return { elements: toElements(), performance: best, history };
+}
+
+// Set while the optimizer runs so a second click does not start another search
+let yagiOptimizerRunning = false;
+
+/**
+ * Optimize the current Yagi design for the selected goal
+ */
+async function optimizeYagi() {
+    if (yagiOptimizerRunning) return;
+    
+    const goal = document.getElementById('yagi-opt-goal').value;
+    const iterations = parseInt(document.getElementById('yagi-opt-iterations').value) || 20;
+    const maxBoomInput = parseFloat(document.getElementById('yagi-opt-max-boom').value);
+    const maxBoomUnit = document.getElementById('yagi-opt-max-boom-unit').value;
+    
+    if (iterations < 1 || iterations > 200) {
+        showError('yagi-opt-iterations', 'Iterations should be between 1 and 200');
+        return;
+    }
+    
+    clearError('yagi-opt-iterations');
+    
+    // Start from the design in the Yagi calculator above
+    calculateYagi();
+    const start = momResults.yagi;
+    if (!start) return;
+    
+    const output = document.getElementById('yagi-opt-results');
+    const showProgress = (message) => {
+        output.innerHTML = `<div class="info-section"><p>${message}</p></div>`;
+    };
+    
+    yagiOptimizerRunning = true;
+    try {
+        const freqHz = start.solution.frequency;
+        const wavelength = frequencyToWavelength(freqHz, 'Hz');
+        const startBoom = start.elements[start.elements.length - 1].position;
+        let maxBoom = startBoom;
+        if (maxBoomInput && validateInput(maxBoomInput)) {
+            maxBoom = maxBoomUnit === 'wavelength' ?
+                maxBoomInput * wavelength :
+                convertUnits(maxBoomInput, maxBoomUnit, 'm', CONSTANTS.LENGTH_UNITS);
+        }
+        
+        if (maxBoom < startBoom) {
+            throw new Error(`Maximum boom length must be at least the starting boom (${formatNumber(startBoom, 3)} m)`);
+        }
+        
+        let weights;
+        switch (goal) {
+            case 'gain':  weights = { gain: 1, fb: 0, match: 0 }; break;
+            case 'fb':    weights = { gain: 0, fb: 1, match: 0 }; break;
+            case 'match': weights = { gain: 0, fb: 0, match: 1 }; break;
+            default:
+                weights = {
+                    gain: parseFloat(document.getElementById('yagi-opt-w-gain').value) || 0,
+                    fb: parseFloat(document.getElementById('yagi-opt-w-fb').value) || 0,
+                    match: parseFloat(document.getElementById('yagi-opt-w-match').value) || 0
+                };
         }
         
+        if (weights.gain <= 0 && weights.fb <= 0 && weights.match <= 0) {
+            throw new Error('At least one goal weight must be positive');
+        }
+        
+        const radius = start.model.wires[0].radius;
+        showProgress('Optimizing…');
+        const result = await optimizeYagiDesign(start.elements, {
+            radius, wavelength, freqHz, maxBoom, weights, iterations
+        }, (iteration, score) => showProgress(`Optimizing… iteration ${iteration} of ${iterations}, score ${formatNumber(score, 2)}`));
+        
+        showProgress('Checking the design on the full mesh…');
+        await yieldToBrowser();
+        
+        // Re-check on the full-density mesh. The coarse search mesh can misjudge a
+        // low feed resistance, so fall back along the search path (bisecting it)
+        // to the latest design whose full-mesh feed is inside the window
+        const fullSetup = { radius, wavelength, freqHz };
+        const path = result.history;
+        let checked = checkYagiFullMesh(result.elements, fullSetup);
+        let kept = path.length - 1;
+        if (yagiFeedViolation(checked.performance.impedance) > 0) {
+            await yieldToBrowser();
+            const first = checkYagiFullMesh(path[0].elements, fullSetup);
+            if (yagiFeedViolation(first.performance.impedance) === 0) {
+                let low = 0;
+                let high = path.length - 1;
+                checked = first;
+                while (high - low > 1) {
+                    await yieldToBrowser();
+                    const mid = Math.floor((low + high) / 2);
+                    const trial = checkYagiFullMesh(path[mid].elements, fullSetup);
+                    if (yagiFeedViolation(trial.performance.impedance) === 0) {
+                        low = mid;
+                        checked = trial;
+                    } else {
+                        high = mid;
+                    }
+                }
+                kept = low;
+            }
+        }
+        const finalElements = checked.elements;
+        const final = checked.performance;
+        
+        const model = buildYagiModel(finalElements, radius, wavelength);
+        const solution = momSolve(model, freqHz);
+        const farField = momFarFieldSummary(solution);
+        const initial = evaluateYagiDesign(start.elements, { radius, wavelength, freqHz });
+        
+        momResults.yagiOptimized = { model, solution, farField, elements: finalElements, history: result.history, frequency: freqHz };
+        
+        const limits = CONSTANTS.ANTENNA.YAGI_OPTIMIZER;
+        const goalNames = { gain: 'Maximum gain', fb: 'Maximum F/B', match: '50 Ω match', mixed: 'Weighted mix' };
+        const z = final.impedance;
+        
+        let rows = '';
+        finalElements.forEach(el => {
+            rows += `<tr>
+                <td>${el.name}</td>
+                <td>${formatNumber(el.length, 4)}</td>
+                <td>${formatNumber(el.length / wavelength, 4)}</td>
+                <td>${formatNumber(el.position, 4)}</td>
+            </tr>`;
+        });
+        
         let html = `
-            <h4>Loop Antenna Results</h4>
+            <h4>Yagi Optimizer Results — ${goalNames[goal]}</h4>
             <div class="result-grid">
                 <div class="result-item">
-                    <strong>Loop Dimensions:</strong>
+                    <strong>Before → After:</strong>
                     <ul>
-                        <li>Circumference: ${formatNumber(circumference, 3)} m</li>
-                        <li>Circumference: ${formatNumber(circumference / CONSTANTS.LENGTH_UNITS.ft, 2)} ft</li>`;
+                        <li>Forward gain: ${formatNumber(initial.forwardGain, 2)} → ${formatNumber(final.forwardGain, 2)} dBi</li>
+                        <li>Front-to-back: ${formatNumber(initial.frontToBack, 1)} → ${formatNumber(final.frontToBack, 1)} dB</li>
+                        <li>VSWR on 50 Ω: ${formatNumber(initial.vswr, 2)} → ${formatNumber(final.vswr, 2)}:1</li>
+                        <li>Feed impedance: ${formatNumber(z.real, 1)} ${z.imaginary >= 0 ? '+' : '−'} j${formatNumber(Math.abs(z.imaginary), 1)} Ω</li>
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>Search:</strong>
+                    <ul>
+                        <li>Iterations run: ${result.history.length - 1}</li>
+                        <li>Boom: ${formatNumber(finalElements[finalElements.length - 1].position, 3)} m (limit ${formatNumber(maxBoom, 3)} m)</li>
+                        <li>Weights: gain ${weights.gain}, F/B ${weights.fb}, match ${weights.match}</li>
+                        <li>3dB beamwidth: ${formatNumber(farField.azimuthBeamwidth, 0)}° × ${formatNumber(farField.elevationBeamwidth, 0)}°</li>
+                    </ul>
+                </div>
+            </div>
+            
+            <div class="iot-table-scroll">
+                <table class="iot-comparison-table">
+                    <thead>
+                        <tr><th>Element</th><th>Length (m)</th><th>Length (λ)</th><th>Position (m)</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+            
+            <button class="btn" onclick="plotYagiConvergence()">Plot Convergence</button>
+            <button class="btn" onclick="plotMoMPattern('yagiOptimized')">Plot Pattern</button>
+            <button class="btn" onclick="exportYagiDesign()">Export CSV</button>
+            <button class="btn" onclick="exportNecDeck('yagiOptimized')">Export NEC</button>
+            
+            <div class="info-section">
+                <p><strong>Notes:</strong></p>
+                <ul>${yagiFeedViolation(z) > 0 ? `
+                    <li>⚠ On the full mesh the feed is outside the ${limits.MIN_FEED_RESISTANCE} Ω / ±${limits.MAX_FEED_REACTANCE} Ω window the search kept to — try a shorter boom limit or a different goal</li>` : ''}${kept < path.length - 1 ? `
+                    <li>⚠ The full mesh put the feed of later designs outside the ${limits.MIN_FEED_RESISTANCE} Ω / ±${limits.MAX_FEED_REACTANCE} Ω window, so the design from iteration ${path[kept].iteration} is shown</li>` : ''}
+                    <li>Pattern search on a coarse MoM mesh; the driven element is re-trimmed and final numbers re-computed on the full mesh</li>
+                    <li>F/B is capped at ${limits.FB_CAP} dB and return loss at ${limits.RETURN_LOSS_CAP} dB so the search does not chase single-frequency nulls</li>
+                    <li>The driven element is trimmed to resonance at every step; steps that drop the feed resistance below ${limits.MIN_FEED_RESISTANCE} Ω or leave more than ${limits.MAX_FEED_REACTANCE} Ω of reactance are rejected to avoid unbuildable super-gain designs</li>
+                    <li>The result is a local optimum near the starting design — try different element counts or boom limits</li>
+                </ul>
+            </div>`;
         
-        switch (shape) {
-            case 'circular':
-                html += `
-                        <li>Diameter: ${formatNumber(dimensions.diameter, 3)} m</li>
-                        <li>Radius: ${formatNumber(dimensions.radius, 3)} m</li>`;
-                break;
-            case 'square':
-                html += `
-                        <li>Side length: ${formatNumber(dimensions.sideLength, 3)} m</li>
-                        <li>Diagonal: ${formatNumber(dimensions.diagonal, 3)} m</li>`;
-                break;
-            case 'rectangular':
-                html += `
-                        <li>Long side: ${formatNumber(dimensions.longSide, 3)} m</li>
-                        <li>Short side: ${formatNumber(dimensions.shortSide, 3)} m</li>`;
-                break;
+        output.innerHTML = html;
+        
+    } catch (error) {
+        output.innerHTML = `<div class="error">Error: ${error.message}</div>`;
+    } finally {
+        yagiOptimizerRunning = false;
+    }
+}
+
+/**
+ * Plot the optimizer score and performance against iteration
+ */
+function plotYagiConvergence() {
+    const result = momResults.yagiOptimized;
+    if (!result) return;
+    
+    showChart('convergence', { history: result.history });
+}
+
+/**
+ * Export the optimized Yagi element table as CSV
+ */
+function exportYagiDesign() {
+    const result = momResults.yagiOptimized;
+    if (!result) {
+        alert('Run the optimizer first');
+        return;
+    }
+    
+    const wavelength = frequencyToWavelength(result.solution.frequency, 'Hz');
+    exportCSV(result.elements.map(el => ({
+        element: el.name,
+        length_m: el.length.toFixed(5),
+        length_wl: (el.length / wavelength).toFixed(5),
+        position_m: el.position.toFixed(5)
+    })), 'freqradio-yagi-optimized.csv');
+}
+
+/**
+ * Carrel design of a log-periodic dipole array
+ * @param {number} fLow - Lowest frequency in Hz
+ * @param {number} fHigh - Highest frequency in Hz
+ * @param {number} tau - Scale factor τ
+ * @param {number} sigma - Relative spacing σ
+ * @returns {Object} {alpha, activeBandwidth, structureBandwidth, elements, boomLength}
+ *   with elements [{name, length, position}] longest first, boom along +x
+ */
+function designLPDA(fLow, fHigh, tau, sigma) {
+    const cotAlpha = 4 * sigma / (1 - tau);
+    const alpha = Math.atan(1 / cotAlpha);
+    const activeBandwidth = 1.1 + 7.7 * Math.pow(1 - tau, 2) * cotAlpha;
+    const structureBandwidth = (fHigh / fLow) * activeBandwidth;
+    const count = Math.ceil(1 + Math.log(structureBandwidth) / Math.log(1 / tau));
+    
+    if (count > CONSTANTS.ANTENNA.LPDA.MAX_ELEMENTS) {
+        throw new Error(`Design needs ${count} elements - lower τ or narrow the band (limit ${CONSTANTS.ANTENNA.LPDA.MAX_ELEMENTS})`);
+    }
+    
+    // Longest element is a half wave at the lowest frequency; each element
+    // is τ times the previous one and spaced 2σ times its length ahead
+    const elements = [];
+    let length = CONSTANTS.SPEED_OF_LIGHT / fLow / 2;
+    let position = 0;
+    for (let i = 0; i < count; i++) {
+        elements.push({ name: `Element ${i + 1}`, length, position });
+        position += 2 * sigma * length;
+        length *= tau;
+    }
+    
+    return {
+        alpha,
+        activeBandwidth,
+        structureBandwidth,
+        elements,
+        boomLength: elements[count - 1].position
+    };
+}
+
+/**
+ * Wire model of an LPDA; the transposed feeder is described by crossed
+ * transmission lines between element centres
+ * @param {Array} elements - [{length, position}] longest first
+ * @param {number} radius - Element radius in meters
+ * @param {number} feederZ0 - Feeder characteristic impedance in ohms
+ * @param {number} wavelength - Wavelength used for segmentation in meters
+ * @param {number} perWavelength - Segment density
+ * @returns {Object} Wire model with transmissionLines and source at the shortest element
+ */
+function buildLPDAModel(elements, radius, feederZ0, wavelength, perWavelength) {
+    const wires = elements.map((el, i) => ({
+        tag: i + 1,
+        segments: momSegmentsFor(el.length, wavelength, perWavelength, CONSTANTS.ANTENNA.LPDA.MIN_SEGMENTS),
+        start: [el.position, -el.length / 2, 0],
+        end: [el.position, el.length / 2, 0],
+        radius
+    }));
+    const ports = wires.map(wire => ({ tag: wire.tag, segment: (wire.segments + 1) / 2 }));
+    const transmissionLines = ports.slice(1).map((port, i) => ({
+        from: ports[i],
+        to: port,
+        impedance: feederZ0,
+        length: elements[i + 1].position - elements[i].position,
+        crossed: true
+    }));
+    
+    return {
+        wires,
+        transmissionLines,
+        source: { ...ports[ports.length - 1], voltage: 1 }
+    };
+}
+
+/**
+ * Solve an LPDA at one frequency: MoM element admittances plus the
+ * transposed two-wire feeder, fed at the shortest element
+ * @param {Object} model - Result of buildLPDAModel()
+ * @param {number} freqHz - Frequency in Hz
+ * @returns {Object} Solution usable with momGainDbi() plus impedance
+ */
+function solveLPDA(model, freqHz) {
+    return momSolveNetwork(model, freqHz);
+}
+
+/**
+ * Calculate log-periodic dipole array (LPDA) dimensions
+ */
+function calculateLPDA() {
+    const fLowInput = parseFloat(document.getElementById('lpda-freq-low').value);
+    const fHighInput = parseFloat(document.getElementById('lpda-freq-high').value);
+    const freqUnit = document.getElementById('lpda-freq-unit').value;
+    const tau = parseFloat(document.getElementById('lpda-tau').value);
+    const sigma = parseFloat(document.getElementById('lpda-sigma').value);
+    const feederZ0 = parseFloat(document.getElementById('lpda-feeder-z0').value);
+    const elementDiameter = parseFloat(document.getElementById('lpda-element-diameter').value);
+    const feederDiameter = parseFloat(document.getElementById('lpda-feeder-diameter').value);
+    const limits = CONSTANTS.ANTENNA.LPDA;
+    
+    if (!validateInput(fLowInput)) {
+        showError('lpda-freq-low', 'Please enter a valid frequency');
+        return;
+    }
+    
+    if (!validateInput(fHighInput) || fHighInput <= fLowInput) {
+        showError('lpda-freq-high', 'Upper frequency must be above the lower frequency');
+        return;
+    }
+    
+    if (!validateInput(tau, limits.MIN_TAU, limits.MAX_TAU)) {
+        showError('lpda-tau', `τ should be between ${limits.MIN_TAU} and ${limits.MAX_TAU}`);
+        return;
+    }
+    
+    if (!validateInput(sigma, limits.MIN_SIGMA, limits.MAX_SIGMA)) {
+        showError('lpda-sigma', `σ should be between ${limits.MIN_SIGMA} and ${limits.MAX_SIGMA}`);
+        return;
+    }
+    
+    if (!validateInput(feederZ0)) {
+        showError('lpda-feeder-z0', 'Please enter a valid feeder impedance');
+        return;
+    }
+    
+    clearError('lpda-freq-low');
+    clearError('lpda-freq-high');
+    clearError('lpda-tau');
+    clearError('lpda-sigma');
+    clearError('lpda-feeder-z0');
+    
+    try {
+        const fLow = fLowInput * CONSTANTS.FREQ_UNITS[freqUnit];
+        const fHigh = fHighInput * CONSTANTS.FREQ_UNITS[freqUnit];
+        const design = designLPDA(fLow, fHigh, tau, sigma);
+        const elements = design.elements;
+        
+        const elementD = validateInput(elementDiameter) ? elementDiameter / 1000 : limits.DEFAULT_ELEMENT_DIAMETER;
+        const feederD = validateInput(feederDiameter) ? feederDiameter / 1000 : limits.DEFAULT_FEEDER_DIAMETER;
+        
+        // Carrel feeder relations: mean element impedance Za and spacing factor σ'
+        const meanLength = Math.sqrt(elements[0].length * elements[elements.length - 1].length);
+        const za = 120 * (Math.log(meanLength / elementD) - 2.25);
+        const sigmaPrime = sigma / Math.sqrt(tau);
+        const inputR = feederZ0 / Math.sqrt(1 + feederZ0 / (4 * sigmaPrime * za));
+        const r50 = CONSTANTS.DEFAULTS.IMPEDANCE_50;
+        const z0For50 = r50 * r50 / (8 * sigmaPrime * za) +
+                        r50 * Math.sqrt(Math.pow(r50 / (8 * sigmaPrime * za), 2) + 1);
+        const feederSpacing = feederD * Math.cosh(feederZ0 / 120);
+        
+        // MoM sweep across the band with the feeder network
+        const wavelengthHigh = CONSTANTS.SPEED_OF_LIGHT / fHigh;
+        const totalLength = elements.reduce((sum, el) => sum + el.length, 0);
+        const perWavelength = Math.min(limits.SEGMENTS_PER_WAVELENGTH,
+                                       limits.MAX_SEGMENTS * wavelengthHigh / totalLength);
+        const model = buildLPDAModel(elements, elementD / 2, feederZ0, wavelengthHigh, perWavelength);
+        
+        const sweep = [];
+        const ratio = fHigh / fLow;
+        for (let i = 0; i < limits.ANALYSIS_POINTS; i++) {
+            const f = fLow * Math.pow(ratio, i / (limits.ANALYSIS_POINTS - 1));
+            const solution = solveLPDA(model, f);
+            const forwardGain = momGainDbi(solution, [1, 0, 0]);
+            const z = solution.impedance;
+            const gamma = complexImpedance(z.real - inputR, z.imaginary).magnitude /
+                          complexImpedance(z.real + inputR, z.imaginary).magnitude;
+            sweep.push({
+                frequency: f,
+                forwardGain,
+                frontToBack: forwardGain - momGainDbi(solution, [-1, 0, 0]),
+                impedance: z,
+                vswr: gammaToVSWR(gamma)
+            });
         }
         
-        html += `
+        const gains = sweep.map(p => p.forwardGain);
+        const fbs = sweep.map(p => p.frontToBack);
+        const swrs = sweep.map(p => p.vswr);
+        
+        // NEC export sweeps the band linearly with the same number of points
+        momResults.lpda = {
+            model,
+            elements,
+            points: sweep,
+            frequency: fLow,
+            sweep: { steps: limits.ANALYSIS_POINTS, stepHz: (fHigh - fLow) / (limits.ANALYSIS_POINTS - 1) }
+        };
+        
+        let rows = '';
+        elements.forEach((el, i) => {
+            const spacing = i < elements.length - 1 ? elements[i + 1].position - el.position : null;
+            rows += `<tr>
+                <td>${i + 1}</td>
+                <td>${formatNumber(el.length, 4)}</td>
+                <td>${formatNumber(el.position, 4)}</td>
+                <td>${spacing === null ? '—' : formatNumber(spacing, 4)}</td>
+            </tr>`;
+        });
+        
+        const sigmaOptimum = 0.243 * tau - 0.051;
+        
+        let html = `
+            <h4>Log-Periodic Dipole Array Results</h4>
+            <div class="result-grid">
+                <div class="result-item">
+                    <strong>Structure (Carrel):</strong>
+                    <ul>
+                        <li>Elements: ${elements.length}</li>
+                        <li>Boom length: ${formatNumber(design.boomLength, 3)} m (${formatNumber(design.boomLength / CONSTANTS.LENGTH_UNITS.ft, 2)} ft)</li>
+                        <li>Longest element: ${formatNumber(elements[0].length, 3)} m</li>
+                        <li>Shortest element: ${formatNumber(elements[elements.length - 1].length, 3)} m</li>
+                        <li>Half apex angle α: ${formatNumber(design.alpha * 180 / Math.PI, 1)}°</li>
+                        <li>Active region bandwidth: ${formatNumber(design.activeBandwidth, 3)}</li>
+                        <li>Structure bandwidth: ${formatNumber(design.structureBandwidth, 3)}</li>
                     </ul>
                 </div>
                 
                 <div class="result-item">
-                    <strong>Electrical Properties:</strong>
+                    <strong>Feeder:</strong>
                     <ul>
-                        <li>Radiation resistance: ${formatNumber(radiationResistance, 2)} Ω</li>
-                        <li>Efficiency: ${formatNumber(efficiency * 100, 1)}%</li>
-                        <li>Gain: ${formatNumber(gain, 1)} dBi</li>
-                        <li>Directivity: ${formatNumber(directivity, 2)}</li>
-                        <li>Bandwidth: ~${formatNumber(bandwidth, 1)}%</li>
+                        <li>Feeder Z₀: ${formatNumber(feederZ0, 0)} Ω</li>
+                        <li>Conductor spacing (centre-centre): ${formatNumber(feederSpacing * 1000, 1)} mm for ${formatNumber(feederD * 1000, 1)} mm conductors</li>
+                        <li>Mean element impedance Za: ${formatNumber(za, 0)} Ω</li>
+                        <li>Expected input resistance: ${formatNumber(inputR, 1)} Ω</li>
+                        <li>Feeder Z₀ for 50 Ω input: ${formatNumber(z0For50, 1)} Ω</li>
                     </ul>
                 </div>
                 
-                ${magneticMoment}
+                <div class="result-item">
+                    <strong>Across the Band (MoM):</strong>
+                    <ul>
+                        <li>Forward gain: ${formatNumber(Math.min(...gains), 2)} – ${formatNumber(Math.max(...gains), 2)} dBi</li>
+                        <li>Front-to-back: ${formatNumber(Math.min(...fbs), 1)} – ${formatNumber(Math.max(...fbs), 1)} dB</li>
+                        <li>VSWR on ${formatNumber(inputR, 0)} Ω: ${formatNumber(Math.min(...swrs), 2)} – ${formatNumber(Math.max(...swrs), 2)}:1</li>
+                        <li>Frequencies analyzed: ${limits.ANALYSIS_POINTS}</li>
+                    </ul>
+                </div>
             </div>
             
+            <div class="iot-table-scroll">
+                <table class="iot-comparison-table">
+                    <thead>
+                        <tr><th>#</th><th>Length (m)</th><th>Position (m)</th><th>Spacing to next (m)</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+            
+            <button class="btn" onclick="plotLPDAGain()">Plot Gain</button>
+            <button class="btn" onclick="exportNecDeck('lpda')">Export NEC</button>
+            
             <div class="info-section">
-                <p><strong>Loop Type:</strong> ${loopType === 'small' ? 'Magnetic Loop' : loopType === 'large' ? 'Full-Wave Loop' : 'Quad Loop'}</p>
                 <p><strong>Notes:</strong></p>
-                <ul>`;
-        
-        if (loopType === 'small') {
-            html += `
-                    <li>Small loops are magnetic antennas with very narrow bandwidth</li>
-                    <li>Requires high-Q tuning capacitor (vacuum variable recommended)</li>
-                    <li>Feed coupling is critical - use small coupling loop</li>
-                    <li>Efficiency can be improved with larger conductor diameter</li>`;
-        } else {
-            html += `
-                    <li>Large loops are current antennas with broader bandwidth</li>
-                    <li>Can be fed directly or with matching network</li>
-                    <li>Circular polarization possible with proper phasing</li>
-                    <li>Height above ground affects radiation pattern</li>`;
-        }
-        
-        html += `
+                <ul>
+                    <li>Element 1 is the longest; the beam points along the boom towards the shortest element, where the feed line connects</li>
+                    <li>The feeder is transposed (crossed) between every pair of elements</li>
+                    <li>Carrel's optimum spacing for τ=${tau} is σ≈${formatNumber(sigmaOptimum, 3)}; smaller σ shortens the boom at some cost in gain</li>
+                    <li>Gain is computed with a MoM model of the elements and an open, lossless feeder; a short stub behind element 1 can tame the low-band edge</li>
+                    <li>All elements use one diameter; scaling the diameter by τ keeps the design closer to truly log-periodic</li>
                 </ul>
             </div>`;
         
-        document.getElementById('loop-results').innerHTML = html;
+        document.getElementById('lpda-results').innerHTML = html;
         
     } catch (error) {
-        document.getElementById('loop-results').innerHTML = 
+        document.getElementById('lpda-results').innerHTML = 
             `<div class="error">Error: ${error.message}</div>`;
     }
 }
 
 /**
- * Calculate patch antenna parameters
+ * Plot the LPDA forward gain across the band
  */
-function calculatePatch() {
-    const frequency = parseFloat(document.getElementById('patch-freq').value);
-    const freqUnit = document.getElementById('patch-freq-unit').value;
-    const substrateEr = parseFloat(document.getElementById('patch-substrate-er').value) || CONSTANTS.DEFAULTS.SUBSTRATE_ER;
-    const thickness = parseFloat(document.getElementById('patch-thickness').value) || CONSTANTS.DEFAULTS.SUBSTRATE_THICKNESS;
-    const thicknessUnit = document.getElementById('patch-thickness-unit').value;
+function plotLPDAGain() {
+    const result = momResults.lpda;
+    if (!result) return;
+    
+    showChart('lpda', { points: result.points });
+}
+
+/**
+ * Build a cubical quad: square loops in planes across a +x boom, each fed
+ * or closed at the centre of its bottom side
+ * @param {Array} elements - [{name, perimeter, position, driven}] in meters
+ * @param {number} radius - Wire radius in meters
+ * @param {number} wavelength - Free-space wavelength in meters
+ * @returns {Object} Wire model for momSolve()
+ */
+function buildQuadModel(elements, radius, wavelength) {
+    const wires = [];
+    let source = null;
+    
+    elements.forEach(el => {
+        const loop = buildLoopModel('square', { sideLength: el.perimeter / 4 }, radius, wavelength);
+        const first = wires.length;
+        loop.wires.forEach(wire => {
+            wires.push({
+                ...wire,
+                tag: first + wire.tag,
+                start: [el.position, wire.start[1], wire.start[2]],
+                end: [el.position, wire.end[1], wire.end[2]]
+            });
+        });
+        if (el.driven) {
+            source = { ...loop.source, tag: first + loop.source.tag };
+        }
+    });
+    
+    return { wires, source };
+}
+
+/**
+ * Moxon rectangle dimensions for a wire diameter (Cebik)
+ * @param {number} diameterL - Wire diameter in wavelengths
+ * @returns {Object} {A, B, C, D, E} in wavelengths
+ */
+function moxonDimensions(diameterL) {
+    const coefficients = CONSTANTS.ANTENNA.MOXON;
+    const x = Math.log10(diameterL);
+    const fit = ([a, b, c]) => a * x * x + b * x + c;
+    const dims = {
+        A: fit(coefficients.A),
+        B: fit(coefficients.B),
+        C: fit(coefficients.C),
+        D: fit(coefficients.D)
+    };
+    dims.E = dims.B + dims.C + dims.D;
+    return dims;
+}
+
+/**
+ * Build a Moxon rectangle in the xy-plane, beaming towards +x: the driver
+ * across the front with tails folded back, the reflector across the rear
+ * with tails folded forward
+ * @param {Object} dims - {A, B, C, D, E} in meters
+ * @param {number} radius - Wire radius in meters
+ * @param {number} wavelength - Free-space wavelength in meters
+ * @returns {Object} Wire model for momSolve()
+ */
+function buildMoxonModel(dims, radius, wavelength) {
+    const half = dims.A / 2;
+    const wire = (tag, start, end) => ({
+        tag,
+        segments: momSegmentsFor(Math.hypot(end[0] - start[0], end[1] - start[1]), wavelength),
+        start,
+        end,
+        radius
+    });
+    const wires = [
+        wire(1, [dims.E, -half, 0], [dims.E, half, 0]),
+        wire(2, [dims.E - dims.B, -half, 0], [dims.E, -half, 0]),
+        wire(3, [dims.E, half, 0], [dims.E - dims.B, half, 0]),
+        wire(4, [0, -half, 0], [0, half, 0]),
+        wire(5, [dims.D, -half, 0], [0, -half, 0]),
+        wire(6, [0, half, 0], [dims.D, half, 0])
+    ];
+    return {
+        wires,
+        source: { tag: 1, segment: (wires[0].segments + 1) / 2, voltage: 1 }
+    };
+}
+
+/**
+ * Impedance match summary for a resistive feed point
+ * @param {Object} feed - {real, imaginary} in ohms
+ * @returns {Object} {vswr50, vswr75, transformer} with the λ/4 transformer impedance to 50 Ω
+ */
+function beamFeedMatch(feed) {
+    const z50 = CONSTANTS.DEFAULTS.IMPEDANCE_50;
+    const vswr = (z0) => gammaToVSWR(complexImpedance(feed.real - z0, feed.imaginary).magnitude /
+                                     complexImpedance(feed.real + z0, feed.imaginary).magnitude);
+    return {
+        vswr50: vswr(z50),
+        vswr75: vswr(CONSTANTS.DEFAULTS.IMPEDANCE_75),
+        transformer: Math.sqrt(z50 * feed.real)
+    };
+}
+
+/**
+ * Calculate a two- or multi-element cubical quad
+ */
+function calculateQuad() {
+    const frequency = parseFloat(document.getElementById('quad-freq').value);
+    const freqUnit = document.getElementById('quad-freq-unit').value;
+    const elements = parseInt(document.getElementById('quad-elements').value) || 2;
+    const spacingInput = parseFloat(document.getElementById('quad-spacing').value);
+    const spacingUnit = document.getElementById('quad-spacing-unit').value;
+    const wireDiameter = parseFloat(document.getElementById('quad-wire-diameter').value);
+    const wireUnit = document.getElementById('quad-wire-unit').value;
+    const limits = CONSTANTS.ANTENNA.QUAD;
     
     if (!validateInput(frequency)) {
-        showError('patch-freq', 'Please enter a valid frequency');
+        showError('quad-freq', 'Please enter a valid frequency');
         return;
     }
     
-    if (!validateInput(substrateEr, 1, 15)) {
-        showError('patch-substrate-er', 'Please enter a valid dielectric constant (1-15)');
+    if (elements < limits.MIN_ELEMENTS || elements > limits.MAX_ELEMENTS) {
+        showError('quad-elements', `Number of elements should be between ${limits.MIN_ELEMENTS} and ${limits.MAX_ELEMENTS}`);
         return;
     }
     
-    clearError('patch-freq');
-    clearError('patch-substrate-er');
+    clearError('quad-freq');
+    clearError('quad-elements');
     
     try {
         const freqHz = frequency * CONSTANTS.FREQ_UNITS[freqUnit];
-        const thicknessM = convertUnits(thickness, thicknessUnit, 'm', CONSTANTS.LENGTH_UNITS);
+        const wavelength = frequencyToWavelength(freqHz, 'Hz');
+        const spacing = isNaN(spacingInput) ? limits.DEFAULT_SPACING * wavelength :
+            spacingUnit === 'wl' ? spacingInput * wavelength :
+            convertUnits(spacingInput, spacingUnit, 'm', CONSTANTS.LENGTH_UNITS);
         
-        // Calculate effective dielectric constant
-        const effectiveEr = (substrateEr + 1) / 2 + 
-                          ((substrateEr - 1) / 2) * (1 / Math.sqrt(1 + 12 * thicknessM / 0.001)); // rough approximation
-        
-        // Calculate patch dimensions (rectangular patch)
-        const c = CONSTANTS.SPEED_OF_LIGHT;
-        const width = c / (2 * freqHz * Math.sqrt(effectiveEr)); // Width for efficient radiation
+        if (spacing < limits.MIN_SPACING * wavelength || spacing > limits.MAX_SPACING * wavelength) {
+            throw new Error(`Element spacing should be ${limits.MIN_SPACING}λ to ${limits.MAX_SPACING}λ`);
+        }
         
-        // Calculate effective length considering fringing fields
-        const deltaL = 0.412 * thicknessM * 
-                       ((effectiveEr + 0.3) * (width / thicknessM + 0.264)) /
-                       ((effectiveEr - 0.258) * (width / thicknessM + 0.8));
+        const hasDiameter = wireDiameter && validateInput(wireDiameter);
+        const diameterM = hasDiameter ?
+            wireDiameterToMeters(wireDiameter, wireUnit) :
+            CONSTANTS.ANTENNA.MOM.DEFAULT_WIRE_DIAMETER;
         
-        const effectiveLength = c / (2 * freqHz * Math.sqrt(effectiveEr));
-        const physicalLength = effectiveLength - 2 * deltaL;
+        // Reflector, driver, then directors, one spacing apart
+        const layout = [{ name: 'Reflector', perimeter: limits.REFLECTOR_PERIMETER * wavelength, position: 0 },
+                        { name: 'Driver', perimeter: limits.DRIVEN_PERIMETER * wavelength, position: spacing, driven: true }];
+        for (let i = 1; i <= elements - 2; i++) {
+            layout.push({ name: `Director ${i}`, perimeter: limits.DIRECTOR_PERIMETER * wavelength, position: spacing * (i + 1) });
+        }
         
-        // Calculate input impedance (rough approximation)
-        const impedance = 90 * (substrateEr * substrateEr) / (substrateEr - 1) * 
-                         Math.pow(physicalLength / width, 2);
+        // Trim the driver loop so the feed is resistive
+        const perimeters = layout.map(el => el.perimeter);
+        const modelFor = (p) => buildQuadModel(layout.map((el, i) => ({ ...el, perimeter: p[i] })), diameterM / 2, wavelength);
+        tuneWireToResonance(perimeters, 1, freqHz, (p, f) => momSolve(modelFor(p), f).impedance);
+        layout.forEach((el, i) => { el.perimeter = perimeters[i]; });
         
-        // Calculate bandwidth (rough estimate)
-        const bandwidth = 3.77 * (substrateEr - 1) / (substrateEr * substrateEr) * 
-                         (thicknessM * 1000) * (width / physicalLength);
+        const model = modelFor(perimeters);
+        const solution = momSolve(model, freqHz);
+        const farField = momFarFieldSummary(solution);
+        const bandwidth = momMatchedBandwidth(model, freqHz, 0.05, 11);
+        const feed = solution.impedance;
+        const match = beamFeedMatch(feed);
+        const boom = spacing * (elements - 1);
         
-        // Calculate directivity and gain
-        const directivity = 32400 / (78 * 78); // rough approximation for rectangular patch
-        const efficiency = 0.85; // typical efficiency
-        const gain = 10 * Math.log10(directivity * efficiency);
+        momResults.quad = { model, solution, farField, frequency: freqHz };
         
-        // Calculate ground plane size (recommended)
-        const groundPlaneSize = Math.max(width, physicalLength) + 6 * thicknessM;
+        const rows = layout.map(el => `
+                        <tr>
+                            <td>${el.name}</td>
+                            <td>${formatNumber(el.perimeter, 3)}</td>
+                            <td>${formatNumber(el.perimeter / wavelength, 4)}</td>
+                            <td>${formatNumber(el.perimeter / 4, 3)}</td>
+                            <td>${formatNumber(el.perimeter / 4 / Math.SQRT2, 3)}</td>
+                            <td>${formatNumber(el.position, 3)}</td>
+                        </tr>`);
         
         let html = `
-            <h4>Patch Antenna Results</h4>
+            <h4>${elements}-Element Cubical Quad</h4>
             <div class="result-grid">
                 <div class="result-item">
-                    <strong>Patch Dimensions:</strong>
+                    <strong>Boom & Spacing:</strong>
                     <ul>
-                        <li>Width (W): ${formatNumber(width * 1000, 2)} mm</li>
-                        <li>Length (L): ${formatNumber(physicalLength * 1000, 2)} mm</li>
-                        <li>Area: ${formatNumber(width * physicalLength * 1000000, 1)} mm²</li>
-                        <li>Aspect ratio: ${formatNumber(physicalLength / width, 2)}</li>
+                        <li>Boom length: ${formatNumber(boom, 3)} m (${formatNumber(boom / CONSTANTS.LENGTH_UNITS.ft, 2)} ft)</li>
+                        <li>Element spacing: ${formatNumber(spacing, 3)} m (${formatNumber(spacing / wavelength, 3)}λ)</li>
+                        <li>Driver perimeter: ${formatNumber(layout[1].perimeter, 3)} m (trimmed to resonance)</li>
+                        <li>Reflector perimeter: ${formatNumber(layout[0].perimeter, 3)} m</li>
                     </ul>
                 </div>
                 
                 <div class="result-item">
-                    <strong>Substrate Properties:</strong>
+                    <strong>Performance (MoM):</strong>
                     <ul>
-                        <li>Dielectric constant: ${substrateEr}</li>
-                        <li>Effective εᵣ: ${formatNumber(effectiveEr, 2)}</li>
-                        <li>Thickness: ${formatNumber(thickness, 2)} ${thicknessUnit}</li>
-                        <li>ΔL correction: ${formatNumber(deltaL * 1000, 3)} mm</li>
+                        <li>Forward gain: ${formatNumber(farField.forwardGain, 2)} dBi</li>
+                        <li>Front-to-back: ${formatNumber(farField.frontToBack, 1)} dB</li>
+                        <li>Feed impedance: ${formatNumber(feed.real, 1)} ${feed.imaginary >= 0 ? '+' : '−'} j${formatNumber(Math.abs(feed.imaginary), 1)} Ω</li>
+                        <li>VSWR on 50 Ω: ${formatNumber(match.vswr50, 2)}:1 (75 Ω: ${formatNumber(match.vswr75, 2)}:1)</li>
+                        <li>3dB beamwidth: ${formatNumber(farField.azimuthBeamwidth, 0)}° (E) × ${formatNumber(farField.elevationBeamwidth, 0)}° (H)</li>
+                        <li>2:1 SWR bandwidth (matched at f₀): ${bandwidth.limited ? '>' : '~'}${formatNumber(bandwidth.bandwidth / freqHz * 100, 1)}%</li>
                     </ul>
                 </div>
-                
+            </div>
+            
+            <div class="iot-table-scroll">
+                <table class="iot-comparison-table">
+                    <thead>
+                        <tr>
+                            <th>Element</th>
+                            <th>Perimeter (m)</th>
+                            <th>Perimeter (λ)</th>
+                            <th>Side (m)</th>
+                            <th>Spreader (m)</th>
+                            <th>Position (m)</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows.join('')}
+                    </tbody>
+                </table>
+            </div>
+            
+            <button class="btn" onclick="plotMoMPattern('quad')">Plot Pattern</button>
+            <button class="btn" onclick="exportNecDeck('quad')">Export NEC</button>
+            
+            <div class="info-section">
+                <p><strong>Design Notes:</strong></p>
+                <ul>
+                    <li>Perimeters start from the classic 1005/1030/975 ft·MHz rules; the driver is trimmed and performance computed with the method-of-moments solver (${formatNumber(diameterM * 1000, 2)} mm wire${hasDiameter ? '' : ' assumed'})</li>
+                    <li>Square loops fed at the centre of the bottom side radiate horizontal polarization; the spreader length is centre to corner</li>
+                    ${match.vswr50 > 1.5 ? `<li>Match to 50 Ω with a λ/4 section of ${formatNumber(match.transformer, 0)} Ω line (75 Ω coax suits a feed near 110 Ω)</li>` : ''}
+                    <li>Model assumes lossless wire in free space with no spreader or boom effects</li>
+                </ul>
+            </div>`;
+        
+        document.getElementById('quad-results').innerHTML = html;
+        
+    } catch (error) {
+        document.getElementById('quad-results').innerHTML = 
+            `<div class="error">Error: ${error.message}</div>`;
+    }
+}
+
+/**
+ * Calculate a Moxon rectangle from Cebik's dimension fits
+ */
+function calculateMoxon() {
+    const frequency = parseFloat(document.getElementById('moxon-freq').value);
+    const freqUnit = document.getElementById('moxon-freq-unit').value;
+    const wireDiameter = parseFloat(document.getElementById('moxon-wire-diameter').value);
+    const wireUnit = document.getElementById('moxon-wire-unit').value;
+    const limits = CONSTANTS.ANTENNA.MOXON;
+    
+    if (!validateInput(frequency)) {
+        showError('moxon-freq', 'Please enter a valid frequency');
+        return;
+    }
+    
+    clearError('moxon-freq');
+    
+    try {
+        const freqHz = frequency * CONSTANTS.FREQ_UNITS[freqUnit];
+        const wavelength = frequencyToWavelength(freqHz, 'Hz');
+        const hasDiameter = wireDiameter && validateInput(wireDiameter);
+        const diameterM = hasDiameter ?
+            wireDiameterToMeters(wireDiameter, wireUnit) :
+            CONSTANTS.ANTENNA.MOM.DEFAULT_WIRE_DIAMETER;
+        const diameterL = diameterM / wavelength;
+        
+        if (diameterL < limits.MIN_DIAMETER || diameterL > limits.MAX_DIAMETER) {
+            throw new Error(`Wire diameter is ${diameterL.toExponential(2)}λ - the Moxon fits cover ${limits.MIN_DIAMETER}λ to ${limits.MAX_DIAMETER}λ`);
+        }
+        
+        const dimsL = moxonDimensions(diameterL);
+        const dims = {};
+        Object.keys(dimsL).forEach(key => { dims[key] = dimsL[key] * wavelength; });
+        
+        const model = buildMoxonModel(dims, diameterM / 2, wavelength);
+        const solution = momSolve(model, freqHz);
+        const farField = momFarFieldSummary(solution);
+        const bandwidth = momMatchedBandwidth(model, freqHz, 0.05, 11);
+        const feed = solution.impedance;
+        const match = beamFeedMatch(feed);
+        
+        momResults.moxon = { model, solution, farField, frequency: freqHz };
+        
+        const names = {
+            A: 'A (width)',
+            B: 'B (driver tail)',
+            C: 'C (gap)',
+            D: 'D (reflector tail)',
+            E: 'E (depth)'
+        };
+        const rows = Object.keys(names).map(key => `
+                        <tr>
+                            <td>${names[key]}</td>
+                            <td>${formatNumber(dims[key], 4)}</td>
+                            <td>${formatNumber(dims[key] / CONSTANTS.LENGTH_UNITS.ft, 3)}</td>
+                            <td>${formatNumber(dims[key] / CONSTANTS.LENGTH_UNITS.inches, 2)}</td>
+                            <td>${formatNumber(dimsL[key], 4)}</td>
+                        </tr>`);
+        
+        let html = `
+            <h4>Moxon Rectangle</h4>
+            <div class="result-grid">
                 <div class="result-item">
-                    <strong>Electrical Properties:</strong>
+                    <strong>Elements:</strong>
                     <ul>
-                        <li>Input impedance: ~${formatNumber(impedance, 0)} Ω</li>
-                        <li>Bandwidth: ~${formatNumber(bandwidth, 1)}%</li>
-                        <li>Directivity: ${formatNumber(10 * Math.log10(directivity), 1)} dBi</li>
-                        <li>Gain: ~${formatNumber(gain, 1)} dBi</li>
-                        <li>Beamwidth: ~78° × 78°</li>
+                        <li>Driver wire: ${formatNumber(dims.A + 2 * dims.B, 3)} m</li>
+                        <li>Reflector wire: ${formatNumber(dims.A + 2 * dims.D, 3)} m</li>
+                        <li>Wire diameter: ${formatNumber(diameterM * 1000, 2)} mm (${diameterL.toExponential(2)}λ)</li>
                     </ul>
                 </div>
                 
                 <div class="result-item">
-                    <strong>Construction:</strong>
+                    <strong>Performance (MoM):</strong>
                     <ul>
-                        <li>Ground plane size: ${formatNumber(groundPlaneSize * 1000, 1)} mm</li>
-                        <li>Feed point: ${formatNumber(physicalLength * 1000 / 3, 1)} mm from edge</li>
-                        <li>Polarization: Linear (along length)</li>
+                        <li>Forward gain: ${formatNumber(farField.forwardGain, 2)} dBi</li>
+                        <li>Front-to-back: ${formatNumber(farField.frontToBack, 1)} dB</li>
+                        <li>Feed impedance: ${formatNumber(feed.real, 1)} ${feed.imaginary >= 0 ? '+' : '−'} j${formatNumber(Math.abs(feed.imaginary), 1)} Ω</li>
+                        <li>VSWR on 50 Ω: ${formatNumber(match.vswr50, 2)}:1</li>
+                        <li>3dB beamwidth: ${formatNumber(farField.azimuthBeamwidth, 0)}° (E) × ${formatNumber(farField.elevationBeamwidth, 0)}° (H)</li>
+                        <li>2:1 SWR bandwidth (matched at f₀): ${bandwidth.limited ? '>' : '~'}${formatNumber(bandwidth.bandwidth / freqHz * 100, 1)}%</li>
                     </ul>
                 </div>
             </div>
             
+            <div class="iot-table-scroll">
+                <table class="iot-comparison-table">
+                    <thead>
+                        <tr>
+                            <th>Dimension</th>
+                            <th>m</th>
+                            <th>ft</th>
+                            <th>in</th>
+                            <th>λ</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows.join('')}
+                    </tbody>
+                </table>
+            </div>
+            
+            <button class="btn" onclick="plotMoMPattern('moxon')">Plot Pattern</button>
+            <button class="btn" onclick="exportNecDeck('moxon')">Export NEC</button>
+            
             <div class="info-section">
                 <p><strong>Design Notes:</strong></p>
                 <ul>
-                    <li>This is a first-order rectangular patch design</li>
-                    <li>Inset feed or probe feed can be used for impedance matching</li>
-                    <li>Circular patches provide circular polarization capability</li>
-                    <li>Larger ground plane improves front-to-back ratio</li>
-                    <li>Use EM simulation for accurate results</li>
-                    <li>Typical materials: FR4 (εᵣ=4.4), Rogers substrates</li>
+                    <li>Dimensions from L. B. Cebik's fits for bare wire; gain, F/B and impedance from the method-of-moments solver</li>
+                    <li>A is the width across the front, B and D the folded driver and reflector tails, C the gap between tail ends and E the front-to-back depth</li>
+                    <li>The gap C sets the coupling: a small change moves the F/B peak noticeably, so keep the tail ends rigid</li>
+                    <li>Model assumes lossless wire in free space with no spreader effects; insulated wire needs shorter dimensions</li>
                 </ul>
-                
-                <p><strong>Substrate:</strong> εᵣ=${substrateEr}, h=${formatNumber(thickness, 2)}${thicknessUnit}</p>
             </div>`;
         
-        document.getElementById('patch-results').innerHTML = html;
+        document.getElementById('moxon-results').innerHTML = html;
         
     } catch (error) {
-        document.getElementById('patch-results').innerHTML = 
+        document.getElementById('moxon-results').innerHTML = 
             `<div class="error">Error: ${error.message}</div>`;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Calculate loop antenna parameters
+ */
+function calculateLoop() {
+    const frequency = parseFloat(document.getElementById('loop-freq').value);
+    const freqUnit = document.getElementById('loop-freq-unit').value;
+    const loopType = document.getElementById('loop-type').value;
+    const shape = document.getElementById('loop-shape').value;
+    
+    if (!validateInput(frequency)) {
+        showError('loop-freq', 'Please enter a valid frequency');
+        return;
+    }
+    
+    clearError('loop-freq');
+    
+    if (loopType === 'small') {
+        calculateMagneticLoop();
+        return;
+    }
+    
+    try {
+        const wavelength = frequencyToWavelength(frequency, freqUnit, CONSTANTS.DEFAULTS.VELOCITY_FACTOR);
+        
+        let circumference, radiationResistance, gain, efficiency, bandwidth, directivity;
+        let dimensions = {};
+        
+        switch (loopType) {
+            case 'large':
+                // Full-wave loop
+                circumference = wavelength * 1.005; // slightly larger than 1λ
+                radiationResistance = 115; // approximate
+                efficiency = 0.95; // high efficiency
+                gain = 2.1; // dBi
+                directivity = 1.64; // similar to dipole
+                bandwidth = 10; // moderate bandwidth
+                break;
+                
+            case 'quad':
+                // Quad loop (2λ circumference)
+                circumference = wavelength * 2.0;
+                radiationResistance = 50; // approximate
+                efficiency = 0.9; // good efficiency
+                gain = 3.1; // dBi
+                directivity = 2.0;
+                bandwidth = 8; // moderate bandwidth
+                break;
+        }
+        
+        // Calculate dimensions based on shape
+        switch (shape) {
+            case 'circular':
+                dimensions.diameter = circumference / Math.PI;
+                dimensions.radius = dimensions.diameter / 2;
+                dimensions.area = Math.PI * dimensions.radius * dimensions.radius;
+                break;
+                
+            case 'square':
+                dimensions.sideLength = circumference / 4;
+                dimensions.area = dimensions.sideLength * dimensions.sideLength;
+                dimensions.diagonal = dimensions.sideLength * Math.sqrt(2);
+                break;
+                
+            case 'rectangular':
+                // Assume 2:1 aspect ratio with the perimeter equal to the circumference
+                dimensions.longSide = circumference / 3;
+                dimensions.shortSide = circumference / 6;
+                dimensions.area = dimensions.longSide * dimensions.shortSide;
+                break;
+        }
+        
+        // Wire geometry for NEC2 export
+        const freqHz = frequency * CONSTANTS.FREQ_UNITS[freqUnit];
+        momResults.loop = {
+            model: buildLoopModel(shape, dimensions, CONSTANTS.ANTENNA.MOM.DEFAULT_WIRE_DIAMETER / 2,
+                                  frequencyToWavelength(freqHz, 'Hz')),
+            frequency: freqHz
+        };
+        
+        let html = `
+            <h4>Loop Antenna Results</h4>
+            <div class="result-grid">
+                <div class="result-item">
+                    <strong>Loop Dimensions:</strong>
+                    <ul>
+                        <li>Circumference: ${formatNumber(circumference, 3)} m</li>
+                        <li>Circumference: ${formatNumber(circumference / CONSTANTS.LENGTH_UNITS.ft, 2)} ft</li>`;
+        
+        switch (shape) {
+            case 'circular':
+                html += `
+                        <li>Diameter: ${formatNumber(dimensions.diameter, 3)} m</li>
+                        <li>Radius: ${formatNumber(dimensions.radius, 3)} m</li>`;
+                break;
+            case 'square':
+                html += `
+                        <li>Side length: ${formatNumber(dimensions.sideLength, 3)} m</li>
+                        <li>Diagonal: ${formatNumber(dimensions.diagonal, 3)} m</li>`;
+                break;
+            case 'rectangular':
+                html += `
+                        <li>Long side: ${formatNumber(dimensions.longSide, 3)} m</li>
+                        <li>Short side: ${formatNumber(dimensions.shortSide, 3)} m</li>`;
+                break;
+        }
+        
+        html += `
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>Electrical Properties:</strong>
+                    <ul>
+                        <li>Radiation resistance: ${formatNumber(radiationResistance, 2)} Ω</li>
+                        <li>Efficiency: ${formatNumber(efficiency * 100, 1)}%</li>
+                        <li>Gain: ${formatNumber(gain, 1)} dBi</li>
+                        <li>Directivity: ${formatNumber(directivity, 2)}</li>
+                        <li>Bandwidth: ~${formatNumber(bandwidth, 1)}%</li>
+                    </ul>
+                </div>
+            </div>
+            
+            <button class="btn" onclick="exportNecDeck('loop')">Export NEC</button>
+            
+            <div class="info-section">
+                <p><strong>Loop Type:</strong> ${loopType === 'large' ? 'Full-Wave Loop' : 'Quad Loop'}</p>
+                <p><strong>Notes:</strong></p>
+                <ul>
+                    <li>Large loops are current antennas with broader bandwidth</li>
+                    <li>Can be fed directly or with matching network</li>
+                    <li>Circular polarization possible with proper phasing</li>
+                    <li>Height above ground affects radiation pattern</li>
+                </ul>
+            </div>`;
+        
+        document.getElementById('loop-results').innerHTML = html;
+        
+    } catch (error) {
+        document.getElementById('loop-results').innerHTML = 
+            `<div class="error">Error: ${error.message}</div>`;
+    }
+}
+
+/**
+ * Inductance of a single-turn loop
+ * @param {string} shape - 'circular', 'square' or 'rectangular'
+ * @param {Object} dimensions - {radius} or {sideLength} or {longSide, shortSide} in meters
+ * @param {number} conductorRadius - Conductor radius in meters
+ * @returns {number} Inductance in henries
+ */
+function loopInductance(shape, dimensions, conductorRadius) {
+    const mu0 = CONSTANTS.MU0;
+    if (shape === 'circular') {
+        return mu0 * dimensions.radius * (Math.log(8 * dimensions.radius / conductorRadius) - 2);
+    }
+    
+    // Rectangle of round wire (Grover); the square case reduces to 2μ0·s/π·(ln(s/a) − 0.774)
+    const w = shape === 'square' ? dimensions.sideLength : dimensions.longSide;
+    const h = shape === 'square' ? dimensions.sideLength : dimensions.shortSide;
+    const diagonal = Math.hypot(w, h);
+    return mu0 / Math.PI * (-2 * (w + h) + 2 * diagonal -
+        h * Math.log((h + diagonal) / w) - w * Math.log((w + diagonal) / h) +
+        h * Math.log(2 * h / conductorRadius) + w * Math.log(2 * w / conductorRadius));
+}
+
+/**
+ * Small transmitting loop at one frequency
+ * @param {number} freqHz - Frequency in Hz
+ * @param {Object} loop - {circumference, area, inductance, conductorDiameter, conductivity}
+ * @param {number} power - Transmit power in watts
+ * @returns {Object} Resistances, efficiency, tuning capacitance, Q, bandwidths and capacitor stress
+ */
+function analyzeMagneticLoop(freqHz, loop, power) {
+    const wavelength = CONSTANTS.SPEED_OF_LIGHT / freqHz;
+    const omega = 2 * Math.PI * freqHz;
+    
+    // Wheeler: R_rad = 320π⁴·A²/λ⁴; skin-effect loss R = C/(π·d)·√(π·f·μ0/σ)
+    const radiationResistance = 320 * Math.pow(Math.PI, 4) * Math.pow(loop.area, 2) / Math.pow(wavelength, 4);
+    const surfaceResistance = Math.sqrt(Math.PI * freqHz * CONSTANTS.MU0 / loop.conductivity);
+    const lossResistance = loop.circumference / (Math.PI * loop.conductorDiameter) * surfaceResistance;
+    const totalResistance = radiationResistance + lossResistance;
+    
+    const reactance = omega * loop.inductance;
+    const q = reactance / totalResistance;
+    const currentRms = Math.sqrt(power / totalResistance);
+    
+    return {
+        frequency: freqHz,
+        radiationResistance,
+        lossResistance,
+        efficiency: radiationResistance / totalResistance,
+        reactance,
+        capacitance: 1 / (omega * reactance),
+        q,
+        // Matched loop: loaded Q is half the unloaded Q
+        bandwidth: 2 * freqHz / q,
+        bandwidthVswr2: freqHz / (q * Math.SQRT2),
+        currentRms,
+        capacitorVoltage: currentRms * reactance * Math.SQRT2
+    };
+}
+
+/**
+ * Design a small transmitting (magnetic) loop and its tuning capacitor
+ */
+function calculateMagneticLoop() {
+    const frequency = parseFloat(document.getElementById('loop-freq').value);
+    const freqUnit = document.getElementById('loop-freq-unit').value;
+    const freqHigh = parseFloat(document.getElementById('loop-freq-high').value);
+    const shape = document.getElementById('loop-shape').value;
+    const sizeInput = parseFloat(document.getElementById('loop-size').value);
+    const sizeUnit = document.getElementById('loop-size-unit').value;
+    const conductorMm = parseFloat(document.getElementById('loop-conductor-diameter').value);
+    const material = CONSTANTS.CONDUCTORS[document.getElementById('loop-material').value];
+    const power = parseFloat(document.getElementById('loop-tx-power').value) || 100;
+    const limits = CONSTANTS.ANTENNA.MAG_LOOP;
+    
+    if (!validateInput(sizeInput)) {
+        showError('loop-size', 'Please enter the loop size');
+        return;
+    }
+    
+    if (!validateInput(conductorMm)) {
+        showError('loop-conductor-diameter', 'Please enter the conductor diameter');
+        return;
+    }
+    
+    if (!isNaN(freqHigh) && !validateInput(freqHigh, frequency)) {
+        showError('loop-freq-high', 'Upper tuning frequency must be above the design frequency');
+        return;
+    }
+    
+    clearError('loop-size');
+    clearError('loop-conductor-diameter');
+    clearError('loop-freq-high');
+    
+    try {
+        const freqHz = frequency * CONSTANTS.FREQ_UNITS[freqUnit];
+        const size = convertUnits(sizeInput, sizeUnit, 'm', CONSTANTS.LENGTH_UNITS);
+        const conductorDiameter = conductorMm / 1000;
+        
+        // Loop size is the diameter, side or long side (2:1 rectangle)
+        const dimensions = {};
+        let circumference, area;
+        switch (shape) {
+            case 'square':
+                dimensions.sideLength = size;
+                circumference = 4 * size;
+                area = size * size;
+                break;
+            case 'rectangular':
+                dimensions.longSide = size;
+                dimensions.shortSide = size / 2;
+                circumference = 3 * size;
+                area = size * size / 2;
+                break;
+            default:
+                dimensions.diameter = size;
+                dimensions.radius = size / 2;
+                circumference = Math.PI * size;
+                area = Math.PI * size * size / 4;
+        }
+        
+        if (conductorDiameter * 10 > Math.min(size, dimensions.shortSide || size)) {
+            throw new Error('Conductor is too thick for the loop size');
+        }
+        
+        const loop = {
+            circumference,
+            area,
+            inductance: loopInductance(shape, dimensions, conductorDiameter / 2),
+            conductorDiameter,
+            conductivity: material.conductivity
+        };
+        const design = analyzeMagneticLoop(freqHz, loop, power);
+        const wavelength = CONSTANTS.SPEED_OF_LIGHT / freqHz;
+        const gain = 10 * Math.log10(1.5 * design.efficiency);
+        
+        // Wire geometry for NEC2 export
+        momResults.loop = {
+            model: buildLoopModel(shape, dimensions, conductorDiameter / 2, wavelength),
+            frequency: freqHz
+        };
+        
+        // Tuning range table
+        let rangeHtml = '';
+        if (!isNaN(freqHigh)) {
+            const highHz = freqHigh * CONSTANTS.FREQ_UNITS[freqUnit];
+            const rows = [];
+            for (let i = 0; i < limits.TUNING_STEPS; i++) {
+                const f = freqHz * Math.pow(highHz / freqHz, i / (limits.TUNING_STEPS - 1));
+                const point = analyzeMagneticLoop(f, loop, power);
+                rows.push(`
+                        <tr>
+                            <td>${formatNumber(f / 1e6, 4)}</td>
+                            <td>${formatNumber(point.capacitance * 1e12, 1)}</td>
+                            <td>${formatNumber(point.efficiency * 100, 1)}</td>
+                            <td>${formatNumber(point.q, 0)}</td>
+                            <td>${formatNumber(point.bandwidth / 1e3, 2)}</td>
+                            <td>${formatNumber(point.capacitorVoltage / 1000, 2)}</td>
+                        </tr>`);
+            }
+            rangeHtml = `
+            <div class="iot-table-scroll">
+                <table class="iot-comparison-table">
+                    <thead>
+                        <tr>
+                            <th>Freq (MHz)</th>
+                            <th>C (pF)</th>
+                            <th>Efficiency (%)</th>
+                            <th>Q</th>
+                            <th>BW −3dB (kHz)</th>
+                            <th>V peak (kV)</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows.join('')}
+                    </tbody>
+                </table>
+            </div>`;
+        }
+        
+        const notes = [];
+        const highCircumference = isNaN(freqHigh) ? circumference / wavelength :
+            circumference * freqHigh * CONSTANTS.FREQ_UNITS[freqUnit] / CONSTANTS.SPEED_OF_LIGHT;
+        if (highCircumference > limits.MAX_CIRCUMFERENCE) {
+            notes.push(`⚠ Circumference reaches ${formatNumber(highCircumference, 3)}λ - above ${limits.MAX_CIRCUMFERENCE}λ the current is not uniform and these figures are optimistic`);
+        }
+        
+        let html = `
+            <h4>Magnetic Loop Results</h4>
+            <div class="result-grid">
+                <div class="result-item">
+                    <strong>Loop:</strong>
+                    <ul>
+                        <li>Circumference: ${formatNumber(circumference, 3)} m (${formatNumber(circumference / wavelength, 3)}λ)</li>
+                        <li>Area: ${formatNumber(area, 4)} m²</li>
+                        <li>Inductance: ${formatNumber(loop.inductance * 1e6, 3)} µH</li>
+                        <li>Conductor: ${formatNumber(conductorMm, 1)} mm ${material.name.toLowerCase()}</li>
+                        <li>Coupling loop diameter: ~${formatNumber(size * limits.COUPLING_LOOP_RATIO * 1000, 0)} mm</li>
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>Losses and Efficiency:</strong>
+                    <ul>
+                        <li>Radiation resistance: ${formatNumber(design.radiationResistance * 1000, 3)} mΩ</li>
+                        <li>Loss resistance (skin effect): ${formatNumber(design.lossResistance * 1000, 3)} mΩ</li>
+                        <li>Efficiency: ${formatNumber(design.efficiency * 100, 2)}% (${formatNumber(10 * Math.log10(design.efficiency), 2)} dB)</li>
+                        <li>Gain: ${formatNumber(gain, 2)} dBi</li>
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>Tuning:</strong>
+                    <ul>
+                        <li>Tuning capacitance: ${formatNumber(design.capacitance * 1e12, 1)} pF</li>
+                        <li>Inductive reactance: ${formatNumber(design.reactance, 1)} Ω</li>
+                        <li>Unloaded Q: ${formatNumber(design.q, 0)}</li>
+                        <li>Bandwidth (−3 dB, matched): ${formatNumber(design.bandwidth / 1e3, 2)} kHz</li>
+                        <li>Bandwidth (VSWR 2:1): ${formatNumber(design.bandwidthVswr2 / 1e3, 2)} kHz</li>
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>Capacitor Stress at ${formatNumber(power, 0)} W:</strong>
+                    <ul>
+                        <li>Loop current: ${formatNumber(design.currentRms, 2)} A RMS (${formatNumber(design.currentRms * Math.SQRT2, 2)} A peak)</li>
+                        <li>Capacitor voltage: ${formatNumber(design.capacitorVoltage, 0)} V peak</li>
+                        <li>Capacitor voltage: ${formatNumber(design.capacitorVoltage / Math.SQRT2, 0)} V RMS</li>
+                    </ul>
+                </div>
+            </div>
+            ${rangeHtml}
+            
+            <button class="btn" onclick="exportNecDeck('loop')">Export NEC</button>
+            
+            <div class="info-section">
+                <p><strong>Loop Type:</strong> Magnetic Loop</p>
+                <p><strong>Notes:</strong></p>
+                <ul>
+                    ${notes.map(note => `<li>${note}</li>`).join('')}
+                    <li>Choose a capacitor rated well above the peak voltage - a 2× margin is common</li>
+                    <li>Capacitor ESR, solder joints and ground losses are not included and lower the efficiency further</li>
+                    <li>Tuning capacitance ignores the loop's own distributed capacitance</li>
+                </ul>
+            </div>`;
+        
+        document.getElementById('loop-results').innerHTML = html;
+        
+    } catch (error) {
+        document.getElementById('loop-results').innerHTML = 
+            `<div class="error">Error: ${error.message}</div>`;
+    }
+}
+
+/**
+ * Export the latest design of a calculator as a NEC2 deck
+ * @param {string} key - Calculator key in momResults
+ */
+function exportNecDeck(key) {
+    const result = key === 'nec' ? readNecEditor() : momResults[key];
+    if (!result) {
+        alert('Calculate the antenna first');
+        return;
+    }
+    
+    const comments = [`FreqRadio ${NEC_DESIGN_NAMES[key]} at ${formatNumber(result.frequency / 1e6, 6)} MHz`];
+    if (key === 'dipole' && result.gainOffset) {
+        comments.push('Quarter-wave monopole exported as its free-space image dipole');
+    }
+    
+    downloadNecDeck(buildNecDeck(result.model, result.frequency, comments, result.sweep || null),
+                    `freqradio-${key}.nec`);
+}
+
+/**
+ * Pick a .nec file and load it into the NEC deck editor
+ */
+function importNecFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.nec,.txt';
+    
+    input.onchange = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            document.getElementById('nec-deck-text').value = e.target.result;
+            loadNecDeck();
+        };
+        
+        reader.readAsText(file);
+    };
+    
+    input.click();
+}
+
+/**
+ * Parse the pasted NEC2 deck into an editable wire table
+ */
+function loadNecDeck() {
+    const text = document.getElementById('nec-deck-text').value;
+    
+    if (!text.trim()) {
+        showError('nec-deck-text', 'Paste a NEC2 deck or load a .nec file');
+        return;
+    }
+    
+    clearError('nec-deck-text');
+    
+    try {
+        const deck = parseNecDeck(text);
+        renderNecEditor({ wires: deck.wires, source: deck.source, transmissionLines: deck.transmissionLines },
+                        deck.frequency, deck.warnings);
+    } catch (error) {
+        document.getElementById('nec-results').innerHTML = 
+            `<div class="error">Error: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+/**
+ * Render the editable wire table for a NEC design
+ * @param {Object} model - {wires, source} and optional transmissionLines
+ * @param {number|null} frequency - Frequency in Hz
+ * @param {Array} warnings - Import warnings to list
+ */
+function renderNecEditor(model, frequency, warnings = []) {
+    const designNames = {
+        dipole: 'Dipole (single straight wire)',
+        yagi: 'Yagi-style array of parallel elements',
+        loop: 'Closed loop',
+        wire: 'General wire structure'
+    };
+    const field = (id, value, step = 'any') =>
+        `<input type="number" id="${id}" step="${step}" value="${value}">`;
+    const lines = model.transmissionLines || [];
+    
+    let rows = '';
+    model.wires.forEach((wire, i) => {
+        rows += `<tr>
+            <td>${field(`nec-wire-${i}-tag`, wire.tag, 1)}</td>
+            <td>${field(`nec-wire-${i}-segments`, wire.segments, 1)}</td>
+            ${[...wire.start, ...wire.end].map((v, j) => `<td>${field(`nec-wire-${i}-p${j}`, formatNecNumber(v))}</td>`).join('')}
+            <td>${field(`nec-wire-${i}-radius`, formatNecNumber(wire.radius))}</td>
+            <td><button class="btn" onclick="removeNecWire(${i})">✕</button></td>
+        </tr>`;
+    });
+    
+    let html = `
+        <h4>NEC Design — ${designNames[classifyNecDesign(model)]}</h4>
+        <div class="input-grid">
+            <div class="input-group">
+                <label for="nec-edit-freq">Frequency (MHz)</label>
+                ${field('nec-edit-freq', frequency ? formatNecNumber(frequency / 1e6) : '')}
+            </div>
+            <div class="input-group">
+                <label for="nec-edit-source-tag">Source Tag</label>
+                ${field('nec-edit-source-tag', model.source.tag, 1)}
+            </div>
+            <div class="input-group">
+                <label for="nec-edit-source-segment">Source Segment</label>
+                ${field('nec-edit-source-segment', model.source.segment, 1)}
+            </div>
+        </div>
+        
+        <div class="iot-table-scroll">
+            <table class="iot-comparison-table nec-wire-table">
+                <thead>
+                    <tr><th>Tag</th><th>Segs</th><th>X1 (m)</th><th>Y1 (m)</th><th>Z1 (m)</th>
+                        <th>X2 (m)</th><th>Y2 (m)</th><th>Z2 (m)</th><th>Radius (m)</th><th></th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+        
+        ${lines.length > 0 ? `
+        <div class="iot-table-scroll">
+            <table class="iot-comparison-table">
+                <thead>
+                    <tr><th>Line</th><th>From (tag/seg)</th><th>To (tag/seg)</th><th>Z₀ (Ω)</th><th>Length (m)</th><th>Crossed</th></tr>
+                </thead>
+                <tbody>${lines.map((line, i) => `
+                    <tr>
+                        <td>${i + 1}</td>
+                        <td>${line.from.tag}/${line.from.segment}</td>
+                        <td>${line.to.tag}/${line.to.segment}</td>
+                        <td>${formatNumber(line.impedance, 1)}</td>
+                        <td>${line.length > 0 ? formatNecNumber(line.length) : 'straight distance'}</td>
+                        <td>${line.crossed ? 'Yes' : 'No'}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+        </div>` : ''}
+        
+        <button class="btn" onclick="addNecWire()">Add Wire</button>
+        <button class="btn btn-calculate" onclick="analyzeNecDesign()">Analyze</button>
+        <button class="btn" onclick="exportNecDeck('nec')">Export NEC</button>`;
+    
+    if (warnings.length > 0) {
+        html += `
+        <div class="info-section">
+            <p><strong>Import Notes:</strong></p>
+            <ul>${warnings.map(w => `<li>${escapeHtml(w)}</li>`).join('')}</ul>
+        </div>`;
+    }
+    
+    html += `
+        <div id="nec-analysis"></div>`;
+    
+    document.getElementById('nec-results').innerHTML = html;
+    necEditorWireCount = model.wires.length;
+    necEditorLines = lines;
+}
+
+/**
+ * Read the NEC wire table back into a model
+ * @returns {Object|null} {model, frequency} or null when the editor is empty
+ */
+function readNecEditor() {
+    if (necEditorWireCount === 0) return null;
+    
+    const value = (id) => parseFloat(document.getElementById(id).value);
+    const wires = [];
+    for (let i = 0; i < necEditorWireCount; i++) {
+        const p = [0, 1, 2, 3, 4, 5].map(j => value(`nec-wire-${i}-p${j}`));
+        wires.push({
+            tag: Math.round(value(`nec-wire-${i}-tag`)),
+            segments: Math.round(value(`nec-wire-${i}-segments`)),
+            start: p.slice(0, 3),
+            end: p.slice(3),
+            radius: value(`nec-wire-${i}-radius`)
+        });
+    }
+    
+    return {
+        model: {
+            wires,
+            source: {
+                tag: Math.round(value('nec-edit-source-tag')),
+                segment: Math.round(value('nec-edit-source-segment')),
+                voltage: 1
+            },
+            transmissionLines: necEditorLines
+        },
+        frequency: value('nec-edit-freq') * 1e6
+    };
+}
+
+/**
+ * Append a wire to the NEC editor, copied from the last row
+ */
+function addNecWire() {
+    const design = readNecEditor();
+    if (!design) return;
+    
+    const last = design.model.wires[design.model.wires.length - 1];
+    const tag = Math.max(...design.model.wires.map(w => w.tag)) + 1;
+    design.model.wires.push({ ...last, tag, start: [...last.start], end: [...last.end] });
+    renderNecEditor(design.model, design.frequency);
+}
+
+/**
+ * Remove a wire from the NEC editor
+ * @param {number} index - Row index
+ */
+function removeNecWire(index) {
+    const design = readNecEditor();
+    if (!design || design.model.wires.length === 1) return;
+    
+    design.model.wires.splice(index, 1);
+    renderNecEditor(design.model, design.frequency);
+}
+
+/**
+ * Solve the edited NEC design with the MoM solver
+ */
+function analyzeNecDesign() {
+    const output = document.getElementById('nec-analysis');
+    
+    try {
+        const design = readNecEditor();
+        if (!design) return;
+        const { model, frequency } = design;
+        
+        if (!validateInput(frequency)) {
+            throw new Error('Please enter a valid frequency');
+        }
+        model.wires.forEach(wire => {
+            if (!(wire.segments >= 1) || !(wire.radius > 0) ||
+                [...wire.start, ...wire.end].some(v => !isFinite(v))) {
+                throw new Error(`Wire ${wire.tag} needs numeric end points, segments and a positive radius`);
+            }
+        });
+        
+        const totalSegments = model.wires.reduce((sum, wire) => sum + wire.segments, 0);
+        if (totalSegments > CONSTANTS.ANTENNA.MOM.MAX_SEGMENTS) {
+            throw new Error(`${totalSegments} segments is more than the ${CONSTANTS.ANTENNA.MOM.MAX_SEGMENTS} the browser solver allows`);
+        }
+        
+        const fed = model.wires.find(wire => wire.tag === model.source.tag);
+        if (!fed || model.source.segment < 1 || model.source.segment > fed.segments) {
+            throw new Error('The source tag and segment must point at a segment in the table');
+        }
+        
+        model.transmissionLines.forEach((line, i) => {
+            [line.from, line.to].forEach(end => {
+                const wire = model.wires.find(w => w.tag === end.tag);
+                if (!wire || end.segment < 1 || end.segment > wire.segments) {
+                    throw new Error(`Transmission line ${i + 1} must connect segments in the table (tag ${end.tag} segment ${end.segment})`);
+                }
+            });
+        });
+        
+        const solution = model.transmissionLines.length > 0 ?
+            momSolveNetwork(model, frequency) : momSolve(model, frequency);
+        const farField = momFarFieldSummary(solution);
+        const z = solution.impedance;
+        const gamma50 = complexImpedance(z.real - CONSTANTS.DEFAULTS.IMPEDANCE_50, z.imaginary).magnitude /
+                        complexImpedance(z.real + CONSTANTS.DEFAULTS.IMPEDANCE_50, z.imaginary).magnitude;
+        
+        momResults.nec = { model, solution, farField, frequency };
+        
+        output.innerHTML = `
+            <div class="result-grid">
+                <div class="result-item">
+                    <strong>Feed Point:</strong>
+                    <ul>
+                        <li>Impedance: ${formatNumber(z.real, 1)} ${z.imaginary >= 0 ? '+' : '−'} j${formatNumber(Math.abs(z.imaginary), 1)} Ω</li>
+                        <li>VSWR on 50 Ω: ${formatNumber(gammaToVSWR(gamma50), 2)}:1</li>
+                        <li>Segments: ${totalSegments}</li>
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>Far Field (free space):</strong>
+                    <ul>
+                        <li>Maximum gain: ${formatNumber(farField.maxGain, 2)} dBi</li>
+                        <li>Gain along +x: ${formatNumber(farField.forwardGain, 2)} dBi</li>
+                        <li>Front-to-back (+x/−x): ${formatNumber(farField.frontToBack, 1)} dB</li>
+                        <li>3dB beamwidth (xy / xz): ${formatNumber(farField.azimuthBeamwidth, 0)}° / ${formatNumber(farField.elevationBeamwidth, 0)}°</li>
+                    </ul>
+                </div>
+            </div>
+            
+            <button class="btn" onclick="plotMoMPattern('nec')">Plot Pattern</button>`;
+        
+    } catch (error) {
+        output.innerHTML = `<div class="error">Error: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+/**
+ * Fill the patch substrate inputs from the substrate library
+ */
+function loadPatchSubstrate() {
+    const substrate = CONSTANTS.SUBSTRATES[document.getElementById('patch-substrate').value];
+    if (substrate) {
+        document.getElementById('patch-substrate-er').value = substrate.er;
+        document.getElementById('patch-loss-tangent').value = substrate.tanD;
+    }
+}
+
+/**
+ * Radiation efficiency and bandwidth of a patch cavity from its Q factors
+ * @param {number} freqHz - Resonant frequency in Hz
+ * @param {number} thicknessM - Substrate thickness in meters
+ * @param {number} effectiveEr - Effective permittivity of the cavity
+ * @param {number} lossTangent - Substrate loss tangent
+ * @returns {Object} {qRadiation, qConductor, qDielectric, qTotal, efficiency, bandwidth (% at VSWR 2)}
+ */
+function patchQualityFactors(freqHz, thicknessM, effectiveEr, lossTangent) {
+    const qRadiation = CONSTANTS.SPEED_OF_LIGHT * Math.sqrt(effectiveEr) / (4 * freqHz * thicknessM);
+    const qConductor = thicknessM * Math.sqrt(Math.PI * freqHz * CONSTANTS.MU0 * CONSTANTS.CONDUCTORS.copper.conductivity);
+    const qDielectric = lossTangent > 0 ? 1 / lossTangent : Infinity;
+    const qTotal = 1 / (1 / qRadiation + 1 / qConductor + 1 / qDielectric);
+    
+    return {
+        qRadiation,
+        qConductor,
+        qDielectric,
+        qTotal,
+        efficiency: qTotal / qRadiation,
+        bandwidth: 100 / (Math.SQRT2 * qTotal)
+    };
+}
+
+/**
+ * E-plane element factor of a patch edge slot on its grounded substrate, from the
+ * tangential H field a TM plane wave sets up on the slab surface (by reciprocity).
+ * It is 1 for a slot on bare ground and falls to 0 at grazing on a dielectric
+ * substrate, which is what keeps the E-plane beamwidth finite
+ * @param {number} theta - Angle from broadside in radians
+ * @param {number} er - Substrate relative permittivity
+ * @param {number} k0h - Free-space electrical thickness k0·h
+ * @returns {number} Field amplitude normalized to 1 at θ = 0
+ */
+function patchSlabFactor(theta, er, k0h) {
+    const amplitude = (t) => {
+        const n = Math.sqrt(er - Math.pow(Math.sin(t), 2));
+        const cos = Math.cos(t);
+        return cos / Math.hypot(cos, n / er * Math.tan(k0h * n));
+    };
+    return amplitude(theta) / amplitude(0);
+}
+
+/**
+ * Full 3dB beamwidth of a broadside field pattern normalized to 1 at θ = 0
+ * @param {Function} field - Field amplitude versus angle from broadside (rad)
+ * @returns {number} Beamwidth in degrees (180 if the field stays above -3dB)
+ */
+function patchBeamwidth(field) {
+    for (let deg = 0; deg <= 90; deg += 0.1) {
+        if (Math.pow(field(deg * Math.PI / 180), 2) <= 0.5) return 2 * deg;
+    }
+    return 180;
+}
+
+/**
+ * Rectangular patch by the transmission-line model (Balanis ch. 14)
+ * @param {number} freqHz - Resonant frequency in Hz
+ * @param {number} er - Substrate relative permittivity
+ * @param {number} h - Substrate thickness in meters
+ * @returns {Object} Dimensions, ε_eff, slot conductances, lossless edge resistance and directivity
+ */
+function designRectangularPatch(freqHz, er, h) {
+    const c = CONSTANTS.SPEED_OF_LIGHT;
+    const wavelength = c / freqHz;
+    const k0 = 2 * Math.PI / wavelength;
+    
+    const width = c / (2 * freqHz) * Math.sqrt(2 / (er + 1));
+    const effectiveEr = microstripEffectivePermittivity(er, width / h);
+    
+    // Fringing extends each radiating edge by ΔL
+    const deltaL = 0.412 * h *
+                   ((effectiveEr + 0.3) * (width / h + 0.264)) /
+                   ((effectiveEr - 0.258) * (width / h + 0.8));
+    const effectiveLength = c / (2 * freqHz * Math.sqrt(effectiveEr));
+    const length = effectiveLength - 2 * deltaL;
+    
+    // Slot pattern integrand sin²(k0W/2·cosθ)/cos²θ · sin³θ
+    const x = k0 * width / 2;
+    const slot = (theta) => {
+        const cos = Math.cos(theta);
+        const factor = Math.abs(cos) < 1e-9 ? x * x : Math.pow(Math.sin(x * cos) / cos, 2);
+        return factor * Math.pow(Math.sin(theta), 3);
+    };
+    const i1 = simpsonIntegral(slot, 0, Math.PI);
+    const g1 = i1 / (120 * Math.PI * Math.PI);
+    const g12 = simpsonIntegral(theta => slot(theta) * besselJ(0, k0 * length * Math.sin(theta)), 0, Math.PI) /
+                (120 * Math.PI * Math.PI);
+    
+    const slotDirectivity = Math.pow(2 * Math.PI * width / wavelength, 2) / i1;
+    
+    // Two-slot array along L times the slot element factor (E-plane: Balanis'
+    // aperture term and the grounded substrate), single-slot pattern across W (H-plane)
+    const ePlane = (theta) => {
+        const arg = k0 * h / 2 * Math.sin(theta);
+        return (arg === 0 ? 1 : Math.sin(arg) / arg) * patchSlabFactor(theta, er, k0 * h) *
+               Math.cos(k0 * effectiveLength / 2 * Math.sin(theta));
+    };
+    const hPlane = (theta) => {
+        const arg = x * Math.sin(theta);
+        return (arg === 0 ? 1 : Math.sin(arg) / arg) * Math.cos(theta);
+    };
+    
+    return {
+        width,
+        length,
+        effectiveLength,
+        deltaL,
+        effectiveEr,
+        g1,
+        g12,
+        edgeResistance: 1 / (2 * (g1 + g12)),
+        directivity: 2 * slotDirectivity / (1 + g12 / g1),
+        ePlaneBeamwidth: patchBeamwidth(ePlane),
+        hPlaneBeamwidth: patchBeamwidth(hPlane)
+    };
+}
+
+/**
+ * Circular patch in the TM11 mode by the cavity model (Balanis ch. 14)
+ * @param {number} freqHz - Resonant frequency in Hz
+ * @param {number} er - Substrate relative permittivity
+ * @param {number} h - Substrate thickness in meters
+ * @returns {Object} Radii, radiation conductance, lossless edge resistance, directivity and beamwidths
+ */
+function designCircularPatch(freqHz, er, h) {
+    const wavelength = CONSTANTS.SPEED_OF_LIGHT / freqHz;
+    const k0 = 2 * Math.PI / wavelength;
+    const root = CONSTANTS.ANTENNA.PATCH.CIRCULAR_MODE_ROOT;
+    
+    // Fringing correction; F = χ'11·c/(2π·f·√εr)
+    const f = root * CONSTANTS.SPEED_OF_LIGHT / (2 * Math.PI * freqHz * Math.sqrt(er));
+    const fringe = (r) => 1 + 2 * h / (Math.PI * er * r) * (Math.log(Math.PI * r / (2 * h)) + 1.7726);
+    const radius = f / Math.sqrt(fringe(f));
+    const effectiveRadius = radius * Math.sqrt(fringe(radius));
+    
+    // E-plane field ∝ J0 − J2, H-plane field ∝ cosθ·(J0 + J2), argument k0·ae·sinθ;
+    // the beamwidth uses the E-plane with the grounded-substrate element factor
+    const x = k0 * effectiveRadius;
+    const ePlane = (theta) => besselJ(0, x * Math.sin(theta)) - besselJ(2, x * Math.sin(theta));
+    const hPlane = (theta) => Math.cos(theta) * (besselJ(0, x * Math.sin(theta)) + besselJ(2, x * Math.sin(theta)));
+    
+    const conductance = x * x / 480 *
+        simpsonIntegral(theta => (Math.pow(ePlane(theta), 2) + Math.pow(hPlane(theta), 2)) * Math.sin(theta), 0, Math.PI / 2, 100);
+    
+    return {
+        radius,
+        effectiveRadius,
+        conductance,
+        edgeResistance: 1 / conductance,
+        directivity: x * x / (120 * conductance),
+        ePlaneBeamwidth: patchBeamwidth(theta => ePlane(theta) * patchSlabFactor(theta, er, k0 * h)),
+        hPlaneBeamwidth: patchBeamwidth(hPlane)
+    };
+}
+
+/**
+ * Calculate patch antenna parameters
+ */
+function calculatePatch() {
+    const frequency = parseFloat(document.getElementById('patch-freq').value);
+    const freqUnit = document.getElementById('patch-freq-unit').value;
+    const shape = document.getElementById('patch-shape').value;
+    const substrateEr = parseFloat(document.getElementById('patch-substrate-er').value) || CONSTANTS.DEFAULTS.SUBSTRATE_ER;
+    const lossTangentInput = parseFloat(document.getElementById('patch-loss-tangent').value);
+    const lossTangent = isNaN(lossTangentInput) ? CONSTANTS.ANTENNA.PATCH.DEFAULT_LOSS_TANGENT : lossTangentInput;
+    const thickness = parseFloat(document.getElementById('patch-thickness').value) || CONSTANTS.DEFAULTS.SUBSTRATE_THICKNESS;
+    const thicknessUnit = document.getElementById('patch-thickness-unit').value;
+    const feedImpedance = parseFloat(document.getElementById('patch-feed-impedance').value) || CONSTANTS.DEFAULTS.IMPEDANCE_50;
+    
+    if (!validateInput(frequency)) {
+        showError('patch-freq', 'Please enter a valid frequency');
+        return;
+    }
+    
+    if (!validateInput(substrateEr, 1, 15)) {
+        showError('patch-substrate-er', 'Please enter a valid dielectric constant (1-15)');
+        return;
+    }
+    
+    if (!validateInput(lossTangent, 0, 0.1)) {
+        showError('patch-loss-tangent', 'Loss tangent should be between 0 and 0.1');
+        return;
+    }
+    
+    if (!validateInput(feedImpedance, 10, 200)) {
+        showError('patch-feed-impedance', 'Feed impedance should be between 10 and 200 Ω');
+        return;
+    }
+    
+    clearError('patch-freq');
+    clearError('patch-substrate-er');
+    clearError('patch-loss-tangent');
+    clearError('patch-feed-impedance');
+    
+    try {
+        const freqHz = frequency * CONSTANTS.FREQ_UNITS[freqUnit];
+        const wavelength = frequencyToWavelength(freqHz, 'Hz');
+        const thicknessM = convertUnits(thickness, thicknessUnit, 'm', CONSTANTS.LENGTH_UNITS);
+        
+        // Microstrip feed line for the chosen impedance
+        const feedRatio = microstripWidthRatio(feedImpedance, substrateEr);
+        const feedWidth = feedRatio * thicknessM;
+        const feedEr = microstripEffectivePermittivity(substrateEr, feedRatio);
+        const guideWavelength = wavelength / Math.sqrt(feedEr);
+        
+        const mm = (value, precision = 2) => formatNumber(value * 1000, precision);
+        const notes = [];
+        if (thicknessM / wavelength > CONSTANTS.ANTENNA.PATCH.MAX_THICKNESS) {
+            notes.push(`⚠ Substrate is ${formatNumber(thicknessM / wavelength, 3)}λ thick - above ${CONSTANTS.ANTENNA.PATCH.MAX_THICKNESS}λ the cavity model loses accuracy and surface waves grow`);
+        }
+        
+        let dimensionItems, electricalItems, feedItems, q, directivity, groundPlane;
+        
+        if (shape === 'circular') {
+            const patch = designCircularPatch(freqHz, substrateEr, thicknessM);
+            q = patchQualityFactors(freqHz, thicknessM, substrateEr, lossTangent);
+            directivity = patch.directivity;
+            const edgeResistance = patch.edgeResistance * q.efficiency;
+            
+            // Probe radius where R = R_edge·J1²(kρ)/J1²(k·ae) equals the feed impedance
+            const k = CONSTANTS.ANTENNA.PATCH.CIRCULAR_MODE_ROOT / patch.effectiveRadius;
+            const target = feedImpedance / edgeResistance * Math.pow(besselJ(1, k * patch.effectiveRadius), 2);
+            let probe = null;
+            if (feedImpedance < edgeResistance) {
+                let lo = 0;
+                let hi = patch.effectiveRadius;
+                for (let i = 0; i < 50; i++) {
+                    const mid = (lo + hi) / 2;
+                    if (Math.pow(besselJ(1, k * mid), 2) < target) lo = mid; else hi = mid;
+                }
+                probe = (lo + hi) / 2;
+            } else {
+                notes.push(`⚠ ${formatNumber(feedImpedance, 0)} Ω is above the edge resistance - feed at the edge through a quarter-wave transformer`);
+            }
+            groundPlane = 2 * patch.radius + 6 * thicknessM;
+            
+            dimensionItems = `
+                        <li>Radius (a): ${mm(patch.radius)} mm</li>
+                        <li>Diameter: ${mm(2 * patch.radius)} mm</li>
+                        <li>Effective radius (aₑ): ${mm(patch.effectiveRadius)} mm</li>`;
+            electricalItems = `
+                        <li>Edge resistance: ${formatNumber(edgeResistance, 1)} Ω</li>
+                        <li>E-plane 3dB beamwidth: ${formatNumber(patch.ePlaneBeamwidth, 0)}°</li>
+                        <li>H-plane 3dB beamwidth: ${formatNumber(patch.hPlaneBeamwidth, 0)}°</li>`;
+            feedItems = probe === null ? `
+                        <li>Probe feed at the edge</li>` : `
+                        <li>Probe feed ${mm(probe)} mm from the centre for ${formatNumber(feedImpedance, 0)} Ω</li>`;
+        } else {
+            const patch = designRectangularPatch(freqHz, substrateEr, thicknessM);
+            q = patchQualityFactors(freqHz, thicknessM, patch.effectiveEr, lossTangent);
+            directivity = patch.directivity;
+            const edgeResistance = patch.edgeResistance * q.efficiency;
+            groundPlane = Math.max(patch.width, patch.length) + 6 * thicknessM;
+            
+            dimensionItems = `
+                        <li>Width (W): ${mm(patch.width)} mm</li>
+                        <li>Length (L): ${mm(patch.length)} mm</li>
+                        <li>ΔL fringing extension: ${mm(patch.deltaL, 3)} mm</li>
+                        <li>Aspect ratio L/W: ${formatNumber(patch.length / patch.width, 2)}</li>`;
+            electricalItems = `
+                        <li>Effective εᵣ (Hammerstad): ${formatNumber(patch.effectiveEr, 3)}</li>
+                        <li>Slot conductance G₁: ${formatNumber(patch.g1 * 1000, 3)} mS</li>
+                        <li>Mutual conductance G₁₂: ${formatNumber(patch.g12 * 1000, 3)} mS</li>
+                        <li>Edge resistance: ${formatNumber(edgeResistance, 1)} Ω</li>
+                        <li>E-plane 3dB beamwidth: ${formatNumber(patch.ePlaneBeamwidth, 0)}°</li>
+                        <li>H-plane 3dB beamwidth: ${formatNumber(patch.hPlaneBeamwidth, 0)}°</li>`;
+            
+            if (feedImpedance < edgeResistance) {
+                // R(y0) = R_edge·cos²(πy0/L)
+                const inset = patch.length / Math.PI * Math.acos(Math.sqrt(feedImpedance / edgeResistance));
+                feedItems = `
+                        <li>Inset depth for ${formatNumber(feedImpedance, 0)} Ω: ${mm(inset)} mm</li>`;
+                notes.push('Leave a gap of about one feed width on each side of the inset notch');
+            } else {
+                const transformerZ = Math.sqrt(feedImpedance * edgeResistance);
+                const transformerRatio = microstripWidthRatio(transformerZ, substrateEr);
+                // A very low edge resistance asks for a strip wider than the patch itself
+                if (transformerRatio > 0 && transformerRatio * thicknessM < patch.width) {
+                    const transformerEr = microstripEffectivePermittivity(substrateEr, transformerRatio);
+                    feedItems = `
+                        <li>Edge feed via λ/4 transformer: ${formatNumber(transformerZ, 1)} Ω</li>
+                        <li>Transformer width: ${mm(transformerRatio * thicknessM)} mm</li>
+                        <li>Transformer length: ${mm(wavelength / Math.sqrt(transformerEr) / 4)} mm</li>`;
+                } else {
+                    feedItems = `
+                        <li>Edge feed needs a ${formatNumber(transformerZ, 1)} Ω λ/4 transformer</li>`;
+                    notes.push(`⚠ A ${formatNumber(transformerZ, 1)} Ω microstrip would be wider than the patch, so no microstrip match is possible - use a probe feed instead`);
+                }
+                notes.push(`⚠ ${formatNumber(feedImpedance, 0)} Ω is above the edge resistance, so an inset feed cannot match it`);
+            }
+        }
+        
+        const gain = 10 * Math.log10(directivity * q.efficiency);
+        
+        let html = `
+            <h4>${shape === 'circular' ? 'Circular' : 'Rectangular'} Patch Antenna Results</h4>
+            <div class="result-grid">
+                <div class="result-item">
+                    <strong>Patch Dimensions:</strong>
+                    <ul>${dimensionItems}
+                        <li>Ground plane: at least ${mm(groundPlane, 1)} mm across</li>
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>Electrical Properties:</strong>
+                    <ul>${electricalItems}
+                        <li>Directivity: ${formatNumber(10 * Math.log10(directivity), 2)} dBi</li>
+                        <li>Radiation efficiency: ${formatNumber(q.efficiency * 100, 1)}%</li>
+                        <li>Gain: ${formatNumber(gain, 2)} dBi</li>
+                        <li>Bandwidth (VSWR 2:1): ${formatNumber(q.bandwidth, 2)}%</li>
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>Feed:</strong>
+                    <ul>${feedItems}
+                        <li>${formatNumber(feedImpedance, 0)} Ω microstrip width: ${mm(feedWidth)} mm</li>
+                        <li>Feed line ε_eff: ${formatNumber(feedEr, 3)}</li>
+                        <li>Guided wavelength: ${mm(guideWavelength, 1)} mm</li>
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>Cavity Q:</strong>
+                    <ul>
+                        <li>Radiation: ${formatNumber(q.qRadiation, 1)}</li>
+                        <li>Conductor: ${formatNumber(q.qConductor, 0)}</li>
+                        <li>Dielectric: ${isFinite(q.qDielectric) ? formatNumber(q.qDielectric, 0) : '∞'}</li>
+                        <li>Total: ${formatNumber(q.qTotal, 1)}</li>
+                    </ul>
+                </div>
+            </div>
+            
+            <div class="info-section">
+                <p><strong>Design Notes:</strong></p>
+                <ul>
+                    ${notes.map(note => `<li>${note}</li>`).join('')}
+                    <li>${shape === 'circular' ?
+                        'TM11 cavity model; linear polarization along the feed axis' :
+                        'Transmission-line model with Hammerstad ε_eff; linear polarization along L'}</li>
+                    <li>Edge resistance and gain include conductor and dielectric loss</li>
+                    <li>Confirm with EM simulation before fabrication</li>
+                </ul>
+                
+                <p><strong>Substrate:</strong> εᵣ=${substrateEr}, tanδ=${lossTangent}, h=${formatNumber(thickness, 2)} ${thicknessUnit}</p>
+            </div>`;
+        
+        document.getElementById('patch-results').innerHTML = html;
+        
+    } catch (error) {
+        document.getElementById('patch-results').innerHTML = 
+            `<div class="error">Error: ${error.message}</div>`;
+    }
+}
+
+/**
+ * Kraus axial-mode helix pattern with Hansen-Woodyard phasing
+ * @param {number} turns - Number of turns N
+ * @param {number} spacingL - Turn spacing in wavelengths
+ * @param {number} directivityDb - Peak directivity in dBic
+ * @returns {Array} [{angle, gain}] from the helix axis, 0-360°
+ */
+function helixPatternCut(turns, spacingL, directivityDb) {
+    const field = (theta) => {
+        const psi = 2 * Math.PI * (spacingL * (Math.cos(theta) - 1) - (2 * turns + 1) / (2 * turns));
+        const array = Math.abs(Math.sin(psi / 2)) < 1e-12 ? turns : Math.sin(turns * psi / 2) / Math.sin(psi / 2);
+        return Math.abs(Math.sin(Math.PI / (2 * turns)) * Math.cos(theta) * array);
+    };
+    
+    const cut = [];
+    for (let angle = 0; angle <= 360; angle += 2) {
+        cut.push({ angle, field: field(angle * Math.PI / 180) });
+    }
+    const peak = Math.max(...cut.map(p => p.field));
+    
+    return cut.map(p => ({
+        angle: p.angle,
+        gain: directivityDb + 20 * Math.log10(Math.max(p.field / peak, 1e-6))
+    }));
+}
+
+// Pattern cut of the latest helix design
+let helixPattern = null;
+
+/**
+ * Plot the latest helix pattern in the plane of the axis
+ */
+function plotHelixPattern() {
+    if (!helixPattern) return;
+    
+    // The pattern is symmetric about the helix axis (+x)
+    const cut = normalizePatternCut(helixPattern);
+    
+    showChart('radiation', {
+        antennaType: 'helix',
+        parameters: {
+            pattern: helixPattern,
+            gainAt: (azimuth, elevation) => {
+                const az = azimuth * Math.PI / 180;
+                const el = elevation * Math.PI / 180;
+                return patternCutGain(cut, Math.acos(Math.cos(el) * Math.cos(az)) * 180 / Math.PI);
+            },
+            gainUnit: 'dBic',
+            method: 'Kraus'
+        }
+    });
+}
+
+/**
+ * Calculate axial-mode helical antenna parameters (Kraus)
+ */
+function calculateHelix() {
+    const frequency = parseFloat(document.getElementById('helix-freq').value);
+    const freqUnit = document.getElementById('helix-freq-unit').value;
+    const turns = parseFloat(document.getElementById('helix-turns').value);
+    const pitch = parseFloat(document.getElementById('helix-pitch').value);
+    const limits = CONSTANTS.ANTENNA.HELIX;
+    
+    if (!validateInput(frequency)) {
+        showError('helix-freq', 'Please enter a valid frequency');
+        return;
+    }
+    
+    if (!validateInput(turns, limits.MIN_TURNS, limits.MAX_TURNS)) {
+        showError('helix-turns', `Number of turns should be between ${limits.MIN_TURNS} and ${limits.MAX_TURNS}`);
+        return;
+    }
+    
+    if (!validateInput(pitch, limits.MIN_PITCH, limits.MAX_PITCH)) {
+        showError('helix-pitch', `Pitch angle should be between ${limits.MIN_PITCH}° and ${limits.MAX_PITCH}°`);
+        return;
+    }
+    
+    clearError('helix-freq');
+    clearError('helix-turns');
+    clearError('helix-pitch');
+    
+    try {
+        const wavelength = frequencyToWavelength(frequency, freqUnit);
+        const freqHz = frequency * CONSTANTS.FREQ_UNITS[freqUnit];
+        
+        // Geometry: one wavelength circumference, spacing set by the pitch angle
+        const circumferenceL = limits.CIRCUMFERENCE;
+        const circumference = circumferenceL * wavelength;
+        const diameter = circumference / Math.PI;
+        const spacingL = circumferenceL * Math.tan(pitch * Math.PI / 180);
+        const spacing = spacingL * wavelength;
+        const axialLength = turns * spacing;
+        const turnLength = Math.sqrt(circumference * circumference + spacing * spacing);
+        const groundPlane = limits.GROUND_PLANE * wavelength;
+        
+        // Kraus: D = 15·C²·N·S, HPBW = 52°/(C·√(NS)), AR = (2N+1)/2N, R = 140·C
+        const directivity = 15 * circumferenceL * circumferenceL * turns * spacingL;
+        const directivityDb = 10 * Math.log10(directivity);
+        const hpbw = 52 / (circumferenceL * Math.sqrt(turns * spacingL));
+        const bwfn = 115 / (circumferenceL * Math.sqrt(turns * spacingL));
+        const axialRatio = (2 * turns + 1) / (2 * turns);
+        const inputR = 140 * circumferenceL;
+        
+        // Quarter-wave transformer to 50 Ω, e.g. a strip over the ground plane
+        const matchZ = Math.sqrt(inputR * CONSTANTS.DEFAULTS.IMPEDANCE_50);
+        const stripRatio = microstripWidthRatio(matchZ, 1);
+        
+        helixPattern = helixPatternCut(turns, spacingL, directivityDb);
+        
+        let html = `
+            <h4>Axial-Mode Helix Results</h4>
+            <div class="result-grid">
+                <div class="result-item">
+                    <strong>Helix Dimensions:</strong>
+                    <ul>
+                        <li>Diameter: ${formatNumber(diameter * 1000, 1)} mm</li>
+                        <li>Circumference: ${formatNumber(circumference * 1000, 1)} mm (${formatNumber(circumferenceL, 2)}λ)</li>
+                        <li>Turn spacing: ${formatNumber(spacing * 1000, 1)} mm (${formatNumber(spacingL, 3)}λ)</li>
+                        <li>Axial length: ${formatNumber(axialLength, 3)} m</li>
+                        <li>Conductor length: ${formatNumber(turns * turnLength, 3)} m</li>
+                        <li>Ground plane: ≥ ${formatNumber(groundPlane * 1000, 0)} mm diameter</li>
+                        <li>Conductor diameter: ${formatNumber(0.006 * wavelength * 1000, 1)} – ${formatNumber(0.05 * wavelength * 1000, 1)} mm</li>
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>Radiation (Kraus):</strong>
+                    <ul>
+                        <li>Gain: ${formatNumber(directivityDb, 1)} dBic</li>
+                        <li>Half-power beamwidth: ${formatNumber(hpbw, 1)}°</li>
+                        <li>Beamwidth between nulls: ${formatNumber(bwfn, 1)}°</li>
+                        <li>Axial ratio: ${formatNumber(axialRatio, 3)} (${formatNumber(20 * Math.log10(axialRatio), 2)} dB)</li>
+                        <li>Polarization: circular, sense set by the winding direction</li>
+                        <li>Usable band (C/λ from 0.75 to 1.33): ${formatNumber(freqHz * limits.MIN_CIRCUMFERENCE / circumferenceL / 1e6, 3)} – ${formatNumber(freqHz * limits.MAX_CIRCUMFERENCE / circumferenceL / 1e6, 3)} MHz</li>
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>Feed and Match:</strong>
+                    <ul>
+                        <li>Input impedance (axial feed): ${formatNumber(inputR, 0)} Ω</li>
+                        <li>λ/4 section for 50 Ω: ${formatNumber(matchZ, 1)} Ω, ${formatNumber(wavelength / 4 * 1000, 1)} mm long (air)</li>
+                        <li>As a strip over the ground plane: width = ${formatNumber(stripRatio, 2)} × height</li>
+                        <li>VSWR on 50 Ω without match: ${formatNumber(inputR / CONSTANTS.DEFAULTS.IMPEDANCE_50, 2)}:1</li>
+                    </ul>
+                </div>
+            </div>
+            
+            <button class="btn" onclick="plotHelixPattern()">Plot Pattern</button>
+            
+            <div class="info-section">
+                <p><strong>Design Notes:</strong></p>
+                <ul>
+                    <li>Kraus' gain formula is optimistic; measured helices are typically 1-3 dB lower, especially beyond 15 turns</li>
+                    <li>Best axial ratio is obtained with a pitch of 12-14°</li>
+                    <li>The λ/4 section is usually the first quarter turn, flattened into a strip and brought down towards the ground plane</li>
+                    <li>A cup-shaped ground plane improves front-to-back ratio</li>
+                    ${pitch < 11 || pitch > 15 ? `<li>⚠ A ${pitch}° pitch gives a poorer axial ratio than Kraus' formulas predict</li>` : ''}
+                </ul>
+            </div>`;
+        
+        document.getElementById('helix-results').innerHTML = html;
+        
+    } catch (error) {
+        document.getElementById('helix-results').innerHTML = 
+            `<div class="error">Error: ${error.message}</div>`;
+    }
+}
+
+/**
+ * Aperture efficiencies of a prime-focus dish with a cos^n(ψ) feed (Silver)
+ * @param {number} n - Feed power pattern exponent
+ * @param {number} psi0 - Half angle subtended by the rim at the focus (rad)
+ * @returns {Object} {aperture, spillover, taper}
+ */
+function dishEfficiency(n, psi0) {
+    // η_ap = cot²(ψ0/2)·|∫ √G_f(ψ)·tan(ψ/2) dψ|² with G_f = 2(n+1)·cos^n ψ (Simpson's rule)
+    const steps = 200;
+    const h = psi0 / steps;
+    let integral = 0;
+    for (let i = 0; i <= steps; i++) {
+        const psi = i * h;
+        const weight = (i === 0 || i === steps) ? 1 : (i % 2 === 0 ? 2 : 4);
+        integral += weight * Math.sqrt(2 * (n + 1) * Math.pow(Math.cos(psi), n)) * Math.tan(psi / 2);
+    }
+    integral *= h / 3;
+    
+    const aperture = Math.pow(integral / Math.tan(psi0 / 2), 2);
+    const spillover = 1 - Math.pow(Math.cos(psi0), n + 1);
+    return { aperture, spillover, taper: aperture / spillover };
+}
+
+// Latest dish result, kept for copying into the satellite link budget
+let dishResult = null;
+
+/**
+ * Calculate parabolic dish gain, efficiencies and the matching feed pattern
+ */
+function calculateDish() {
+    const frequency = parseFloat(document.getElementById('dish-freq').value);
+    const freqUnit = document.getElementById('dish-freq-unit').value;
+    const diameterInput = parseFloat(document.getElementById('dish-diameter').value);
+    const diameterUnit = document.getElementById('dish-diameter-unit').value;
+    const fOverD = parseFloat(document.getElementById('dish-f-d').value);
+    const edgeTaperInput = parseFloat(document.getElementById('dish-edge-taper').value);
+    const surfaceRms = parseFloat(document.getElementById('dish-surface-rms').value) || 0;
+    const systemTemp = parseFloat(document.getElementById('dish-system-temp').value);
+    const limits = CONSTANTS.ANTENNA.DISH;
+    
+    if (!validateInput(frequency)) {
+        showError('dish-freq', 'Please enter a valid frequency');
+        return;
+    }
+    
+    if (!validateInput(diameterInput)) {
+        showError('dish-diameter', 'Please enter a valid dish diameter');
+        return;
+    }
+    
+    if (!validateInput(fOverD, limits.MIN_F_D, limits.MAX_F_D)) {
+        showError('dish-f-d', `f/D should be between ${limits.MIN_F_D} and ${limits.MAX_F_D}`);
+        return;
+    }
+    
+    clearError('dish-freq');
+    clearError('dish-diameter');
+    clearError('dish-f-d');
+    
+    try {
+        const freqHz = frequency * CONSTANTS.FREQ_UNITS[freqUnit];
+        const wavelength = frequencyToWavelength(freqHz, 'Hz');
+        const diameter = convertUnits(diameterInput, diameterUnit, 'm', CONSTANTS.LENGTH_UNITS);
+        const focalLength = fOverD * diameter;
+        const depth = diameter * diameter / (16 * focalLength);
+        const psi0 = 2 * Math.atan(1 / (4 * fOverD));
+        
+        // Edge illumination = feed taper + space attenuation cos²(ψ0/2)
+        const spaceTaper = 40 * Math.log10(Math.cos(psi0 / 2));
+        let n;
+        if (isNaN(edgeTaperInput)) {
+            // Feed exponent with the highest aperture efficiency
+            n = 0.5;
+            let best = 0;
+            for (let trial = 0.5; trial <= limits.MAX_FEED_EXPONENT; trial += 0.1) {
+                const eff = dishEfficiency(trial, psi0).aperture;
+                if (eff > best) {
+                    best = eff;
+                    n = trial;
+                }
+            }
+        } else {
+            if (edgeTaperInput >= spaceTaper) {
+                throw new Error(`Edge illumination must be below ${formatNumber(spaceTaper, 1)} dB (space attenuation alone) for this f/D`);
+            }
+            n = (edgeTaperInput - spaceTaper) / (10 * Math.log10(Math.cos(psi0)));
+            if (n > limits.MAX_FEED_EXPONENT) {
+                throw new Error('Edge illumination is too strong a taper for a practical feed');
+            }
+        }
+        
+        const feedTaper = 10 * n * Math.log10(Math.cos(psi0));
+        const edgeTaper = feedTaper + spaceTaper;
+        const eff = dishEfficiency(n, psi0);
+        const surfaceRmsM = surfaceRms / 1000;
+        const ruze = Math.exp(-Math.pow(4 * Math.PI * surfaceRmsM / wavelength, 2));
+        const totalEfficiency = eff.aperture * ruze;
+        
+        const gainDb = 10 * Math.log10(totalEfficiency * Math.pow(Math.PI * diameter / wavelength, 2));
+        const hpbw = (1.02 + 0.0135 * Math.abs(edgeTaper)) * wavelength / diameter * 180 / Math.PI;
+        const farField = 2 * diameter * diameter / wavelength;
+        const gOverT = validateInput(systemTemp) ? gainDb - 10 * Math.log10(systemTemp) : null;
+        
+        dishResult = { frequency, freqUnit, gainDb, gOverT };
+        
+        let html = `
+            <h4>Parabolic Dish Results</h4>
+            <div class="result-grid">
+                <div class="result-item">
+                    <strong>Performance:</strong>
+                    <ul>
+                        <li>Gain: ${formatNumber(gainDb, 2)} dBi</li>
+                        <li>3dB beamwidth: ${formatNumber(hpbw, 2)}°</li>
+                        <li>Far-field distance (2D²/λ): ${formatNumber(farField, 1)} m</li>
+                        ${gOverT === null ? '' : `<li>G/T: ${formatNumber(gOverT, 2)} dB/K at ${formatNumber(systemTemp, 0)} K</li>`}
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>Efficiency:</strong>
+                    <ul>
+                        <li>Illumination taper: ${formatNumber(eff.taper * 100, 1)}%</li>
+                        <li>Spillover: ${formatNumber(eff.spillover * 100, 1)}%</li>
+                        <li>Surface (Ruze): ${formatNumber(ruze * 100, 1)}%</li>
+                        <li>Total aperture efficiency: ${formatNumber(totalEfficiency * 100, 1)}%</li>
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>Geometry:</strong>
+                    <ul>
+                        <li>Focal length: ${formatNumber(focalLength, 3)} m</li>
+                        <li>Dish depth: ${formatNumber(depth, 3)} m</li>
+                        <li>Rim half-angle at focus: ${formatNumber(psi0 * 180 / Math.PI, 1)}°</li>
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>${isNaN(edgeTaperInput) ? 'Optimum' : 'Required'} Feed Pattern:</strong>
+                    <ul>
+                        <li>Power pattern: cos^${formatNumber(n, 2)}(ψ)</li>
+                        <li>Feed gain: ${formatNumber(10 * Math.log10(2 * (n + 1)), 1)} dBi</li>
+                        <li>Feed 3dB beamwidth: ${formatNumber(2 * Math.acos(Math.pow(0.5, 1 / n)) * 180 / Math.PI, 1)}°</li>
+                        <li>Feed 10dB beamwidth: ${formatNumber(2 * Math.acos(Math.pow(0.1, 1 / n)) * 180 / Math.PI, 1)}°</li>
+                        <li>Feed taper at rim: ${formatNumber(feedTaper, 1)} dB</li>
+                        <li>Edge illumination (with space loss): ${formatNumber(edgeTaper, 1)} dB</li>
+                    </ul>
+                </div>
+            </div>
+            
+            <button class="btn" onclick="useDishInSatelliteLink('tx')">Use as Satellite TX Gain</button>
+            ${gOverT === null ? '' : `<button class="btn" onclick="useDishInSatelliteLink('rx')">Use as Ground G/T</button>`}
+            
+            <div class="info-section">
+                <p><strong>Notes:</strong></p>
+                <ul>
+                    <li>Prime-focus dish with a rotationally symmetric cos^n feed; blockage by the feed and struts is not included</li>
+                    <li>Maximum aperture efficiency usually occurs near ${limits.OPTIMUM_EDGE_TAPER} dB edge illumination</li>
+                    <li>Surface accuracy of λ/16 RMS costs about 1 dB (Ruze)</li>
+                </ul>
+            </div>`;
+        
+        document.getElementById('dish-results').innerHTML = html;
+        
+    } catch (error) {
+        document.getElementById('dish-results').innerHTML = 
+            `<div class="error">Error: ${error.message}</div>`;
+    }
+}
+
+/**
+ * Copy the dish gain or G/T into the satellite link budget calculator
+ * @param {string} target - 'tx' for TX antenna gain, 'rx' for receive G/T
+ */
+function useDishInSatelliteLink(target) {
+    if (!dishResult) return;
+    
+    if (target === 'rx') {
+        document.getElementById('slb-rx-gt').value = dishResult.gOverT.toFixed(2);
+    } else {
+        document.getElementById('slb-tx-gain').value = dishResult.gainDb.toFixed(2);
+    }
+    
+    // The link budget works in MHz or GHz only
+    const freqHz = dishResult.frequency * CONSTANTS.FREQ_UNITS[dishResult.freqUnit];
+    const unit = freqHz >= 1e9 ? 'GHz' : 'MHz';
+    document.getElementById('slb-freq').value = parseFloat((freqHz / CONSTANTS.FREQ_UNITS[unit]).toPrecision(8));
+    document.getElementById('slb-freq-unit').value = unit;
+    
+    showNotification(`Dish ${target === 'rx' ? 'G/T' : 'gain'} copied to the Satellite Link Budget`, 'success');
+}
+
+/**
+ * Solve the Balanis optimum-gain pyramidal horn for a target gain
+ * @param {number} gainLinear - Target gain (linear)
+ * @param {number} a - Waveguide broad wall in wavelengths
+ * @param {number} b - Waveguide narrow wall in wavelengths
+ * @returns {number} χ = ρe/λ
+ */
+function solveHornChi(gainLinear, a, b) {
+    const g = gainLinear;
+    // (√(2χ) − b)²(2χ − 1) = (G/2π·√(3/2π)/√χ − a)²(G²/(6π³χ) − 1)
+    const f = (chi) =>
+        Math.pow(Math.sqrt(2 * chi) - b, 2) * (2 * chi - 1) -
+        Math.pow(g / (2 * Math.PI) * Math.sqrt(3 / (2 * Math.PI)) / Math.sqrt(chi) - a, 2) *
+        (g * g / (6 * Math.pow(Math.PI, 3) * chi) - 1);
+    
+    let chi = g / (2 * Math.PI * Math.sqrt(2 * Math.PI));
+    for (let i = 0; i < 100; i++) {
+        const h = chi * 1e-6;
+        const step = f(chi) / ((f(chi + h) - f(chi - h)) / (2 * h));
+        chi = Math.max(chi - step, chi / 2);
+        if (Math.abs(step) < 1e-10 * chi) break;
+    }
+    
+    if (!isFinite(chi) || Math.abs(f(chi)) > 1e-6 * Math.max(1, chi * chi)) {
+        throw new Error('Could not find a realizable horn for this gain and waveguide');
+    }
+    return chi;
+}
+
+/**
+ * Calculate pyramidal horn dimensions from a target gain or aperture size
+ */
+function calculateHorn() {
+    const frequency = parseFloat(document.getElementById('horn-freq').value);
+    const freqUnit = document.getElementById('horn-freq-unit').value;
+    const mode = document.getElementById('horn-mode').value;
+    const targetGain = parseFloat(document.getElementById('horn-gain').value);
+    const apertureA = parseFloat(document.getElementById('horn-aperture-a').value);
+    const apertureB = parseFloat(document.getElementById('horn-aperture-b').value);
+    const waveguideName = document.getElementById('horn-waveguide').value;
+    const limits = CONSTANTS.ANTENNA.HORN;
+    
+    if (!validateInput(frequency)) {
+        showError('horn-freq', 'Please enter a valid frequency');
+        return;
+    }
+    
+    if (mode === 'gain' && !validateInput(targetGain, limits.MIN_GAIN, limits.MAX_GAIN)) {
+        showError('horn-gain', `Target gain should be between ${limits.MIN_GAIN} and ${limits.MAX_GAIN} dBi`);
+        return;
+    }
+    
+    if (mode === 'aperture' && (!validateInput(apertureA) || !validateInput(apertureB))) {
+        showError('horn-aperture-a', 'Please enter the aperture width and height');
+        return;
+    }
+    
+    clearError('horn-freq');
+    clearError('horn-gain');
+    clearError('horn-aperture-a');
+    
+    try {
+        const freqHz = frequency * CONSTANTS.FREQ_UNITS[freqUnit];
+        const wavelength = frequencyToWavelength(freqHz, 'Hz');
+        const fGHz = freqHz / 1e9;
+        
+        // Feeding waveguide: chosen, or the standard size whose band covers f
+        let name = waveguideName;
+        if (name === 'auto') {
+            // Prefer the band whose centre is closest where bands overlap
+            const centreOffset = (key) => Math.abs(Math.log(fGHz /
+                Math.sqrt(CONSTANTS.WAVEGUIDES[key].fMin * CONSTANTS.WAVEGUIDES[key].fMax)));
+            name = Object.keys(CONSTANTS.WAVEGUIDES)
+                .filter(key => fGHz >= CONSTANTS.WAVEGUIDES[key].fMin && fGHz <= CONSTANTS.WAVEGUIDES[key].fMax)
+                .sort((x, y) => centreOffset(x) - centreOffset(y))[0];
+            if (!name) {
+                throw new Error('No standard waveguide covers this frequency - pick one manually');
+            }
+        }
+        const guide = CONSTANTS.WAVEGUIDES[name];
+        const a = guide.a / 1000;
+        const b = guide.b / 1000;
+        if (wavelength >= 2 * a) {
+            throw new Error(`${name} is below cutoff at this frequency (f_c = ${formatNumber(CONSTANTS.SPEED_OF_LIGHT / (2 * a) / 1e9, 3)} GHz)`);
+        }
+        
+        let a1, b1, rhoE, rhoH;
+        if (mode === 'gain') {
+            const chi = solveHornChi(MATH.DB_TO_RATIO(targetGain), a / wavelength, b / wavelength);
+            rhoE = chi * wavelength;
+            rhoH = Math.pow(MATH.DB_TO_RATIO(targetGain), 2) / (8 * Math.pow(Math.PI, 3) * chi) * wavelength;
+            a1 = Math.sqrt(3 * wavelength * rhoH);
+            b1 = Math.sqrt(2 * wavelength * rhoE);
+        } else {
+            // Optimum flare lengths for the given aperture
+            a1 = apertureA / 1000;
+            b1 = apertureB / 1000;
+            rhoH = a1 * a1 / (3 * wavelength);
+            rhoE = b1 * b1 / (2 * wavelength);
+        }
+        
+        if (a1 <= a || b1 <= b) {
+            throw new Error(`Aperture must be larger than the ${name} waveguide (${guide.a} × ${guide.b} mm)`);
+        }
+        
+        // Axial lengths from waveguide to aperture in each plane
+        const pE = (b1 - b) * Math.sqrt(Math.pow(rhoE / b1, 2) - 0.25);
+        const pH = (a1 - a) * Math.sqrt(Math.pow(rhoH / a1, 2) - 0.25);
+        const gainDb = 10 * Math.log10(limits.APERTURE_EFFICIENCY * 4 * Math.PI * a1 * b1 / (wavelength * wavelength));
+        const diagonal = Math.hypot(a1, b1);
+        const mismatch = Math.abs(pE - pH) / Math.max(pE, pH);
+        
+        let html = `
+            <h4>Pyramidal Horn Results</h4>
+            <div class="result-grid">
+                <div class="result-item">
+                    <strong>Dimensions:</strong>
+                    <ul>
+                        <li>Aperture (H-plane a₁ × E-plane b₁): ${formatNumber(a1 * 1000, 1)} × ${formatNumber(b1 * 1000, 1)} mm</li>
+                        <li>Feed waveguide: ${name} (${guide.a} × ${guide.b} mm)</li>
+                        <li>Slant length ρe: ${formatNumber(rhoE * 1000, 1)} mm</li>
+                        <li>Slant length ρh: ${formatNumber(rhoH * 1000, 1)} mm</li>
+                        <li>Horn length (E-plane pe): ${formatNumber(pE * 1000, 1)} mm</li>
+                        <li>Horn length (H-plane ph): ${formatNumber(pH * 1000, 1)} mm</li>
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>Performance:</strong>
+                    <ul>
+                        <li>Gain: ${formatNumber(gainDb, 2)} dBi</li>
+                        <li>E-plane 3dB beamwidth: ${formatNumber(limits.E_PLANE_HPBW * wavelength / b1, 1)}°</li>
+                        <li>H-plane 3dB beamwidth: ${formatNumber(limits.H_PLANE_HPBW * wavelength / a1, 1)}°</li>
+                        <li>Aperture efficiency: ${formatNumber(limits.APERTURE_EFFICIENCY * 100, 0)}%</li>
+                        <li>Far-field distance (2D²/λ): ${formatNumber(2 * diagonal * diagonal / wavelength, 2)} m</li>
+                    </ul>
+                </div>
+            </div>
+            
+            <div class="info-section">
+                <p><strong>Notes:</strong></p>
+                <ul>
+                    <li>Optimum-gain design: phase error at the aperture edge is about 3λ/8 (H-plane) and λ/4 (E-plane)</li>
+                    ${mode === 'aperture' && mismatch > 0.02 ? `<li>⚠ pe and ph differ by ${formatNumber(mismatch * 100, 0)}% - this aperture cannot be an optimum horn on ${name}; use the longer length and accept a little less gain in the other plane</li>` : ''}
+                    <li>Far-field distance uses the aperture diagonal</li>
+                </ul>
+            </div>`;
+        
+        document.getElementById('horn-results').innerHTML = html;
+        
+    } catch (error) {
+        document.getElementById('horn-results').innerHTML = 
+            `<div class="error">Error: ${error.message}</div>`;
+    }
+}
+
+// Latest elevation pattern over ground, kept for plotting
+let groundPattern = null;
+
+/**
+ * Fill the ground constants from the ground type presets
+ */
+function loadGroundPreset() {
+    const ground = CONSTANTS.GROUND_TYPES[document.getElementById('ground-type').value];
+    if (ground && isFinite(ground.sigma)) {
+        document.getElementById('ground-er').value = ground.er;
+        document.getElementById('ground-sigma').value = ground.sigma;
+    }
+}
+
+/**
+ * Far-field power of a half-wave dipole above flat ground in one direction,
+ * from the direct ray plus a Fresnel-weighted image ray. The field is split
+ * into its horizontally and vertically polarized parts, each reflected with
+ * its own coefficient.
+ * @param {string} orientation - 'horizontal' or 'vertical'
+ * @param {number} heightL - Height of the dipole centre in wavelengths
+ * @param {Object} ground - {er, sigma}; sigma = Infinity for perfect ground
+ * @param {number} wavelength - Wavelength in meters
+ * @param {number} elevation - Elevation above the horizon in radians
+ * @param {number} azimuth - Azimuth from broadside to the wire in radians
+ * @returns {number} |E|² relative to the free-space dipole at broadside
+ */
+function groundFieldPower(orientation, heightL, ground, wavelength, elevation, azimuth = 0) {
+    const sin = Math.sin(elevation);
+    const cos = Math.cos(elevation);
+    const perfect = !isFinite(ground.sigma);
+    const reflection = (polarization) => perfect ?
+        { re: polarization === 'vertical' ? 1 : -1, im: 0 } :
+        fresnelReflection(ground.er, -60 * wavelength * ground.sigma, elevation, polarization);
+    
+    // |1 + s·Γ·e^{−j·2kh·sinψ}|²
+    const phase = -4 * Math.PI * heightL * sin;
+    const factor = (gamma, sign) => {
+        const re = 1 + sign * (gamma.re * Math.cos(phase) - gamma.im * Math.sin(phase));
+        const im = sign * (gamma.re * Math.sin(phase) + gamma.im * Math.cos(phase));
+        return re * re + im * im;
+    };
+    
+    if (orientation === 'vertical') {
+        const element = cos < 1e-9 ? 0 : Math.cos(Math.PI / 2 * sin) / cos;
+        return element * element * factor(reflection('vertical'), 1);
+    }
+    
+    // Wire along y: the field follows the wire axis projected across the ray.
+    // The image of a horizontal current is reversed, so the vertically
+    // polarized part reflects with −Γv.
+    const cosWire = cos * Math.sin(azimuth);
+    const sin2Wire = 1 - cosWire * cosWire;
+    if (sin2Wire < 1e-12) return 0;
+    const element = Math.cos(Math.PI / 2 * cosWire) / sin2Wire;
+    const horizontal = element * Math.cos(azimuth);
+    const vertical = element * sin * Math.sin(azimuth);
+    return horizontal * horizontal * factor(reflection('horizontal'), 1) +
+        vertical * vertical * factor(reflection('vertical'), -1);
+}
+
+/**
+ * Power a dipole above flat ground radiates into the upper hemisphere,
+ * ∫|E|²·dΩ in the units of groundFieldPower
+ * @param {string} orientation - 'horizontal' or 'vertical'
+ * @param {number} heightL - Height of the dipole centre in wavelengths
+ * @param {Object} ground - {er, sigma}; sigma = Infinity for perfect ground
+ * @param {number} wavelength - Wavelength in meters
+ * @returns {number} Radiated power
+ */
+function groundRadiatedPower(orientation, heightL, ground, wavelength) {
+    const steps = 48;
+    const overElevation = (azimuth) => simpsonIntegral(
+        psi => groundFieldPower(orientation, heightL, ground, wavelength, psi, azimuth) * Math.cos(psi),
+        0, Math.PI / 2, steps);
+    
+    if (orientation === 'vertical') {
+        return 2 * Math.PI * overElevation(0);
+    }
+    // Four symmetric azimuth quadrants
+    return 4 * simpsonIntegral(overElevation, 0, Math.PI / 2, steps);
+}
+
+/**
+ * Gain of a half-wave dipole above flat ground at one elevation angle
+ * @param {string} orientation - 'horizontal' (broadside plane) or 'vertical'
+ * @param {number} heightL - Height of the dipole centre in wavelengths
+ * @param {Object} ground - {er, sigma}; sigma = Infinity for perfect ground
+ * @param {number} wavelength - Wavelength in meters
+ * @param {number} elevation - Elevation above the horizon in radians
+ * @param {number} radiated - groundRadiatedPower at this height
+ * @returns {Object} {gain, freeSpace} in dBi
+ */
+function groundElevationGain(orientation, heightL, ground, wavelength, elevation, radiated) {
+    const cos = Math.cos(elevation);
+    const power = groundFieldPower(orientation, heightL, ground, wavelength, elevation);
+    
+    // Free-space field of the dipole in this plane, relative to broadside
+    const element = orientation === 'vertical' ?
+        (cos < 1e-9 ? 0 : Math.cos(Math.PI / 2 * Math.sin(elevation)) / cos) : 1;
+    
+    return {
+        gain: 10 * Math.log10(Math.max(4 * Math.PI * power / radiated, 1e-12)),
+        freeSpace: 10 * Math.log10(1.64) + 20 * Math.log10(Math.max(Math.abs(element), 1e-6))
+    };
+}
+
+/**
+ * Lobes of an elevation pattern between the horizon and the zenith
+ * @param {Function} gainAt - Gain in dBi versus elevation in degrees
+ * @returns {Object} {lobes: [{angle, gain}], main, lower, upper} with main-lobe -3dB limits
+ */
+function elevationLobes(gainAt) {
+    const step = 0.1;
+    const samples = [];
+    for (let angle = 0; angle <= 90 + 1e-9; angle += step) {
+        samples.push({ angle: Math.round(angle * 10) / 10, gain: gainAt(angle) });
+    }
+    
+    // Local maxima with at least 0.5 dB prominence: walk each way until the
+    // pattern rises above the peak, keeping the deepest dip on the way.
+    // Past the zenith the pattern mirrors back onto itself; below the
+    // horizon there is no field.
+    const last = samples.length - 1;
+    const at = (i) => samples[i > last ? 2 * last - i : i].gain;
+    const dip = (i, dir) => {
+        if (i + dir < 0) return -Infinity;
+        let low = Infinity;
+        for (let k = i + dir; k >= 0 && k <= 2 * last && at(k) <= samples[i].gain; k += dir) {
+            low = Math.min(low, at(k));
+        }
+        return low;
+    };
+    const lobes = samples.filter((s, i) => {
+        if ((i > 0 && s.gain <= at(i - 1)) || s.gain < at(i + 1)) return false;
+        return s.gain - Math.max(dip(i, -1), dip(i, 1)) > 0.5;
+    });
+    if (lobes.length === 0) {
+        throw new Error('No lobe above the horizon');
+    }
+    
+    // Equal lobes (perfect ground) resolve to the lowest one
+    const main = lobes.reduce((best, lobe) => lobe.gain > best.gain + 0.05 ? lobe : best);
+    const index = samples.findIndex(s => s.angle === main.angle);
+    let lo = index;
+    let hi = index;
+    while (lo > 0 && samples[lo].gain > main.gain - 3) lo--;
+    while (hi < samples.length - 1 && samples[hi].gain > main.gain - 3) hi++;
+    
+    return {
+        lobes,
+        main,
+        lower: samples[lo].angle,
+        upper: samples[hi].gain > main.gain - 3 ? null : samples[hi].angle
+    };
+}
+
+/**
+ * Elevation pattern and take-off angle of a dipole over real ground
+ */
+function calculateGroundPattern() {
+    const frequency = parseFloat(document.getElementById('ground-freq').value);
+    const freqUnit = document.getElementById('ground-freq-unit').value;
+    const orientation = document.getElementById('ground-antenna').value;
+    const heightInput = parseFloat(document.getElementById('ground-height').value);
+    const heightUnit = document.getElementById('ground-height-unit').value;
+    const groundType = document.getElementById('ground-type').value;
+    const er = parseFloat(document.getElementById('ground-er').value);
+    const sigma = parseFloat(document.getElementById('ground-sigma').value);
+    
+    if (!validateInput(frequency)) {
+        showError('ground-freq', 'Please enter a valid frequency');
+        return;
+    }
+    
+    if (!validateInput(heightInput)) {
+        showError('ground-height', 'Please enter the antenna height');
+        return;
+    }
+    
+    const ground = groundType === 'perfect' ? CONSTANTS.GROUND_TYPES.perfect : { er, sigma };
+    if (groundType !== 'perfect' && (!validateInput(er, 1) || !validateInput(sigma, 0))) {
+        showError('ground-er', 'Please enter the ground permittivity and conductivity');
+        return;
+    }
+    
+    clearError('ground-freq');
+    clearError('ground-height');
+    clearError('ground-er');
+    
+    try {
+        const freqHz = frequency * CONSTANTS.FREQ_UNITS[freqUnit];
+        const wavelength = frequencyToWavelength(freqHz, 'Hz');
+        const heightL = heightUnit === 'wl' ? heightInput :
+            convertUnits(heightInput, heightUnit, 'm', CONSTANTS.LENGTH_UNITS) / wavelength;
+        
+        if (orientation === 'vertical' && heightL < 0.25) {
+            throw new Error('A vertical half-wave dipole needs its centre at least λ/4 above ground');
+        }
+        
+        const gainAt = (h) => {
+            const radiated = groundRadiatedPower(orientation, h, ground, wavelength);
+            return (angle) => groundElevationGain(orientation, h, ground, wavelength, angle * Math.PI / 180, radiated).gain;
+        };
+        const radiated = groundRadiatedPower(orientation, heightL, ground, wavelength);
+        const gainAtHeight = (angle) => groundElevationGain(orientation, heightL, ground, wavelength, angle * Math.PI / 180, radiated).gain;
+        const result = elevationLobes(gainAtHeight);
+        const groundName = groundType === 'custom' ? `εr ${er}, σ ${sigma} S/m` : CONSTANTS.GROUND_TYPES[groundType].name;
+        
+        // Plot data from horizon to horizon; the pattern is symmetric about the zenith
+        const angles = [];
+        const gains = [];
+        const freeSpace = [];
+        for (let angle = 0; angle <= 180; angle += 1) {
+            const point = groundElevationGain(orientation, heightL, ground, wavelength, Math.min(angle, 180 - angle) * Math.PI / 180, radiated);
+            angles.push(angle);
+            gains.push(point.gain);
+            freeSpace.push(point.freeSpace);
+        }
+        groundPattern = {
+            angles,
+            gains,
+            freeSpace,
+            takeoff: result.main.angle,
+            title: `${orientation === 'vertical' ? 'Vertical' : 'Horizontal'} Dipole at ${formatNumber(heightL, 3)}λ over ${groundName}`
+        };
+        
+        // Take-off angle against height
+        const rows = [0.25, 0.375, 0.5, 0.625, 0.75, 1, 1.5, 2].map(h => {
+            const lobes = elevationLobes(gainAt(h));
+            return `
+                        <tr>
+                            <td>${h}</td>
+                            <td>${formatNumber(h * wavelength, 2)}</td>
+                            <td>${formatNumber(lobes.main.angle, 1)}</td>
+                            <td>${formatNumber(lobes.main.gain, 2)}</td>
+                            <td>${formatNumber(lobes.lobes[0].angle, 1)}</td>
+                        </tr>`;
+        });
+        
+        const at = (angle) => formatNumber(gainAtHeight(angle), 2);
+        
+        let html = `
+            <h4>Elevation Pattern Over Ground</h4>
+            <div class="result-grid">
+                <div class="result-item">
+                    <strong>Main Lobe:</strong>
+                    <ul>
+                        <li>Take-off angle: ${formatNumber(result.main.angle, 1)}°</li>
+                        <li>Peak gain: ${formatNumber(result.main.gain, 2)} dBi</li>
+                        <li>-3dB elevation range: ${formatNumber(result.lower, 1)}° to ${result.upper === null ? '90' : formatNumber(result.upper, 1)}°</li>
+                        <li>Lobes above horizon: ${result.lobes.map(l => `${formatNumber(l.angle, 1)}°`).join(', ')}</li>
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>Gain by Elevation:</strong>
+                    <ul>
+                        <li>5°: ${at(5)} dBi</li>
+                        <li>10°: ${at(10)} dBi</li>
+                        <li>20°: ${at(20)} dBi</li>
+                        <li>30°: ${at(30)} dBi</li>
+                        <li>45°: ${at(45)} dBi</li>
+                        <li>90° (zenith): ${at(90)} dBi</li>
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>Setup:</strong>
+                    <ul>
+                        <li>Height: ${formatNumber(heightL, 3)}λ (${formatNumber(heightL * wavelength, 2)} m)</li>
+                        <li>Ground: ${groundName}</li>
+                        ${isFinite(ground.sigma) ? `<li>Complex permittivity: ${formatNumber(ground.er, 3)} − j${formatNumber(60 * wavelength * ground.sigma, 3)}</li>` : ''}
+                    </ul>
+                </div>
+            </div>
+            
+            <div class="iot-table-scroll">
+                <table class="iot-comparison-table">
+                    <thead>
+                        <tr>
+                            <th>Height (λ)</th>
+                            <th>Height (m)</th>
+                            <th>Take-off (°)</th>
+                            <th>Peak gain (dBi)</th>
+                            <th>Lowest lobe (°)</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows.join('')}
+                    </tbody>
+                </table>
+            </div>
+            
+            <button class="btn" onclick="plotGroundPattern()">Plot Elevation Pattern</button>
+            
+            <div class="info-section">
+                <p><strong>Notes:</strong></p>
+                <ul>
+                    <li>Image theory with Fresnel reflection: half-wave dipole far field plus its ground-reflected ray</li>
+                    <li>${orientation === 'vertical' ?
+                        'Vertical polarization: real ground cancels the field at the horizon (pseudo-Brewster angle)' :
+                        'Horizontal dipole, vertical plane broadside to the wire'}</li>
+                    <li>Gain is normalized to the power radiated into the upper hemisphere at each height; power absorbed by real ground and near-field ground losses are not included, so lossy-ground figures are upper bounds</li>
+                </ul>
+            </div>`;
+        
+        document.getElementById('ground-results').innerHTML = html;
+        
+    } catch (error) {
+        document.getElementById('ground-results').innerHTML = 
+            `<div class="error">Error: ${error.message}</div>`;
+    }
+}
+
+/**
+ * Plot the latest elevation pattern over ground
+ */
+function plotGroundPattern() {
+    if (!groundPattern) return;
+    showChart('elevation', groundPattern);
+}
+
+// Latest short-vertical elevation pattern, kept for plotting
+let verticalPattern = null;
+
+/**
+ * Relative current along a loaded vertical, normalized to the base current
+ * @param {string} loading - 'base', 'center' or 'tophat'
+ * @param {number} height - Radiator height in meters
+ * @param {number} coilHeight - Height of the loading coil in meters (0 for base loading)
+ * @param {number} k - Wavenumber in rad/m
+ * @returns {Function} I(z)/I0 for 0 ≤ z ≤ height
+ */
+function verticalCurrent(loading, height, coilHeight, k) {
+    // A top hat makes the radiator the lower part of a λ/4 standing wave
+    if (loading === 'tophat') {
+        return (z) => Math.cos(k * z);
+    }
+    
+    // Below the coil the same, above it a sinusoid falling to zero at the tip
+    const coilCurrent = Math.cos(k * coilHeight);
+    const above = Math.sin(k * (height - coilHeight));
+    return (z) => z < coilHeight ? Math.cos(k * z) :
+        coilCurrent * Math.sin(k * (height - z)) / above;
+}
+
+/**
+ * Ground loss of a vertical over buried radials (Wait-Pope surface impedance)
+ * @param {Function} current - I(z)/I0 along the radiator
+ * @param {number} height - Radiator height in meters
+ * @param {number} wavelength - Wavelength in meters
+ * @param {Object} ground - {er, sigma}; sigma = Infinity for perfect ground
+ * @param {Object} radials - {count, length, wireRadius} in meters
+ * @returns {number} Ground loss resistance referred to the base current, in ohms
+ */
+function verticalGroundLoss(current, height, wavelength, ground, radials) {
+    if (!isFinite(ground.sigma)) return 0;
+    
+    const k = 2 * Math.PI / wavelength;
+    const eta0 = CONSTANTS.FREE_SPACE_IMPEDANCE;
+    
+    // Earth surface impedance Ze = η0/√εc
+    const epsilonIm = -60 * wavelength * ground.sigma;
+    const mag = Math.hypot(ground.er, epsilonIm);
+    const rootRe = Math.sqrt((mag + ground.er) / 2);
+    const rootIm = -Math.sqrt((mag - ground.er) / 2);
+    const rootMag = rootRe * rootRe + rootIm * rootIm;
+    const earthRe = eta0 * rootRe / rootMag;
+    const earthIm = -eta0 * rootIm / rootMag;
+    
+    // Resistive part of the surface impedance: earth in parallel with the
+    // inductive radial screen jX = jη0·(d/λ)·ln(d/2πa), d = spacing between radials
+    const surfaceResistance = (rho) => {
+        if (rho > radials.length) return earthRe;
+        const spacing = 2 * Math.PI * rho / radials.count;
+        const x = Math.max(0, eta0 * spacing / wavelength * Math.log(spacing / (2 * Math.PI * radials.wireRadius)));
+        const numRe = -earthIm * x;
+        const numIm = earthRe * x;
+        const denIm = earthIm + x;
+        return (numRe * earthRe + numIm * denIm) / (earthRe * earthRe + denIm * denIm);
+    };
+    
+    // Tangential H at the surface from the radiator and its image, per unit base current
+    const magneticField = (rho) => {
+        const term = (z, imaginary) => {
+            const r = Math.hypot(rho, z);
+            const kr = k * r;
+            const value = imaginary ?
+                k * Math.cos(kr) - Math.sin(kr) / r :
+                Math.cos(kr) / r + k * Math.sin(kr);
+            return current(z) * value * rho / (r * r);
+        };
+        const re = simpsonIntegral(z => term(z, false), 0, height, 40);
+        const im = simpsonIntegral(z => term(z, true), 0, height, 40);
+        return Math.hypot(re, im) / (2 * Math.PI);
+    };
+    
+    // Dissipated power ∫Rs·|H|²·2πρ dρ on a logarithmic radius scale
+    const inner = 0.01 * wavelength / radials.count;
+    const outer = Math.max(radials.length, CONSTANTS.ANTENNA.VERTICAL.GROUND_LOSS_RADIUS * wavelength);
+    return simpsonIntegral(u => {
+        const rho = inner * Math.exp(u);
+        const h = magneticField(rho);
+        return surfaceResistance(rho) * h * h * 2 * Math.PI * rho * rho;
+    }, 0, Math.log(outer / inner), 300);
+}
+
+/**
+ * Resonate a short vertical with a loading coil or top hat and estimate its losses
+ * @param {number} freqHz - Frequency in Hz
+ * @param {Object} vertical - {height, diameter, loading, conductivity, coilQ, ground, radials}
+ * @returns {Object} Loading element, resistances, efficiency, Q and current distribution
+ */
+function designShortVertical(freqHz, vertical) {
+    const wavelength = CONSTANTS.SPEED_OF_LIGHT / freqHz;
+    const k = 2 * Math.PI / wavelength;
+    const omega = 2 * Math.PI * freqHz;
+    const h = vertical.height;
+    
+    // Radiator as a single-wire line over ground
+    const z0 = 60 * (Math.log(4 * h / vertical.diameter) - 1);
+    const coilHeight = vertical.loading === 'center' ? h / 2 : 0;
+    
+    // Line above the loading point, open or capacitively loaded, seen from below
+    const upward = (x, length, kk) => {
+        const t = Math.tan(kk * length);
+        return z0 * (x + z0 * t) / (z0 - x * t);
+    };
+    
+    let inductance = 0;
+    let capacitance = 0;
+    if (vertical.loading === 'tophat') {
+        // The hat must look like the missing λ/4 − h of open line
+        capacitance = Math.tan(k * (wavelength / 4 - h)) / (omega * z0);
+    } else {
+        // X_L = Z0·[cot(k·(h − hc)) − tan(k·hc)]
+        inductance = z0 * (1 / Math.tan(k * (h - coilHeight)) - Math.tan(k * coilHeight)) / omega;
+    }
+    
+    // Input reactance off resonance with the loading fixed, for the Q estimate
+    const reactanceAt = (f) => {
+        const kk = 2 * Math.PI * f / CONSTANTS.SPEED_OF_LIGHT;
+        const w = 2 * Math.PI * f;
+        if (vertical.loading === 'tophat') {
+            return upward(-1 / (w * capacitance), h, kk);
+        }
+        const top = -z0 / Math.tan(kk * (h - coilHeight));
+        return coilHeight > 0 ?
+            upward(top + w * inductance, coilHeight, kk) :
+            top + w * inductance;
+    };
+    
+    const current = verticalCurrent(vertical.loading, h, coilHeight, k);
+    const effectiveHeight = simpsonIntegral(current, 0, h, 100);
+    const radiationResistance = 160 * Math.PI * Math.PI * Math.pow(effectiveHeight / wavelength, 2);
+    
+    // Coil and radiator losses referred to the base current
+    const coilResistance = inductance > 0 ? omega * inductance / vertical.coilQ : 0;
+    const coilLoss = coilResistance * Math.pow(current(coilHeight), 2);
+    const surfaceResistance = Math.sqrt(Math.PI * freqHz * CONSTANTS.MU0 / vertical.conductivity);
+    const conductorLoss = surfaceResistance / (Math.PI * vertical.diameter) *
+        simpsonIntegral(z => Math.pow(current(z), 2), 0, h, 100);
+    const groundLoss = verticalGroundLoss(current, h, wavelength, vertical.ground, vertical.radials);
+    const totalResistance = radiationResistance + coilLoss + conductorLoss + groundLoss;
+    
+    const delta = 0.001;
+    const q = (reactanceAt(freqHz * (1 + delta)) - reactanceAt(freqHz * (1 - delta))) / (4 * delta * totalResistance);
+    
+    return {
+        wavelength,
+        z0,
+        coilHeight,
+        inductance,
+        capacitance,
+        coilResistance,
+        effectiveHeight,
+        radiationResistance,
+        coilLoss,
+        conductorLoss,
+        groundLoss,
+        totalResistance,
+        efficiency: radiationResistance / totalResistance,
+        q,
+        bandwidthVswr2: freqHz / (q * Math.SQRT2),
+        current
+    };
+}
+
+/**
+ * Turns of a single-layer air-wound coil (Wheeler)
+ * @param {number} inductance - Inductance in henries
+ * @param {number} diameter - Coil diameter in meters
+ * @param {number} pitch - Turn spacing in meters
+ * @returns {number} Number of turns
+ */
+function wheelerCoilTurns(inductance, diameter, pitch) {
+    // L[µH] = d²·n²/(18·d + 40·ℓ) with d and ℓ = n·p in inches
+    const l = inductance * 1e6;
+    const d = diameter / 0.0254;
+    const p = pitch / 0.0254;
+    return (40 * l * p + Math.sqrt(Math.pow(40 * l * p, 2) + 72 * l * Math.pow(d, 3))) / (2 * d * d);
+}
+
+/**
+ * Design a short loaded vertical with its radial ground system
+ */
+function calculateVertical() {
+    const frequency = parseFloat(document.getElementById('vert-freq').value);
+    const freqUnit = document.getElementById('vert-freq-unit').value;
+    const heightInput = parseFloat(document.getElementById('vert-height').value);
+    const heightUnit = document.getElementById('vert-height-unit').value;
+    const diameterMm = parseFloat(document.getElementById('vert-diameter').value);
+    const material = CONSTANTS.CONDUCTORS[document.getElementById('vert-material').value];
+    const loading = document.getElementById('vert-loading').value;
+    const coilDiameterMm = parseFloat(document.getElementById('vert-coil-diameter').value);
+    const wireDiameterMm = parseFloat(document.getElementById('vert-coil-wire').value);
+    const pitchInput = parseFloat(document.getElementById('vert-coil-pitch').value);
+    const coilQ = parseFloat(document.getElementById('vert-coil-q').value) || CONSTANTS.ANTENNA.VERTICAL.DEFAULT_COIL_Q;
+    const radialCount = parseInt(document.getElementById('vert-radials').value);
+    const radialInput = parseFloat(document.getElementById('vert-radial-length').value);
+    const radialUnit = document.getElementById('vert-radial-length-unit').value;
+    const groundType = document.getElementById('vert-ground-type').value;
+    const limits = CONSTANTS.ANTENNA.VERTICAL;
+    
+    if (!validateInput(frequency)) {
+        showError('vert-freq', 'Please enter a valid frequency');
+        return;
+    }
+    
+    if (!validateInput(heightInput)) {
+        showError('vert-height', 'Please enter the radiator height');
+        return;
+    }
+    
+    if (!validateInput(diameterMm)) {
+        showError('vert-diameter', 'Please enter the radiator diameter');
+        return;
+    }
+    
+    if (loading !== 'tophat' && (!validateInput(coilDiameterMm) || !validateInput(wireDiameterMm))) {
+        showError('vert-coil-diameter', 'Please enter the coil former and wire diameters');
+        return;
+    }
+    
+    if (!isNaN(pitchInput) && !validateInput(pitchInput, wireDiameterMm)) {
+        showError('vert-coil-pitch', 'Turn pitch must be at least the wire diameter');
+        return;
+    }
+    
+    if (!validateInput(radialCount, 1, limits.MAX_RADIALS) || !validateInput(radialInput)) {
+        showError('vert-radials', `Please enter 1-${limits.MAX_RADIALS} radials and their length`);
+        return;
+    }
+    
+    clearError('vert-freq');
+    clearError('vert-height');
+    clearError('vert-diameter');
+    clearError('vert-coil-diameter');
+    clearError('vert-coil-pitch');
+    clearError('vert-radials');
+    
+    try {
+        const freqHz = frequency * CONSTANTS.FREQ_UNITS[freqUnit];
+        const wavelength = CONSTANTS.SPEED_OF_LIGHT / freqHz;
+        const height = convertUnits(heightInput, heightUnit, 'm', CONSTANTS.LENGTH_UNITS);
+        const diameter = diameterMm / 1000;
+        const radialLength = radialUnit === 'wl' ? radialInput * wavelength :
+            convertUnits(radialInput, radialUnit, 'm', CONSTANTS.LENGTH_UNITS);
+        const ground = CONSTANTS.GROUND_TYPES[groundType];
+        
+        if (height >= wavelength / 4) {
+            throw new Error(`Radiator is ${formatNumber(height / wavelength, 3)}λ tall - a vertical of λ/4 or more needs no loading`);
+        }
+        
+        if (diameter * 20 > height) {
+            throw new Error('Radiator is too thick for its height');
+        }
+        
+        const vertical = {
+            height,
+            diameter,
+            loading,
+            conductivity: material.conductivity,
+            coilQ,
+            ground,
+            radials: { count: radialCount, length: radialLength, wireRadius: limits.RADIAL_WIRE_DIAMETER / 2 }
+        };
+        const design = designShortVertical(freqHz, vertical);
+        const gain = 10 * Math.log10(3 * design.efficiency);
+        const gamma = Math.abs(design.totalResistance - 50) / (design.totalResistance + 50);
+        const loadingNames = { base: 'Base-loaded', center: 'Centre-loaded', tophat: 'Top-hat loaded' };
+        
+        // Loading element
+        let loadingHtml;
+        if (loading === 'tophat') {
+            // Isolated disc: C = 8·ε0·r
+            const epsilon0 = 1 / (CONSTANTS.MU0 * CONSTANTS.SPEED_OF_LIGHT * CONSTANTS.SPEED_OF_LIGHT);
+            const hatDiameter = design.capacitance / (4 * epsilon0);
+            loadingHtml = `
+                        <li>Top-hat capacitance: ${formatNumber(design.capacitance * 1e12, 2)} pF</li>
+                        <li>Disc diameter: ${formatNumber(hatDiameter, 3)} m</li>
+                        <li>Hat reactance: -${formatNumber(1 / (2 * Math.PI * freqHz * design.capacitance), 1)} Ω</li>`;
+            vertical.hatDiameter = hatDiameter;
+        } else {
+            const coilDiameter = coilDiameterMm / 1000;
+            const pitch = (isNaN(pitchInput) ? wireDiameterMm : pitchInput) / 1000;
+            const turns = wheelerCoilTurns(design.inductance, coilDiameter, pitch);
+            loadingHtml = `
+                        <li>Loading inductance: ${formatNumber(design.inductance * 1e6, 3)} µH</li>
+                        <li>Reactance: ${formatNumber(2 * Math.PI * freqHz * design.inductance, 1)} Ω</li>
+                        <li>Turns: ${formatNumber(turns, 1)} on a ${formatNumber(coilDiameterMm, 3)} mm former</li>
+                        <li>Coil length: ${formatNumber(turns * pitch * 1000, 1)} mm (${formatNumber(pitch * 1000, 2)} mm pitch)</li>
+                        <li>Position: ${loading === 'center' ? `${formatNumber(design.coilHeight, 3)} m above the feed` : 'at the feed point'}</li>`;
+        }
+        
+        // Same antenna with other radial counts
+        const radialRows = !isFinite(ground.sigma) ? [] : limits.RADIAL_COUNTS.map(count => {
+            const point = designShortVertical(freqHz, { ...vertical, radials: { ...vertical.radials, count } });
+            return `
+                        <tr${count === radialCount ? ' class="highlight-row"' : ''}>
+                            <td>${count}</td>
+                            <td>${formatNumber(point.groundLoss, 2)}</td>
+                            <td>${formatNumber(point.totalResistance, 2)}</td>
+                            <td>${formatNumber(point.efficiency * 100, 1)}</td>
+                            <td>${formatNumber(10 * Math.log10(3 * point.efficiency), 2)}</td>
+                        </tr>`;
+        });
+        
+        // Elevation pattern: short monopole with its image over the chosen ground
+        const gainAt = (angle) => {
+            const psi = angle * Math.PI / 180;
+            let reflection = 1;
+            if (isFinite(ground.sigma)) {
+                const gammaV = fresnelReflection(ground.er, -60 * wavelength * ground.sigma, psi, 'vertical');
+                reflection = Complex.abs({ re: 1 + gammaV.re, im: gammaV.im }) / 2;
+            }
+            return 10 * Math.log10(Math.max(3 * design.efficiency * Math.pow(Math.cos(psi) * reflection, 2), 1e-12));
+        };
+        const lobes = elevationLobes(gainAt);
+        const angles = [];
+        const gains = [];
+        const ideal = [];
+        for (let angle = 0; angle <= 180; angle += 1) {
+            const psi = Math.min(angle, 180 - angle);
+            angles.push(angle);
+            gains.push(gainAt(psi));
+            ideal.push(10 * Math.log10(Math.max(3 * Math.pow(Math.cos(psi * Math.PI / 180), 2), 1e-12)));
+        }
+        verticalPattern = {
+            angles,
+            gains,
+            freeSpace: ideal,
+            referenceLabel: 'Lossless, perfect ground (dBi)',
+            takeoff: lobes.main.angle,
+            title: `${loadingNames[loading]} ${formatNumber(height, 3)} m Vertical over ${ground.name}`
+        };
+        
+        const notes = [];
+        if (height / wavelength < 0.05) {
+            notes.push('⚠ Very short radiator: efficiency and bandwidth are dominated by losses and the loading element');
+        }
+        if (loading !== 'tophat' && coilDiameterMm * 10 > height * 1000) {
+            notes.push('⚠ Coil former is large compared with the radiator - the lumped-coil model is approximate');
+        }
+        if (loading === 'tophat' && vertical.hatDiameter > height) {
+            notes.push('⚠ Top hat is wider than the radiator is tall - add a loading coil as well');
+        }
+        if (radialLength < 0.1 * wavelength && isFinite(ground.sigma)) {
+            notes.push('⚠ Radials shorter than 0.1λ - adding length helps more than adding radials');
+        }
+        
+        const feedRatio = design.totalResistance / 50;
+        const feedNote = Math.abs(feedRatio - 1) < 0.1 ?
+            `Feed resistance of ${formatNumber(design.totalResistance, 1)} Ω is within 10% of 50 Ω - feed directly with 50 Ω coax` :
+            feedRatio < 1 ?
+            `Feed resistance of ${formatNumber(design.totalResistance, 1)} Ω is below 50 Ω - match with an L-network or a ${formatNumber(1 / feedRatio, 2)}:1 unun from 50 Ω down to the feed` :
+            `Feed resistance of ${formatNumber(design.totalResistance, 1)} Ω is above 50 Ω - match with an L-network or a ${formatNumber(feedRatio, 2)}:1 unun from the feed down to 50 Ω`;
+        
+        let html = `
+            <h4>${loadingNames[loading]} Short Vertical</h4>
+            <div class="result-grid">
+                <div class="result-item">
+                    <strong>Radiator:</strong>
+                    <ul>
+                        <li>Height: ${formatNumber(height, 3)} m (${formatNumber(height / wavelength, 4)}λ, ${formatNumber(height / wavelength * 360, 1)}°)</li>
+                        <li>Characteristic impedance: ${formatNumber(design.z0, 1)} Ω</li>
+                        <li>Effective height: ${formatNumber(design.effectiveHeight, 3)} m</li>
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>${loading === 'tophat' ? 'Top Hat' : 'Loading Coil'}:</strong>
+                    <ul>${loadingHtml}
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>Resistances (at the feed):</strong>
+                    <ul>
+                        <li>Radiation: ${formatNumber(design.radiationResistance, 3)} Ω</li>
+                        ${loading !== 'tophat' ? `<li>Coil loss (Q ${formatNumber(coilQ, 0)}): ${formatNumber(design.coilLoss, 3)} Ω</li>` : ''}
+                        <li>Conductor loss: ${formatNumber(design.conductorLoss, 3)} Ω</li>
+                        <li>Ground loss${isFinite(ground.sigma) ? ` (${radialCount} radials)` : ''}: ${formatNumber(design.groundLoss, 3)} Ω</li>
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>Performance:</strong>
+                    <ul>
+                        <li>Feedpoint impedance: ${formatNumber(design.totalResistance, 2)} + j0 Ω</li>
+                        <li>VSWR (50 Ω): ${formatNumber(gammaToVSWR(gamma), 2)}:1</li>
+                        <li>Efficiency: ${formatNumber(design.efficiency * 100, 2)}% (${formatNumber(10 * Math.log10(design.efficiency), 2)} dB)</li>
+                        <li>Gain: ${formatNumber(gain, 2)} dBi (perfect-ground directivity 4.77 dBi)</li>
+                        <li>Q: ${formatNumber(design.q, 0)}</li>
+                        <li>2:1 VSWR bandwidth: ${formatNumber(design.bandwidthVswr2 / 1e3, 2)} kHz (matched)</li>
+                        <li>Take-off angle: ${formatNumber(lobes.main.angle, 1)}° (${formatNumber(lobes.main.gain, 2)} dBi)</li>
+                    </ul>
+                </div>
+            </div>
+            
+            ${radialRows.length ? `<div class="iot-table-scroll">
+                <table class="iot-comparison-table">
+                    <thead>
+                        <tr>
+                            <th>Radials</th>
+                            <th>Ground loss (Ω)</th>
+                            <th>Feed R (Ω)</th>
+                            <th>Efficiency (%)</th>
+                            <th>Gain (dBi)</th>
+                        </tr>
+                    </thead>
+                    <tbody>${radialRows.join('')}
+                    </tbody>
+                </table>
+            </div>` : ''}
+            
+            <button class="btn" onclick="plotVerticalPattern()">Plot Elevation Pattern</button>
+            
+            <div class="info-section">
+                <p><strong>Notes:</strong></p>
+                <ul>
+                    ${notes.map(note => `<li>${note}</li>`).join('')}
+                    <li>Loading from the radiator's transmission-line model; coil turns from Wheeler's formula for a single-layer air coil</li>
+                    <li>${isFinite(ground.sigma) ?
+                        `Ground loss from the Wait-Pope surface impedance of ${radialCount} buried ${formatNumber(radialLength, 3)} m radials over ${ground.name.toLowerCase()}, out to ${limits.GROUND_LOSS_RADIUS}λ` :
+                        'Perfect ground: no ground loss, as for a vertical on a large metal roof or sea-water ground plane'}</li>
+                    <li>${feedNote}</li>
+                </ul>
+            </div>`;
+        
+        document.getElementById('vert-results').innerHTML = html;
+        
+    } catch (error) {
+        document.getElementById('vert-results').innerHTML = 
+            `<div class="error">Error: ${error.message}</div>`;
+    }
+}
+
+/**
+ * Plot the latest short-vertical elevation pattern
+ */
+function plotVerticalPattern() {
+    if (!verticalPattern) return;
+    showChart('elevation', verticalPattern);
+}
+
+// Imported vendor patterns, selectable as link-budget antennas
+const importedPatterns = [];
+
+// Link-budget antenna selectors filled with the imported patterns
+const LINK_ANTENNA_SELECTS = ['lb-tx-antenna', 'lb-rx-antenna', 'iot-lb-tx-antenna', 'iot-lb-rx-antenna'];
+
+/**
+ * Pick a pattern file and load it into the pattern importer
+ */
+function importPatternFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.msi,.ant,.csv,.txt,.pln';
+    
+    input.onchange = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            document.getElementById('pattern-file-text').value = e.target.result;
+            loadAntennaPattern(file.name);
+        };
+        
+        reader.readAsText(file);
+    };
+    
+    input.click();
+}
+
+/**
+ * Parse the pasted pattern file and add it to the imported patterns
+ * @param {string} fileName - Name of the loaded file, used for format detection and naming
+ */
+function loadAntennaPattern(fileName = '') {
+    const text = document.getElementById('pattern-file-text').value;
+    const format = document.getElementById('pattern-format').value;
+    const nameInput = document.getElementById('pattern-name').value.trim();
+    const gainInput = parseFloat(document.getElementById('pattern-gain').value);
+    
+    if (!text.trim()) {
+        showError('pattern-file-text', 'Paste a pattern file or load one');
+        return;
+    }
+    
+    clearError('pattern-file-text');
+    
+    try {
+        const parsed = parsePatternFile(text, format, fileName);
+        const warnings = [...parsed.warnings];
+        
+        // An entered peak gain overrides the file
+        let gain = parsed.gain;
+        if (!isNaN(gainInput)) {
+            gain = gainInput;
+        } else if (gain === null) {
+            throw new Error('The file has no peak gain - enter it in Peak Gain');
+        }
+        
+        const pattern = {
+            name: nameInput || parsed.name || fileName.replace(/\.\w+$/, '') || `Pattern ${importedPatterns.length + 1}`,
+            format: parsed.format,
+            frequency: parsed.frequency,
+            gain,
+            horizontal: parsed.horizontal,
+            vertical: parsed.vertical
+        };
+        
+        importedPatterns.push(pattern);
+        refreshLinkAntennaSelects();
+        renderImportedPatterns(importedPatterns.length - 1, warnings);
+        
+    } catch (error) {
+        document.getElementById('pattern-results').innerHTML = 
+            `<div class="error">Error: ${error.message}</div>`;
+    }
+}
+
+/**
+ * List the imported patterns with their beamwidths and plot buttons
+ * @param {number} latest - Index of the pattern just imported
+ * @param {Array} warnings - Import warnings for the latest pattern
+ */
+function renderImportedPatterns(latest, warnings = []) {
+    const formatNames = { msi: 'MSI/Planet', ant: '.ant', csv: 'CSV' };
+    const degrees = (value) => value === null ? '—' : `${formatNumber(value, 1)}°`;
+    
+    const rows = importedPatterns.map((pattern, i) => {
+        const h = patternCutSummary(pattern.horizontal);
+        const v = patternCutSummary(pattern.vertical);
+        return `
+                    <tr${i === latest ? ' class="highlight-row"' : ''}>
+                        <td>${escapeHtml(pattern.name)}</td>
+                        <td>${formatNames[pattern.format]}</td>
+                        <td>${pattern.frequency ? `${formatNumber(pattern.frequency / 1e6, 3)} MHz` : '—'}</td>
+                        <td>${formatNumber(pattern.gain, 2)} dBi</td>
+                        <td>${degrees(h.beamwidth)}</td>
+                        <td>${degrees(v.beamwidth)}</td>
+                        <td>${h.frontToBack === null ? '—' : `${formatNumber(h.frontToBack, 1)} dB`}</td>
+                        <td><button class="btn" onclick="plotImportedPattern(${i})">Plot</button></td>
+                    </tr>`;
+    });
+    
+    let html = `
+        <h4>Imported Patterns</h4>
+        <div class="iot-table-scroll">
+            <table class="iot-comparison-table">
+                <thead>
+                    <tr>
+                        <th>Name</th>
+                        <th>Format</th>
+                        <th>Frequency</th>
+                        <th>Peak Gain</th>
+                        <th>H 3dB BW</th>
+                        <th>V 3dB BW</th>
+                        <th>F/B</th>
+                        <th>Plot</th>
+                    </tr>
+                </thead>
+                <tbody>${rows.join('')}
+                </tbody>
+            </table>
+        </div>
+        
+        <div class="info-section">
+            <p><strong>Notes:</strong></p>
+            <ul>
+                ${warnings.map(warning => `<li>⚠ ${escapeHtml(warning)}</li>`).join('')}
+                <li>Imported patterns can be selected as the TX or RX antenna in the Link Budget and IoT Link Budget calculators</li>
+                <li>Off-axis gain adds the horizontal-cut attenuation to the vertical cut, blending its front and rear halves by the azimuth off boresight</li>
+                <li>Vertical angles follow the MSI convention: 0° is the forward horizon and 90° points straight down</li>
+            </ul>
+        </div>`;
+    
+    document.getElementById('pattern-results').innerHTML = html;
+}
+
+/**
+ * Plot both cuts of an imported pattern in the radiation pattern view
+ * @param {number} index - Index in importedPatterns
+ */
+function plotImportedPattern(index) {
+    const pattern = importedPatterns[index];
+    if (!pattern) return;
+    
+    // Plot angles run counter-clockwise from boresight with elevation upwards,
+    // while MSI cuts run clockwise and downwards
+    const cuts = [];
+    if (pattern.horizontal.length) {
+        cuts.push({ label: 'Horizontal', pattern: pattern.horizontal.map(p => ({ angle: -p.angle, gain: p.gain })) });
+    }
+    if (pattern.vertical.length) {
+        cuts.push({ label: 'Vertical', pattern: pattern.vertical.map(p => ({ angle: -p.angle, gain: p.gain })) });
+    }
+    
+    showChart('radiation', {
+        antennaType: pattern.name,
+        parameters: {
+            cuts,
+            gainAt: (azimuth, elevation) => patternGain(pattern, -azimuth, elevation) - pattern.gain,
+            gainOffset: pattern.gain,
+            method: 'imported'
+        }
+    });
+}
+
+/**
+ * Fill the link-budget antenna selectors with the imported patterns
+ */
+function refreshLinkAntennaSelects() {
+    LINK_ANTENNA_SELECTS.forEach(id => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        
+        const current = select.value;
+        select.innerHTML = '<option value="manual">Fixed gain</option>';
+        importedPatterns.forEach((pattern, i) => {
+            const option = document.createElement('option');
+            option.value = i;
+            option.textContent = pattern.name;
+            select.appendChild(option);
+        });
+        select.value = current in importedPatterns ? current : 'manual';
+    });
+}
+
+/**
+ * Show the pointing inputs of a link budget when a pattern is selected
+ * @param {string} prefix - Calculator id prefix ('lb' or 'iot-lb')
+ */
+function handleLinkAntennaChange(prefix) {
+    ['tx', 'rx'].forEach(side => {
+        const usesPattern = document.getElementById(`${prefix}-${side}-antenna`).value !== 'manual';
+        document.getElementById(`${prefix}-${side}-gain`).disabled = usesPattern;
+        document.getElementById(`${prefix}-${side}-pointing-group`).style.display = usesPattern ? '' : 'none';
+    });
+}
+
+/**
+ * Antenna gain for one end of a link: the fixed gain, or an imported
+ * pattern looked up at the pointing angle
+ * @param {string} prefix - Calculator id prefix ('lb' or 'iot-lb')
+ * @param {string} side - 'tx' or 'rx'
+ * @param {number} fixedGain - Gain in dBi when no pattern is selected
+ * @param {number} freqHz - Link frequency in Hz, checked against the pattern
+ * @returns {Object} {gain, description, warning} with the text parts HTML-escaped
+ */
+function linkAntennaGain(prefix, side, fixedGain, freqHz) {
+    const select = document.getElementById(`${prefix}-${side}-antenna`);
+    const pattern = select ? importedPatterns[select.value] : null;
+    if (!pattern) {
+        return { gain: fixedGain, description: '', warning: null };
+    }
+    
+    const azimuth = parseFloat(document.getElementById(`${prefix}-${side}-azimuth`).value) || 0;
+    const elevation = parseFloat(document.getElementById(`${prefix}-${side}-elevation`).value) || 0;
+    
+    if (Math.abs(elevation) > 90) {
+        throw new Error(`${side.toUpperCase()} elevation should be between -90° and 90°`);
+    }
+    
+    const offBand = pattern.frequency && Math.abs(freqHz / pattern.frequency - 1) > 0.1;
+    const name = escapeHtml(pattern.name);
+    
+    return {
+        gain: patternGain(pattern, azimuth, elevation),
+        description: `${name}, ${formatNumber(azimuth, 1)}° az / ${formatNumber(elevation, 1)}° el off boresight`,
+        warning: offBand ?
+            `${side.toUpperCase()} pattern ${name} was measured at ${formatNumber(pattern.frequency / 1e6, 3)} MHz` : null
+    };
+}
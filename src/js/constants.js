@@ -3,6 +3,9 @@ const CONSTANTS = {
     SPEED_OF_LIGHT: 299792458, // m/s
     PI: Math.PI,
     TWO_PI: 2 * Math.PI,
+    MU0: 4e-7 * Math.PI, // H/m, free-space permeability
+    BOLTZMANN: 1.380649e-23, // J/K
+    T0: 290, // K, noise figure reference temperature
     
     // Common impedances
     FREE_SPACE_IMPEDANCE: 376.730313668, // ohms
@@ -21,6 +24,7 @@ const CONSTANTS = {
         'mm': 0.001,
         'ft': 0.3048,
         'inches': 0.0254,
+        'mil': 0.0000254,
         'km': 1000,
         'miles': 1609.34
     },
@@ -37,7 +41,8 @@ const CONSTANTS = {
         'mF': 1e-3,
         'uF': 1e-6,
         'nF': 1e-9,
-        'pF': 1e-12
+        'pF': 1e-12,
+        'fF': 1e-15
     },
     
     RESISTANCE_UNITS: {
@@ -46,6 +51,24 @@ const CONSTANTS = {
         'mohm': 1e6
     },
     
+    // Standard component values per decade (IEC 60063)
+    E_SERIES: {
+        E6: [1.0, 1.5, 2.2, 3.3, 4.7, 6.8],
+        E12: [1.0, 1.2, 1.5, 1.8, 2.2, 2.7, 3.3, 3.9, 4.7, 5.6, 6.8, 8.2],
+        E24: [1.0, 1.1, 1.2, 1.3, 1.5, 1.6, 1.8, 2.0, 2.2, 2.4, 2.7, 3.0,
+              3.3, 3.6, 3.9, 4.3, 4.7, 5.1, 5.6, 6.2, 6.8, 7.5, 8.2, 9.1],
+        E96: [
+            1.00, 1.02, 1.05, 1.07, 1.10, 1.13, 1.15, 1.18, 1.21, 1.24, 1.27, 1.30,
+            1.33, 1.37, 1.40, 1.43, 1.47, 1.50, 1.54, 1.58, 1.62, 1.65, 1.69, 1.74,
+            1.78, 1.82, 1.87, 1.91, 1.96, 2.00, 2.05, 2.10, 2.15, 2.21, 2.26, 2.32,
+            2.37, 2.43, 2.49, 2.55, 2.61, 2.67, 2.74, 2.80, 2.87, 2.94, 3.01, 3.09,
+            3.16, 3.24, 3.32, 3.40, 3.48, 3.57, 3.65, 3.74, 3.83, 3.92, 4.02, 4.12,
+            4.22, 4.32, 4.42, 4.53, 4.64, 4.75, 4.87, 4.99, 5.11, 5.23, 5.36, 5.49,
+            5.62, 5.76, 5.90, 6.04, 6.19, 6.34, 6.49, 6.65, 6.81, 6.98, 7.15, 7.32,
+            7.50, 7.68, 7.87, 8.06, 8.25, 8.45, 8.66, 8.87, 9.09, 9.31, 9.53, 9.76
+        ]
+    },
+    
     POWER_UNITS: {
         'W': 1,
         'mW': 1e-3,
@@ -64,12 +87,192 @@ const CONSTANTS = {
         YAGI: {
             REFLECTOR_RATIO: 1.05, // Reflector length as ratio of driven element
             DIRECTOR_RATIO: 0.9,    // Director length as ratio of driven element
-            TYPICAL_SPACING: 0.15,  // Typical spacing in wavelengths
-            GAIN_PER_DIRECTOR: 1.2, // Approximate gain increase per director (dB)
-            BASE_GAIN: 2.14        // Dipole gain in dBi
+            TYPICAL_SPACING: 0.15   // Typical spacing in wavelengths
+        },
+        
+        // Thin-wire method-of-moments solver settings
+        MOM: {
+            SEGMENTS_PER_WAVELENGTH: 40, // Segment density along each wire
+            MIN_SEGMENTS: 9,             // Fewest segments on any element (odd, so the centre is a segment)
+            JUNCTION_TOLERANCE: 0.01,    // Wire ends closer than this fraction of a segment are joined
+            DEFAULT_WIRE_DIAMETER: 0.002, // m, used when no diameter is given
+            LOOP_POLYGON_SIDES: 16,       // Circular loops are modeled as polygons
+            MAX_SEGMENTS: 800,           // Largest imported model solved in the browser
+            RESONANCE_TOLERANCE: 0.5,    // ohms of feed reactance when trimming to resonance
+            RESONANCE_ITERATIONS: 10
+        },
+        
+        // Yagi optimizer search limits (wavelengths) and step sizes
+        YAGI_OPTIMIZER: {
+            SEGMENTS_PER_WAVELENGTH: 20, // Coarser mesh while searching
+            MIN_LENGTH: 0.35,
+            MAX_LENGTH: 0.6,
+            MIN_SPACING: 0.05,
+            MAX_SPACING: 0.5,
+            LENGTH_STEP: 0.01,
+            SPACING_STEP: 0.02,
+            MIN_STEP: 0.0005,
+            FB_CAP: 30,                  // dB; deeper nulls are not rewarded
+            RETURN_LOSS_CAP: 30,
+            MIN_FEED_RESISTANCE: 10,     // ohms; guards against super-gain designs
+            MAX_FEED_REACTANCE: 25,      // ohms left after trimming the driven element
+            DRIVEN_STEP: 0.005,          // First trim of the driven element, wavelengths
+            YIELD_INTERVAL: 50           // ms of search between repaints
+        },
+        
+        // Cubical quad loop perimeters in wavelengths (1005, 1030 and 975 ft·MHz)
+        QUAD: {
+            DRIVEN_PERIMETER: 1.0218,
+            REFLECTOR_PERIMETER: 1.0472,
+            DIRECTOR_PERIMETER: 0.9913,
+            DEFAULT_SPACING: 0.15,       // wavelengths
+            MIN_SPACING: 0.05,
+            MAX_SPACING: 0.35,
+            MIN_ELEMENTS: 2,
+            MAX_ELEMENTS: 6
+        },
+        
+        // Moxon rectangle (Cebik regression on log10 of the wire diameter in λ)
+        MOXON: {
+            A: [-0.0008571428571, -0.009571428571, 0.3398571429],
+            B: [-0.002142857143, -0.02035714286, 0.008285714286],
+            C: [0.001809523381, 0.01780952381, 0.05164285714],
+            D: [0, 0.001, 0.07178571429],
+            MIN_DIAMETER: 1e-5,          // wavelengths; range of the regression
+            MAX_DIAMETER: 1e-2
+        },
+        
+        // Axial-mode helix (Kraus)
+        HELIX: {
+            CIRCUMFERENCE: 1.0,          // C/λ at the design frequency
+            MIN_PITCH: 5,                // degrees
+            MAX_PITCH: 25,
+            MIN_TURNS: 3,
+            MAX_TURNS: 50,
+            GROUND_PLANE: 0.8,           // Ground plane diameter in λ (Kraus: at least λ/2)
+            MIN_CIRCUMFERENCE: 0.75,     // Axial mode holds for 3/4 < C/λ < 4/3
+            MAX_CIRCUMFERENCE: 4 / 3
+        },
+        
+        // Log-periodic dipole array (Carrel design, MoM check across the band)
+        LPDA: {
+            MIN_TAU: 0.8,
+            MAX_TAU: 0.98,
+            MIN_SIGMA: 0.03,
+            MAX_SIGMA: 0.22,
+            MAX_ELEMENTS: 40,
+            DEFAULT_ELEMENT_DIAMETER: 0.006, // m
+            DEFAULT_FEEDER_DIAMETER: 0.0127, // m, feeder tube or rod
+            ANALYSIS_POINTS: 21,             // Frequencies in the gain sweep
+            SEGMENTS_PER_WAVELENGTH: 20,     // At the highest frequency
+            MIN_SEGMENTS: 5,
+            MAX_SEGMENTS: 300                // Long elements are meshed more coarsely above this
+        },
+        
+        // Prime-focus parabolic dish with a cos^n feed
+        DISH: {
+            MIN_F_D: 0.25,               // Rim must stay in front of the feed (ψ0 < 90°)
+            MAX_F_D: 1.5,
+            MAX_FEED_EXPONENT: 40,
+            OPTIMUM_EDGE_TAPER: -11      // dB, typical for maximum aperture efficiency
+        },
+        
+        // Optimum-gain pyramidal horn (Balanis)
+        HORN: {
+            APERTURE_EFFICIENCY: 0.51,
+            E_PLANE_HPBW: 54,            // degrees × λ/b1
+            H_PLANE_HPBW: 78,            // degrees × λ/a1
+            MIN_GAIN: 10,                // dBi; smaller horns are not in the far-field design range
+            MAX_GAIN: 30
+        },
+        
+        // Microstrip patch cavity model
+        PATCH: {
+            DEFAULT_LOSS_TANGENT: 0.02,  // FR4
+            CIRCULAR_MODE_ROOT: 1.84118, // First zero of J1', TM11 mode
+            MAX_THICKNESS: 0.1           // wavelengths; thicker substrates launch surface waves
+        },
+        
+        // Small transmitting (magnetic) loop
+        MAG_LOOP: {
+            MAX_CIRCUMFERENCE: 0.25,     // wavelengths; above this the current is no longer uniform
+            COUPLING_LOOP_RATIO: 0.2,    // coupling loop diameter / main loop diameter
+            TUNING_STEPS: 8              // rows in the tuning-range table
+        },
+        
+        // Short loaded vertical over a radial ground system
+        VERTICAL: {
+            DEFAULT_COIL_Q: 200,         // Air-wound loading coil
+            RADIAL_WIRE_DIAMETER: 0.002, // m
+            GROUND_LOSS_RADIUS: 0.5,     // wavelengths; ground loss is integrated out to here
+            MAX_RADIALS: 240,
+            RADIAL_COUNTS: [4, 8, 16, 32, 60, 120] // rows in the radial comparison table
+        },
+        
+        // Multiband trap and fan dipoles
+        MULTIBAND: {
+            MAX_BANDS: 6,
+            DEFAULT_TRAP_REACTANCE: 200, // ohms at trap resonance
+            DEFAULT_FAN_SPACING: 0.15,   // m between fan legs at the spreaders
+            SEGMENTS_PER_WAVELENGTH: 20, // At the highest band, for the fan MoM model
+            FAN_PASSES: 8                // Most joint retuning passes, one fan solve per band each
         }
     },
     
+    // LC ladder filter designer
+    FILTER: {
+        MAX_ORDER: 10,
+        MAX_ELLIPTIC_ORDER: 9,   // Odd orders only, for equal terminations
+        DEFAULT_RIPPLE: 0.1,     // dB
+        DEFAULT_STOPBAND: 40,    // dB
+        SWEEP_POINTS: 201,
+        PLOT_FLOOR: 100          // dB, insertion loss and return loss are clipped here
+    },
+    
+    // Component tolerance Monte Carlo analysis
+    MONTE_CARLO: {
+        MAX_RUNS: 100000,
+        MAX_TOLERANCE: 50,       // %
+        HISTOGRAM_BINS: 30,
+        PERCENTILES: [1, 5, 50, 95, 99]
+    },
+    
+    // Two-port amplifier design
+    AMPLIFIER: {
+        GAIN_CIRCLE_STEPS: [1, 2, 3], // dB below MAG/MSG
+        STABILITY_MARGIN: 0.1,        // Least |Γ| distance from a stability circle or |Γ| = 1
+        MAX_BACKOFF: 10               // dB below MSG searched for a stable design
+    },
+    
+    // RF lineup stage defaults: gain and NF in dB, OIP3 and output P1dB in dBm
+    // (null = no limit); passive stages have NF = loss, cables take their loss from COAX_TYPES
+    LINEUP: {
+        MAX_STAGES: 20,
+        STAGES: {
+            amplifier: { name: 'Amplifier', passive: false, gain: 20, nf: 2, oip3: 30, p1db: 18 },
+            filter: { name: 'Filter', passive: true, gain: -2, nf: null, oip3: null, p1db: null },
+            mixer: { name: 'Mixer', passive: false, gain: -7, nf: 7, oip3: 8, p1db: 0 },
+            attenuator: { name: 'Attenuator', passive: true, gain: -6, nf: null, oip3: null, p1db: null },
+            cable: { name: 'Cable', passive: true, gain: null, nf: null, oip3: null, p1db: null, coax: 'LMR-400', length: 10 }
+        },
+        DEFAULT_CHAIN: ['filter', 'amplifier', 'mixer', 'amplifier']
+    },
+    
+    // Mixer spur planner
+    SPUR: {
+        MAX_ORDER: 15,
+        MAX_TRANSMITTERS: 12,
+        PLOT_POINTS: 201,
+        MAX_PLOT_LINES: 12
+    },
+    
+    // Inductor designer
+    INDUCTOR: {
+        LEAD_LENGTH: 0.05,       // m, both leads together
+        SRF_MARGIN: 3,           // Operate below SRF / 3 for a nearly constant inductance
+        MAX_TURNS: 10000
+    },
+    
     // Default values for calculations
     DEFAULTS: {
         VELOCITY_FACTOR: 0.95,
@@ -94,29 +297,142 @@ const CONSTANTS = {
     
     // Amateur radio bands (MHz)
     AMATEUR_BANDS: {
-        '160m': { freq: 1.8, name: '160 meters' },
-        '80m': { freq: 3.5, name: '80 meters' },
-        '40m': { freq: 7, name: '40 meters' },
-        '20m': { freq: 14, name: '20 meters' },
-        '15m': { freq: 21, name: '15 meters' },
-        '10m': { freq: 28, name: '10 meters' },
-        '6m': { freq: 50, name: '6 meters' },
-        '2m': { freq: 144, name: '2 meters' },
-        '70cm': { freq: 440, name: '70 centimeters' },
-        '23cm': { freq: 1296, name: '23 centimeters' }
-    },
-    
-    // Common coax cable types
+        '160m': { freq: 1.8, high: 2.0, name: '160 meters' },
+        '80m': { freq: 3.5, high: 4.0, name: '80 meters' },
+        '40m': { freq: 7, high: 7.3, name: '40 meters' },
+        '30m': { freq: 10.1, high: 10.15, name: '30 meters' },
+        '20m': { freq: 14, high: 14.35, name: '20 meters' },
+        '17m': { freq: 18.068, high: 18.168, name: '17 meters' },
+        '15m': { freq: 21, high: 21.45, name: '15 meters' },
+        '12m': { freq: 24.89, high: 24.99, name: '12 meters' },
+        '10m': { freq: 28, high: 29.7, name: '10 meters' },
+        '6m': { freq: 50, high: 54, name: '6 meters' },
+        '2m': { freq: 144, high: 148, name: '2 meters' },
+        '70cm': { freq: 440, high: 450, name: '70 centimeters' },
+        '23cm': { freq: 1296, high: 1300, name: '23 centimeters' }
+    },
+    
+    // Common coax cable types (diameter: jacket outer diameter in mm)
     COAX_TYPES: {
-        'RG-58': { impedance: 50, vf: 0.66, loss_db_100m_1ghz: 195 },
-        'RG-174': { impedance: 50, vf: 0.66, loss_db_100m_1ghz: 680 },
-        'RG-213': { impedance: 50, vf: 0.66, loss_db_100m_1ghz: 67 },
-        'LMR-195': { impedance: 50, vf: 0.83, loss_db_100m_1ghz: 78 },
-        'LMR-240': { impedance: 50, vf: 0.84, loss_db_100m_1ghz: 54 },
-        'LMR-400': { impedance: 50, vf: 0.85, loss_db_100m_1ghz: 22 },
-        'LMR-600': { impedance: 50, vf: 0.87, loss_db_100m_1ghz: 13.8 },
-        'RG-59': { impedance: 75, vf: 0.66, loss_db_100m_1ghz: 180 },
-        'RG-6': { impedance: 75, vf: 0.82, loss_db_100m_1ghz: 50 }
+        'RG-58': { impedance: 50, vf: 0.66, loss_db_100m_1ghz: 195, diameter: 4.95 },
+        'RG-174': { impedance: 50, vf: 0.66, loss_db_100m_1ghz: 680, diameter: 2.8 },
+        'RG-213': { impedance: 50, vf: 0.66, loss_db_100m_1ghz: 67, diameter: 10.3 },
+        'LMR-195': { impedance: 50, vf: 0.83, loss_db_100m_1ghz: 78, diameter: 4.95 },
+        'LMR-240': { impedance: 50, vf: 0.84, loss_db_100m_1ghz: 54, diameter: 6.1 },
+        'LMR-400': { impedance: 50, vf: 0.85, loss_db_100m_1ghz: 22, diameter: 10.29 },
+        'LMR-600': { impedance: 50, vf: 0.87, loss_db_100m_1ghz: 13.8, diameter: 14.99 },
+        'RG-59': { impedance: 75, vf: 0.66, loss_db_100m_1ghz: 180, diameter: 6.15 },
+        'RG-6': { impedance: 75, vf: 0.82, loss_db_100m_1ghz: 50, diameter: 6.9 }
+    },
+    
+    // Rectangular waveguides: inner a × b (mm) and recommended TE10 band (GHz)
+    WAVEGUIDES: {
+        'WR-430': { a: 109.22, b: 54.61, fMin: 1.7, fMax: 2.6 },
+        'WR-340': { a: 86.36, b: 43.18, fMin: 2.2, fMax: 3.3 },
+        'WR-284': { a: 72.14, b: 34.04, fMin: 2.6, fMax: 3.95 },
+        'WR-187': { a: 47.55, b: 22.15, fMin: 3.95, fMax: 5.85 },
+        'WR-137': { a: 34.85, b: 15.80, fMin: 5.85, fMax: 8.2 },
+        'WR-112': { a: 28.50, b: 12.62, fMin: 7.05, fMax: 10 },
+        'WR-90': { a: 22.86, b: 10.16, fMin: 8.2, fMax: 12.4 },
+        'WR-62': { a: 15.80, b: 7.90, fMin: 12.4, fMax: 18 },
+        'WR-42': { a: 10.67, b: 4.32, fMin: 18, fMax: 26.5 },
+        'WR-28': { a: 7.11, b: 3.56, fMin: 26.5, fMax: 40 }
+    },
+    
+    // PCB substrates: design εr and loss tangent at 10 GHz
+    SUBSTRATES: {
+        'FR4': { er: 4.4, tanD: 0.02, name: 'FR4' },
+        'RO4003C': { er: 3.55, tanD: 0.0027, name: 'Rogers RO4003C' },
+        'RO4350B': { er: 3.66, tanD: 0.0037, name: 'Rogers RO4350B' },
+        'RT5880': { er: 2.2, tanD: 0.0009, name: 'RT/duroid 5880' },
+        'RT5870': { er: 2.33, tanD: 0.0012, name: 'RT/duroid 5870' },
+        'RT6010': { er: 10.2, tanD: 0.0023, name: 'RT/duroid 6010.2LM' }
+    },
+    
+    // Ground electrical constants: relative permittivity and conductivity (S/m)
+    GROUND_TYPES: {
+        'perfect': { er: 1, sigma: Infinity, name: 'Perfect ground' },
+        'sea': { er: 80, sigma: 5, name: 'Sea water' },
+        'fresh': { er: 80, sigma: 0.001, name: 'Fresh water' },
+        'good': { er: 20, sigma: 0.0303, name: 'Very good ground' },
+        'average': { er: 13, sigma: 0.005, name: 'Average ground' },
+        'poor': { er: 13, sigma: 0.002, name: 'Poor ground' },
+        'city': { er: 3, sigma: 0.001, name: 'City / industrial' }
+    },
+    
+    // Conductor materials: conductivity (S/m)
+    CONDUCTORS: {
+        'copper': { conductivity: 5.8e7, name: 'Copper' },
+        'aluminum': { conductivity: 2.5e7, name: 'Aluminium (6061)' },
+        'brass': { conductivity: 1.6e7, name: 'Brass' },
+        'steel': { conductivity: 1.4e6, name: 'Stainless steel' }
+    },
+    
+    // Typical parasitics by package: C0G capacitors as ESR and ESL in series; chip and
+    // leaded inductors as ESR in series with L, shunted by the winding capacitance
+    // (inductor loss given as a typical Q at INDUCTOR_ESR_REFERENCE, so the ESR scales
+    // with the inductance and rises as √f)
+    INDUCTOR_ESR_REFERENCE: 100e6, // Hz
+    COMPONENT_PACKAGES: {
+        '0402': { name: '0402', capacitor: { esr: 0.2, esl: 0.4e-9 }, inductor: { q: 25, cp: 0.08e-12 } },
+        '0603': { name: '0603', capacitor: { esr: 0.15, esl: 0.7e-9 }, inductor: { q: 35, cp: 0.12e-12 } },
+        '0805': { name: '0805', capacitor: { esr: 0.12, esl: 0.9e-9 }, inductor: { q: 45, cp: 0.18e-12 } },
+        '1206': { name: '1206', capacitor: { esr: 0.1, esl: 1.2e-9 }, inductor: { q: 50, cp: 0.25e-12 } },
+        'leaded': { name: 'Through-hole', capacitor: { esr: 0.1, esl: 5e-9 }, inductor: { q: 60, cp: 1.5e-12 } }
+    },
+    
+    // Toroid cores: outer/inner diameter and height in mm, effective area in cm²,
+    // magnetic path length in cm
+    TOROID_CORES: {
+        'T-25': { family: 'iron', od: 6.48, id: 3.05, height: 2.44, ae: 0.0424, le: 1.50 },
+        'T-37': { family: 'iron', od: 9.53, id: 5.21, height: 3.25, ae: 0.070, le: 2.32 },
+        'T-50': { family: 'iron', od: 12.7, id: 7.70, height: 4.83, ae: 0.121, le: 3.20 },
+        'T-68': { family: 'iron', od: 17.5, id: 9.40, height: 4.83, ae: 0.196, le: 4.24 },
+        'T-80': { family: 'iron', od: 20.2, id: 12.6, height: 6.35, ae: 0.242, le: 5.15 },
+        'T-94': { family: 'iron', od: 23.9, id: 14.2, height: 7.92, ae: 0.385, le: 6.00 },
+        'T-106': { family: 'iron', od: 26.9, id: 14.5, height: 11.1, ae: 0.690, le: 6.50 },
+        'T-130': { family: 'iron', od: 33.0, id: 19.8, height: 11.1, ae: 0.730, le: 8.29 },
+        'T-200': { family: 'iron', od: 50.8, id: 31.8, height: 14.0, ae: 1.330, le: 12.97 },
+        'FT-23': { family: 'ferrite', od: 5.84, id: 3.05, height: 1.52, ae: 0.0213, le: 1.34 },
+        'FT-37': { family: 'ferrite', od: 9.53, id: 4.75, height: 3.18, ae: 0.0761, le: 2.15 },
+        'FT-50': { family: 'ferrite', od: 12.7, id: 7.14, height: 4.78, ae: 0.133, le: 3.02 },
+        'FT-82': { family: 'ferrite', od: 21.0, id: 13.2, height: 6.35, ae: 0.246, le: 5.26 },
+        'FT-114': { family: 'ferrite', od: 29.0, id: 19.1, height: 7.49, ae: 0.375, le: 7.42 },
+        'FT-140': { family: 'ferrite', od: 35.6, id: 22.9, height: 12.7, ae: 0.806, le: 9.02 },
+        'FT-240': { family: 'ferrite', od: 61.0, id: 35.6, height: 12.7, ae: 1.590, le: 14.4 }
+    },
+    
+    // Core materials: initial permeability, range for inductors in MHz, AL in nH/turn²
+    // per core size, and a heating guideline for peak flux in gauss at 1 MHz (falls as 1/√f)
+    CORE_MATERIALS: {
+        'mix-2': {
+            family: 'iron', name: 'Micrometals mix 2 (red)', mu: 10, fMin: 0.25, fMax: 10, fluxLimit: 150,
+            al: { 'T-25': 3.4, 'T-37': 4.0, 'T-50': 4.9, 'T-68': 5.7, 'T-80': 5.5, 'T-94': 8.4, 'T-106': 13.5, 'T-130': 11.0, 'T-200': 12.0 }
+        },
+        'mix-6': {
+            family: 'iron', name: 'Micrometals mix 6 (yellow)', mu: 8.5, fMin: 2, fMax: 30, fluxLimit: 150,
+            al: { 'T-25': 2.7, 'T-37': 3.0, 'T-50': 4.0, 'T-68': 4.7, 'T-80': 4.5, 'T-94': 7.0, 'T-106': 11.6, 'T-130': 9.6, 'T-200': 10.0 }
+        },
+        'mix-10': {
+            family: 'iron', name: 'Micrometals mix 10 (black)', mu: 6, fMin: 10, fMax: 100, fluxLimit: 150,
+            al: { 'T-25': 1.9, 'T-37': 2.5, 'T-50': 3.1, 'T-68': 3.2, 'T-80': 3.2, 'T-94': 5.8 }
+        },
+        'mix-26': {
+            family: 'iron', name: 'Micrometals mix 26 (yellow/white)', mu: 75, fMin: 0, fMax: 1, fluxLimit: 150,
+            al: { 'T-25': 24.5, 'T-37': 27.5, 'T-50': 32.0, 'T-68': 42.0, 'T-80': 45.0, 'T-94': 60.0, 'T-106': 90.0, 'T-130': 78.5, 'T-200': 104.0 }
+        },
+        '61': {
+            family: 'ferrite', name: 'Fair-Rite 61', mu: 125, fMin: 0.2, fMax: 15, fluxLimit: 100,
+            al: { 'FT-23': 24.8, 'FT-37': 55.3, 'FT-50': 68, 'FT-82': 73.3, 'FT-114': 79.3, 'FT-140': 140, 'FT-240': 173 }
+        },
+        '43': {
+            family: 'ferrite', name: 'Fair-Rite 43', mu: 800, fMin: 0.01, fMax: 1, fluxLimit: 60,
+            al: { 'FT-23': 188, 'FT-37': 420, 'FT-50': 523, 'FT-82': 557, 'FT-114': 603, 'FT-140': 952, 'FT-240': 1075 }
+        },
+        '77': {
+            family: 'ferrite', name: 'Fair-Rite 77', mu: 2000, fMin: 0.001, fMax: 0.5, fluxLimit: 100,
+            al: { 'FT-23': 396, 'FT-37': 884, 'FT-50': 1100, 'FT-82': 1170, 'FT-114': 1270, 'FT-140': 2000, 'FT-240': 3130 }
+        }
     }
 };
 
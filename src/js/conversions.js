@@ -588,6 +588,277 @@ function calculateImpedanceConversions() {
     }
 }
 
+/**
+ * Minimum attenuation of a resistive pad between two resistances
+ * @param {number} z1 - Source resistance in ohms
+ * @param {number} z2 - Load resistance in ohms
+ * @returns {number} Minimum loss in dB (0 when the resistances are equal)
+ */
+function minimumPadLoss(z1, z2) {
+    const ratio = Math.max(z1, z2) / Math.min(z1, z2);
+    return 20 * Math.log10(Math.sqrt(ratio) + Math.sqrt(ratio - 1));
+}
+
+/**
+ * Resistor networks of Pi, T, bridged-T and minimum-loss L attenuator pads
+ * @param {number} attenuationDb - Attenuation in dB
+ * @param {number} z1 - Source resistance in ohms
+ * @param {number} z2 - Load resistance in ohms
+ * @returns {Object} Keyed by topology; each pad is {name, resistors: [{label, value, a, b}]}
+ *   with nodes 'in', 'out', 'mid' and 'gnd'. Pi and T are omitted at or below the
+ *   minimum loss, bridged-T when the resistances differ and the L-pad when they are equal.
+ */
+function designAttenuatorPads(attenuationDb, z1, z2) {
+    const pads = {};
+    const minLoss = minimumPadLoss(z1, z2);
+    
+    // Pi and T (Z1 ≠ Z2 allowed): K is the power ratio, both ports matched
+    if (attenuationDb > minLoss + 1e-6) {
+        const k = Math.pow(10, attenuationDb / 10);
+        const coth = (k + 1) / (k - 1);
+        
+        const teeShunt = 2 * Math.sqrt(k * z1 * z2) / (k - 1);
+        pads.tee = {
+            name: 'T Pad',
+            resistors: [
+                { label: 'R1 series (source side)', value: z1 * coth - teeShunt, a: 'in', b: 'mid' },
+                { label: 'R3 shunt', value: teeShunt, a: 'mid', b: 'gnd' },
+                { label: 'R2 series (load side)', value: z2 * coth - teeShunt, a: 'mid', b: 'out' }
+            ]
+        };
+        
+        const piSeries = ((k - 1) / 2) * Math.sqrt(z1 * z2 / k);
+        pads.pi = {
+            name: 'Pi Pad',
+            resistors: [
+                { label: 'R1 shunt (source side)', value: 1 / (coth / z1 - 1 / piSeries), a: 'in', b: 'gnd' },
+                { label: 'R3 series', value: piSeries, a: 'in', b: 'out' },
+                { label: 'R2 shunt (load side)', value: 1 / (coth / z2 - 1 / piSeries), a: 'out', b: 'gnd' }
+            ]
+        };
+    }
+    
+    if (z1 === z2) {
+        // Bridged-T: both arms equal Z0, only the bridge and shunt track the attenuation
+        const k = Math.pow(10, attenuationDb / 20);
+        pads.bridged = {
+            name: 'Bridged-T Pad',
+            resistors: [
+                { label: 'R1 arm (source side)', value: z1, a: 'in', b: 'mid' },
+                { label: 'R2 arm (load side)', value: z1, a: 'mid', b: 'out' },
+                { label: 'R3 bridge', value: z1 * (k - 1), a: 'in', b: 'out' },
+                { label: 'R4 shunt', value: z1 / (k - 1), a: 'mid', b: 'gnd' }
+            ]
+        };
+    } else {
+        // Minimum-loss L-pad: series arm on the high side, shunt arm across the low side
+        const zHigh = Math.max(z1, z2);
+        const zLow = Math.min(z1, z2);
+        const highSide = z1 > z2 ? 'in' : 'out';
+        const lowSide = z1 > z2 ? 'out' : 'in';
+        pads.lpad = {
+            name: 'Minimum-Loss L-Pad',
+            resistors: [
+                { label: `Series (${formatNumber(zHigh, 1)} Ω side)`, value: Math.sqrt(zHigh * (zHigh - zLow)), a: highSide, b: lowSide },
+                { label: `Shunt (${formatNumber(zLow, 1)} Ω side)`, value: zLow / Math.sqrt(1 - zLow / zHigh), a: lowSide, b: 'gnd' }
+            ]
+        };
+    }
+    
+    return pads;
+}
+
+/**
+ * Analyze a resistive pad between a source and load resistance
+ * @param {Array} resistors - Resistors as returned by designAttenuatorPads()
+ * @param {number} z1 - Source resistance in ohms
+ * @param {number} z2 - Load resistance in ohms
+ * @param {number} inputPower - Power delivered to the pad input in watts (0 to skip dissipation)
+ * @returns {Object} {attenuation, zin, zout, inputReturnLoss, outputReturnLoss, dissipation}
+ *   with attenuation as transducer loss in dB and dissipation in watts per resistor
+ */
+function analyzeAttenuatorPad(resistors, z1, z2, inputPower = 0) {
+    // Nodal conductance matrix of in, out and mid
+    const index = { in: 0, out: 1, mid: 2 };
+    const y = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    resistors.forEach(({ value, a, b }) => {
+        const g = 1 / value;
+        const i = index[a];
+        const j = index[b];
+        if (i !== undefined) y[i][i] += g;
+        if (j !== undefined) y[j][j] += g;
+        if (i !== undefined && j !== undefined) {
+            y[i][j] -= g;
+            y[j][i] -= g;
+        }
+    });
+    
+    // Eliminate the internal node to get the two-port Y-parameters
+    const hasMid = y[2][2] > 0;
+    const reduce = (i, j) => hasMid ? y[i][j] - y[i][2] * y[2][j] / y[2][2] : y[i][j];
+    const y11 = reduce(0, 0);
+    const y12 = reduce(0, 1);
+    const y21 = reduce(1, 0);
+    const y22 = reduce(1, 1);
+    
+    const voltageGain = -y21 / (y22 + 1 / z2);
+    const zin = 1 / (y11 - y12 * y21 / (y22 + 1 / z2));
+    const zout = 1 / (y22 - y12 * y21 / (y11 + 1 / z1));
+    
+    // Transducer gain from a source of resistance z1 into z2
+    const gain = 4 * z1 * Math.pow(zin / (zin + z1) * voltageGain, 2) / z2;
+    const returnLoss = (z, ref) => -20 * Math.log10(Math.abs((z - ref) / (z + ref)));
+    
+    let dissipation = null;
+    if (inputPower > 0) {
+        const v = { gnd: 0, in: Math.sqrt(inputPower * zin) };
+        v.out = voltageGain * v.in;
+        v.mid = hasMid ? -(y[2][0] * v.in + y[2][1] * v.out) / y[2][2] : 0;
+        dissipation = resistors.map(({ value, a, b }) => Math.pow(v[a] - v[b], 2) / value);
+    }
+    
+    return {
+        attenuation: -10 * Math.log10(gain),
+        zin,
+        zout,
+        inputReturnLoss: returnLoss(zin, z1),
+        outputReturnLoss: returnLoss(zout, z2),
+        dissipation
+    };
+}
+
+/**
+ * Design Pi, T, bridged-T and minimum-loss attenuator pads with E-series alternatives
+ */
+function calculateAttenuator() {
+    const attenuationDb = parseFloat(document.getElementById('atten-db').value);
+    const z1 = parseFloat(document.getElementById('atten-z1').value);
+    const z2 = parseFloat(document.getElementById('atten-z2').value);
+    const series = document.getElementById('atten-series').value;
+    const power = parseFloat(document.getElementById('atten-power').value);
+    const powerUnit = document.getElementById('atten-power-unit').value;
+    
+    if (!validateInput(attenuationDb, null, 100)) {
+        showError('atten-db', 'Please enter an attenuation between 0 and 100 dB');
+        return;
+    }
+    
+    if (!validateInput(z1)) {
+        showError('atten-z1', 'Please enter a valid source impedance');
+        return;
+    }
+    
+    if (!validateInput(z2)) {
+        showError('atten-z2', 'Please enter a valid load impedance');
+        return;
+    }
+    
+    const minLoss = minimumPadLoss(z1, z2);
+    if (attenuationDb < minLoss - 1e-6) {
+        showError('atten-db', `A resistive ${formatNumber(z1, 1)} → ${formatNumber(z2, 1)} Ω pad needs at least ${formatNumber(minLoss, 2)} dB`);
+        return;
+    }
+    
+    // Power is optional: a blank field skips the dissipation figures
+    const hasPower = !isNaN(power);
+    if (hasPower && powerUnit !== 'dBm' && !validateInput(power)) {
+        showError('atten-power', 'Please enter a valid input power');
+        return;
+    }
+    
+    clearError('atten-db');
+    clearError('atten-z1');
+    clearError('atten-z2');
+    clearError('atten-power');
+    
+    try {
+        let powerW = 0;
+        if (hasPower) {
+            if (powerUnit === 'dBm') powerW = Math.pow(10, (power - 30) / 10);
+            else if (powerUnit === 'mW') powerW = power / 1000;
+            else powerW = power;
+        }
+        
+        const pads = designAttenuatorPads(attenuationDb, z1, z2);
+        const formatReturnLoss = rl => rl > 99 ? '&gt; 99 dB' : `${formatNumber(rl, 1)} dB`;
+        
+        let html = `
+            <h4>${formatNumber(attenuationDb, 2)} dB Pad, ${formatNumber(z1, 1)} → ${formatNumber(z2, 1)} Ω</h4>
+            <div class="result-grid">`;
+        
+        let tableRows = '';
+        Object.values(pads).forEach(pad => {
+            const snapped = pad.resistors.map(r => ({ ...r, value: snapToESeries(r.value, series) }));
+            const exact = analyzeAttenuatorPad(pad.resistors, z1, z2, powerW);
+            const standard = analyzeAttenuatorPad(snapped, z1, z2);
+            
+            html += `
+                <div class="result-item">
+                    <strong>${pad.name}:</strong>
+                    <ul>
+                        ${pad.resistors.map(r => `<li>${r.label}: ${formatComponentValue(r.value, 'R', 4)}</li>`).join('')}
+                        ${pad === pads.lpad ? `<li>Attenuation: ${formatNumber(exact.attenuation, 2)} dB (fixed)</li>` : ''}
+                        <li>With ${series}: ${formatNumber(standard.attenuation, 2)} dB (${standard.attenuation >= exact.attenuation ? '+' : ''}${formatNumber(standard.attenuation - exact.attenuation, 2)} dB)</li>
+                        <li>${series} return loss: ${formatReturnLoss(standard.inputReturnLoss)} in, ${formatReturnLoss(standard.outputReturnLoss)} out</li>
+                    </ul>
+                </div>`;
+            
+            pad.resistors.forEach((r, i) => {
+                tableRows += `
+                        <tr>
+                            <td>${i === 0 ? pad.name : ''}</td>
+                            <td>${r.label}</td>
+                            <td>${formatComponentValue(r.value, 'R', 4)}</td>
+                            <td>${formatComponentValue(snapped[i].value, 'R', 3)}</td>
+                            ${hasPower ? `<td>${formatNumber(exact.dissipation[i] * 1000, 2)} mW</td>` : ''}
+                        </tr>`;
+            });
+        });
+        
+        html += `
+            </div>
+            
+            <div class="iot-table-scroll">
+                <table class="iot-comparison-table">
+                    <thead>
+                        <tr>
+                            <th>Pad</th>
+                            <th>Resistor</th>
+                            <th>Exact</th>
+                            <th>${series}</th>
+                            ${hasPower ? `<th>Dissipation @ ${formatNumber(powerW * 1000, 2)} mW</th>` : ''}
+                        </tr>
+                    </thead>
+                    <tbody>${tableRows}
+                    </tbody>
+                </table>
+            </div>
+            
+            <div class="info-section">
+                <h5>Notes:</h5>
+                <ul>`;
+        
+        if (z1 !== z2 && !pads.pi) {
+            html += `
+                    <li>⚠ ${formatNumber(attenuationDb, 2)} dB is the minimum loss for this impedance ratio; the Pi and T pads reduce to the L-pad</li>`;
+        }
+        
+        html += `
+                    ${z1 !== z2 ? `<li>Pads between unequal impedances need at least ${formatNumber(minLoss, 2)} dB; the bridged-T form needs equal impedances</li>` : ''}
+                    <li>Attenuation is transducer loss from a ${formatNumber(z1, 1)} Ω source into a ${formatNumber(z2, 1)} Ω load</li>
+                    ${hasPower ? '<li>Dissipation uses the exact values; the source-side resistors run hottest, so derate resistor power ratings by at least 2×</li>' : ''}
+                    <li>Film or chip resistors keep the pad flat well into VHF; wirewound parts are inductive</li>
+                </ul>
+            </div>`;
+        
+        document.getElementById('atten-results').innerHTML = html;
+        
+    } catch (error) {
+        document.getElementById('atten-results').innerHTML = 
+            `<div class="error">Error: ${error.message}</div>`;
+    }
+}
+
 /**
  * Calculate decibel conversions and relationships
  */
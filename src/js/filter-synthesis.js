@@ -0,0 +1,526 @@
+// LC ladder filter synthesis
+//
+// Builds doubly terminated lowpass prototypes (1 Ω, 1 rad/s) for Butterworth,
+// Chebyshev, Bessel and elliptic responses and realizes them as ladders by
+// Darlington synthesis: the input admittance (E − F)/(E + F) is expanded into
+// shunt capacitors and series inductors, with elliptic transmission zeros
+// extracted as parallel tanks in the series arms by zero shifting. Prototypes
+// are then scaled to the termination impedance and transformed to lowpass,
+// highpass, bandpass or bandstop ladders.
+//
+// Polynomials are arrays of real coefficients in ascending powers of s;
+// complex values are {re, im}.
+
+// Moduli in the descending Landen sequence used by the elliptic functions
+const LANDEN_STEPS = 7;
+
+// Impedance (ohms) standing in for an open circuit at an ideal resonance
+const IDEAL_RESONANCE_LIMIT = 1e12;
+
+/**
+ * Descending Landen sequence of elliptic moduli
+ * @param {number} k - Elliptic modulus (0 ≤ k < 1)
+ * @returns {Array} Moduli v₁ … v_M
+ */
+function landenSequence(k) {
+    const v = [];
+    for (let i = 0; i < LANDEN_STEPS; i++) {
+        k = Math.pow(k / (1 + Math.sqrt(1 - k * k)), 2);
+        v.push(k);
+    }
+    return v;
+}
+
+/**
+ * Jacobi cd(uK, k) or sn(uK, k) for a complex argument normalized to K
+ * @param {Object} u - Complex argument in units of K
+ * @param {number} k - Modulus
+ * @param {string} fn - 'cd' or 'sn'
+ * @returns {Object} Complex value
+ */
+function jacobiNormalized(u, k, fn) {
+    const v = landenSequence(k);
+    const angle = Complex.scale(u, Math.PI / 2);
+    let w = fn === 'cd' ? Complex.cos(angle) : Complex.sin(angle);
+    for (let n = v.length - 1; n >= 0; n--) {
+        // w ← (1 + vₙ)·w / (1 + vₙ·w²)
+        w = Complex.div(Complex.scale(w, 1 + v[n]), Complex.add({ re: 1, im: 0 }, Complex.scale(Complex.mul(w, w), v[n])));
+    }
+    return w;
+}
+
+/**
+ * Inverse of sn(uK, k), returning u in units of K
+ * @param {Object} w - Complex value
+ * @param {number} k - Modulus
+ * @returns {Object} Complex u
+ */
+function inverseJacobiSn(w, k) {
+    const v = landenSequence(k);
+    for (let n = 0; n < v.length; n++) {
+        const previous = n === 0 ? k : v[n - 1];
+        const root = Complex.sqrt(Complex.sub({ re: 1, im: 0 }, Complex.scale(Complex.mul(w, w), previous * previous)));
+        w = Complex.scale(Complex.div(w, Complex.add({ re: 1, im: 0 }, root)), 2 / (1 + v[n]));
+    }
+    return Complex.scale(Complex.asin(w), 2 / Math.PI);
+}
+
+/**
+ * Selectivity modulus k = 1/Ωs of an elliptic filter from its order and
+ * discrimination k₁ = εp/εs (degree equation)
+ * @param {number} order - Filter order N
+ * @param {number} k1 - Discrimination modulus
+ * @returns {number} k
+ */
+function ellipticSelectivity(order, k1) {
+    const k1c = Math.sqrt(1 - k1 * k1);
+    let kc = Math.pow(k1c, order);
+    for (let i = 1; i <= Math.floor(order / 2); i++) {
+        kc *= Math.pow(jacobiNormalized({ re: (2 * i - 1) / order, im: 0 }, k1c, 'sn').re, 4);
+    }
+    return Math.sqrt(1 - kc * kc);
+}
+
+/**
+ * Multiply two polynomials
+ * @param {Array} a - Coefficients, ascending powers
+ * @param {Array} b - Coefficients, ascending powers
+ * @returns {Array} Product
+ */
+function polyMultiply(a, b) {
+    const result = new Array(a.length + b.length - 1).fill(0);
+    a.forEach((x, i) => b.forEach((y, j) => { result[i + j] += x * y; }));
+    return result;
+}
+
+/**
+ * Add two polynomials with a scale on the second
+ * @param {Array} a - Coefficients
+ * @param {Array} b - Coefficients
+ * @param {number} scale - Multiplier for b
+ * @returns {Array} a + scale·b
+ */
+function polyAdd(a, b, scale = 1) {
+    const result = new Array(Math.max(a.length, b.length)).fill(0);
+    a.forEach((x, i) => { result[i] += x; });
+    b.forEach((y, i) => { result[i] += scale * y; });
+    return result;
+}
+
+/**
+ * Divide polynomials, discarding the remainder
+ * @param {Array} numerator - Coefficients
+ * @param {Array} divisor - Coefficients
+ * @returns {Array} Quotient
+ */
+function polyDivide(numerator, divisor) {
+    const remainder = numerator.slice();
+    const d = divisor.length - 1;
+    const quotient = new Array(Math.max(remainder.length - d, 1)).fill(0);
+    for (let i = remainder.length - 1; i >= d; i--) {
+        const q = remainder[i] / divisor[d];
+        quotient[i - d] = q;
+        for (let j = 0; j <= d; j++) remainder[i - d + j] -= q * divisor[j];
+    }
+    return quotient;
+}
+
+/**
+ * Evaluate a polynomial at a complex point
+ * @param {Array} p - Coefficients
+ * @param {Object} s - Complex {re, im}
+ * @returns {Object} Complex value
+ */
+function polyEvaluate(p, s) {
+    let result = { re: 0, im: 0 };
+    for (let i = p.length - 1; i >= 0; i--) {
+        result = Complex.add(Complex.mul(result, s), { re: p[i], im: 0 });
+    }
+    return result;
+}
+
+/**
+ * Monic polynomial from complex roots that come in conjugate pairs
+ * @param {Array} roots - Complex roots
+ * @returns {Array} Real coefficients
+ */
+function polyFromRoots(roots) {
+    let p = [{ re: 1, im: 0 }];
+    roots.forEach(root => {
+        const next = new Array(p.length + 1).fill(null).map(() => ({ re: 0, im: 0 }));
+        p.forEach((c, i) => {
+            next[i + 1] = Complex.add(next[i + 1], c);
+            next[i] = Complex.sub(next[i], Complex.mul(c, root));
+        });
+        p = next;
+    });
+    return p.map(c => c.re);
+}
+
+/**
+ * Roots of a real polynomial (Durand-Kerner iteration)
+ * @param {Array} p - Coefficients, ascending powers
+ * @returns {Array} Complex roots
+ */
+function polyRoots(p) {
+    const n = p.length - 1;
+    const monic = p.map(c => c / p[n]);
+    let roots = Array.from({ length: n }, (_, i) => {
+        const angle = 2 * Math.PI * i / n + 0.4;
+        return { re: 0.9 * Math.cos(angle), im: 0.9 * Math.sin(angle) };
+    });
+    for (let iteration = 0; iteration < 500; iteration++) {
+        let change = 0;
+        roots = roots.map((root, i) => {
+            let denominator = { re: 1, im: 0 };
+            roots.forEach((other, j) => {
+                if (j !== i) denominator = Complex.mul(denominator, Complex.sub(root, other));
+            });
+            const step = Complex.div(polyEvaluate(monic, root), denominator);
+            change = Math.max(change, Complex.abs(step));
+            return Complex.sub(root, step);
+        });
+        if (change < 1e-14) break;
+    }
+    return roots;
+}
+
+/**
+ * Characteristic polynomials of a normalized lowpass response:
+ * |S21|² = |P|²/|E|² and |S11|² = |F|²/|E|² on the jω axis
+ * @param {string} response - 'butterworth', 'chebyshev', 'bessel' or 'elliptic'
+ * @param {number} order - Filter order
+ * @param {Object} spec - {ripple, stopband} in dB for Chebyshev and elliptic
+ * @returns {Object} {E, F, P, zeros, stopEdge}: transmission zeros in rad/s and, for
+ *   elliptic filters, the normalized stopband edge
+ */
+function lowpassCharacteristic(response, order, spec = {}) {
+    const n = order;
+    const epsilon = Math.sqrt(Math.pow(10, (spec.ripple || 0) / 10) - 1);
+    let poles, reflectionZeros = [], zeros = [], stopEdge = null;
+    let gainAtDc = 1;
+
+    switch (response) {
+        case 'butterworth':
+            poles = Array.from({ length: n }, (_, k) => {
+                const angle = Math.PI * (2 * k + n + 1) / (2 * n);
+                return { re: Math.cos(angle), im: Math.sin(angle) };
+            });
+            reflectionZeros = new Array(n).fill({ re: 0, im: 0 });
+            break;
+
+        case 'chebyshev': {
+            const a = Math.asinh(1 / epsilon) / n;
+            poles = Array.from({ length: n }, (_, k) => {
+                const theta = (2 * k + 1) * Math.PI / (2 * n);
+                return { re: -Math.sinh(a) * Math.sin(theta), im: Math.cosh(a) * Math.cos(theta) };
+            });
+            reflectionZeros = Array.from({ length: n }, (_, k) =>
+                ({ re: 0, im: Math.cos((2 * k + 1) * Math.PI / (2 * n)) }));
+            if (n % 2 === 0) gainAtDc = 1 / Math.sqrt(1 + epsilon * epsilon);
+            break;
+        }
+
+        case 'bessel': {
+            // Reverse Bessel polynomial, then frequency-scaled for −3 dB at 1 rad/s
+            const factorial = (m) => m <= 1 ? 1 : m * factorial(m - 1);
+            const theta = Array.from({ length: n + 1 }, (_, k) =>
+                factorial(2 * n - k) / (Math.pow(2, n - k) * factorial(k) * factorial(n - k)));
+            const magnitude = (w) => {
+                const v = polyEvaluate(theta, { re: 0, im: w });
+                return theta[0] / Complex.abs(v);
+            };
+            let lo = 0.1, hi = 10 * n;
+            for (let i = 0; i < 100; i++) {
+                const mid = (lo + hi) / 2;
+                if (magnitude(mid) > Math.SQRT1_2) lo = mid; else hi = mid;
+            }
+            const w3 = (lo + hi) / 2;
+            const scaled = theta.map((c, k) => c * Math.pow(w3, k));
+            const E = scaled.map(c => c / scaled[n]);
+            const P = [E[0]];
+
+            // |F|² = |E|² − |P|²: F(s)F(−s) is even with a double root at s = 0,
+            // so solve it in x = s² and keep the left-half-plane square roots
+            const mirrored = E.map((c, k) => k % 2 ? -c : c);
+            const Q = polyAdd(polyMultiply(E, mirrored), [P[0] * P[0]], -1);
+            const even = Q.filter((_, k) => k % 2 === 0).slice(1);
+            const roots = polyRoots(even).map(x => Complex.scale(Complex.sqrt(x), -1));
+            const F = polyFromRoots([{ re: 0, im: 0 }, ...roots]);
+            return { E, F, P, zeros, stopEdge };
+        }
+
+        case 'elliptic': {
+            const epsilonS = Math.sqrt(Math.pow(10, spec.stopband / 10) - 1);
+            const k = ellipticSelectivity(n, epsilon / epsilonS);
+            const k1 = epsilon / epsilonS;
+            stopEdge = 1 / k;
+
+            const half = Math.floor(n / 2);
+            const u = Array.from({ length: half }, (_, i) => (2 * i + 1) / n);
+            const zeta = u.map(ui => jacobiNormalized({ re: ui, im: 0 }, k, 'cd').re);
+            zeros = zeta.map(z => 1 / (k * z));
+
+            const v0 = inverseJacobiSn({ re: 0, im: 1 / epsilon }, k1).im / n;
+            poles = [];
+            u.forEach(ui => {
+                const p = jacobiNormalized({ re: ui, im: -v0 }, k, 'cd');
+                poles.push({ re: -p.im, im: p.re }, { re: -p.im, im: -p.re });
+            });
+            if (n % 2) {
+                const p0 = jacobiNormalized({ re: 0, im: v0 }, k, 'sn');
+                poles.push({ re: -p0.im, im: p0.re });
+            }
+
+            reflectionZeros = [];
+            zeta.forEach(z => reflectionZeros.push({ re: 0, im: z }, { re: 0, im: -z }));
+            if (n % 2) reflectionZeros.push({ re: 0, im: 0 });
+            if (n % 2 === 0) gainAtDc = 1 / Math.sqrt(1 + epsilon * epsilon);
+            break;
+        }
+
+        default:
+            throw new Error(`Unknown filter response ${response}`);
+    }
+
+    const E = polyFromRoots(poles);
+    const F = polyFromRoots(reflectionZeros);
+    let P = zeros.reduce((p, w) => polyMultiply(p, [w * w, 0, 1]), [1]);
+    P = P.map(c => c * gainAtDc * E[0] / P[0]);
+
+    return { E, F, P, zeros, stopEdge };
+}
+
+/**
+ * Attenuation of a normalized lowpass response
+ * @param {Object} characteristic - Result of lowpassCharacteristic()
+ * @param {number} w - Normalized frequency in rad/s
+ * @returns {number} Attenuation in dB
+ */
+function prototypeAttenuation(characteristic, w) {
+    const jw = { re: 0, im: w };
+    const e = polyEvaluate(characteristic.E, jw);
+    const p = polyEvaluate(characteristic.P, jw);
+    const transmitted = Math.max((p.re ** 2 + p.im ** 2) / (e.re ** 2 + e.im ** 2), 1e-30);
+    return -10 * Math.log10(transmitted);
+}
+
+/**
+ * Expand the input admittance of a normalized response into ladder arms,
+ * extracting the transmission zeros in the given order
+ * @param {Array} E - Denominator polynomial
+ * @param {Array} F - Reflection polynomial, signed for a pole of Y at infinity
+ * @param {Array} zeros - Transmission zeros in rad/s, in extraction order
+ * @returns {Object} {arms, load}; element values may be negative for a bad order
+ */
+function expandLadder(E, F, zeros) {
+    const n = E.length - 1;
+    // Y = (E − F)/(E + F); the leading terms of E + F cancel
+    let num = polyAdd(E, F, -1);
+    let den = polyAdd(E, F).slice(0, n);
+    const arms = [];
+
+    // Zero shifting: part of a shunt capacitor, then a series tank resonant at each zero
+    zeros.forEach(w => {
+        const jw = { re: 0, im: w };
+        const y = Complex.div(polyEvaluate(num, jw), polyEvaluate(den, jw));
+        const c = y.im / w;
+        arms.push({ position: 'shunt', network: { type: 'C', value: c } });
+        num = polyAdd(num, polyMultiply([0, c], den), -1);
+
+        const resonator = [w * w, 0, 1];
+        const reduced = polyDivide(num, resonator);
+
+        // Residue of Z = den/num at the pole jω gives the tank
+        const residue = Complex.div(polyEvaluate(den, jw), Complex.mul(jw, polyEvaluate(reduced, jw))).re;
+        arms.push({
+            position: 'series',
+            network: { type: 'parallel', parts: [{ type: 'L', value: residue / (w * w) }, { type: 'C', value: 1 / residue }] }
+        });
+        den = polyDivide(polyAdd(den, polyMultiply([0, residue], reduced), -1), resonator);
+        num = reduced;
+    });
+
+    // Remaining poles at infinity: alternate shunt capacitors and series inductors
+    let position = 'shunt';
+    while (num.length > den.length) {
+        const value = num[num.length - 1] / den[den.length - 1];
+        arms.push({ position, network: { type: position === 'shunt' ? 'C' : 'L', value } });
+        // The remainder drops two degrees, except for the final constant left by the load
+        const remainder = polyAdd(num, polyMultiply([0, value], den), -1).slice(0, Math.max(den.length - 1, 1));
+        [num, den] = [den, remainder];
+        position = position === 'shunt' ? 'series' : 'shunt';
+    }
+
+    // What is left is the load: an impedance after a shunt arm, an admittance after a series arm
+    const remainder = num[0] / den[0];
+    return { arms, load: position === 'series' ? remainder : 1 / remainder };
+}
+
+/**
+ * Realize a normalized lowpass response as a ladder starting with a shunt
+ * capacitor at the 1 Ω source
+ *
+ * Transmission zeros are extracted in the first order that leaves every
+ * element positive; sharp high-order elliptic designs can have none.
+ * @param {Object} characteristic - Result of lowpassCharacteristic()
+ * @returns {Object} {arms: [{position, network}], load} with a normalized load resistance
+ */
+function synthesizeLadder(characteristic) {
+    const { E, zeros } = characteristic;
+    // Sign F so that the input admittance has its pole at infinity
+    const F = characteristic.F.map(c => c * -Math.sign(characteristic.F[characteristic.F.length - 1]));
+
+    const values = (network) => network.parts ? network.parts.flatMap(values) : [network.value];
+    const realizable = (ladder) => ladder.load > 0 && isFinite(ladder.load) &&
+        ladder.arms.every(arm => values(arm.network).every(v => v > 0 && isFinite(v)));
+
+    const orders = (list) => list.length <= 1 ? [list] :
+        list.flatMap((w, i) => orders([...list.slice(0, i), ...list.slice(i + 1)]).map(rest => [w, ...rest]));
+
+    for (const order of orders(zeros)) {
+        const ladder = expandLadder(E, F, order);
+        if (realizable(ladder)) {
+            // A partial shunt capacitor that vanishes is left out
+            ladder.arms = ladder.arms.filter(arm => arm.network.value === undefined || arm.network.value > 1e-9);
+            return ladder;
+        }
+    }
+
+    throw new Error('No positive ladder realization - lower the order or relax the stopband');
+}
+
+/**
+ * Dual of a normalized ladder: series and shunt arms swap, as do L and C
+ * @param {Object} ladder - {arms, load}
+ * @returns {Object} Dual ladder starting with a series arm
+ */
+function dualLadder(ladder) {
+    const dual = (network) => {
+        switch (network.type) {
+            case 'L': return { type: 'C', value: network.value };
+            case 'C': return { type: 'L', value: network.value };
+            case 'series': return { type: 'parallel', parts: network.parts.map(dual) };
+            default: return { type: 'series', parts: network.parts.map(dual) };
+        }
+    };
+    return {
+        arms: ladder.arms.map(arm => ({
+            position: arm.position === 'shunt' ? 'series' : 'shunt',
+            network: dual(arm.network)
+        })),
+        load: 1 / ladder.load
+    };
+}
+
+/**
+ * Scale a normalized ladder to a termination and transform it from lowpass
+ * @param {Object} ladder - Normalized {arms, load}
+ * @param {string} filterClass - 'lowpass', 'highpass', 'bandpass' or 'bandstop'
+ * @param {Object} band - {cutoff} in Hz, or {center, bandwidth} in Hz for bandpass/bandstop
+ * @param {number} impedance - Termination impedance in ohms
+ * @returns {Object} {arms, load} with components in H and F and the load in ohms
+ */
+function transformLadder(ladder, filterClass, band, impedance) {
+    const R = impedance;
+    const wc = CONSTANTS.TWO_PI * band.cutoff;
+    const w0 = CONSTANTS.TWO_PI * band.center;
+    const B = CONSTANTS.TWO_PI * band.bandwidth;
+
+    const leaf = (type, g) => {
+        const L = (value) => ({ type: 'L', value });
+        const C = (value) => ({ type: 'C', value });
+        switch (filterClass) {
+            case 'lowpass':
+                return type === 'L' ? L(g * R / wc) : C(g / (R * wc));
+            case 'highpass':
+                return type === 'L' ? C(1 / (g * R * wc)) : L(R / (g * wc));
+            case 'bandpass':
+                return type === 'L' ?
+                    { type: 'series', parts: [L(g * R / B), C(B / (w0 * w0 * g * R))] } :
+                    { type: 'parallel', parts: [C(g / (R * B)), L(R * B / (w0 * w0 * g))] };
+            case 'bandstop':
+                return type === 'L' ?
+                    { type: 'parallel', parts: [L(g * R * B / (w0 * w0)), C(1 / (g * R * B))] } :
+                    { type: 'series', parts: [C(g * B / (R * w0 * w0)), L(R / (g * B))] };
+            default:
+                throw new Error(`Unknown filter class ${filterClass}`);
+        }
+    };
+
+    // Transform the leaves, then merge nested groups of the same kind
+    const transform = (network) => {
+        if (network.type === 'L' || network.type === 'C') return leaf(network.type, network.value);
+        const parts = [];
+        network.parts.map(transform).forEach(part => {
+            if (part.type === network.type) parts.push(...part.parts); else parts.push(part);
+        });
+        return { type: network.type, parts };
+    };
+
+    return {
+        arms: ladder.arms.map(arm => ({ position: arm.position, network: transform(arm.network) })),
+        load: ladder.load * R
+    };
+}
+
+/**
+ * Impedance of a ladder arm network
+ * @param {Object} network - {type: 'L'|'C', value} or {type: 'series'|'parallel', parts}
+ * @param {number} w - Angular frequency in rad/s
+ * @returns {Object} Complex impedance
+ */
+function networkImpedance(network, w) {
+    switch (network.type) {
+        case 'L':
+            return { re: 0, im: w * network.value };
+        case 'C':
+            return { re: 0, im: -1 / (w * network.value) };
+        case 'series':
+            return network.parts.reduce((z, part) => Complex.add(z, networkImpedance(part, w)), { re: 0, im: 0 });
+        default: {
+            // Parallel: sum admittances; an ideal resonance becomes a very large impedance
+            const y = network.parts.reduce((sum, part) => Complex.add(sum, Complex.div({ re: 1, im: 0 }, networkImpedance(part, w))), { re: 0, im: 0 });
+            return Complex.abs(y) < 1 / IDEAL_RESONANCE_LIMIT ? { re: IDEAL_RESONANCE_LIMIT, im: 0 } : Complex.div({ re: 1, im: 0 }, y);
+        }
+    }
+}
+
+/**
+ * Insertion and return loss of a terminated ladder
+ * @param {Object} ladder - {arms, load} in SI units
+ * @param {number} sourceImpedance - Source resistance in ohms
+ * @param {number} freqHz - Frequency in Hz
+ * @returns {Object} {insertionLoss, returnLoss} in dB
+ */
+function ladderResponse(ladder, sourceImpedance, freqHz) {
+    const w = CONSTANTS.TWO_PI * freqHz;
+    const one = { re: 1, im: 0 };
+    const zero = { re: 0, im: 0 };
+    // ABCD cascade
+    let [A, B, C, D] = [one, zero, zero, one];
+    ladder.arms.forEach(arm => {
+        const z = networkImpedance(arm.network, w);
+        if (arm.position === 'series') {
+            [B, D] = [Complex.add(Complex.mul(A, z), B), Complex.add(Complex.mul(C, z), D)];
+        } else {
+            // A shunt series resonance is a short rather than a division by zero
+            const y = Complex.abs(z) < 1 / IDEAL_RESONANCE_LIMIT ?
+                { re: IDEAL_RESONANCE_LIMIT, im: 0 } : Complex.div(one, z);
+            [A, C] = [Complex.add(A, Complex.mul(B, y)), Complex.add(C, Complex.mul(D, y))];
+        }
+    });
+
+    const RS = sourceImpedance;
+    const RL = ladder.load;
+    const denominator = Complex.add(Complex.add(Complex.scale(A, RL), B), Complex.add(Complex.scale(C, RS * RL), Complex.scale(D, RS)));
+    const gain = 4 * RS * RL / (denominator.re ** 2 + denominator.im ** 2);
+
+    const zin = Complex.div(Complex.add(Complex.scale(A, RL), B), Complex.add(Complex.scale(C, RL), D));
+    const gamma = Complex.div(Complex.sub(zin, { re: RS, im: 0 }), Complex.add(zin, { re: RS, im: 0 }));
+
+    return {
+        insertionLoss: -10 * Math.log10(Math.max(gain, 1e-30)),
+        returnLoss: -20 * Math.log10(Math.max(Complex.abs(gamma), 1e-15))
+    };
+}
@@ -242,8 +242,8 @@ function calculateIoTLinkBudget() {
     const freqMHz    = parseFloat(document.getElementById('iot-lb-freq').value);
     const txDbm      = parseFloat(document.getElementById('iot-lb-tx-power').value);
     const sensDbm    = parseFloat(document.getElementById('iot-lb-sensitivity').value);
-    const txGainDbi  = parseFloat(document.getElementById('iot-lb-tx-gain').value)  || 0;
-    const rxGainDbi  = parseFloat(document.getElementById('iot-lb-rx-gain').value)  || 0;
+    const txGainIn   = parseFloat(document.getElementById('iot-lb-tx-gain').value)  || 0;
+    const rxGainIn   = parseFloat(document.getElementById('iot-lb-rx-gain').value)  || 0;
     const feederLoss = parseFloat(document.getElementById('iot-lb-feeder').value)   || 0;
     const marginDb   = parseFloat(document.getElementById('iot-lb-margin').value)   || 10;
 
@@ -265,6 +265,11 @@ function calculateIoTLinkBudget() {
 
     try {
         const freqHz = freqMHz * 1e6;
+        // Imported patterns give the gain towards the other end of the link
+        const txAntenna = linkAntennaGain('iot-lb', 'tx', txGainIn, freqHz);
+        const rxAntenna = linkAntennaGain('iot-lb', 'rx', rxGainIn, freqHz);
+        const txGainDbi = txAntenna.gain;
+        const rxGainDbi = rxAntenna.gain;
         const eirpDbm = txDbm + txGainDbi - feederLoss;
         const mclDb  = eirpDbm - sensDbm + rxGainDbi; // Maximum Coupling Loss
         const linkMarginDb = mclDb - marginDb;
@@ -329,9 +334,9 @@ function calculateIoTLinkBudget() {
                     <strong>System:</strong>
                     <ul>
                         <li>TX power = ${formatNumber(txDbm, 1)} dBm</li>
-                        <li>TX gain = ${formatNumber(txGainDbi, 1)} dBi</li>
+                        <li>TX gain = ${formatNumber(txGainDbi, 1)} dBi${txAntenna.description ? ` (${txAntenna.description})` : ''}</li>
                         <li>Feeder loss = ${formatNumber(feederLoss, 1)} dB</li>
-                        <li>RX gain = ${formatNumber(rxGainDbi, 1)} dBi</li>
+                        <li>RX gain = ${formatNumber(rxGainDbi, 1)} dBi${rxAntenna.description ? ` (${rxAntenna.description})` : ''}</li>
                         <li>Fade margin = ${formatNumber(marginDb, 1)} dB</li>
                     </ul>
                 </div>
@@ -339,6 +344,7 @@ function calculateIoTLinkBudget() {
             <div class="info-section">
                 <p><strong>MCL = EIRP − Rx Sensitivity + Rx Antenna Gain</strong></p>
                 <ul>
+                    ${[txAntenna.warning, rxAntenna.warning].filter(Boolean).map(warning => `<li>⚠ ${warning}</li>`).join('')}
                     <li>Indoor penetration loss: ~${indoorPenetrationDb} dB at ${freqMHz} MHz</li>
                     <li>Typical fade margin: 10 dB (LOS), 20–30 dB (NLOS urban)</li>
                     <li>MCL benchmarks: NB-IoT ~164 dB, LTE-M ~156 dB, LoRa ~155 dB, Sigfox ~149 dB</li>
@@ -0,0 +1,590 @@
+// Thin-wire method-of-moments (MoM) solver for straight-wire antennas
+//
+// Wires are split into segments; the current is expanded in triangle
+// (piecewise-linear) basis functions centred on every node shared by two
+// segments, so wires that meet end-to-end (loops, quads, bent elements) are
+// joined automatically. The EFIE is tested at segment midpoints using the
+// reduced thin-wire kernel. Geometry follows NEC conventions: each wire has a
+// tag, a segment count, two end points and a radius, and a voltage source
+// sits on a numbered segment.
+
+// Free-space permeability and permittivity
+const MOM_MU0 = 4e-7 * Math.PI;                     // H/m
+const MOM_EPS0 = 1 / (MOM_MU0 * CONSTANTS.SPEED_OF_LIGHT * CONSTANTS.SPEED_OF_LIGHT); // F/m
+
+// Four-point Gauss-Legendre abscissae and weights mapped to [0, 1]
+const MOM_GAUSS = [
+    { t: 0.0694318442029737, w: 0.1739274225687269 },
+    { t: 0.3300094782075719, w: 0.3260725774312731 },
+    { t: 0.6699905217924281, w: 0.3260725774312731 },
+    { t: 0.9305681557970263, w: 0.1739274225687269 }
+];
+
+/**
+ * Split wires into segments, merge coincident wire ends and build the
+ * triangle basis functions
+ * @param {Object} model - {wires: [{tag, segments, start: [x,y,z], end: [x,y,z], radius}]}
+ * @returns {Object} {segments, bases}
+ */
+function momBuildGeometry(model) {
+    if (!model || !model.wires || model.wires.length === 0) {
+        throw new Error('Antenna model has no wires');
+    }
+
+    const segments = [];
+    const nodes = [];
+
+    // Shortest segment sets the tolerance used to join wire ends
+    let minSegLength = Infinity;
+    model.wires.forEach(wire => {
+        const len = Math.hypot(wire.end[0] - wire.start[0], wire.end[1] - wire.start[1], wire.end[2] - wire.start[2]);
+        if (!(wire.segments >= 1) || !(len > 0) || !(wire.radius > 0)) {
+            throw new Error(`Wire ${wire.tag}: needs a positive length, radius and segment count`);
+        }
+        minSegLength = Math.min(minSegLength, len / wire.segments);
+    });
+    const tolerance = minSegLength * CONSTANTS.ANTENNA.MOM.JUNCTION_TOLERANCE;
+
+    const newNode = (pos) => {
+        nodes.push({ pos, attached: [] });
+        return nodes.length - 1;
+    };
+    const endNode = (pos) => {
+        for (let i = 0; i < nodes.length; i++) {
+            const p = nodes[i].pos;
+            if (nodes[i].isWireEnd && Math.hypot(p[0] - pos[0], p[1] - pos[1], p[2] - pos[2]) < tolerance) {
+                return i;
+            }
+        }
+        const index = newNode(pos);
+        nodes[index].isWireEnd = true;
+        return index;
+    };
+
+    model.wires.forEach((wire, wireIndex) => {
+        const n = Math.round(wire.segments);
+        const span = [0, 1, 2].map(i => wire.end[i] - wire.start[i]);
+        const length = Math.hypot(span[0], span[1], span[2]) / n;
+        const dir = span.map(v => v / (length * n));
+        const pointAt = (f) => [0, 1, 2].map(i => wire.start[i] + span[i] * f);
+
+        let previous = endNode(wire.start);
+        for (let i = 0; i < n; i++) {
+            const start = pointAt(i / n);
+            const end = pointAt((i + 1) / n);
+            const next = i === n - 1 ? endNode(end) : newNode(end);
+            const seg = {
+                wire: wireIndex,
+                tag: wire.tag,
+                index: i + 1,
+                start,
+                end,
+                mid: pointAt((i + 0.5) / n),
+                dir,
+                length,
+                radius: wire.radius,
+                startNode: previous,
+                endNode: next
+            };
+            nodes[previous].attached.push({ seg: segments.length, nodeAtEnd: false });
+            nodes[next].attached.push({ seg: segments.length, nodeAtEnd: true });
+            segments.push(seg);
+            previous = next;
+        }
+    });
+
+    // One triangle per extra segment meeting at a node: current flows in on
+    // the first attached segment and out on each of the others
+    const bases = [];
+    nodes.forEach(node => {
+        const first = node.attached[0];
+        for (let j = 1; j < node.attached.length; j++) {
+            const other = node.attached[j];
+            bases.push([
+                { seg: first.seg, nodeAtEnd: first.nodeAtEnd, dir: first.nodeAtEnd ? 1 : -1, div: 1 },
+                { seg: other.seg, nodeAtEnd: other.nodeAtEnd, dir: other.nodeAtEnd ? -1 : 1, div: -1 }
+            ]);
+        }
+    });
+
+    if (bases.length === 0) {
+        throw new Error('Antenna model needs at least two segments per wire');
+    }
+
+    return { segments, bases };
+}
+
+/**
+ * Integrate the reduced-kernel Green's function over a source segment
+ * @param {Array} r - Observation point [x, y, z]
+ * @param {Object} seg - Source segment
+ * @param {number} k - Wavenumber (rad/m)
+ * @returns {Object} {gRe, gIm, tRe, tIm}: ∫G dl and ∫(l/L)·G dl
+ */
+function momSegmentIntegrals(r, seg, k) {
+    const L = seg.length;
+    const a2 = seg.radius * seg.radius;
+    const dx = r[0] - seg.start[0], dy = r[1] - seg.start[1], dz = r[2] - seg.start[2];
+    const x0 = dx * seg.dir[0] + dy * seg.dir[1] + dz * seg.dir[2];
+    const rho = Math.sqrt(Math.max(dx * dx + dy * dy + dz * dz - x0 * x0, 0) + a2);
+
+    // Static 1/(4πR) part in closed form
+    const i0 = Math.asinh((L - x0) / rho) - Math.asinh(-x0 / rho);
+    const i1 = Math.hypot(L - x0, rho) - Math.hypot(x0, rho) + x0 * i0;
+    let gRe = i0 / (4 * Math.PI);
+    let gIm = 0;
+    let tRe = i1 / (L * 4 * Math.PI);
+    let tIm = 0;
+
+    // Remaining (e^{-jkR} − 1)/(4πR) part is smooth, so quadrature is enough
+    for (const { t, w } of MOM_GAUSS) {
+        const px = dx - seg.dir[0] * L * t;
+        const py = dy - seg.dir[1] * L * t;
+        const pz = dz - seg.dir[2] * L * t;
+        const R = Math.sqrt(px * px + py * py + pz * pz + a2);
+        const scale = w * L / (4 * Math.PI * R);
+        const re = (Math.cos(k * R) - 1) * scale;
+        const im = -Math.sin(k * R) * scale;
+        gRe += re;
+        gIm += im;
+        tRe += re * t;
+        tIm += im * t;
+    }
+
+    return { gRe, gIm, tRe, tIm };
+}
+
+/**
+ * Fill the MoM impedance matrix for a geometry
+ * @param {Object} geometry - Result of momBuildGeometry()
+ * @param {number} omega - Angular frequency in rad/s
+ * @returns {Object} {zRe, zIm} row-major n×n arrays over the basis functions
+ */
+function momImpedanceMatrix(geometry, omega) {
+    const { segments, bases } = geometry;
+    const k = omega / CONSTANTS.SPEED_OF_LIGHT;
+    const nSeg = segments.length;
+    const n = bases.length;
+
+    // Green's function integrals between every segment midpoint and segment
+    const gRe = new Float64Array(nSeg * nSeg), gIm = new Float64Array(nSeg * nSeg);
+    const tRe = new Float64Array(nSeg * nSeg), tIm = new Float64Array(nSeg * nSeg);
+    for (let p = 0; p < nSeg; p++) {
+        for (let q = 0; q < nSeg; q++) {
+            const integrals = momSegmentIntegrals(segments[p].mid, segments[q], k);
+            const i = p * nSeg + q;
+            gRe[i] = integrals.gRe;
+            gIm[i] = integrals.gIm;
+            tRe[i] = integrals.tRe;
+            tIm[i] = integrals.tIm;
+        }
+    }
+
+    // Z_mn = jωμ∫∫ f_m·f_n G + (1/jωε)∫∫ (∇·f_m)(∇·f_n) G
+    const zRe = new Float64Array(n * n);
+    const zIm = new Float64Array(n * n);
+    const vectorScale = omega * MOM_MU0;
+    const scalarScale = 1 / (omega * MOM_EPS0);
+    for (let m = 0; m < n; m++) {
+        for (let nb = 0; nb < n; nb++) {
+            let re = 0, im = 0;
+            for (const hp of bases[m]) {
+                const sp = segments[hp.seg];
+                for (const hq of bases[nb]) {
+                    const sq = segments[hq.seg];
+                    const i = hp.seg * nSeg + hq.seg;
+                    const udot = hp.dir * hq.dir *
+                        (sp.dir[0] * sq.dir[0] + sp.dir[1] * sq.dir[1] + sp.dir[2] * sq.dir[2]);
+
+                    // Triangle weight on the source half: 1 at the shared node
+                    const fRe = hq.nodeAtEnd ? tRe[i] : gRe[i] - tRe[i];
+                    const fIm = hq.nodeAtEnd ? tIm[i] : gIm[i] - tIm[i];
+                    const va = vectorScale * sp.length / 2 * udot;
+                    re -= va * fIm;
+                    im += va * fRe;
+
+                    const sa = scalarScale * hp.div * hq.div / sq.length;
+                    re += sa * gIm[i];
+                    im -= sa * gRe[i];
+                }
+            }
+            zRe[m * n + nb] = re;
+            zIm[m * n + nb] = im;
+        }
+    }
+
+    return { zRe, zIm };
+}
+
+/**
+ * Index of the segment a NEC-style source or port refers to
+ * @param {Array} segments - Segments from momBuildGeometry()
+ * @param {Object} port - {tag, segment}
+ * @returns {number} Segment index
+ */
+function momFindSegment(segments, port) {
+    const index = segments.findIndex(s => s.tag === port.tag && s.index === port.segment);
+    if (index < 0) {
+        throw new Error(`Source segment ${port.segment} on wire ${port.tag} does not exist`);
+    }
+    return index;
+}
+
+/**
+ * Solve the MoM system for one or more unit voltage sources at once
+ * @param {Object} geometry - Result of momBuildGeometry()
+ * @param {number} freqHz - Frequency in Hz
+ * @param {Array} feedSegs - Segment indices, one excitation per entry
+ * @returns {Array} Segment midpoint currents {re, im} per excitation
+ */
+function momSolveExcitations(geometry, freqHz, feedSegs) {
+    const { segments, bases } = geometry;
+    const n = bases.length;
+    const m = feedSegs.length;
+    const { zRe, zIm } = momImpedanceMatrix(geometry, CONSTANTS.TWO_PI * freqHz);
+
+    // Voltage source across one segment drives both triangles that overlap it
+    const vRe = new Float64Array(n * m);
+    const vIm = new Float64Array(n * m);
+    bases.forEach((basis, b) => {
+        basis.forEach(half => {
+            feedSegs.forEach((feedSeg, j) => {
+                if (half.seg === feedSeg) {
+                    vRe[b * m + j] += half.dir / 2;
+                }
+            });
+        });
+    });
+
+    const currents = solveComplexLinearSystem(zRe, zIm, vRe, vIm);
+
+    // Current at each segment midpoint along the segment direction
+    return feedSegs.map((_, j) => {
+        const segRe = new Float64Array(segments.length);
+        const segIm = new Float64Array(segments.length);
+        bases.forEach((basis, b) => {
+            basis.forEach(half => {
+                segRe[half.seg] += half.dir * currents.re[b * m + j] / 2;
+                segIm[half.seg] += half.dir * currents.im[b * m + j] / 2;
+            });
+        });
+        return { re: segRe, im: segIm };
+    });
+}
+
+/**
+ * Solve a wire antenna at one frequency
+ * @param {Object} model - {wires: [...], source: {tag, segment, voltage}}
+ * @param {number} freqHz - Frequency in Hz
+ * @param {Object} geometry - Optional result of momBuildGeometry() to reuse
+ * @returns {Object} Solution with impedance, input power and segment currents
+ */
+function momSolve(model, freqHz, geometry = null) {
+    geometry = geometry || momBuildGeometry(model);
+    const source = model.source || {};
+    const voltage = source.voltage || 1;
+    const feedSeg = momFindSegment(geometry.segments, source);
+
+    const [unit] = momSolveExcitations(geometry, freqHz, [feedSeg]);
+    const segRe = unit.re.map(v => v * voltage);
+    const segIm = unit.im.map(v => v * voltage);
+
+    const iRe = segRe[feedSeg];
+    const iIm = segIm[feedSeg];
+    const iMag2 = iRe * iRe + iIm * iIm;
+    if (iMag2 === 0) {
+        throw new Error('No current flows at the feed point');
+    }
+
+    return {
+        frequency: freqHz,
+        k: CONSTANTS.TWO_PI * freqHz / CONSTANTS.SPEED_OF_LIGHT,
+        segments: geometry.segments,
+        segmentCurrents: { re: segRe, im: segIm },
+        feedCurrent: complexImpedance(iRe, iIm),
+        impedance: complexImpedance(voltage * iRe / iMag2, -voltage * iIm / iMag2),
+        inputPower: 0.5 * voltage * iRe
+    };
+}
+
+/**
+ * Solve a multi-port wire structure for its short-circuit admittance matrix
+ * @param {Object} model - {wires: [...]}; the source is ignored
+ * @param {Array} ports - [{tag, segment}] port segments
+ * @param {number} freqHz - Frequency in Hz
+ * @returns {Object} {frequency, k, segments, portCurrents, admittance: {re, im}}
+ *   where portCurrents[j] are segment currents for 1 V on port j and
+ *   admittance is row-major P×P with Y[i][j] = current at port i per volt on port j
+ */
+function momSolvePorts(model, ports, freqHz) {
+    const geometry = momBuildGeometry(model);
+    const feedSegs = ports.map(port => momFindSegment(geometry.segments, port));
+    const portCurrents = momSolveExcitations(geometry, freqHz, feedSegs);
+
+    const p = ports.length;
+    const yRe = new Float64Array(p * p);
+    const yIm = new Float64Array(p * p);
+    for (let i = 0; i < p; i++) {
+        for (let j = 0; j < p; j++) {
+            yRe[i * p + j] = portCurrents[j].re[feedSegs[i]];
+            yIm[i * p + j] = portCurrents[j].im[feedSegs[i]];
+        }
+    }
+
+    return {
+        frequency: freqHz,
+        k: CONSTANTS.TWO_PI * freqHz / CONSTANTS.SPEED_OF_LIGHT,
+        segments: geometry.segments,
+        portCurrents,
+        admittance: { re: yRe, im: yIm }
+    };
+}
+
+/**
+ * Solve a wire structure joined by lossless transmission lines, as NEC TL
+ * cards describe them: MoM port admittances plus the line sections, fed with
+ * 1 A at the source segment
+ * @param {Object} model - {wires, source: {tag, segment}, transmissionLines:
+ *   [{from: {tag, segment}, to: {tag, segment}, impedance, length, crossed}]}; a zero
+ *   length means the straight distance between the two segments
+ * @param {number} freqHz - Frequency in Hz
+ * @returns {Object} Solution usable with momGainDbi() plus impedance
+ */
+function momSolveNetwork(model, freqHz) {
+    // One node per distinct segment, the source first
+    const ports = [model.source];
+    const node = (end) => {
+        let index = ports.findIndex(p => p.tag === end.tag && p.segment === end.segment);
+        if (index < 0) index = ports.push({ tag: end.tag, segment: end.segment }) - 1;
+        return index;
+    };
+    const lines = model.transmissionLines.map(line => ({ ...line, i: node(line.from), j: node(line.to) }));
+    
+    const solved = momSolvePorts(model, ports, freqHz);
+    const n = ports.length;
+    const aRe = Float64Array.from(solved.admittance.re);
+    const aIm = Float64Array.from(solved.admittance.im);
+    
+    // Lossless sections: Y11 = Y22 = -j·cot(βd)/Z0, Y12 = Y21 = ±j/(Z0·sin βd),
+    // negative for a crossed (transposed) line
+    lines.forEach(line => {
+        let length = line.length;
+        if (!(length > 0)) {
+            const a = solved.segments[momFindSegment(solved.segments, line.from)].mid;
+            const b = solved.segments[momFindSegment(solved.segments, line.to)].mid;
+            length = Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+        }
+        const bd = solved.k * length;
+        const self = -1 / (line.impedance * Math.tan(bd));
+        const mutual = (line.crossed ? -1 : 1) / (line.impedance * Math.sin(bd));
+        aIm[line.i * n + line.i] += self;
+        aIm[line.j * n + line.j] += self;
+        aIm[line.i * n + line.j] += mutual;
+        aIm[line.j * n + line.i] += mutual;
+    });
+    
+    const jRe = new Float64Array(n);
+    const jIm = new Float64Array(n);
+    jRe[0] = 1;
+    const nodes = solveComplexLinearSystem(aRe, aIm, jRe, jIm);
+    
+    // Superpose the per-port currents with the node voltages
+    const nSeg = solved.segments.length;
+    const segRe = new Float64Array(nSeg);
+    const segIm = new Float64Array(nSeg);
+    for (let p = 0; p < n; p++) {
+        const vRe = nodes.re[p];
+        const vIm = nodes.im[p];
+        const current = solved.portCurrents[p];
+        for (let s = 0; s < nSeg; s++) {
+            segRe[s] += vRe * current.re[s] - vIm * current.im[s];
+            segIm[s] += vRe * current.im[s] + vIm * current.re[s];
+        }
+    }
+    
+    const zIn = complexImpedance(nodes.re[0], nodes.im[0]);
+    return {
+        frequency: freqHz,
+        k: solved.k,
+        segments: solved.segments,
+        segmentCurrents: { re: segRe, im: segIm },
+        impedance: zIn,
+        inputPower: 0.5 * zIn.real
+    };
+}
+
+/**
+ * Gain of a solved antenna in a given direction
+ * @param {Object} solution - Result of momSolve()
+ * @param {Array} direction - Unit vector [x, y, z] towards the observer
+ * @returns {number} Gain in dBi
+ */
+function momGainDbi(solution, direction) {
+    const { segments, segmentCurrents, k } = solution;
+    const [ux, uy, uz] = direction;
+
+    // Radiation vector N = Σ I·L·ŝ·e^{jk r̂·r'}
+    let nxRe = 0, nxIm = 0, nyRe = 0, nyIm = 0, nzRe = 0, nzIm = 0;
+    segments.forEach((seg, i) => {
+        const phase = k * (ux * seg.mid[0] + uy * seg.mid[1] + uz * seg.mid[2]);
+        const c = Math.cos(phase), s = Math.sin(phase);
+        const mRe = (segmentCurrents.re[i] * c - segmentCurrents.im[i] * s) * seg.length;
+        const mIm = (segmentCurrents.re[i] * s + segmentCurrents.im[i] * c) * seg.length;
+        nxRe += mRe * seg.dir[0]; nxIm += mIm * seg.dir[0];
+        nyRe += mRe * seg.dir[1]; nyIm += mIm * seg.dir[1];
+        nzRe += mRe * seg.dir[2]; nzIm += mIm * seg.dir[2];
+    });
+
+    // Keep only the part transverse to the direction of propagation
+    const dotRe = nxRe * ux + nyRe * uy + nzRe * uz;
+    const dotIm = nxIm * ux + nyIm * uy + nzIm * uz;
+    const tx = [nxRe - dotRe * ux, nxIm - dotIm * ux];
+    const ty = [nyRe - dotRe * uy, nyIm - dotIm * uy];
+    const tz = [nzRe - dotRe * uz, nzIm - dotIm * uz];
+    const nt2 = tx[0] ** 2 + tx[1] ** 2 + ty[0] ** 2 + ty[1] ** 2 + tz[0] ** 2 + tz[1] ** 2;
+
+    // G = 4πU / P_in with U = η·k²·|N_t|² / (32π²)
+    const gain = CONSTANTS.FREE_SPACE_IMPEDANCE * k * k * nt2 / (8 * Math.PI * solution.inputPower);
+    return 10 * Math.log10(Math.max(gain, 1e-12));
+}
+
+/**
+ * Far-field pattern cut of a solved antenna
+ * Azimuth is the xy-plane measured from +x towards +y; elevation is the
+ * xz-plane measured from +x towards +z.
+ * @param {Object} solution - Result of momSolve()
+ * @param {string} plane - 'azimuth' or 'elevation'
+ * @param {number} stepDeg - Angular step in degrees
+ * @returns {Array} [{angle, gain}] with gain in dBi
+ */
+function momPatternCut(solution, plane, stepDeg = 2) {
+    const cut = [];
+    for (let angle = 0; angle <= 360; angle += stepDeg) {
+        const a = angle * Math.PI / 180;
+        const direction = plane === 'elevation' ?
+            [Math.cos(a), 0, Math.sin(a)] :
+            [Math.cos(a), Math.sin(a), 0];
+        cut.push({ angle, gain: momGainDbi(solution, direction) });
+    }
+    return cut;
+}
+
+/**
+ * Half-power beamwidth of the main lobe in a pattern cut
+ * @param {Array} cut - [{angle, gain}] covering 0–360°
+ * @returns {number} Beamwidth in degrees (360 when the cut never drops 3 dB)
+ */
+function patternBeamwidth(cut) {
+    const points = cut[cut.length - 1].angle === 360 + cut[0].angle ? cut.slice(0, -1) : cut;
+    const n = points.length;
+    const step = 360 / n;
+    let peak = 0;
+    points.forEach((p, i) => {
+        if (p.gain > points[peak].gain) peak = i;
+    });
+    const threshold = points[peak].gain - 3;
+
+    // Walk away from the peak on each side until the gain crosses −3 dB
+    const halfWidth = (sign) => {
+        for (let j = 1; j < n; j++) {
+            const prev = points[(peak + sign * (j - 1) + n) % n].gain;
+            const curr = points[(peak + sign * j + n) % n].gain;
+            if (curr <= threshold) {
+                return (j - 1 + (prev - threshold) / (prev - curr)) * step;
+            }
+        }
+        return 180;
+    };
+
+    return Math.min(halfWidth(1) + halfWidth(-1), 360);
+}
+
+/**
+ * Summarise a solved directional antenna: forward gain along +x, back gain,
+ * front-to-back ratio, peak gain and beamwidths of both principal cuts
+ * @param {Object} solution - Result of momSolve()
+ * @returns {Object} Far-field summary
+ */
+function momFarFieldSummary(solution) {
+    const azimuth = momPatternCut(solution, 'azimuth');
+    const elevation = momPatternCut(solution, 'elevation');
+    const forwardGain = momGainDbi(solution, [1, 0, 0]);
+    const backGain = momGainDbi(solution, [-1, 0, 0]);
+    const maxGain = Math.max(...azimuth.map(p => p.gain), ...elevation.map(p => p.gain));
+
+    return {
+        azimuth,
+        elevation,
+        forwardGain,
+        backGain,
+        frontToBack: forwardGain - backGain,
+        maxGain,
+        azimuthBeamwidth: patternBeamwidth(azimuth),
+        elevationBeamwidth: patternBeamwidth(elevation)
+    };
+}
+
+/**
+ * 2:1 SWR bandwidth around the design frequency assuming a lossless match
+ * that cancels the reactance and transforms the resistance at f₀
+ * @param {Object} model - Wire model
+ * @param {number} freqHz - Design frequency in Hz
+ * @param {number} spanFraction - Sweep half-width as a fraction of f₀
+ * @param {number} steps - Number of sweep points across the full span
+ * @returns {Object} {lower, upper, bandwidth, limited, points} with frequencies in Hz;
+ *   points holds only the frequencies that were solved
+ */
+function momMatchedBandwidth(model, freqHz, spanFraction = 0.1, steps = 41) {
+    const geometry = momBuildGeometry(model);
+    const z0 = momSolve(model, freqHz, geometry).impedance;
+    const half = Math.floor(steps / 2);
+    const points = [{ frequency: freqHz, impedance: z0, vswr: 1 }];
+
+    // Walk outwards from f₀ and stop at the first point above 2:1, so narrow
+    // antennas only cost a few solves; the edge is interpolated between points
+    const edge = (direction) => {
+        let previous = points[0];
+        for (let i = 1; i <= half; i++) {
+            const f = freqHz * (1 + direction * spanFraction * i / half);
+            const z = momSolve(model, f, geometry).impedance;
+            const x = z.imaginary - z0.imaginary;
+            const num = Math.hypot(z.real - z0.real, x);
+            const den = Math.hypot(z.real + z0.real, x);
+            const point = { frequency: f, impedance: z, vswr: gammaToVSWR(num / den) };
+            points.push(point);
+
+            if (point.vswr > 2) {
+                const t = (2 - previous.vswr) / (point.vswr - previous.vswr);
+                return { frequency: previous.frequency + t * (f - previous.frequency), limited: false };
+            }
+            previous = point;
+        }
+        return { frequency: previous.frequency, limited: true };
+    };
+
+    const lower = edge(-1);
+    const upper = edge(1);
+    points.sort((a, b) => a.frequency - b.frequency);
+
+    return {
+        lower: lower.frequency,
+        upper: upper.frequency,
+        bandwidth: upper.frequency - lower.frequency,
+        limited: lower.limited || upper.limited,
+        points
+    };
+}
+
+/**
+ * Segment count for a wire so that segments stay near the configured density
+ * @param {number} length - Wire length in meters
+ * @param {number} wavelength - Free-space wavelength in meters
+ * @param {number} perWavelength - Segments per wavelength
+ * @param {number} minSegments - Fewest segments on the wire
+ * @returns {number} Odd segment count
+ */
+function momSegmentsFor(length, wavelength, perWavelength = CONSTANTS.ANTENNA.MOM.SEGMENTS_PER_WAVELENGTH,
+                        minSegments = CONSTANTS.ANTENNA.MOM.MIN_SEGMENTS) {
+    const n = Math.max(Math.ceil(length / wavelength * perWavelength), minSegments);
+    return n % 2 === 0 ? n + 1 : n;
+}
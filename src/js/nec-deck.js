@@ -0,0 +1,261 @@
+// NEC2 card deck import and export
+//
+// Converts the wire models used by momSolve() to and from NEC2 input decks so
+// designs can be cross-checked in NEC-based tools. Export writes CM/CE, GW,
+// GE, TL, EX, FR, RP and EN cards in free format. Import understands straight
+// wires (GW, optionally scaled with GS) fed by a voltage source and joined by
+// TL transmission lines; cards that do not change the free-space wire
+// geometry are skipped with a warning.
+
+// Geometry cards that bend, move or copy wires and cannot be flattened safely
+const NEC_UNSUPPORTED_GEOMETRY = ['GA', 'GH', 'GM', 'GR', 'GX', 'GF', 'SP', 'SM', 'SC'];
+
+/**
+ * Format a number for a NEC card field
+ * @param {number} value - Value to format
+ * @returns {string} Compact representation
+ */
+function formatNecNumber(value) {
+    if (value === 0) return '0';
+    const abs = Math.abs(value);
+    return (abs >= 1e-3 && abs < 1e5) ?
+        String(parseFloat(value.toPrecision(7))) :
+        value.toExponential(6);
+}
+
+/**
+ * Build a NEC2 card deck from a wire model
+ * @param {Object} model - {wires: [...], source: {tag, segment, voltage}} and optional
+ *   transmissionLines: [{from: {tag, segment}, to: {tag, segment}, impedance, length, crossed}]
+ * @param {number} freqHz - Frequency in Hz (start frequency of a sweep)
+ * @param {Array} comments - Comment lines for the CM cards
+ * @param {Object} sweep - Optional linear sweep {steps, stepHz}
+ * @returns {string} NEC2 deck text
+ */
+function buildNecDeck(model, freqHz, comments = [], sweep = null) {
+    const lines = [];
+
+    comments.forEach(comment => lines.push(`CM ${comment}`));
+    lines.push('CE');
+
+    model.wires.forEach(wire => {
+        const fields = [wire.tag, wire.segments, ...wire.start, ...wire.end, wire.radius];
+        lines.push('GW ' + fields.map(formatNecNumber).join(' '));
+    });
+
+    lines.push('GE 0');
+
+    // A negative characteristic impedance marks a crossed (transposed) line
+    (model.transmissionLines || []).forEach(line => {
+        const z0 = line.crossed ? -line.impedance : line.impedance;
+        lines.push(`TL ${line.from.tag} ${line.from.segment} ${line.to.tag} ${line.to.segment} ` +
+                   `${formatNecNumber(z0)} ${formatNecNumber(line.length)} 0 0 0 0`);
+    });
+
+    lines.push(`EX 0 ${model.source.tag} ${model.source.segment} 0 ${formatNecNumber(model.source.voltage || 1)} 0`);
+    lines.push(sweep ?
+        `FR 0 ${sweep.steps} 0 0 ${formatNecNumber(freqHz / 1e6)} ${formatNecNumber(sweep.stepHz / 1e6)}` :
+        `FR 0 1 0 0 ${formatNecNumber(freqHz / 1e6)} 0`);
+    // Full sphere in 5° steps, power gain
+    lines.push('RP 0 37 73 1000 0 0 5 5');
+    lines.push('EN');
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Parse a NEC2 card deck made of straight wires
+ * @param {string} text - Deck text
+ * @returns {Object} {wires, source, transmissionLines, frequency, comments, warnings}
+ */
+function parseNecDeck(text) {
+    const wires = [];
+    const transmissionLines = [];
+    const comments = [];
+    const warnings = [];
+    const skipped = new Set();
+    let source = null;
+    let frequency = null;
+
+    const lines = text.split(/\r?\n/);
+    for (let n = 0; n < lines.length; n++) {
+        const line = lines[n].trim();
+        if (!line) continue;
+
+        const card = line.substring(0, 2).toUpperCase();
+        const fields = line.substring(2).trim().split(/[\s,]+/).filter(f => f !== '');
+        const num = (i) => {
+            const value = parseFloat(fields[i]);
+            return isNaN(value) ? 0 : value;
+        };
+
+        if (card === 'EN') break;
+
+        switch (card) {
+            case 'CM':
+            case 'CE':
+                if (line.length > 2) comments.push(line.substring(2).trim());
+                break;
+
+            case 'GW': {
+                const wire = {
+                    tag: Math.round(num(0)),
+                    segments: Math.round(num(1)),
+                    start: [num(2), num(3), num(4)],
+                    end: [num(5), num(6), num(7)],
+                    radius: num(8)
+                };
+                if (wire.segments < 1) {
+                    throw new Error(`Line ${n + 1}: GW card needs at least one segment`);
+                }
+                if (!(wire.radius > 0)) {
+                    throw new Error(`Line ${n + 1}: GW card needs a positive wire radius (tapered GC wires are not supported)`);
+                }
+                wires.push(wire);
+                break;
+            }
+
+            case 'GS': {
+                // Scale all wires defined so far
+                const scale = num(2);
+                if (!(scale > 0)) {
+                    throw new Error(`Line ${n + 1}: GS card needs a positive scale factor`);
+                }
+                wires.forEach(wire => {
+                    wire.start = wire.start.map(v => v * scale);
+                    wire.end = wire.end.map(v => v * scale);
+                    wire.radius *= scale;
+                });
+                break;
+            }
+
+            case 'GE':
+                if (num(0) !== 0) warnings.push('Ground plane ignored - the deck is analyzed in free space');
+                break;
+
+            case 'EX': {
+                const type = Math.round(num(0));
+                if (type !== 0 && type !== 5) {
+                    throw new Error(`Line ${n + 1}: only voltage sources (EX 0 or EX 5) are supported`);
+                }
+                if (source) {
+                    warnings.push('Only the first EX source is used');
+                    break;
+                }
+                source = { tag: Math.round(num(1)), segment: Math.round(num(2)), voltage: num(4) || 1 };
+                break;
+            }
+
+            case 'TL': {
+                // A negative characteristic impedance marks a crossed line
+                const from = { tag: Math.round(num(0)), segment: Math.round(num(1)) };
+                const to = { tag: Math.round(num(2)), segment: Math.round(num(3)) };
+                const z0 = num(4);
+                if (from.tag === 0 || to.tag === 0) {
+                    throw new Error(`Line ${n + 1}: TL card must give the tag of each end (absolute segment numbers are not supported)`);
+                }
+                if (z0 === 0) {
+                    throw new Error(`Line ${n + 1}: TL card needs a characteristic impedance`);
+                }
+                if ([6, 7, 8, 9].some(i => num(i) !== 0)) {
+                    warnings.push(`Line ${n + 1}: TL shunt admittances ignored`);
+                }
+                transmissionLines.push({ from, to, impedance: Math.abs(z0), length: num(5), crossed: z0 < 0 });
+                break;
+            }
+
+            case 'FR':
+                if (frequency === null) {
+                    frequency = num(4) * 1e6;
+                    if (Math.round(num(1)) > 1) warnings.push('Frequency sweep ignored - the first FR frequency is used');
+                }
+                break;
+
+            case 'RP':
+            case 'XQ':
+            case 'NX':
+                break;
+
+            default:
+                if (NEC_UNSUPPORTED_GEOMETRY.includes(card)) {
+                    throw new Error(`Line ${n + 1}: ${card} card is not supported - only straight GW wires can be imported`);
+                }
+                skipped.add(card);
+        }
+    }
+
+    if (wires.length === 0) {
+        throw new Error('No GW wire cards found in the deck');
+    }
+
+    if (!source) {
+        source = { tag: wires[0].tag, segment: Math.ceil(wires[0].segments / 2), voltage: 1 };
+        warnings.push(`No EX card - feeding the centre of wire ${wires[0].tag}`);
+    }
+
+    const fed = wires.find(wire => wire.tag === source.tag);
+    if (!fed || source.segment < 1 || source.segment > fed.segments) {
+        throw new Error(`EX card points at tag ${source.tag} segment ${source.segment}, which is not in the deck`);
+    }
+
+    transmissionLines.forEach(line => {
+        [line.from, line.to].forEach(end => {
+            const wire = wires.find(w => w.tag === end.tag);
+            if (!wire || end.segment < 1 || end.segment > wire.segments) {
+                throw new Error(`TL card points at tag ${end.tag} segment ${end.segment}, which is not in the deck`);
+            }
+        });
+    });
+
+    if (skipped.size > 0) {
+        warnings.push(`Cards ignored: ${[...skipped].join(', ')}`);
+    }
+
+    return { wires, source, transmissionLines, frequency, comments, warnings };
+}
+
+/**
+ * Recognize which FreqRadio calculator a wire model resembles
+ * @param {Object} model - {wires: [...]}
+ * @returns {string} 'dipole', 'yagi', 'loop' or 'wire'
+ */
+function classifyNecDesign(model) {
+    const wires = model.wires;
+    if (wires.length === 1) return 'dipole';
+
+    const direction = (wire) => {
+        const d = wire.end.map((v, i) => v - wire.start[i]);
+        const len = Math.hypot(...d);
+        return d.map(v => v / len);
+    };
+    const same = (a, b) => Math.hypot(...a.map((v, i) => v - b[i])) < 1e-6 * (1 + Math.hypot(...a));
+
+    // Count how many wire ends meet at each point
+    const ends = wires.flatMap(wire => [wire.start, wire.end]);
+    const connections = ends.map(p => ends.filter(q => same(p, q)).length);
+
+    if (connections.every(c => c === 2)) return 'loop';
+
+    const axis = direction(wires[0]);
+    const parallel = wires.every(wire => Math.abs(direction(wire).reduce((s, v, i) => s + v * axis[i], 0)) > 0.999);
+    if (parallel && connections.every(c => c === 1)) return 'yagi';
+
+    return 'wire';
+}
+
+/**
+ * Download a NEC2 deck as a .nec file
+ * @param {string} deck - Deck text
+ * @param {string} filename - File name
+ */
+function downloadNecDeck(deck, filename) {
+    const blob = new Blob([deck], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.download = filename;
+    link.href = url;
+    link.click();
+
+    URL.revokeObjectURL(url);
+}
@@ -0,0 +1,422 @@
+// Linear AC netlist solver
+//
+// Parses a small SPICE-style netlist (R, L, C, coupled inductors K, lossless
+// transmission lines T, AC sources V/I and S-parameter ports P) and solves it
+// by modified nodal analysis at each frequency of an .ac sweep. Node voltages
+// and inductor, source and line currents are the unknowns; every port gets
+// its own right-hand side so the full S-matrix comes from one factorization
+// per frequency.
+//
+// Ports follow the usual convention: port j is driven by a 2 V source behind
+// its reference impedance (1 V incident), the other ports are terminated in
+// their reference impedances, and Sij is read from the port voltages.
+
+// SPICE scale suffixes, longest first so "meg" wins over "m"
+const SPICE_SUFFIXES = [['meg', 1e6], ['mil', 25.4e-6], ['t', 1e12], ['g', 1e9], ['k', 1e3],
+                        ['m', 1e-3], ['u', 1e-6], ['µ', 1e-6], ['n', 1e-9], ['p', 1e-12], ['f', 1e-15]];
+
+// Names accepted for the reference node
+const NETLIST_GROUND = ['0', 'gnd'];
+
+/**
+ * Parse a SPICE number such as 10k, 2.2u, 4.7pF or 1meg
+ * @param {string} text - Value text
+ * @returns {number} Value, NaN when it is not a number
+ */
+function parseSpiceValue(text) {
+    const match = /^([-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)([a-zµ]*)$/i.exec(text.trim());
+    if (!match) return NaN;
+
+    const value = parseFloat(match[1]);
+    const suffix = match[2].toLowerCase();
+    // SPICE reads "MHz" as millihertz; nobody means that in an RF netlist
+    if (suffix === 'mhz') return value * 1e6;
+    const scale = SPICE_SUFFIXES.find(([s]) => suffix.startsWith(s));
+    // Anything after the scale (units such as F, H, ohm, Hz) is ignored, as in SPICE
+    return scale ? value * scale[1] : value;
+}
+
+/**
+ * Format a value with a SPICE scale suffix
+ * @param {number} value - Value
+ * @returns {string} e.g. "4.7p", "1.2meg"
+ */
+function formatSpiceValue(value) {
+    if (value === 0) return '0';
+    const scales = [['t', 1e12], ['g', 1e9], ['meg', 1e6], ['k', 1e3], ['', 1],
+                    ['m', 1e-3], ['u', 1e-6], ['n', 1e-9], ['p', 1e-12], ['f', 1e-15]];
+    const [suffix, factor] = scales.find(([, f]) => Math.abs(value) >= f) || scales[scales.length - 1];
+    return String(parseFloat((value / factor).toPrecision(6))) + suffix;
+}
+
+/**
+ * Read NAME=value parameters and bare positional values from netlist fields
+ * @param {Array} fields - Fields after the node names
+ * @returns {Object} {named: {NAME: value}, positional: [values]}
+ */
+function netlistParameters(fields) {
+    const named = {};
+    const positional = [];
+    fields.forEach(field => {
+        const eq = field.indexOf('=');
+        if (eq > 0) {
+            named[field.substring(0, eq).toUpperCase()] = parseSpiceValue(field.substring(eq + 1));
+        } else {
+            positional.push(field);
+        }
+    });
+    return { named, positional };
+}
+
+/**
+ * Parse a netlist
+ * @param {string} text - Netlist text
+ * @returns {Object} {title, nodes: [names], elements, ports, sweep, warnings}
+ */
+function parseNetlist(text) {
+    const elements = [];
+    const ports = [];
+    const warnings = [];
+    const nodes = [];
+    const names = new Set();
+    const connections = {};
+    let sweep = null;
+    let title = '';
+
+    // Join "+" continuation lines, remembering where each statement started
+    const statements = [];
+    text.split(/\r?\n/).forEach((raw, n) => {
+        const line = raw.replace(/;.*$/, '').trim();
+        if (line.startsWith('+') && statements.length) {
+            statements[statements.length - 1].text += ' ' + line.substring(1);
+        } else {
+            statements.push({ text: line, line: n + 1 });
+        }
+    });
+
+    const node = (name) => {
+        const key = name.toLowerCase();
+        if (NETLIST_GROUND.includes(key)) return -1;
+        let index = nodes.indexOf(key);
+        if (index === -1) {
+            index = nodes.length;
+            nodes.push(key);
+        }
+        connections[key] = (connections[key] || 0) + 1;
+        return index;
+    };
+
+    for (const { text: statement, line } of statements) {
+        if (!statement) continue;
+        if (statement.startsWith('*')) {
+            if (!title && line === 1) title = statement.substring(1).trim();
+            continue;
+        }
+
+        const fields = statement.split(/[\s,()]+/).filter(f => f !== '');
+        const name = fields[0];
+        const kind = name[0].toUpperCase();
+        const fail = (message) => { throw new Error(`Line ${line}: ${message}`); };
+
+        if (kind === '.') {
+            const directive = name.toLowerCase();
+            if (directive === '.ac') {
+                const type = (fields[1] || '').toLowerCase();
+                const points = parseInt(fields[2]);
+                const start = parseSpiceValue(fields[3] || '');
+                const stop = parseSpiceValue(fields[4] || '');
+                if (!['lin', 'dec', 'oct'].includes(type) || !(points >= 1) || !(start > 0) || !(stop >= start)) {
+                    fail('.ac needs LIN|DEC|OCT, a point count and start/stop frequencies above 0');
+                }
+                sweep = { type, points, start, stop };
+            } else if (directive === '.end') {
+                break;
+            } else {
+                warnings.push(`Line ${line}: ${fields[0]} ignored`);
+            }
+            continue;
+        }
+
+        if (names.has(name.toUpperCase())) fail(`${name} is defined twice`);
+        names.add(name.toUpperCase());
+
+        switch (kind) {
+            case 'R':
+            case 'L':
+            case 'C': {
+                if (fields.length < 4) fail(`${name} needs two nodes and a value`);
+                const value = parseSpiceValue(fields[3]);
+                if (!(value > 0)) fail(`${name} needs a positive value`);
+                elements.push({ kind, name, nodes: [node(fields[1]), node(fields[2])], value });
+                break;
+            }
+
+            case 'K': {
+                if (fields.length < 4) fail(`${name} needs two inductor names and a coupling factor`);
+                const coupling = parseSpiceValue(fields[3]);
+                if (!(coupling > 0 && coupling <= 1)) fail(`${name} coupling must be between 0 and 1`);
+                elements.push({ kind, name, inductors: [fields[1].toUpperCase(), fields[2].toUpperCase()], value: coupling });
+                break;
+            }
+
+            case 'T': {
+                if (fields.length < 6) fail(`${name} needs four nodes, Z0 and TD or F/NL`);
+                const { named } = netlistParameters(fields.slice(5));
+                let delay = named.TD;
+                if (delay === undefined && named.F > 0) {
+                    delay = (isNaN(named.NL) ? 0.25 : named.NL) / named.F;
+                }
+                if (!(named.Z0 > 0) || !(delay > 0)) fail(`${name} needs Z0= and TD= (or F= and NL=)`);
+                elements.push({
+                    kind, name,
+                    nodes: fields.slice(1, 5).map(node),
+                    impedance: named.Z0,
+                    delay
+                });
+                break;
+            }
+
+            case 'V':
+            case 'I': {
+                if (fields.length < 3) fail(`${name} needs two nodes`);
+                // Only the AC specification matters: "AC mag [phase]", or bare values
+                const { positional } = netlistParameters(fields.slice(3));
+                const ac = positional.findIndex(f => f.toLowerCase() === 'ac');
+                const values = ac >= 0 ? positional.slice(ac + 1) : positional;
+                const magnitude = values.length ? parseSpiceValue(values[0]) : 1;
+                const phase = values.length > 1 ? parseSpiceValue(values[1]) : 0;
+                if (isNaN(magnitude) || isNaN(phase)) fail(`${name} has an unreadable AC value`);
+                const angle = phase * Math.PI / 180;
+                elements.push({
+                    kind, name,
+                    nodes: [node(fields[1]), node(fields[2])],
+                    value: { re: magnitude * Math.cos(angle), im: magnitude * Math.sin(angle) }
+                });
+                break;
+            }
+
+            case 'P': {
+                if (fields.length < 3) fail(`${name} needs two nodes`);
+                const { named, positional } = netlistParameters(fields.slice(3));
+                const impedance = named.Z0 !== undefined ? named.Z0 :
+                    positional.length ? parseSpiceValue(positional[0]) : CONSTANTS.DEFAULTS.IMPEDANCE_50;
+                if (!(impedance > 0)) fail(`${name} needs a positive reference impedance`);
+                ports.push({ name, nodes: [node(fields[1]), node(fields[2])], impedance });
+                break;
+            }
+
+            default:
+                fail(`Unknown element ${name} - use R, L, C, K, T, V, I or P`);
+        }
+    }
+
+    // Couplings refer to inductors by name
+    elements.filter(e => e.kind === 'K').forEach(k => {
+        k.inductors.forEach(inductor => {
+            if (!elements.some(e => e.kind === 'L' && e.name.toUpperCase() === inductor)) {
+                throw new Error(`${k.name} couples ${inductor}, which is not an inductor in the netlist`);
+            }
+        });
+    });
+
+    if (elements.length === 0 && ports.length === 0) {
+        throw new Error('The netlist has no elements');
+    }
+    if (ports.length === 0 && !elements.some(e => e.kind === 'V' || e.kind === 'I')) {
+        throw new Error('Add a port (P) or an AC source (V or I) to drive the circuit');
+    }
+
+    Object.entries(connections).forEach(([name, count]) => {
+        if (count < 2) warnings.push(`Node ${name} has only one connection`);
+    });
+
+    return { title, nodes, elements, ports, sweep, warnings };
+}
+
+/**
+ * Frequencies of an .ac sweep
+ * @param {Object} sweep - {type: 'lin'|'dec'|'oct', points, start, stop}
+ * @returns {Array} Frequencies in Hz
+ */
+function netlistSweepFrequencies(sweep) {
+    if (sweep.type === 'lin') {
+        if (sweep.points === 1 || sweep.stop === sweep.start) return [sweep.start];
+        return Array.from({ length: sweep.points }, (_, i) =>
+            sweep.start + (sweep.stop - sweep.start) * i / (sweep.points - 1));
+    }
+
+    // DEC and OCT give points per decade or octave
+    const base = sweep.type === 'dec' ? 10 : 2;
+    const steps = Math.max(1, Math.round(sweep.points * Math.log(sweep.stop / sweep.start) / Math.log(base)));
+    return Array.from({ length: steps + 1 }, (_, i) => sweep.start * Math.pow(sweep.stop / sweep.start, i / steps));
+}
+
+/**
+ * Solve a parsed netlist at one frequency
+ * @param {Object} circuit - Result of parseNetlist()
+ * @param {number} freqHz - Frequency in Hz
+ * @returns {Object} {voltages: [[{re, im}] per node] per excitation, s: S-matrix [i][j] or null}
+ *   Excitations are the ports in order, then the AC sources together when there are any
+ */
+function solveNetlistAt(circuit, freqHz) {
+    const omega = CONSTANTS.TWO_PI * freqHz;
+    const nodeCount = circuit.nodes.length;
+
+    // Extra unknowns: one current per inductor and voltage source, two per line
+    const branch = new Map();
+    let size = nodeCount;
+    circuit.elements.forEach(e => {
+        if (e.kind === 'L' || e.kind === 'V') {
+            branch.set(e, size);
+            size += 1;
+        } else if (e.kind === 'T') {
+            branch.set(e, size);
+            size += 2;
+        }
+    });
+
+    const hasSources = circuit.elements.some(e => e.kind === 'V' || e.kind === 'I');
+    const columns = circuit.ports.length + (hasSources ? 1 : 0);
+    const sourceColumn = circuit.ports.length;
+
+    const aRe = new Float64Array(size * size);
+    const aIm = new Float64Array(size * size);
+    const bRe = new Float64Array(size * columns);
+    const bIm = new Float64Array(size * columns);
+
+    // Stamps skip the ground node (-1)
+    const add = (row, col, re, im) => {
+        if (row < 0 || col < 0) return;
+        aRe[row * size + col] += re;
+        aIm[row * size + col] += im;
+    };
+    const admittance = ([a, b], re, im) => {
+        add(a, a, re, im);
+        add(b, b, re, im);
+        add(a, b, -re, -im);
+        add(b, a, -re, -im);
+    };
+    const excite = (row, column, re, im) => {
+        if (row < 0) return;
+        bRe[row * columns + column] += re;
+        bIm[row * columns + column] += im;
+    };
+    // Branch current k leaves node a and enters node b through the element
+    const branchCurrent = ([a, b], k) => {
+        add(a, k, 1, 0);
+        add(b, k, -1, 0);
+    };
+    const branchVoltage = (k, [a, b]) => {
+        add(k, a, 1, 0);
+        add(k, b, -1, 0);
+    };
+
+    const inductors = {};
+    circuit.elements.forEach(e => {
+        switch (e.kind) {
+            case 'R':
+                admittance(e.nodes, 1 / e.value, 0);
+                break;
+
+            case 'C':
+                admittance(e.nodes, 0, omega * e.value);
+                break;
+
+            case 'L': {
+                // V(a) − V(b) − jωL·I = 0
+                const k = branch.get(e);
+                branchCurrent(e.nodes, k);
+                branchVoltage(k, e.nodes);
+                add(k, k, 0, -omega * e.value);
+                inductors[e.name.toUpperCase()] = e;
+                break;
+            }
+
+            case 'V': {
+                const k = branch.get(e);
+                branchCurrent(e.nodes, k);
+                branchVoltage(k, e.nodes);
+                excite(k, sourceColumn, e.value.re, e.value.im);
+                break;
+            }
+
+            case 'I':
+                // Current flows from the + node through the source to the − node
+                excite(e.nodes[0], sourceColumn, -e.value.re, -e.value.im);
+                excite(e.nodes[1], sourceColumn, e.value.re, e.value.im);
+                break;
+
+            case 'T': {
+                // Lossless line from its ABCD matrix, with I1 and I2 flowing into each end:
+                // V1 − cosθ·V2 + jZ0·sinθ·I2 = 0 and I1 − j·sinθ/Z0·V2 + cosθ·I2 = 0
+                const k = branch.get(e);
+                const theta = omega * e.delay;
+                const cos = Math.cos(theta);
+                const sin = Math.sin(theta);
+                const [p1, m1, p2, m2] = e.nodes;
+                branchCurrent([p1, m1], k);
+                branchCurrent([p2, m2], k + 1);
+
+                branchVoltage(k, [p1, m1]);
+                add(k, p2, -cos, 0);
+                add(k, m2, cos, 0);
+                add(k, k + 1, 0, e.impedance * sin);
+
+                add(k + 1, k, 1, 0);
+                add(k + 1, p2, 0, -sin / e.impedance);
+                add(k + 1, m2, 0, sin / e.impedance);
+                add(k + 1, k + 1, cos, 0);
+                break;
+            }
+        }
+    });
+
+    // Mutual inductance M = k·√(L1·L2) between the two inductor branch equations
+    circuit.elements.filter(e => e.kind === 'K').forEach(e => {
+        const [l1, l2] = e.inductors.map(name => inductors[name]);
+        const mutual = e.value * Math.sqrt(l1.value * l2.value);
+        add(branch.get(l1), branch.get(l2), 0, -omega * mutual);
+        add(branch.get(l2), branch.get(l1), 0, -omega * mutual);
+    });
+
+    // Ports: reference impedance to ground, plus a 2 V Norton source on their own column
+    circuit.ports.forEach((port, j) => {
+        admittance(port.nodes, 1 / port.impedance, 0);
+        excite(port.nodes[0], j, 2 / port.impedance, 0);
+        excite(port.nodes[1], j, -2 / port.impedance, 0);
+    });
+
+    const x = solveComplexLinearSystem(aRe, aIm, bRe, bIm);
+
+    const voltageAt = (index, column) => index < 0 ? { re: 0, im: 0 } :
+        { re: x.re[index * columns + column], im: x.im[index * columns + column] };
+    const voltages = Array.from({ length: columns }, (_, column) =>
+        circuit.nodes.map((_, index) => voltageAt(index, column)));
+
+    let s = null;
+    if (circuit.ports.length) {
+        s = circuit.ports.map((portI, i) => circuit.ports.map((portJ, j) => {
+            const a = voltageAt(portI.nodes[0], j);
+            const b = voltageAt(portI.nodes[1], j);
+            const v = { re: a.re - b.re, im: a.im - b.im };
+            if (i === j) return { re: v.re - 1, im: v.im };
+            const scale = Math.sqrt(portJ.impedance / portI.impedance);
+            return { re: v.re * scale, im: v.im * scale };
+        }));
+    }
+
+    return { voltages, s };
+}
+
+/**
+ * Solve a netlist across its .ac sweep
+ * @param {Object} circuit - Result of parseNetlist()
+ * @param {Object} sweep - Optional sweep overriding the netlist's .ac line
+ * @returns {Array} [{frequency, voltages, s}]
+ */
+function simulateNetlist(circuit, sweep = circuit.sweep) {
+    if (!sweep) {
+        throw new Error('Add an .ac line, e.g. .ac lin 201 1meg 30meg');
+    }
+    return netlistSweepFrequencies(sweep).map(frequency => ({ frequency, ...solveNetlistAt(circuit, frequency) }));
+}
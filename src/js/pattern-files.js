@@ -0,0 +1,292 @@
+// Antenna pattern file import
+//
+// Reads vendor radiation patterns into a common form used by the pattern
+// plots and the link budgets. MSI/Planet files (.msi, and .ant files written
+// in the same keyword format) give a peak gain plus horizontal and vertical
+// attenuation cuts; Radio Mobile style .ant files are 360 horizontal then 360
+// vertical values with no header; CSV files hold angle,gain pairs in dBi with
+// optional "azimuth"/"elevation" lines separating the two cuts.
+//
+// Imported patterns keep the MSI conventions: cuts are relative gain in dB
+// (0 dB at the peak), the horizontal cut runs clockwise from boresight and the
+// vertical cut runs from the forward horizon downwards (90° = nadir,
+// 180° = rear horizon, 270° = zenith).
+
+// Keywords of the MSI/Planet header; anything else before the cuts is ignored
+const MSI_HEADER_KEYWORDS = ['NAME', 'MAKE', 'FREQUENCY', 'H_WIDTH', 'V_WIDTH', 'FRONT_TO_BACK',
+                             'GAIN', 'TILT', 'POLARIZATION', 'COMMENT', 'ELECTRICAL_TILT'];
+
+/**
+ * Parse an MSI/Planet antenna pattern
+ * @param {string} text - File contents
+ * @returns {Object} {name, frequency, gain, horizontal, vertical, warnings}
+ */
+function parseMsiPattern(text) {
+    const warnings = [];
+    const cuts = { HORIZONTAL: [], VERTICAL: [] };
+    let name = '';
+    let frequency = null;
+    let gain = null;
+    let cut = null;
+    let expected = 0;
+
+    const lines = text.split(/\r?\n/);
+    for (let n = 0; n < lines.length; n++) {
+        const line = lines[n].trim();
+        if (!line) continue;
+
+        const fields = line.split(/[\s,]+/);
+        const keyword = fields[0].toUpperCase();
+
+        if (keyword === 'HORIZONTAL' || keyword === 'VERTICAL') {
+            cut = keyword;
+            expected = parseInt(fields[1]) || 360;
+            continue;
+        }
+
+        if (cut && cuts[cut].length < expected && !isNaN(parseFloat(fields[0]))) {
+            const angle = parseFloat(fields[0]);
+            const loss = parseFloat(fields[1]);
+            if (isNaN(loss)) {
+                throw new Error(`Line ${n + 1}: expected an angle and an attenuation value`);
+            }
+            cuts[cut].push({ angle, gain: -Math.abs(loss) });
+            continue;
+        }
+
+        const value = line.substring(fields[0].length).trim();
+        switch (keyword) {
+            case 'NAME':
+                name = value;
+                break;
+
+            case 'FREQUENCY':
+                // Planet files give MHz
+                frequency = parseFloat(value) * 1e6 || null;
+                break;
+
+            case 'GAIN': {
+                gain = parseFloat(value);
+                if (isNaN(gain)) {
+                    throw new Error(`Line ${n + 1}: GAIN needs a number`);
+                }
+                // Planet defaults to dBd when no unit is given
+                if (!/dBi/i.test(value)) gain = convertGain(gain, 'dBd', 'dBi');
+                break;
+            }
+
+            default:
+                if (!MSI_HEADER_KEYWORDS.includes(keyword)) {
+                    warnings.push(`Line ${n + 1}: ${fields[0]} ignored`);
+                }
+        }
+    }
+
+    if (cuts.HORIZONTAL.length === 0 && cuts.VERTICAL.length === 0) {
+        throw new Error('No HORIZONTAL or VERTICAL pattern data found');
+    }
+
+    if (gain === null) {
+        warnings.push('No GAIN line - enter the peak gain');
+    }
+
+    return {
+        name,
+        frequency,
+        gain,
+        horizontal: normalizePatternCut(cuts.HORIZONTAL),
+        vertical: normalizePatternCut(cuts.VERTICAL),
+        warnings
+    };
+}
+
+/**
+ * Parse a header-less .ant file: 360 horizontal values, optionally followed
+ * by 360 vertical values, in relative dB at 1° steps
+ * @param {string} text - File contents
+ * @returns {Object} {name, frequency, gain, horizontal, vertical, warnings}
+ */
+function parseAntPattern(text) {
+    const values = text.split(/[\s,;]+/).filter(v => v !== '').map(Number);
+
+    if (values.some(isNaN)) {
+        throw new Error('The .ant file should only contain numbers - MSI-style files need a HORIZONTAL section');
+    }
+    if (values.length !== 360 && values.length !== 720) {
+        throw new Error(`Expected 360 or 720 values, found ${values.length}`);
+    }
+
+    // Values are gains relative to the peak; some tools write them as positive attenuation
+    const sign = values.every(v => v >= 0) ? -1 : 1;
+    const cut = (offset) => values.slice(offset, offset + 360).map((v, i) => ({ angle: i, gain: sign * v }));
+
+    return {
+        name: '',
+        frequency: null,
+        gain: null,
+        horizontal: normalizePatternCut(cut(0)),
+        vertical: values.length === 720 ? normalizePatternCut(cut(360)) : [],
+        warnings: ['No gain in .ant files - enter the peak gain']
+    };
+}
+
+/**
+ * Parse a CSV pattern of angle,gain (dBi) rows
+ * @param {string} text - File contents
+ * @returns {Object} {name, frequency, gain, horizontal, vertical, warnings}
+ */
+function parseCsvPattern(text) {
+    const warnings = [];
+    const cuts = { horizontal: [], vertical: [] };
+    let cut = 'horizontal';
+
+    const lines = text.split(/\r?\n/);
+    for (let n = 0; n < lines.length; n++) {
+        const line = lines[n].trim();
+        if (!line || line.startsWith('#')) continue;
+
+        const fields = line.split(/[,;\t]/).map(f => f.trim());
+        const angle = parseFloat(fields[0]);
+        const gain = parseFloat(fields[1]);
+
+        if (isNaN(angle) || isNaN(gain)) {
+            if (/azimuth|horizontal/i.test(line)) {
+                cut = 'horizontal';
+            } else if (/elevation|vertical/i.test(line)) {
+                cut = 'vertical';
+            } else {
+                warnings.push(`Line ${n + 1} skipped`);
+            }
+            continue;
+        }
+
+        // Elevation rows are angles above the horizon; store them as MSI vertical angles
+        cuts[cut].push({ angle: cut === 'vertical' ? -angle : angle, gain });
+    }
+
+    if (cuts.horizontal.length < 2 && cuts.vertical.length < 2) {
+        throw new Error('Need at least two angle,gain rows');
+    }
+
+    // CSV gains are absolute; the strongest point becomes the peak
+    const all = [...cuts.horizontal, ...cuts.vertical];
+    const peak = Math.max(...all.map(p => p.gain));
+    const relative = (points) => points.map(p => ({ angle: p.angle, gain: p.gain - peak }));
+
+    return {
+        name: '',
+        frequency: null,
+        gain: peak,
+        horizontal: normalizePatternCut(relative(cuts.horizontal)),
+        vertical: normalizePatternCut(relative(cuts.vertical)),
+        warnings
+    };
+}
+
+/**
+ * Parse a pattern file, picking the format from the extension or contents
+ * @param {string} text - File contents
+ * @param {string} format - 'msi', 'ant', 'csv' or 'auto'
+ * @param {string} fileName - Optional file name used by 'auto'
+ * @returns {Object} {name, frequency, gain, horizontal, vertical, warnings, format}
+ */
+function parsePatternFile(text, format = 'auto', fileName = '') {
+    if (format === 'auto') {
+        const extension = (fileName.match(/\.(\w+)$/) || [])[1];
+        if (/^\s*(NAME|MAKE|FREQUENCY|GAIN|HORIZONTAL)\b/im.test(text)) {
+            format = 'msi';
+        } else if (extension && extension.toLowerCase() === 'csv' || /\d\s*[,;\t]\s*[-+]?\d/.test(text)) {
+            format = 'csv';
+        } else {
+            format = 'ant';
+        }
+    }
+
+    const parsers = { msi: parseMsiPattern, ant: parseAntPattern, csv: parseCsvPattern };
+    if (!parsers[format]) {
+        throw new Error(`Unknown pattern format ${format}`);
+    }
+
+    return { ...parsers[format](text), format };
+}
+
+/**
+ * Sort a cut by angle in 0-360° and drop repeated angles
+ * @param {Array} points - [{angle, gain}]
+ * @returns {Array} Sorted points
+ */
+function normalizePatternCut(points) {
+    const sorted = points
+        .map(p => ({ angle: ((p.angle % 360) + 360) % 360, gain: p.gain }))
+        .sort((a, b) => a.angle - b.angle);
+    return sorted.filter((p, i) => i === 0 || p.angle !== sorted[i - 1].angle);
+}
+
+/**
+ * Relative gain of a cut at an angle, interpolating linearly around the circle
+ * @param {Array} cut - Sorted [{angle, gain}]
+ * @param {number} angle - Angle in degrees
+ * @returns {number} Relative gain in dB (0 for an empty cut)
+ */
+function patternCutGain(cut, angle) {
+    if (cut.length === 0) return 0;
+    if (cut.length === 1) return cut[0].gain;
+
+    const a = ((angle % 360) + 360) % 360;
+    let i = cut.findIndex(p => p.angle > a);
+    if (i === -1) i = cut.length;
+
+    const before = cut[(i - 1 + cut.length) % cut.length];
+    const after = cut[i % cut.length];
+    const span = ((after.angle - before.angle) % 360 + 360) % 360 || 360;
+    const t = (((a - before.angle) % 360) + 360) % 360 / span;
+
+    return before.gain + t * (after.gain - before.gain);
+}
+
+/**
+ * Gain of an imported pattern towards a direction
+ *
+ * The horizontal cut gives the gain on the horizon. Away from the horizon the
+ * vertical cut adds its attenuation relative to its own horizon value, blended
+ * between the forward and rear halves by how far the direction is off
+ * boresight, so both cuts are reproduced exactly.
+ * @param {Object} pattern - Imported pattern {gain, horizontal, vertical}
+ * @param {number} azimuth - Degrees clockwise from boresight
+ * @param {number} elevation - Degrees above the boresight horizon
+ * @returns {number} Gain in dBi
+ */
+function patternGain(pattern, azimuth, elevation) {
+    const off = Math.abs((((azimuth + 180) % 360) + 360) % 360 - 180);
+    const vertical = pattern.vertical;
+    const front = patternCutGain(vertical, -elevation) - patternCutGain(vertical, 0);
+    const back = patternCutGain(vertical, 180 + elevation) - patternCutGain(vertical, 180);
+    const weight = off / 180;
+
+    return pattern.gain + patternCutGain(pattern.horizontal, azimuth) +
+           (1 - weight) * front + weight * back;
+}
+
+/**
+ * Beamwidth and front-to-back ratio of a relative cut
+ * @param {Array} cut - Sorted [{angle, gain}]
+ * @returns {Object} {beamwidth, frontToBack} in degrees and dB, null when unknown
+ */
+function patternCutSummary(cut) {
+    if (cut.length < 2) return { beamwidth: null, frontToBack: null };
+
+    // Walk outwards from boresight in 0.1° steps to the -3 dB points
+    const edge = (direction) => {
+        for (let a = 0.1; a <= 180; a += 0.1) {
+            if (patternCutGain(cut, direction * a) <= -3) return a;
+        }
+        return null;
+    };
+    const right = edge(1);
+    const left = edge(-1);
+
+    return {
+        beamwidth: right !== null && left !== null ? right + left : null,
+        frontToBack: patternCutGain(cut, 0) - patternCutGain(cut, 180)
+    };
+}
@@ -2,6 +2,13 @@
 
 let currentChart = null;
 
+// Dynamic range and ring spacing of polar and 3D pattern plots, in dB
+const PATTERN_RANGE_DB = 40;
+const PATTERN_RING_DB = 10;
+
+// Radiation pattern shown in the chart view, kept for the polar/3D toggle
+let patternView = null;
+
 /**
  * Create a frequency response plot
  * @param {string} canvasId - Canvas element ID
@@ -24,7 +31,7 @@ function createFrequencyPlot(canvasId, frequencies, responses, options = {}) {
     const defaultOptions = {
         type: 'line',
         data: {
-            labels: frequencies.map(f => formatNumber(f / 1e6, 3)),
+            labels: frequencies.map(f => formatNumber(f / (options.xDivisor || 1e6), 3)),
             datasets: [{
                 label: options.label || 'Response',
                 data: responses,
@@ -120,67 +127,1008 @@ function plotVSWRvsFrequency(centerFreq, l, c, r) {
 }
 
 /**
- * Plot antenna radiation pattern (simplified)
+ * Relative power pattern of a single antenna element
+ * @param {string} antennaType - 'dipole', 'monopole', 'loop' or 'yagi'; anything else is isotropic
+ * @param {number} theta - Angle in degrees (0-360); 0° is the Yagi forward direction
+ * @param {Object} parameters - Yagi gain and frontToBack
+ * @returns {number} Linear power gain
+ */
+function elementPatternGain(antennaType, theta, parameters = {}) {
+    let gain = 0;
+    
+    switch (antennaType) {
+        case 'dipole':
+            // Simplified dipole pattern: sin²(θ)
+            const thetaRad = theta * Math.PI / 180;
+            gain = Math.pow(Math.sin(thetaRad), 2);
+            break;
+            
+        case 'monopole':
+            // Monopole pattern (half of dipole)
+            const thetaRadMono = theta * Math.PI / 180;
+            gain = theta <= 180 ? Math.pow(Math.sin(thetaRadMono), 2) : 0;
+            break;
+            
+        case 'loop':
+            // Small loop pattern: sin²(θ)
+            const thetaRadLoop = theta * Math.PI / 180;
+            gain = Math.pow(Math.sin(thetaRadLoop), 2);
+            break;
+            
+        case 'yagi':
+            // Simplified Yagi pattern with front/back ratio
+            const frontGain = parameters.gain || 10;
+            const frontToBack = parameters.frontToBack || 20;
+            const thetaRadYagi = (theta - 0) * Math.PI / 180; // 0° is forward
+            
+            if (theta <= 90 || theta >= 270) {
+                gain = Math.cos(thetaRadYagi) * frontGain;
+            } else {
+                gain = frontGain / Math.pow(10, frontToBack / 10);
+            }
+            gain = Math.max(0, gain);
+            break;
+            
+        default:
+            // Isotropic pattern
+            gain = 1;
+    }
+    
+    return gain;
+}
+
+/**
+ * Plot an antenna radiation pattern as polar cuts with dB rings, and as a
+ * rotatable 3D surface when the full-sphere gain is known
  * @param {string} antennaType - Type of antenna
- * @param {Object} parameters - Antenna parameters
+ * @param {Object} parameters - Antenna parameters. Computed patterns are given as
+ *   cuts: [{label, pattern}] or a single pattern, each [{angle, gain}] in dBi with
+ *   angles counter-clockwise from the forward direction; gainAt(azimuth, elevation)
+ *   returns dBi for the 3D view. gainOffset, gainUnit and method are optional.
  */
 function plotRadiationPattern(antennaType, parameters = {}) {
-    const angles = [];
-    const pattern = [];
+    const offset = parameters.gainOffset || 0;
+    let cuts = parameters.cuts || (parameters.pattern ? [{ label: 'Pattern', pattern: parameters.pattern }] : null);
+    let title = `${antennaType.toUpperCase()} Radiation Pattern (${parameters.method || 'MoM'})`;
+    
+    if (!cuts) {
+        const pattern = [];
+        for (let theta = 0; theta <= 360; theta += 2) {
+            const gain = elementPatternGain(antennaType, theta, parameters);
+            pattern.push({ angle: theta, gain: 10 * Math.log10(Math.max(1e-6, gain)) });
+        }
+        cuts = [{ label: 'Pattern', pattern }];
+        title = `${antennaType.toUpperCase()} Radiation Pattern`;
+    }
+    
+    patternView = {
+        title,
+        unit: parameters.gainUnit || 'dBi',
+        mode: 'polar',
+        cuts: cuts.map(cut => ({
+            label: cut.label,
+            pattern: cut.pattern.map(p => ({ angle: p.angle, gain: p.gain + offset }))
+        })),
+        gainAt: parameters.gainAt ? (azimuth, elevation) => parameters.gainAt(azimuth, elevation) + offset : null,
+        surface: null,
+        yaw: -35,
+        pitch: 25
+    };
+    
+    return drawPatternView();
+}
+
+/**
+ * Main lobe, half-power points, sidelobes and front-to-back ratio of a cut
+ * @param {Array} pattern - [{angle, gain}] in dB
+ * @returns {Object} {peakAngle, peakGain, halfPower: [a1, a2] or null, beamwidth,
+ *   sidelobes: [{angle, gain}] strongest first, frontToBack}
+ */
+function patternLobes(pattern) {
+    // Resample to 1° so every cut is handled alike
+    const cut = normalizePatternCut(pattern);
+    const gains = Array.from({ length: 360 }, (_, a) => patternCutGain(cut, a));
+    const at = (i) => gains[((i % 360) + 360) % 360];
+    
+    let peak = 0;
+    gains.forEach((g, i) => {
+        if (g > gains[peak]) peak = i;
+    });
+    const peakGain = gains[peak];
+    
+    // Half-power crossings, interpolated between samples
+    const crossing = (sign) => {
+        for (let j = 1; j <= 180; j++) {
+            const prev = at(peak + sign * (j - 1));
+            const curr = at(peak + sign * j);
+            if (curr <= peakGain - 3) {
+                return peak + sign * (j - 1 + (prev - peakGain + 3) / (prev - curr));
+            }
+        }
+        return null;
+    };
+    const left = crossing(-1);
+    const right = crossing(1);
+    const halfPower = left !== null && right !== null ? [left, right] : null;
+    
+    // The main lobe runs down to the first minimum on each side
+    const lobeEdge = (sign) => {
+        let j = 1;
+        while (j < 180 && at(peak + sign * j) <= at(peak + sign * (j - 1))) j++;
+        return j - 1;
+    };
+    const mainLeft = lobeEdge(-1);
+    const mainRight = lobeEdge(1);
+    
+    const sidelobes = [];
+    for (let j = mainRight + 1; j < 360 - mainLeft; j++) {
+        const i = peak + j;
+        if (at(i) > at(i - 1) && at(i) >= at(i + 1) && at(i) > peakGain - PATTERN_RANGE_DB) {
+            sidelobes.push({ angle: ((i % 360) + 360) % 360, gain: at(i) });
+        }
+    }
+    sidelobes.sort((a, b) => b.gain - a.gain);
+    
+    return {
+        peakAngle: peak,
+        peakGain,
+        halfPower,
+        beamwidth: halfPower ? halfPower[1] - halfPower[0] : null,
+        sidelobes,
+        frontToBack: peakGain - at(peak + 180)
+    };
+}
+
+/**
+ * Background and text colours of the current theme for canvases drawn by hand
+ * @returns {Object} {background, text, muted} as CSS colours
+ */
+function canvasThemeColors() {
+    const style = window.getComputedStyle(document.body);
+    const read = (name, fallback) => style.getPropertyValue(name).trim() || fallback;
+    return {
+        background: read('--color-bg-card', '#ffffff'),
+        text: read('--color-text', '#212529'),
+        muted: read('--color-text-muted', '#6c757d')
+    };
+}
+
+/**
+ * Draw the current radiation pattern in its selected view
+ * @returns {Object} Chart-like handle kept in currentChart
+ */
+function drawPatternView() {
+    const canvas = document.getElementById('chart-canvas');
+    if (!canvas || !patternView) return null;
+    
+    if (currentChart) {
+        currentChart.destroy();
+    }
+    
+    // Match the drawing buffer to the displayed content box
+    const style = window.getComputedStyle(canvas);
+    const padding = (a, b) => (parseFloat(style[a]) || 0) + (parseFloat(style[b]) || 0);
+    canvas.width = canvas.clientWidth - padding('paddingLeft', 'paddingRight') || 800;
+    canvas.height = canvas.clientHeight - padding('paddingTop', 'paddingBottom') || 600;
+    const ctx = canvas.getContext('2d');
+    
+    // Drag to rotate the 3D view
+    let drag = null;
+    const onDown = (e) => { drag = { x: e.clientX, y: e.clientY }; };
+    const onUp = () => { drag = null; };
+    const onMove = (e) => {
+        if (!drag || patternView.mode !== '3d') return;
+        patternView.yaw += (e.clientX - drag.x) * 0.5;
+        patternView.pitch = Math.max(-90, Math.min(90, patternView.pitch + (e.clientY - drag.y) * 0.5));
+        drag = { x: e.clientX, y: e.clientY };
+        drawPattern3D(ctx, canvas.width, canvas.height, patternView);
+    };
+    canvas.addEventListener('pointerdown', onDown);
+    canvas.addEventListener('pointermove', onMove);
+    window.addEventListener('pointerup', onUp);
+    
+    const draw = () => {
+        if (patternView.mode === '3d') {
+            drawPattern3D(ctx, canvas.width, canvas.height, patternView);
+        } else {
+            drawPolarPattern(ctx, canvas.width, canvas.height, patternView);
+        }
+    };
+    
+    // Chart-like handle so theme, resize and export code treat it as a chart
+    currentChart = {
+        canvas,
+        options: {},
+        update: draw,
+        resize: drawPatternView,
+        destroy() {
+            canvas.removeEventListener('pointerdown', onDown);
+            canvas.removeEventListener('pointermove', onMove);
+            window.removeEventListener('pointerup', onUp);
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+        }
+    };
+    
+    draw();
+    
+    return currentChart;
+}
+
+/**
+ * Switch the radiation pattern between the polar cuts and the 3D surface
+ */
+function togglePatternView() {
+    if (!patternView || !patternView.gainAt) return;
+    
+    patternView.mode = patternView.mode === '3d' ? 'polar' : '3d';
+    const button = document.getElementById('chart-view-btn');
+    if (button) button.innerHTML = patternView.mode === '3d' ? 'Polar' : '3D';
+    drawPatternView();
+}
+
+/**
+ * Draw polar pattern cuts with dB rings and lobe markers
+ * @param {CanvasRenderingContext2D} ctx - Drawing context
+ * @param {number} width - Canvas width in pixels
+ * @param {number} height - Canvas height in pixels
+ * @param {Object} view - Pattern view {title, unit, cuts}
+ */
+function drawPolarPattern(ctx, width, height, view) {
+    const colors = ['rgb(75, 192, 192)', 'rgb(255, 99, 132)', 'rgb(54, 162, 235)'];
+    const peak = Math.max(...view.cuts.flatMap(cut => cut.pattern.map(p => p.gain)));
+    const outer = Math.ceil(peak / PATTERN_RING_DB) * PATTERN_RING_DB;
+    const floor = outer - PATTERN_RANGE_DB;
+    
+    const radius = Math.min(width * 0.6, height - 90) / 2;
+    const cx = 30 + radius + 20;
+    const cy = 50 + radius;
+    const toXY = (angle, gain) => {
+        const r = radius * Math.max(0, Math.min(1, (gain - floor) / (outer - floor)));
+        const a = angle * Math.PI / 180;
+        return [cx + r * Math.cos(a), cy - r * Math.sin(a)];
+    };
+    
+    const theme = canvasThemeColors();
+    ctx.fillStyle = theme.background;
+    ctx.fillRect(0, 0, width, height);
     
-    for (let theta = 0; theta <= 360; theta += 2) {
-        angles.push(theta);
-        let gain = 0;
+    ctx.fillStyle = theme.text;
+    ctx.font = 'bold 16px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText(view.title, width / 2, 24);
+    
+    // dB rings and angle spokes
+    ctx.font = '11px sans-serif';
+    ctx.lineWidth = 1;
+    for (let level = outer; level >= floor; level -= PATTERN_RING_DB) {
+        const r = radius * (level - floor) / (outer - floor);
+        ctx.strokeStyle = level === outer ? 'rgba(128, 128, 128, 0.6)' : 'rgba(128, 128, 128, 0.25)';
+        ctx.beginPath();
+        ctx.arc(cx, cy, r, 0, 2 * Math.PI);
+        ctx.stroke();
+        if (level > floor) {
+            ctx.fillStyle = theme.muted;
+            ctx.textAlign = 'left';
+            ctx.fillText(`${level} ${view.unit}`, cx + 3, cy - r + 12);
+        }
+    }
+    for (let angle = 0; angle < 360; angle += 30) {
+        const [x, y] = toXY(angle, outer);
+        ctx.strokeStyle = 'rgba(128, 128, 128, 0.25)';
+        ctx.beginPath();
+        ctx.moveTo(cx, cy);
+        ctx.lineTo(x, y);
+        ctx.stroke();
+        const a = angle * Math.PI / 180;
+        ctx.fillStyle = theme.muted;
+        ctx.textAlign = 'center';
+        ctx.fillText(`${angle}°`, cx + (radius + 16) * Math.cos(a), cy - (radius + 16) * Math.sin(a) + 4);
+    }
+    
+    // Cuts, then their markers and a legend on the right
+    let legendY = 60;
+    const legendX = cx + radius + 45;
+    view.cuts.forEach((cut, n) => {
+        const color = colors[n % colors.length];
+        const lobes = patternLobes(cut.pattern);
         
-        switch (antennaType) {
-            case 'dipole':
-                // Simplified dipole pattern: sin²(θ)
-                const thetaRad = theta * Math.PI / 180;
-                gain = Math.pow(Math.sin(thetaRad), 2);
-                break;
-                
-            case 'monopole':
-                // Monopole pattern (half of dipole)
-                const thetaRadMono = theta * Math.PI / 180;
-                gain = theta <= 180 ? Math.pow(Math.sin(thetaRadMono), 2) : 0;
-                break;
-                
-            case 'loop':
-                // Small loop pattern: sin²(θ)
-                const thetaRadLoop = theta * Math.PI / 180;
-                gain = Math.pow(Math.sin(thetaRadLoop), 2);
-                break;
-                
-            case 'yagi':
-                // Simplified Yagi pattern with front/back ratio
-                const frontGain = parameters.gain || 10;
-                const frontToBack = parameters.frontToBack || 20;
-                const thetaRadYagi = (theta - 0) * Math.PI / 180; // 0° is forward
-                
-                if (theta <= 90 || theta >= 270) {
-                    gain = Math.cos(thetaRadYagi) * frontGain;
-                } else {
-                    gain = frontGain / Math.pow(10, frontToBack / 10);
-                }
-                gain = Math.max(0, gain);
-                break;
-                
-            default:
-                // Isotropic pattern
-                gain = 1;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        cut.pattern.forEach((p, i) => {
+            const [x, y] = toXY(p.angle, p.gain);
+            if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+        });
+        ctx.closePath();
+        ctx.stroke();
+        
+        // Half-power lines
+        if (lobes.halfPower) {
+            ctx.setLineDash([5, 5]);
+            ctx.lineWidth = 1;
+            lobes.halfPower.forEach(angle => {
+                const [x, y] = toXY(angle, outer);
+                ctx.beginPath();
+                ctx.moveTo(cx, cy);
+                ctx.lineTo(x, y);
+                ctx.stroke();
+            });
+            ctx.setLineDash([]);
         }
         
-        pattern.push(10 * Math.log10(Math.max(0.001, gain))); // Convert to dB
+        // Sidelobe peaks and the rear direction used for F/B
+        ctx.fillStyle = color;
+        lobes.sidelobes.forEach(lobe => {
+            const [x, y] = toXY(lobe.angle, lobe.gain);
+            ctx.beginPath();
+            ctx.arc(x, y, 3, 0, 2 * Math.PI);
+            ctx.fill();
+        });
+        const [bx, by] = toXY(lobes.peakAngle + 180, lobes.peakGain - lobes.frontToBack);
+        ctx.fillRect(bx - 3, by - 3, 6, 6);
+        
+        const lines = [
+            `Peak ${formatNumber(lobes.peakGain, 2)} ${view.unit} at ${lobes.peakAngle}°`,
+            lobes.beamwidth ? `−3 dB beamwidth ${formatNumber(lobes.beamwidth, 1)}°` : 'No −3 dB points (omnidirectional)',
+            `F/B ${formatNumber(lobes.frontToBack, 1)} dB`,
+            lobes.sidelobes.length ?
+                `Sidelobe ${formatNumber(lobes.sidelobes[0].gain - lobes.peakGain, 1)} dB at ${lobes.sidelobes[0].angle}°` :
+                'No sidelobes above the floor'
+        ];
+        
+        ctx.fillRect(legendX, legendY - 9, 14, 4);
+        ctx.font = 'bold 13px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillText(cut.label, legendX + 20, legendY - 3);
+        ctx.font = '12px sans-serif';
+        ctx.fillStyle = theme.text;
+        lines.forEach((line, i) => ctx.fillText(line, legendX + 20, legendY + 15 + i * 16));
+        legendY += 100;
+    });
+    
+    ctx.fillStyle = theme.muted;
+    ctx.font = '11px sans-serif';
+    ctx.textAlign = 'left';
+    ['Dashed: −3 dB points', '●: sidelobe peaks', '■: rear (F/B)', `Floor ${floor} ${view.unit}`]
+        .forEach((line, i) => ctx.fillText(line, legendX, legendY + i * 15));
+}
+
+/**
+ * Draw the full-sphere pattern as a shaded, rotatable surface
+ * @param {CanvasRenderingContext2D} ctx - Drawing context
+ * @param {number} width - Canvas width in pixels
+ * @param {number} height - Canvas height in pixels
+ * @param {Object} view - Pattern view {title, unit, gainAt, yaw, pitch}; the sampled
+ *   surface is cached on the view
+ */
+function drawPattern3D(ctx, width, height, view) {
+    const step = 5;
+    const rows = 180 / step + 1;
+    const cols = 360 / step;
+    
+    if (!view.surface) {
+        const gains = [];
+        for (let i = 0; i < rows; i++) {
+            const row = [];
+            for (let j = 0; j < cols; j++) {
+                row.push(view.gainAt(j * step, -90 + i * step));
+            }
+            gains.push(row);
+        }
+        view.surface = gains;
     }
     
-    return createFrequencyPlot('chart-canvas', angles, pattern, {
-        label: 'Gain (dBi)',
-        xLabel: 'Angle (degrees)',
+    const gains = view.surface;
+    const peak = Math.max(...gains.flat());
+    const floor = peak - PATTERN_RANGE_DB;
+    const fraction = (g) => Math.max(0, Math.min(1, (g - floor) / (peak - floor)));
+    
+    // Rotate about z by the yaw, then tilt towards the viewer by the pitch
+    const yaw = view.yaw * Math.PI / 180;
+    const pitch = view.pitch * Math.PI / 180;
+    const scale = Math.min(width, height) * 0.38;
+    const cx = width * 0.45;
+    const cy = height * 0.55;
+    const project = (v) => {
+        const x1 = v[0] * Math.cos(yaw) - v[1] * Math.sin(yaw);
+        const y1 = v[0] * Math.sin(yaw) + v[1] * Math.cos(yaw);
+        const y2 = y1 * Math.cos(pitch) - v[2] * Math.sin(pitch);
+        const z2 = y1 * Math.sin(pitch) + v[2] * Math.cos(pitch);
+        return { x: cx + scale * x1, y: cy - scale * z2, depth: y2 };
+    };
+    const point = (i, j) => {
+        const az = (j % cols) * step * Math.PI / 180;
+        const el = (-90 + i * step) * Math.PI / 180;
+        const r = fraction(gains[i][j % cols]);
+        return project([r * Math.cos(el) * Math.cos(az), r * Math.cos(el) * Math.sin(az), r * Math.sin(el)]);
+    };
+    const colorFor = (t) => `hsl(${Math.round(240 * (1 - t))}, 80%, 50%)`;
+    
+    const theme = canvasThemeColors();
+    ctx.fillStyle = theme.background;
+    ctx.fillRect(0, 0, width, height);
+    ctx.fillStyle = theme.text;
+    ctx.font = 'bold 16px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText(view.title, width / 2, 24);
+    
+    // Painter's algorithm: far facets first
+    const facets = [];
+    for (let i = 0; i < rows - 1; i++) {
+        for (let j = 0; j < cols; j++) {
+            const corners = [point(i, j), point(i, j + 1), point(i + 1, j + 1), point(i + 1, j)];
+            const g = (gains[i][j] + gains[i][(j + 1) % cols] + gains[i + 1][j] + gains[i + 1][(j + 1) % cols]) / 4;
+            facets.push({ corners, depth: corners.reduce((s, c) => s + c.depth, 0) / 4, t: fraction(g) });
+        }
+    }
+    facets.sort((a, b) => b.depth - a.depth);
+    
+    ctx.lineWidth = 0.5;
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.15)';
+    facets.forEach(facet => {
+        ctx.fillStyle = colorFor(facet.t);
+        ctx.beginPath();
+        facet.corners.forEach((c, k) => {
+            if (k === 0) ctx.moveTo(c.x, c.y); else ctx.lineTo(c.x, c.y);
+        });
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+    });
+    
+    // Axes, with +x as the forward direction
+    ctx.font = '12px sans-serif';
+    [['x', [1.2, 0, 0]], ['y', [0, 1.2, 0]], ['z', [0, 0, 1.2]]].forEach(([name, v]) => {
+        const origin = project([0, 0, 0]);
+        const tip = project(v);
+        ctx.strokeStyle = theme.text;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(origin.x, origin.y);
+        ctx.lineTo(tip.x, tip.y);
+        ctx.stroke();
+        ctx.fillStyle = theme.text;
+        ctx.fillText(name, tip.x, tip.y - 4);
+    });
+    
+    // Colour scale
+    const barX = width - 70;
+    const barTop = 60;
+    const barHeight = height - 140;
+    for (let k = 0; k < barHeight; k++) {
+        ctx.fillStyle = colorFor(1 - k / barHeight);
+        ctx.fillRect(barX, barTop + k, 16, 1);
+    }
+    ctx.fillStyle = theme.text;
+    ctx.textAlign = 'left';
+    for (let level = 0; level <= PATTERN_RANGE_DB; level += PATTERN_RING_DB) {
+        ctx.fillText(formatNumber(peak - level, 1), barX + 20, barTop + barHeight * level / PATTERN_RANGE_DB + 4);
+    }
+    ctx.fillText(view.unit, barX, barTop - 10);
+    
+    ctx.fillStyle = theme.muted;
+    ctx.font = '11px sans-serif';
+    ctx.fillText(`Peak ${formatNumber(peak, 2)} ${view.unit} · radius linear in dB down to ${formatNumber(floor, 1)} · drag to rotate`,
+                 20, height - 16);
+}
+
+/**
+ * Plot optimizer convergence history
+ * @param {Array} history - [{iteration, score, forwardGain, frontToBack}]
+ */
+function plotConvergence(history) {
+    const chart = createFrequencyPlot('chart-canvas',
+        history.map(h => h.iteration),
+        history.map(h => h.score), {
+        label: 'Score',
+        xLabel: 'Iteration',
+        yLabel: 'Score / dB',
+        xDivisor: 1,
+        title: 'Optimizer Convergence',
+        color: 'rgb(54, 162, 235)',
+        backgroundColor: 'rgba(54, 162, 235, 0.1)'
+    });
+    
+    if (chart) {
+        chart.data.datasets.push({
+            label: 'Forward gain (dBi)',
+            data: history.map(h => h.forwardGain),
+            borderColor: 'rgb(75, 192, 192)',
+            borderWidth: 2,
+            fill: false
+        }, {
+            label: 'F/B (dB)',
+            data: history.map(h => h.frontToBack),
+            borderColor: 'rgb(255, 159, 64)',
+            borderWidth: 2,
+            fill: false
+        });
+        chart.update();
+    }
+    return chart;
+}
+
+/**
+ * Plot LPDA forward gain and front-to-back ratio across the band
+ * @param {Array} points - [{frequency, forwardGain, frontToBack}]
+ */
+function plotLPDAResponse(points) {
+    const chart = createFrequencyPlot('chart-canvas',
+        points.map(p => p.frequency),
+        points.map(p => p.forwardGain), {
+        label: 'Forward gain (dBi)',
+        yLabel: 'dB',
+        title: 'LPDA Gain Across the Band (MoM)',
+        color: 'rgb(75, 192, 192)',
+        backgroundColor: 'rgba(75, 192, 192, 0.1)'
+    });
+    
+    if (chart) {
+        chart.data.datasets.push({
+            label: 'F/B (dB)',
+            data: points.map(p => p.frontToBack),
+            borderColor: 'rgb(255, 159, 64)',
+            borderWidth: 2,
+            fill: false
+        });
+        chart.update();
+    }
+    return chart;
+}
+
+/**
+ * Plot insertion and return loss of an LC ladder filter
+ * @param {Object} data - {frequencies, insertionLoss, returnLoss, title} with losses in dB, plus
+ *   optional standardLoss and standardSeries for the ladder rebuilt from standard values
+ */
+function plotFilterLoss(data) {
+    const clip = (values) => values.map(v => Math.min(v, CONSTANTS.FILTER.PLOT_FLOOR));
+    const chart = createFrequencyPlot('chart-canvas', data.frequencies, clip(data.insertionLoss), {
+        label: 'Insertion loss (dB)',
+        yLabel: 'Loss (dB)',
+        title: data.title,
+        color: 'rgb(33, 150, 243)',
+        backgroundColor: 'rgba(33, 150, 243, 0.1)'
+    });
+    
+    if (chart) {
+        chart.data.datasets.push({
+            label: 'Return loss (dB)',
+            data: clip(data.returnLoss),
+            borderColor: 'rgb(255, 99, 132)',
+            borderWidth: 2,
+            fill: false
+        });
+        if (data.standardLoss) {
+            chart.data.datasets.push({
+                label: `Insertion loss, ${data.standardSeries} values (dB)`,
+                data: clip(data.standardLoss),
+                borderColor: 'rgb(75, 192, 192)',
+                borderWidth: 2,
+                borderDash: [5, 5],
+                fill: false
+            });
+        }
+        chart.update();
+    }
+    return chart;
+}
+
+/**
+ * Plot a histogram of Monte Carlo samples
+ * @param {Object} data - {centers, counts, runs, digits, xLabel, title} with bin centres in display units
+ */
+function plotHistogram(data) {
+    const ctx = document.getElementById('chart-canvas');
+    if (!ctx) return null;
+    
+    if (currentChart) {
+        currentChart.destroy();
+    }
+    
+    currentChart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: data.centers.map(c => formatNumber(c, data.digits)),
+            datasets: [{
+                label: 'Share of runs (%)',
+                data: data.counts.map(n => 100 * n / data.runs),
+                backgroundColor: 'rgba(33, 150, 243, 0.6)',
+                borderColor: 'rgb(33, 150, 243)',
+                borderWidth: 1,
+                barPercentage: 1,
+                categoryPercentage: 1
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                x: {
+                    display: true,
+                    title: { display: true, text: data.xLabel },
+                    grid: { color: 'rgba(128, 128, 128, 0.2)' }
+                },
+                y: {
+                    display: true,
+                    beginAtZero: true,
+                    title: { display: true, text: 'Runs (%)' },
+                    grid: { color: 'rgba(128, 128, 128, 0.2)' }
+                }
+            },
+            plugins: {
+                title: { display: true, text: data.title, font: { size: 16 } },
+                legend: { display: false }
+            }
+        }
+    });
+    return currentChart;
+}
+
+/**
+ * Plot each lineup stage's share of the cascaded noise and IP3
+ * @param {Object} data - {labels, noise, ip3} with shares in percent
+ */
+function plotLineupContributions(data) {
+    const ctx = document.getElementById('chart-canvas');
+    if (!ctx) return null;
+    
+    if (currentChart) {
+        currentChart.destroy();
+    }
+    
+    currentChart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: data.labels,
+            datasets: [{
+                label: 'Noise contribution (%)',
+                data: data.noise,
+                backgroundColor: 'rgba(33, 150, 243, 0.6)',
+                borderColor: 'rgb(33, 150, 243)',
+                borderWidth: 1
+            }, {
+                label: 'IP3 contribution (%)',
+                data: data.ip3,
+                backgroundColor: 'rgba(255, 99, 132, 0.6)',
+                borderColor: 'rgb(255, 99, 132)',
+                borderWidth: 1
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                x: {
+                    display: true,
+                    title: { display: true, text: 'Stage' },
+                    grid: { color: 'rgba(128, 128, 128, 0.2)' }
+                },
+                y: {
+                    display: true,
+                    beginAtZero: true,
+                    max: 100,
+                    title: { display: true, text: 'Share of cascade total (%)' },
+                    grid: { color: 'rgba(128, 128, 128, 0.2)' }
+                }
+            },
+            plugins: {
+                title: { display: true, text: 'Per-Stage Noise and IP3 Contributions', font: { size: 16 } }
+            }
+        }
+    });
+    return currentChart;
+}
+
+/**
+ * Plot a mixer spur chart: product frequency against RF with the IF passband marked
+ * @param {Object} data - {frequencies, desired, ifLow, ifHigh, spurs: [{label, values}], title}
+ *                        with RF in Hz and product frequencies in MHz (null off the chart)
+ */
+function plotSpurChart(data) {
+    const colors = ['rgb(255, 99, 132)', 'rgb(75, 192, 192)', 'rgb(255, 159, 64)', 'rgb(153, 102, 255)',
+        'rgb(201, 203, 207)', 'rgb(255, 205, 86)'];
+    const chart = createFrequencyPlot('chart-canvas', data.frequencies, data.desired, {
+        label: 'RF − LO (desired)',
+        xLabel: 'RF (MHz)',
+        yLabel: 'Product frequency (MHz)',
+        title: data.title,
+        color: 'rgb(33, 150, 243)',
+        backgroundColor: 'rgba(33, 150, 243, 0.1)'
+    });
+    
+    if (chart) {
+        data.spurs.forEach((spur, i) => chart.data.datasets.push({
+            label: spur.label,
+            data: spur.values,
+            borderColor: colors[i % colors.length],
+            borderWidth: 1.5,
+            pointRadius: 0,
+            fill: false
+        }));
+        [data.ifLow, data.ifHigh].forEach((edge, i) => chart.data.datasets.push({
+            label: i === 0 ? 'IF passband' : 'IF passband (upper)',
+            data: data.frequencies.map(() => edge),
+            borderColor: 'rgb(128, 128, 128)',
+            borderWidth: 1,
+            borderDash: [5, 5],
+            pointRadius: 0,
+            fill: false
+        }));
+        chart.update();
+    }
+    return chart;
+}
+
+/**
+ * Plot source and load stability circles and constant-gain circles in the
+ * reflection-coefficient plane
+ * @param {Object} data - {source, load, gammaS, gammaL, designLabel, gainCircles, title}:
+ *   stability circles are {center, radius, stableInside}; gainCircles are [{step, gain,
+ *   available, operating}] with null for an unreachable gain; the Γ points are null
+ *   when no design was found
+ */
+function plotStabilityCircles(data) {
+    const ctx = document.getElementById('chart-canvas');
+    if (!ctx) return null;
+    
+    if (currentChart) {
+        currentChart.destroy();
+    }
+    
+    const view = 1.5;
+    const circle = (center, radius) => Array.from({ length: 361 }, (_, i) => {
+        const x = center.re + radius * Math.cos(i * Math.PI / 180);
+        const y = center.im + radius * Math.sin(i * Math.PI / 180);
+        return Math.abs(x) <= view && Math.abs(y) <= view ? { x, y } : null;
+    });
+    const line = (label, points, color, dash = []) => ({
+        label,
+        data: points,
+        borderColor: color,
+        backgroundColor: color,
+        borderWidth: 2,
+        borderDash: dash,
+        pointRadius: 0,
+        showLine: true,
+        fill: false
+    });
+    const side = (c) => c.stableInside ? 'stable inside' : 'stable outside';
+    
+    const datasets = [
+        line('|Γ| = 1', circle({ re: 0, im: 0 }, 1), 'rgb(128, 128, 128)'),
+        line(`Source stability circle (${side(data.source)})`, circle(data.source.center, data.source.radius), 'rgb(33, 150, 243)', [5, 5]),
+        line(`Load stability circle (${side(data.load)})`, circle(data.load.center, data.load.radius), 'rgb(255, 99, 132)', [5, 5])
+    ];
+    const db = (ratio) => formatNumber(10 * Math.log10(ratio), 1);
+    (data.gainCircles || []).forEach((c, i) => {
+        const alpha = 0.9 - 0.25 * i;
+        if (c.available) {
+            datasets.push({ ...line(`G_A = ${db(c.gain)} dB (source plane)`, circle(c.available.center, c.available.radius),
+                                    `rgba(33, 150, 243, ${alpha})`, [2, 3]), borderWidth: 1 });
+        }
+        if (c.operating) {
+            datasets.push({ ...line(`G_P = ${db(c.gain)} dB (load plane)`, circle(c.operating.center, c.operating.radius),
+                                    `rgba(255, 99, 132, ${alpha})`, [2, 3]), borderWidth: 1 });
+        }
+    });
+    if (data.gammaS) {
+        datasets.push({
+            label: `Γ_S (${data.designLabel})`,
+            data: [{ x: data.gammaS.re, y: data.gammaS.im }],
+            borderColor: 'rgb(33, 150, 243)',
+            backgroundColor: 'rgb(33, 150, 243)',
+            pointRadius: 6
+        }, {
+            label: `Γ_L (${data.designLabel})`,
+            data: [{ x: data.gammaL.re, y: data.gammaL.im }],
+            borderColor: 'rgb(255, 99, 132)',
+            backgroundColor: 'rgb(255, 99, 132)',
+            pointRadius: 6,
+            pointStyle: 'triangle'
+        });
+    }
+    
+    currentChart = new Chart(ctx, {
+        type: 'scatter',
+        data: { datasets },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                x: {
+                    min: -view,
+                    max: view,
+                    title: { display: true, text: 'Re(Γ)' },
+                    grid: { color: 'rgba(128, 128, 128, 0.2)' }
+                },
+                y: {
+                    min: -view,
+                    max: view,
+                    title: { display: true, text: 'Im(Γ)' },
+                    grid: { color: 'rgba(128, 128, 128, 0.2)' }
+                }
+            },
+            plugins: {
+                title: { display: true, text: data.title, font: { size: 16 } }
+            }
+        }
+    });
+    return currentChart;
+}
+
+/**
+ * Plot K, μ and maximum gain across a Touchstone file
+ * @param {Object} data - {frequencies, k, mu, gain} with frequencies in Hz and gain in dB
+ */
+function plotAmplifierSweep(data) {
+    const chart = createFrequencyPlot('chart-canvas', data.frequencies, data.mu, {
+        label: 'μ',
+        yLabel: 'Stability factor / gain (dB)',
+        title: 'Stability and Maximum Gain vs Frequency',
+        color: 'rgb(33, 150, 243)',
+        backgroundColor: 'rgba(33, 150, 243, 0.1)'
+    });
+    
+    if (chart) {
+        chart.data.datasets.push({
+            label: 'Rollett K',
+            data: data.k,
+            borderColor: 'rgb(75, 192, 192)',
+            borderWidth: 2,
+            fill: false
+        }, {
+            label: 'MAG / MSG (dB)',
+            data: data.gain,
+            borderColor: 'rgb(255, 99, 132)',
+            borderWidth: 2,
+            borderDash: [5, 5],
+            fill: false
+        }, {
+            label: 'Stability limit (1)',
+            data: data.frequencies.map(() => 1),
+            borderColor: 'rgb(128, 128, 128)',
+            borderWidth: 1,
+            borderDash: [2, 4],
+            pointRadius: 0,
+            fill: false
+        });
+        chart.update();
+    }
+    return chart;
+}
+
+/**
+ * Plot probes of a netlist AC sweep
+ * @param {Object} data - {frequencies, traces: [{label, values}], title} with values in dB
+ */
+function plotNetlistResponse(data) {
+    const colors = ['rgb(33, 150, 243)', 'rgb(255, 99, 132)', 'rgb(75, 192, 192)', 'rgb(255, 159, 64)'];
+    const [first, ...rest] = data.traces;
+    const chart = createFrequencyPlot('chart-canvas', data.frequencies, first.values, {
+        label: first.label,
+        yLabel: 'dB',
+        title: data.title,
+        color: colors[0],
+        backgroundColor: 'rgba(33, 150, 243, 0.1)'
+    });
+    
+    if (chart) {
+        rest.forEach((trace, i) => chart.data.datasets.push({
+            label: trace.label,
+            data: trace.values,
+            borderColor: colors[(i + 1) % colors.length],
+            borderWidth: 2,
+            fill: false
+        }));
+        chart.update();
+    }
+    return chart;
+}
+
+/**
+ * Plot a phased-array pattern cut with beamwidth and null markers
+ * @param {Object} data - {angles, total, arrayFactor, element, hpbw: [left, right], nulls: [left, right], title}
+ *                        with patterns in dB relative to the peak
+ */
+function plotArrayPattern(data) {
+    const floor = (values) => values.map(v => Math.max(v, -60));
+    const chart = createFrequencyPlot('chart-canvas', data.angles, floor(data.total), {
+        label: 'Total pattern (dB)',
+        xLabel: 'Angle from broadside (degrees)',
+        yLabel: 'Relative power (dB)',
+        xDivisor: 1,
+        title: data.title,
+        color: 'rgb(75, 192, 192)',
+        backgroundColor: 'rgba(75, 192, 192, 0.1)'
+    });
+    
+    if (chart) {
+        // Marker datasets are null except at the marked angles
+        const step = data.angles[1] - data.angles[0];
+        const markers = (points) => data.angles.map((angle, i) => {
+            const hit = points.some(p => p !== null && Math.abs(p - angle) <= step / 2);
+            return hit ? Math.max(data.total[i], -60) : null;
+        });
+        
+        if (data.element) {
+            chart.data.datasets.push({
+                label: 'Array factor (dB)',
+                data: floor(data.arrayFactor),
+                borderColor: 'rgb(54, 162, 235)',
+                borderWidth: 1,
+                borderDash: [5, 5],
+                pointRadius: 0,
+                fill: false
+            }, {
+                label: 'Element pattern (dB)',
+                data: floor(data.element),
+                borderColor: 'rgb(201, 203, 207)',
+                borderWidth: 1,
+                pointRadius: 0,
+                fill: false
+            });
+        }
+        chart.data.datasets[0].pointRadius = 0;
+        chart.data.datasets.push({
+            label: 'Half-power points',
+            data: markers(data.hpbw),
+            borderColor: 'rgb(255, 159, 64)',
+            backgroundColor: 'rgb(255, 159, 64)',
+            pointRadius: 5,
+            showLine: false
+        }, {
+            label: 'First nulls',
+            data: markers(data.nulls),
+            borderColor: 'rgb(255, 99, 132)',
+            backgroundColor: 'rgb(255, 99, 132)',
+            pointRadius: 5,
+            pointStyle: 'triangle',
+            showLine: false
+        });
+        chart.update();
+    }
+    return chart;
+}
+
+/**
+ * Plot an elevation pattern over ground with its free-space reference
+ * @param {Object} data - {angles, gains, freeSpace, takeoff, title} with gains in dBi and an
+ *   optional referenceLabel for the reference curve
+ */
+function plotElevationPattern(data) {
+    const chart = createFrequencyPlot('chart-canvas', data.angles, data.gains.map(g => Math.max(g, -30)), {
+        label: 'Over ground (dBi)',
+        xLabel: 'Elevation (degrees, horizon to horizon)',
         yLabel: 'Gain (dBi)',
-        title: `${antennaType.toUpperCase()} Radiation Pattern`,
+        xDivisor: 1,
+        title: data.title,
         color: 'rgb(75, 192, 192)',
         backgroundColor: 'rgba(75, 192, 192, 0.1)'
     });
+    
+    if (chart) {
+        chart.data.datasets[0].pointRadius = 0;
+        chart.data.datasets.push({
+            label: data.referenceLabel || 'Free space (dBi)',
+            data: data.freeSpace.map(g => Math.max(g, -30)),
+            borderColor: 'rgb(201, 203, 207)',
+            borderWidth: 1,
+            borderDash: [5, 5],
+            pointRadius: 0,
+            fill: false
+        }, {
+            label: `Take-off angle (${formatNumber(data.takeoff, 1)}°)`,
+            data: data.angles.map((angle, i) =>
+                Math.abs(angle - data.takeoff) < 0.5 || Math.abs(angle - (180 - data.takeoff)) < 0.5 ? data.gains[i] : null),
+            borderColor: 'rgb(255, 159, 64)',
+            backgroundColor: 'rgb(255, 159, 64)',
+            pointRadius: 5,
+            showLine: false
+        });
+        chart.update();
+    }
+    return chart;
 }
 
 /**
@@ -188,8 +1136,14 @@ function plotRadiationPattern(antennaType, parameters = {}) {
  * @param {string} componentType - 'inductor' or 'capacitor'
  * @param {number} value - Component value in SI units
  * @param {number} centerFreq - Center frequency in Hz
+ * @param {Object} parasitics - Optional {esr, esl, cp} for the real-part model
+ * @param {string} quantity - With parasitics: 'reactance', 'effective' or 'q'
  */
-function plotReactancevsFrequency(componentType, value, centerFreq) {
+function plotReactancevsFrequency(componentType, value, centerFreq, parasitics = null, quantity = 'reactance') {
+    if (parasitics) {
+        return plotParasiticResponse(componentType, value, centerFreq, parasitics, quantity);
+    }
+    
     const frequencies = [];
     const reactances = [];
     const steps = 100;
@@ -219,6 +1173,78 @@ function plotReactancevsFrequency(componentType, value, centerFreq) {
     });
 }
 
+/**
+ * Plot a capacitor or inductor with parasitics against the ideal part, on a
+ * logarithmic sweep wide enough to include the self-resonant frequency
+ * @param {string} componentType - 'inductor' or 'capacitor'
+ * @param {number} value - Component value in SI units
+ * @param {number} centerFreq - Analysis frequency in Hz
+ * @param {Object} parasitics - {esr, esl, cp}
+ * @param {string} quantity - 'reactance', 'effective' or 'q'
+ */
+function plotParasiticResponse(componentType, value, centerFreq, parasitics, quantity) {
+    const srf = componentSelfResonance(componentType, value, parasitics);
+    const fMin = Math.min(centerFreq, srf) / 10;
+    const fMax = Math.max(centerFreq, isFinite(srf) ? srf : centerFreq) * 3;
+    const steps = 200;
+    const frequencies = Array.from({ length: steps }, (_, i) => fMin * Math.pow(fMax / fMin, i / (steps - 1)));
+    
+    const inductor = componentType === 'inductor';
+    const type = inductor ? 'L' : 'C';
+    const ideal = frequencies.map(f => inductor ? inductiveReactance(f, value) : -capacitiveReactance(f, value));
+    const model = frequencies.map(f => componentImpedance(componentType, value, parasitics, f));
+    
+    // Keep the resonance peak from flattening the rest of the curve
+    const limit = 5 * ideal.reduce((m, x) => Math.max(m, Math.abs(x)), 0);
+    const clip = (v, bound) => Math.max(-bound, Math.min(bound, v));
+    
+    const srfBest = isFinite(srf) ? getAppropriateUnit(srf, CONSTANTS.FREQ_UNITS, 'Hz') : null;
+    const title = `${inductor ? 'Inductor' : 'Capacitor'} with Parasitics${srfBest ? ` (SRF ${formatNumber(srfBest.value, 4)} ${srfBest.unit})` : ''}`;
+    
+    let series, idealSeries, yLabel;
+    if (quantity === 'effective') {
+        // Effective value in nH or pF; it changes sign at the SRF
+        const scale = inductor ? 1e9 : 1e12;
+        series = model.map((z, i) => {
+            const omega = CONSTANTS.TWO_PI * frequencies[i];
+            const effective = inductor ? z.imaginary / omega : -1 / (omega * z.imaginary);
+            return clip(effective * scale, 5 * value * scale);
+        });
+        idealSeries = frequencies.map(() => value * scale);
+        yLabel = `Effective ${type} (${inductor ? 'nH' : 'pF'})`;
+    } else if (quantity === 'q') {
+        // Q only means something below the SRF
+        series = model.map((z, i) => frequencies[i] < srf ? Math.abs(z.imaginary) / z.real : null);
+        idealSeries = null;
+        yLabel = 'Q';
+    } else {
+        series = model.map(z => clip(z.imaginary, limit));
+        idealSeries = ideal;
+        yLabel = 'Reactance (Ω)';
+    }
+    
+    const chart = createFrequencyPlot('chart-canvas', frequencies, series, {
+        label: quantity === 'q' ? 'Q' : `${yLabel.split(' (')[0]}, with parasitics`,
+        yLabel,
+        title,
+        color: inductor ? 'rgb(255, 159, 64)' : 'rgb(153, 102, 255)',
+        backgroundColor: inductor ? 'rgba(255, 159, 64, 0.1)' : 'rgba(153, 102, 255, 0.1)'
+    });
+    
+    if (chart && idealSeries) {
+        chart.data.datasets.push({
+            label: `${yLabel.split(' (')[0]}, ideal`,
+            data: idealSeries,
+            borderColor: 'rgb(128, 128, 128)',
+            borderWidth: 2,
+            borderDash: [5, 5],
+            fill: false
+        });
+        chart.update();
+    }
+    return chart;
+}
+
 /**
  * Plot path loss vs distance
  * @param {number} frequency - Frequency in Hz
@@ -322,6 +1348,28 @@ function showChart(plotType, data) {
     }
     overlay.style.display = 'block';
     
+    // Polar/3D toggle for radiation patterns with a full-sphere gain
+    const viewBtn = document.getElementById('chart-view-btn');
+    if (viewBtn) viewBtn.remove();
+    if (plotType === 'radiation' && data.parameters && data.parameters.gainAt) {
+        const toggle = document.createElement('button');
+        toggle.id = 'chart-view-btn';
+        toggle.innerHTML = '3D';
+        toggle.style.position = 'absolute';
+        toggle.style.top = '10px';
+        toggle.style.right = '50px';
+        toggle.style.border = 'none';
+        toggle.style.background = '#333';
+        toggle.style.color = 'white';
+        toggle.style.height = '30px';
+        toggle.style.padding = '0 12px';
+        toggle.style.borderRadius = '15px';
+        toggle.style.cursor = 'pointer';
+        toggle.onclick = togglePatternView;
+        
+        canvas.parentElement.appendChild(toggle);
+    }
+    
     // Generate appropriate plot
     switch (plotType) {
         case 'vswr':
@@ -331,11 +1379,44 @@ function showChart(plotType, data) {
             plotRadiationPattern(data.antennaType, data.parameters);
             break;
         case 'reactance':
-            plotReactancevsFrequency(data.componentType, data.value, data.frequency);
+            plotReactancevsFrequency(data.componentType, data.value, data.frequency, data.parasitics, data.quantity);
             break;
         case 'pathloss':
             plotPathLoss(data.frequency, data.distances);
             break;
+        case 'convergence':
+            plotConvergence(data.history);
+            break;
+        case 'lpda':
+            plotLPDAResponse(data.points);
+            break;
+        case 'array':
+            plotArrayPattern(data);
+            break;
+        case 'elevation':
+            plotElevationPattern(data);
+            break;
+        case 'filter':
+            plotFilterLoss(data);
+            break;
+        case 'netlist':
+            plotNetlistResponse(data);
+            break;
+        case 'histogram':
+            plotHistogram(data);
+            break;
+        case 'lineup':
+            plotLineupContributions(data);
+            break;
+        case 'spur':
+            plotSpurChart(data);
+            break;
+        case 'stability':
+            plotStabilityCircles(data);
+            break;
+        case 'amplifier-sweep':
+            plotAmplifierSweep(data);
+            break;
         default:
             console.warn('Unknown plot type:', plotType);
     }
@@ -348,10 +1429,13 @@ function hideChart() {
     const canvas = document.getElementById('chart-canvas');
     const overlay = document.getElementById('chart-overlay');
     const closeBtn = document.getElementById('chart-close-btn');
+    const viewBtn = document.getElementById('chart-view-btn');
     
     if (canvas) canvas.style.display = 'none';
     if (overlay) overlay.style.display = 'none';
     if (closeBtn) closeBtn.remove();
+    if (viewBtn) viewBtn.remove();
+    patternView = null;
     
     if (currentChart) {
         currentChart.destroy();
@@ -368,8 +1452,16 @@ function exportChart() {
         return;
     }
     
+    // Chart.js leaves the canvas transparent: export on the theme background
     const canvas = currentChart.canvas;
-    const url = canvas.toDataURL('image/png');
+    const image = document.createElement('canvas');
+    image.width = canvas.width;
+    image.height = canvas.height;
+    const ctx = image.getContext('2d');
+    ctx.fillStyle = canvasThemeColors().background;
+    ctx.fillRect(0, 0, image.width, image.height);
+    ctx.drawImage(canvas, 0, 0);
+    const url = image.toDataURL('image/png');
     
     const link = document.createElement('a');
     link.download = 'freqradio-chart.png';
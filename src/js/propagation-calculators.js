@@ -121,8 +121,8 @@ function calculateLinkBudget() {
     const distanceUnit = document.getElementById('lb-distance-unit').value;
     const txPower = parseFloat(document.getElementById('lb-tx-power').value);
     const txPowerUnit = document.getElementById('lb-tx-power-unit').value;
-    const txGain = parseFloat(document.getElementById('lb-tx-gain').value) || 0;
-    const rxGain = parseFloat(document.getElementById('lb-rx-gain').value) || 0;
+    const txGainInput = parseFloat(document.getElementById('lb-tx-gain').value) || 0;
+    const rxGainInput = parseFloat(document.getElementById('lb-rx-gain').value) || 0;
     const txLoss = parseFloat(document.getElementById('lb-tx-loss').value) || 0;
     const rxLoss = parseFloat(document.getElementById('lb-rx-loss').value) || 0;
     const otherLoss = parseFloat(document.getElementById('lb-other-loss').value) || 0;
@@ -151,6 +151,12 @@ function calculateLinkBudget() {
         const freqHz = frequency * CONSTANTS.FREQ_UNITS[freqUnit];
         const distanceM = convertUnits(distance, distanceUnit, 'm', CONSTANTS.LENGTH_UNITS);
         
+        // Antenna gains, from imported patterns at the pointing angles when selected
+        const txAntenna = linkAntennaGain('lb', 'tx', txGainInput, freqHz);
+        const rxAntenna = linkAntennaGain('lb', 'rx', rxGainInput, freqHz);
+        const txGain = txAntenna.gain;
+        const rxGain = rxAntenna.gain;
+        
         // Convert TX power to dBm
         const txPowerDbm = convertPower(txPower, txPowerUnit, 'dBm');
         const txPowerWatts = convertPower(txPower, txPowerUnit, 'W');
@@ -203,6 +209,7 @@ function calculateLinkBudget() {
                     <ul>
                         <li>TX Power: ${formatNumber(txPower, 3)} ${txPowerUnit} (${formatNumber(txPowerDbm, 1)} dBm)</li>
                         <li>TX Antenna Gain: ${formatNumber(txGain, 1)} dBi</li>
+                        ${txAntenna.description ? `<li>TX Pattern: ${txAntenna.description}</li>` : ''}
                         <li>TX Line Loss: ${formatNumber(txLoss, 1)} dB</li>
                         <li>EIRP: ${formatNumber(eirpDbm, 1)} dBm (${formatNumber(eirpWatts, 6)} W)</li>
                     </ul>
@@ -223,6 +230,7 @@ function calculateLinkBudget() {
                     <ul>
                         <li>RX Power (isotropic): ${formatNumber(rxPowerDbm, 1)} dBm</li>
                         <li>RX Antenna Gain: ${formatNumber(rxGain, 1)} dBi</li>
+                        ${rxAntenna.description ? `<li>RX Pattern: ${rxAntenna.description}</li>` : ''}
                         <li>Signal Level: ${formatNumber(signalDbm, 1)} dBm</li>
                         <li>Signal Power: ${formatNumber(signalWatts, 6, true)} W</li>
                     </ul>
@@ -282,6 +290,7 @@ function calculateLinkBudget() {
                 
                 <p><strong>Notes:</strong></p>
                 <ul>
+                    ${[txAntenna.warning, rxAntenna.warning].filter(Boolean).map(warning => `<li>⚠ ${warning}</li>`).join('')}
                     <li>Calculations assume free space propagation</li>
                     <li>Real links may have fading, interference, and other impairments</li>
                     <li>Consider seasonal variations and antenna patterns</li>
@@ -776,3 +776,410 @@ function calculateConstellationCoverage() {
             `<div class="error">Error: ${error.message}</div>`;
     }
 }
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 7. PHASED-ARRAY FACTOR  (linear / planar)
+// ─────────────────────────────────────────────────────────────────────────────
+
+const ARRAY_MAX_ELEMENTS = 256;   // per axis
+const ARRAY_CUT_STEP_DEG = 0.1;   // pattern sampling for beamwidth and null search
+const ARRAY_PLOT_EVERY   = 5;     // plot every 5th sample (0.5° resolution)
+
+// Latest array pattern cut, kept for plotting
+let arrayPatternCut = null;
+
+/**
+ * Binomial amplitude taper (no sidelobes for d ≤ λ/2)
+ * @param {number} count - Number of elements
+ * @returns {number[]} Weights normalized to a peak of 1
+ */
+function binomialWeights(count) {
+    const weights = [1];
+    for (let k = 1; k < count; k++) {
+        weights.push(weights[k - 1] * (count - k) / k);
+    }
+    const peak = Math.max(...weights);
+    return weights.map(w => w / peak);
+}
+
+/**
+ * Dolph–Chebyshev taper, built from the zeros of T_{N−1}(x₀·cos(ψ/2))
+ * @param {number} count - Number of elements
+ * @param {number} sidelobeDb - Sidelobe level below the main beam (dB, positive)
+ * @returns {number[]} Weights normalized to a peak of 1
+ */
+function chebyshevWeights(count, sidelobeDb) {
+    if (count < 2) return [1];
+
+    const order = count - 1;
+    const ratio = Math.pow(10, sidelobeDb / 20);
+    const x0    = Math.cosh(Math.acosh(ratio) / order);
+
+    // Multiply out Π (z − e^{jψp}) with complex coefficients
+    let re = [1];
+    let im = [0];
+    for (let p = 1; p <= order; p++) {
+        const psi   = 2 * Math.acos(Math.cos((2 * p - 1) * Math.PI / (2 * order)) / x0);
+        const rootRe = Math.cos(psi);
+        const rootIm = Math.sin(psi);
+        const nextRe = new Array(re.length + 1).fill(0);
+        const nextIm = new Array(re.length + 1).fill(0);
+        for (let k = 0; k < re.length; k++) {
+            nextRe[k + 1] += re[k];
+            nextIm[k + 1] += im[k];
+            nextRe[k] -= re[k] * rootRe - im[k] * rootIm;
+            nextIm[k] -= re[k] * rootIm + im[k] * rootRe;
+        }
+        re = nextRe;
+        im = nextIm;
+    }
+
+    const weights = re.map((r, k) => Math.hypot(r, im[k]));
+    const peak    = Math.max(...weights);
+    return weights.map(w => w / peak);
+}
+
+/**
+ * Taylor n̄ taper sampled from the continuous line-source distribution
+ * @param {number} count - Number of elements
+ * @param {number} sidelobeDb - Design sidelobe level (dB, positive)
+ * @returns {Object} {weights, nbar}
+ */
+function taylorWeights(count, sidelobeDb) {
+    const A      = Math.acosh(Math.pow(10, sidelobeDb / 20)) / Math.PI;
+    // Smallest n̄ that keeps the distribution monotonic
+    const nbar   = Math.max(2, Math.ceil(2 * A * A + 0.5));
+    const sigma2 = nbar * nbar / (A * A + Math.pow(nbar - 0.5, 2));
+
+    const coefficients = [];
+    for (let m = 1; m < nbar; m++) {
+        let num = 1;
+        let den = 1;
+        for (let n = 1; n < nbar; n++) {
+            num *= 1 - m * m / (sigma2 * (A * A + Math.pow(n - 0.5, 2)));
+            if (n !== m) den *= 1 - m * m / (n * n);
+        }
+        coefficients.push((m % 2 === 1 ? 1 : -1) * num / (2 * den));
+    }
+
+    const weights = [];
+    for (let i = 0; i < count; i++) {
+        const x = (i - (count - 1) / 2) / count;
+        weights.push(1 + 2 * coefficients.reduce((sum, f, m) => sum + f * Math.cos(2 * Math.PI * (m + 1) * x), 0));
+    }
+    const peak = Math.max(...weights);
+    return { weights: weights.map(w => w / peak), nbar };
+}
+
+/**
+ * Amplitude taper for one array axis
+ * @param {number} count - Number of elements
+ * @param {string} taper - 'uniform', 'taylor', 'chebyshev' or 'binomial'
+ * @param {number} sidelobeDb - Design sidelobe level for Taylor and Chebyshev
+ * @returns {Object} {weights, nbar}
+ */
+function arrayTaperWeights(count, taper, sidelobeDb) {
+    switch (taper) {
+        case 'taylor':
+            return taylorWeights(count, sidelobeDb);
+        case 'chebyshev':
+            return { weights: chebyshevWeights(count, sidelobeDb) };
+        case 'binomial':
+            return { weights: binomialWeights(count) };
+        default:
+            return { weights: new Array(count).fill(1) };
+    }
+}
+
+/**
+ * Normalized array factor magnitude of a uniformly spaced line
+ * @param {number[]} weights - Element amplitudes
+ * @param {number} psi - Progressive phase between elements (rad)
+ * @returns {number} |AF| relative to the in-phase sum
+ */
+function lineArrayFactor(weights, psi) {
+    let re  = 0;
+    let im  = 0;
+    let sum = 0;
+    weights.forEach((w, n) => {
+        re  += w * Math.cos(n * psi);
+        im  += w * Math.sin(n * psi);
+        sum += w;
+    });
+    return Math.hypot(re, im) / sum;
+}
+
+/**
+ * Directivity of a line of isotropic elements
+ * D = (Σw)² / ΣΣ w_m·w_n·sinc(k·d_mn)·cos(k·d_mn·u₀)
+ * @param {number[]} weights - Element amplitudes
+ * @param {number} spacing - Element spacing in wavelengths
+ * @param {number} u0 - Sine of the steering angle from broadside
+ * @returns {number} Linear directivity
+ */
+function lineArrayDirectivity(weights, spacing, u0) {
+    const sum = weights.reduce((s, w) => s + w, 0);
+    let denominator = 0;
+    for (let m = 0; m < weights.length; m++) {
+        for (let n = 0; n < weights.length; n++) {
+            const kd = 2 * Math.PI * spacing * (m - n);
+            const sinc = kd === 0 ? 1 : Math.sin(kd) / kd;
+            denominator += weights[m] * weights[n] * sinc * Math.cos(kd * u0);
+        }
+    }
+    return sum * sum / denominator;
+}
+
+/**
+ * Beam peak, half-power points, first nulls and peak sidelobe of a pattern cut
+ * @param {number[]} angles - Angles in degrees, ascending
+ * @param {number[]} patternDb - Pattern in dB relative to its peak
+ * @returns {Object} {peakAngle, hpbw: [left, right], nulls: [left, right], sidelobe}
+ */
+function arrayPatternMetrics(angles, patternDb) {
+    let peak = 0;
+    patternDb.forEach((v, i) => { if (v > patternDb[peak]) peak = i; });
+
+    // Interpolated -3 dB crossing walking away from the peak
+    const halfPower = (dir) => {
+        for (let i = peak; i + dir >= 0 && i + dir < angles.length; i += dir) {
+            const a = patternDb[i];
+            const b = patternDb[i + dir];
+            if (b <= -3) {
+                return angles[i] + (angles[i + dir] - angles[i]) * (a + 3) / (a - b);
+            }
+        }
+        return null;
+    };
+    // First local minimum walking away from the peak; flat runs at the dB
+    // floor (binomial tapers) continue to the edge of visible space
+    const firstNull = (dir) => {
+        let i = peak;
+        while (i + dir >= 0 && i + dir < angles.length && patternDb[i + dir] <= patternDb[i]) i += dir;
+        return (i === 0 || i === angles.length - 1) ? null : i;
+    };
+
+    const leftNull  = firstNull(-1);
+    const rightNull = firstNull(1);
+    let sidelobe = -Infinity;
+    patternDb.forEach((v, i) => {
+        const outside = (leftNull !== null && i < leftNull) || (rightNull !== null && i > rightNull);
+        if (outside && v > sidelobe) sidelobe = v;
+    });
+
+    return {
+        peakAngle: angles[peak],
+        hpbw:      [halfPower(-1), halfPower(1)],
+        nulls:     [leftNull === null ? null : angles[leftNull], rightNull === null ? null : angles[rightNull]],
+        sidelobe
+    };
+}
+
+/**
+ * Linear or planar phased-array factor with amplitude taper and element pattern
+ */
+function calculateArrayFactor() {
+    const layout      = document.getElementById('array-layout').value;
+    const countX      = parseInt(document.getElementById('array-elements-x').value);
+    const countYRaw   = parseInt(document.getElementById('array-elements-y').value);
+    const spacingX    = parseFloat(document.getElementById('array-spacing-x').value);
+    const spacingYRaw = parseFloat(document.getElementById('array-spacing-y').value);
+    const steerTheta  = parseFloat(document.getElementById('array-steer-theta').value) || 0;
+    const steerPhi    = parseFloat(document.getElementById('array-steer-phi').value) || 0;
+    const taper       = document.getElementById('array-taper').value;
+    const sidelobeDb  = parseFloat(document.getElementById('array-sll').value) || 30;
+    const elementType = document.getElementById('array-element').value;
+    const frequency   = parseFloat(document.getElementById('array-freq').value);
+    const freqUnit    = document.getElementById('array-freq-unit').value;
+    const planar      = layout === 'planar';
+    const countY      = planar ? countYRaw : 1;
+    const spacingY    = planar ? (spacingYRaw || spacingX) : spacingX;
+
+    if (!validateInput(countX, 1, ARRAY_MAX_ELEMENTS)) {
+        showError('array-elements-x', `Element count must be 1–${ARRAY_MAX_ELEMENTS}`);
+        return;
+    }
+    if (planar && !validateInput(countY, 1, ARRAY_MAX_ELEMENTS)) {
+        showError('array-elements-y', `Element count must be 1–${ARRAY_MAX_ELEMENTS}`);
+        return;
+    }
+    if (!validateInput(spacingX, 0.05, 4) || !validateInput(spacingY, 0.05, 4)) {
+        showError('array-spacing-x', 'Spacing must be 0.05–4 λ');
+        return;
+    }
+    if (!validateInput(steerTheta, -90, 90)) {
+        showError('array-steer-theta', 'Steering angle must be between −90° and 90°');
+        return;
+    }
+    if ((taper === 'taylor' || taper === 'chebyshev') && !validateInput(sidelobeDb, 13, 80)) {
+        showError('array-sll', 'Sidelobe level must be 13–80 dB');
+        return;
+    }
+    clearError('array-elements-x');
+    clearError('array-elements-y');
+    clearError('array-spacing-x');
+    clearError('array-steer-theta');
+    clearError('array-sll');
+
+    try {
+        const deg    = Math.PI / 180;
+        const taperX = arrayTaperWeights(countX, taper, sidelobeDb);
+        const taperY = arrayTaperWeights(countY, taper, sidelobeDb);
+        const u0     = Math.sin(steerTheta * deg) * (planar ? Math.cos(steerPhi * deg) : 1);
+        const v0     = planar ? Math.sin(steerTheta * deg) * Math.sin(steerPhi * deg) : 0;
+        const cosPhi = planar ? Math.cos(steerPhi * deg) : 1;
+        const sinPhi = planar ? Math.sin(steerPhi * deg) : 0;
+
+        // Element patterns from plotRadiationPattern(): the Yagi points along
+        // broadside; dipole, monopole and loop lie along the cut axis
+        const elementAngle = (theta) => elementType === 'yagi' ? (theta + 360) % 360 : 90 - theta;
+        let elementPeak = 0;
+
+        // Pattern cut through the beam in the steering plane
+        const angles = [];
+        const afDb   = [];
+        const elRaw  = [];
+        for (let theta = -90; theta <= 90 + 1e-9; theta += ARRAY_CUT_STEP_DEG) {
+            const s  = Math.sin(theta * deg);
+            const af = lineArrayFactor(taperX.weights, 2 * Math.PI * spacingX * (s * cosPhi - u0)) *
+                       lineArrayFactor(taperY.weights, 2 * Math.PI * spacingY * (s * sinPhi - v0));
+            const el = elementType === 'isotropic' ? 1 : elementPatternGain(elementType, elementAngle(theta));
+            angles.push(Math.round(theta * 10) / 10);
+            afDb.push(20 * Math.log10(Math.max(af, 1e-6)));
+            elRaw.push(el);
+            elementPeak = Math.max(elementPeak, el);
+        }
+        const elementDb = elRaw.map(el => 10 * Math.log10(Math.max(el / elementPeak, 1e-12)));
+        const totalRaw  = afDb.map((af, i) => af + elementDb[i]);
+        const totalPeak = Math.max(...totalRaw);
+        const totalDb   = totalRaw.map(v => v - totalPeak);
+
+        const metrics = arrayPatternMetrics(angles, totalDb);
+        const hpbw    = metrics.hpbw[0] !== null && metrics.hpbw[1] !== null ?
+            metrics.hpbw[1] - metrics.hpbw[0] : null;
+        const fnbw    = metrics.nulls[0] !== null && metrics.nulls[1] !== null ?
+            metrics.nulls[1] - metrics.nulls[0] : null;
+        const scanLossDb = -elementDb[Math.round((steerTheta + 90) / ARRAY_CUT_STEP_DEG)];
+
+        // Directivity of the array factor (isotropic elements)
+        const directivity = planar ?
+            Math.PI * Math.cos(steerTheta * deg) *
+                lineArrayDirectivity(taperX.weights, spacingX, 0) * lineArrayDirectivity(taperY.weights, spacingY, 0) :
+            lineArrayDirectivity(taperX.weights, spacingX, u0);
+
+        // Taper efficiency |Σw|² / (N·Σw²) per axis
+        const taperEfficiency = (w) => Math.pow(w.reduce((s, x) => s + x, 0), 2) /
+            (w.length * w.reduce((s, x) => s + x * x, 0));
+        const efficiency = taperEfficiency(taperX.weights) * taperEfficiency(taperY.weights);
+
+        // Grating lobes: u = u0 + m/dx, v = v0 + n/dy inside the visible circle
+        const gratingLobes = [];
+        const mMax = Math.ceil(2 / spacingX);
+        const nMax = planar ? Math.ceil(2 / spacingY) : 0;
+        for (let m = -mMax; m <= mMax; m++) {
+            for (let n = -nMax; n <= nMax; n++) {
+                if (m === 0 && n === 0) continue;
+                const u = u0 + m / spacingX;
+                const v = v0 + (planar ? n / spacingY : 0);
+                if (Math.hypot(u, v) <= 1) {
+                    gratingLobes.push({
+                        theta: Math.asin(Math.hypot(u, v)) / deg,
+                        phi:   Math.atan2(v, u) / deg,
+                        u
+                    });
+                }
+            }
+        }
+
+        const title = `${planar ? `${countX}×${countY} Planar` : `${countX}-Element Linear`} Array, ` +
+            `${taper.charAt(0).toUpperCase() + taper.slice(1)} Taper, Steered ${formatNumber(steerTheta, 1)}°`;
+        const plotIdx = angles.map((_, i) => i).filter(i => i % ARRAY_PLOT_EVERY === 0);
+        arrayPatternCut = {
+            angles:      plotIdx.map(i => angles[i]),
+            total:       plotIdx.map(i => totalDb[i]),
+            arrayFactor: plotIdx.map(i => afDb[i]),
+            element:     elementType === 'isotropic' ? null : plotIdx.map(i => elementDb[i]),
+            hpbw:        metrics.hpbw,
+            nulls:       metrics.nulls,
+            title
+        };
+
+        const hasFreq = validateInput(frequency);
+        const lambda  = hasFreq ? CONSTANTS.SPEED_OF_LIGHT / (frequency * CONSTANTS.FREQ_UNITS[freqUnit]) : null;
+        const weightList = (w) => w.slice(0, Math.ceil(w.length / 2)).reverse()
+            .map(x => formatNumber(x, 3)).join(', ');
+
+        const notes = [];
+        if (gratingLobes.length > 0) {
+            const listed = gratingLobes.slice(0, 4).map(g =>
+                planar ? `θ=${formatNumber(g.theta, 1)}°, φ=${formatNumber(g.phi, 1)}°` :
+                         `${formatNumber(Math.asin(g.u) / deg, 1)}°`).join('; ');
+            notes.push(`⚠ Grating lobe${gratingLobes.length > 1 ? 's' : ''} in visible space at ${listed} — ` +
+                       `keep d/λ below ${formatNumber(1 / (1 + Math.abs(Math.sin(steerTheta * deg))), 3)} for this scan angle`);
+        }
+        if (taper === 'binomial' && Math.max(countX, countY) > 10) {
+            notes.push('Binomial weights have a very large dynamic range beyond ~10 elements — Chebyshev or Taylor is more practical');
+        }
+        if (elementType !== 'isotropic') {
+            notes.push(`Element pattern from the ${elementType} model reduces gain by ${formatNumber(scanLossDb, 2)} dB at the scan angle`);
+        }
+
+        const html = `
+            <h4>Phased Array Results</h4>
+            <div class="result-grid">
+                <div class="result-item">
+                    <strong>Main Beam:</strong>
+                    <ul>
+                        <li>Beam peak = ${formatNumber(metrics.peakAngle, 1)}°</li>
+                        <li>HPBW = ${hpbw === null ? 'n/a' : formatNumber(hpbw, 2) + '°'}</li>
+                        <li>First-null beamwidth = ${fnbw === null ? 'n/a' : formatNumber(fnbw, 2) + '°'}</li>
+                        <li>First nulls = ${metrics.nulls.map(n => n === null ? '—' : formatNumber(n, 1) + '°').join(' / ')}</li>
+                    </ul>
+                </div>
+                <div class="result-item">
+                    <strong>Sidelobes &amp; Gain:</strong>
+                    <ul>
+                        <li>Peak sidelobe = ${isFinite(metrics.sidelobe) ? formatNumber(metrics.sidelobe, 2) + ' dB' : 'none in cut'}</li>
+                        <li>Array directivity = ${formatNumber(10 * Math.log10(directivity), 2)} dBi${planar ? ' (≈)' : ''}</li>
+                        <li>Taper efficiency = ${formatNumber(efficiency * 100, 1)}% (${formatNumber(-10 * Math.log10(efficiency), 2)} dB)</li>
+                        ${elementType !== 'isotropic' ? `<li>Element scan loss = ${formatNumber(scanLossDb, 2)} dB</li>` : ''}
+                    </ul>
+                </div>
+                <div class="result-item">
+                    <strong>Geometry &amp; Taper:</strong>
+                    <ul>
+                        <li>Elements = ${planar ? `${countX} × ${countY} = ${countX * countY}` : countX}</li>
+                        <li>Spacing = ${formatNumber(spacingX, 3)} λ${planar ? ` × ${formatNumber(spacingY, 3)} λ` : ''}${
+                            lambda ? ` (${formatNumber(spacingX * lambda * 1000, 2)} mm${planar ? ` × ${formatNumber(spacingY * lambda * 1000, 2)} mm` : ''})` : ''}</li>
+                        ${lambda ? `<li>Aperture = ${formatNumber(countX * spacingX * lambda, 3)} m${planar ? ` × ${formatNumber(countY * spacingY * lambda, 3)} m` : ''}</li>` : ''}
+                        ${taperX.nbar ? `<li>Taylor n̄ = ${taperX.nbar}</li>` : ''}
+                        ${countX <= 64 ? `<li>Weights (centre → edge) = ${weightList(taperX.weights)}</li>` : ''}
+                    </ul>
+                </div>
+            </div>
+            <button class="btn" onclick="plotArrayFactor()">Plot Pattern</button>
+            <div class="info-section">
+                <p><strong>Notes:</strong></p>
+                <ul>
+                    ${notes.map(note => `<li>${note}</li>`).join('')}
+                    <li>Total pattern = element pattern × array factor, cut in the φ = ${formatNumber(planar ? steerPhi : 0, 1)}° steering plane</li>
+                    <li>Directivity is for isotropic elements${planar ? ' (π·Dx·Dy·cos θ₀, large-array approximation)' : ''}; mutual coupling is ignored</li>
+                    <li>Grating lobes appear when d/λ ≥ 1 / (1 + |sin θ₀|)</li>
+                </ul>
+            </div>`;
+
+        document.getElementById('array-results').innerHTML = html;
+
+    } catch (error) {
+        document.getElementById('array-results').innerHTML =
+            `<div class="error">Error: ${error.message}</div>`;
+    }
+}
+
+/**
+ * Plot the latest phased-array pattern cut
+ */
+function plotArrayFactor() {
+    if (!arrayPatternCut) return;
+    showChart('array', arrayPatternCut);
+}
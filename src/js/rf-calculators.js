@@ -22,6 +22,16 @@ function calculateLCResonance() {
     clearError('lc-inductance');
     clearError('lc-capacitance');
     
+    const monteCarlo = readMonteCarloSettings('lc', ['l', 'c']);
+    if (monteCarlo === false) return;
+    
+    const bandWindow = parseFloat(document.getElementById('lc-mc-window').value);
+    if (monteCarlo && !validateInput(bandWindow)) {
+        showError('lc-mc-window', 'Please enter a valid window');
+        return;
+    }
+    clearError('lc-mc-window');
+    
     try {
         // Convert to standard units
         const lHenries = convertUnits(inductance, lUnit, 'H', CONSTANTS.INDUCTANCE_UNITS);
@@ -89,8 +99,58 @@ function calculateLCResonance() {
                         <li>Period: ${formatNumber(1 / resonantFreq * 1e9, 3)} ns</li>
                         <li>Frequency band: ${band}</li>
                     </ul>
-                </div>
-            </div>
+                </div>`;
+        
+        if (componentSeries !== 'ideal') {
+            // f₀ error from the nearest standard parts and from the best two-part combinations
+            const snappedL = snapToESeries(lHenries, componentSeries);
+            const snappedC = snapToESeries(cFarads, componentSeries);
+            const snappedFreq = lcResonantFrequency(snappedL, snappedC);
+            const comboL = findComponentCombinations(lHenries, 'L', componentSeries)[0];
+            const comboC = findComponentCombinations(cFarads, 'C', componentSeries)[0];
+            const comboFreq = lcResonantFrequency(comboL.value, comboC.value);
+            const snappedUnit = getAppropriateUnit(snappedFreq, CONSTANTS.FREQ_UNITS, 'Hz');
+            const comboUnit = getAppropriateUnit(comboFreq, CONSTANTS.FREQ_UNITS, 'Hz');
+            
+            html += `
+                <div class="result-item">
+                    <strong>Standard Values (${componentSeries}):</strong>
+                    <ul>
+                        <li>L = ${formatComponentValue(snappedL, 'L', 3)}, C = ${formatComponentValue(snappedC, 'C', 3)}</li>
+                        <li>f₀ = ${formatNumber(snappedUnit.value, 5)} ${snappedUnit.unit} (${formatPercentError(snappedFreq / resonantFreq - 1)})</li>
+                        <li>Best pair: L = ${formatComponentCombination(comboL, 'L')}, C = ${formatComponentCombination(comboC, 'C')}</li>
+                        <li>f₀ = ${formatNumber(comboUnit.value, 5)} ${comboUnit.unit} (${formatPercentError(comboFreq / resonantFreq - 1)})</li>
+                    </ul>
+                </div>`;
+        }
+        
+        html += `
+            </div>`;
+        
+        // Spread across a production batch, built from the standard parts when snapping is on
+        if (monteCarlo) {
+            const { tolerances, distribution } = monteCarlo;
+            const nominalL = buildStandardPart(lHenries, 'L');
+            const nominalC = buildStandardPart(cFarads, 'C');
+            const frequencies = Array.from({ length: monteCarlo.runs }, () =>
+                lcResonantFrequency(nominalL * toleranceFactor(tolerances.l, distribution),
+                                    nominalC * toleranceFactor(tolerances.c, distribution)));
+            
+            const yieldItems = frequencyYieldItems(frequencies, resonantFreq, bandWindow / 100);
+            if (componentSeries !== 'ideal') {
+                yieldItems.push(`<li>Nominal parts: best ${componentSeries} values</li>`);
+            }
+            
+            html += monteCarloResults('lc', {
+                title: 'LC Resonance',
+                settings: monteCarlo,
+                quantities: [{ label: 'f₀', unit: bestFreqUnit.unit, divisor: CONSTANTS.FREQ_UNITS[bestFreqUnit.unit], digits: 5, values: frequencies }]
+            }, yieldItems);
+        }
+        
+        html += `
+            
+            <button class="btn" onclick="openInductorDesigner(${lHenries}, ${resonantFreq})">Design Inductor</button>
             
             <div class="info-section">
                 <p><strong>Formula:</strong> f₀ = 1 / (2π√(LC))</p>
@@ -105,6 +165,50 @@ function calculateLCResonance() {
     }
 }
 
+// Last reactance calculation, kept for the frequency plots
+let reactanceDesign = null;
+
+/**
+ * Show the parasitic inputs for the selected component model and fill them
+ * from a package preset
+ */
+function applyComponentPackage() {
+    const model = document.getElementById('component-model').value;
+    const componentType = document.getElementById('component-type').value;
+    
+    document.getElementById('component-parasitic-group').style.display = model === 'ideal' ? 'none' : '';
+    document.getElementById('component-esl-group').style.display = componentType === 'capacitor' ? '' : 'none';
+    document.getElementById('component-cp-group').style.display = componentType === 'inductor' ? '' : 'none';
+    document.getElementById('component-esr-label').textContent = componentType === 'inductor' ?
+        `ESR at ${formatNumber(CONSTANTS.INDUCTOR_ESR_REFERENCE / 1e6, 0)} MHz (Ω)` : 'ESR (Ω)';
+    
+    const preset = CONSTANTS.COMPONENT_PACKAGES[model];
+    if (preset) {
+        const parasitics = preset[componentType];
+        if (componentType === 'capacitor') {
+            document.getElementById('component-esr').value = parasitics.esr;
+            document.getElementById('component-esl').value = parasitics.esl * 1e9;
+        } else {
+            fillPackageInductorEsr(preset);
+            document.getElementById('component-cp').value = parseFloat((parasitics.cp * 1e12).toPrecision(4));
+        }
+    }
+}
+
+/**
+ * Fill the ESR field from the package Q and the entered inductance; a
+ * fixed ESR would give small inductors an unrealistically high Q
+ * @param {Object} preset - Entry of CONSTANTS.COMPONENT_PACKAGES
+ */
+function fillPackageInductorEsr(preset) {
+    const value = parseFloat(document.getElementById('component-value').value);
+    const unit = document.getElementById('component-unit').value;
+    if (!validateInput(value) || !CONSTANTS.INDUCTANCE_UNITS[unit]) return;
+    
+    const esr = packageInductorEsr(preset, convertUnits(value, unit, 'H', CONSTANTS.INDUCTANCE_UNITS));
+    document.getElementById('component-esr').value = parseFloat(esr.toPrecision(4));
+}
+
 /**
  * Calculate reactance of inductor or capacitor
  */
@@ -114,6 +218,7 @@ function calculateReactance() {
     const componentType = document.getElementById('component-type').value;
     const value = parseFloat(document.getElementById('component-value').value);
     const unit = document.getElementById('component-unit').value;
+    const model = document.getElementById('component-model').value;
     
     if (!validateInput(frequency)) {
         showError('react-freq', 'Please enter a valid frequency');
@@ -128,6 +233,33 @@ function calculateReactance() {
     clearError('react-freq');
     clearError('component-value');
     
+    // Parasitics: a package preset or custom values, in SI units
+    let parasitics = null;
+    if (model !== 'ideal') {
+        if (componentType === 'inductor' && CONSTANTS.COMPONENT_PACKAGES[model]) {
+            fillPackageInductorEsr(CONSTANTS.COMPONENT_PACKAGES[model]);
+        }
+        const esr = parseFloat(document.getElementById('component-esr').value);
+        const partnerId = componentType === 'capacitor' ? 'component-esl' : 'component-cp';
+        const partner = parseFloat(document.getElementById(partnerId).value);
+        
+        if (!validateInput(esr, 0)) {
+            showError('component-esr', 'ESR must be zero or positive');
+            return;
+        }
+        
+        if (!validateInput(partner, 0)) {
+            showError(partnerId, `${componentType === 'capacitor' ? 'ESL' : 'Winding capacitance'} must be zero or positive`);
+            return;
+        }
+        
+        clearError('component-esr');
+        clearError(partnerId);
+        parasitics = componentType === 'capacitor' ?
+            { esr, esl: partner * 1e-9, cp: 0 } :
+            { esr, esl: 0, cp: partner * 1e-12 };
+    }
+    
     try {
         const freqHz = frequency * CONSTANTS.FREQ_UNITS[freqUnit];
         let reactance, componentValueSI, formula, unitName;
@@ -158,6 +290,8 @@ function calculateReactance() {
                 capacitiveReactance(f, componentValueSI)
         );
         
+        reactanceDesign = { componentType, value: componentValueSI, frequency: freqHz, parasitics };
+        
         // Calculate resonant frequency with a hypothetical 100pF or 1µH counterpart
         let resonantInfo = '';
         if (componentType === 'inductor') {
@@ -199,14 +333,80 @@ function calculateReactance() {
                         <li>@ ${formatNumber(frequency * 2, 2)} ${freqUnit}: ${formatNumber(Math.abs(reactanceValues[2]), 2)} Ω</li>
                         ${resonantInfo}
                     </ul>
+                </div>`;
+        
+        const notes = [];
+        if (parasitics) {
+            const type = componentType === 'inductor' ? 'L' : 'C';
+            const formatFreq = (f) => {
+                const best = getAppropriateUnit(f, CONSTANTS.FREQ_UNITS, 'Hz');
+                return `${formatNumber(best.value, 4)} ${best.unit}`;
+            };
+            const at = (f) => {
+                const z = componentImpedance(componentType, componentValueSI, parasitics, f);
+                const omega = CONSTANTS.TWO_PI * f;
+                return {
+                    z,
+                    effective: componentType === 'inductor' ? z.imaginary / omega : -1 / (omega * z.imaginary),
+                    q: Math.abs(z.imaginary) / z.real
+                };
+            };
+            const here = at(freqHz);
+            const srf = componentSelfResonance(componentType, componentValueSI, parasitics);
+            const magnitude = Math.hypot(here.z.real, here.z.imaginary);
+            const angle = Math.atan2(here.z.imaginary, here.z.real) * 180 / Math.PI;
+            const aboveSrf = freqHz > srf;
+            const packageName = CONSTANTS.COMPONENT_PACKAGES[model] ? CONSTANTS.COMPONENT_PACKAGES[model].name : 'custom';
+            
+            html += `
+                
+                <div class="result-item">
+                    <strong>With Parasitics (${packageName}):</strong>
+                    <ul>
+                        <li>Z = ${formatNumber(here.z.real, 3)} ${here.z.imaginary < 0 ? '−' : '+'} j${formatNumber(Math.abs(here.z.imaginary), 2)} Ω</li>
+                        <li>|Z| = ${formatNumber(magnitude, 2)}∠${formatNumber(angle, 1)}° Ω</li>
+                        <li>${aboveSrf ? `Acts as ${componentType === 'inductor' ? 'a capacitor' : 'an inductor'} (above SRF)` :
+                            `Effective ${type} = ${formatComponentValue(here.effective, type)} (${formatPercentError(here.effective / componentValueSI - 1)})`}</li>
+                        <li>Q = ${aboveSrf ? 'n/a above SRF' : isFinite(here.q) ? formatNumber(here.q, 1) : '∞'}</li>
+                        <li>SRF = ${isFinite(srf) ? formatFreq(srf) : 'none'}</li>
+                    </ul>
                 </div>
+                
+                <div class="result-item">
+                    <strong>Effective ${type} vs Frequency:</strong>
+                    <ul>
+                        ${frequencies.map(f => {
+                            const point = at(f);
+                            if (f > srf) return `<li>@ ${formatFreq(f)}: above SRF</li>`;
+                            return `<li>@ ${formatFreq(f)}: ${formatComponentValue(point.effective, type)}, Q = ${isFinite(point.q) ? formatNumber(point.q, 1) : '∞'}</li>`;
+                        }).join('')}
+                    </ul>
+                </div>`;
+            
+            if (aboveSrf) {
+                notes.push(`⚠ ${formatFreq(freqHz)} is above the self-resonant frequency - the part no longer behaves as ${componentType === 'inductor' ? 'an inductor' : 'a capacitor'}`);
+            } else if (Math.abs(here.effective / componentValueSI - 1) > 0.1) {
+                notes.push('⚠ The effective value is more than 10% from nominal - pick a smaller package or a part with a higher SRF');
+            }
+            notes.push(componentType === 'capacitor' ?
+                'Capacitor model: ESR and ESL in series with C; above the SRF the mounting inductance dominates, which is why decoupling uses several values' :
+                `Inductor model: ESR in series with L, shunted by the winding capacitance; the ESR rises as √f from its ${formatNumber(CONSTANTS.INDUCTOR_ESR_REFERENCE / 1e6, 0)} MHz value (skin effect)`);
+            notes.push('Package values are typical; datasheet ESL, SRF and Q curves for the actual part take precedence');
+        }
+        
+        html += `
             </div>
             
+            <button class="btn" onclick="plotReactance('reactance')">Plot Reactance</button>
+            ${parasitics ? `<button class="btn" onclick="plotReactance('effective')">Plot Effective Value</button>
+            <button class="btn" onclick="plotReactance('q')">Plot Q</button>` : ''}
+            
             <div class="info-section">
                 <p><strong>Formula:</strong> ${formula}</p>
                 <p><strong>Note:</strong> ${componentType === 'inductor' ? 
                     'Inductive reactance increases with frequency' : 
                     'Capacitive reactance decreases with frequency'}</p>
+                ${notes.length ? `<ul>${notes.map(n => `<li>${n}</li>`).join('')}</ul>` : ''}
             </div>`;
         
         document.getElementById('reactance-results').innerHTML = html;
@@ -217,6 +417,17 @@ function calculateReactance() {
     }
 }
 
+/**
+ * Plot the last reactance calculation against frequency
+ * @param {string} quantity - 'reactance', 'effective' or 'q'
+ */
+function plotReactance(quantity) {
+    if (!reactanceDesign) return;
+    
+    const { componentType, value, frequency, parasitics } = reactanceDesign;
+    showChart('reactance', { componentType, value, frequency, parasitics, quantity });
+}
+
 /**
  * Calculate RLC circuit parameters
  */
@@ -248,6 +459,16 @@ function calculateRLC() {
     clearError('rlc-inductance');
     clearError('rlc-capacitance');
     
+    const monteCarlo = readMonteCarloSettings('rlc', ['r', 'l', 'c']);
+    if (monteCarlo === false) return;
+    
+    const bandWindow = parseFloat(document.getElementById('rlc-mc-window').value);
+    if (monteCarlo && !validateInput(bandWindow)) {
+        showError('rlc-mc-window', 'Please enter a valid window');
+        return;
+    }
+    clearError('rlc-mc-window');
+    
     try {
         // Convert to standard units
         const rOhms = convertUnits(resistance, rUnit, 'ohm', CONSTANTS.RESISTANCE_UNITS);
@@ -294,6 +515,43 @@ function calculateRLC() {
         const timeConstant = 2 * lHenries / rOhms; // For series RL
         const ringdownTime = 2 * qFactor / (2 * Math.PI * resonantFreq);
         
+        // Spread across a production batch, built from the standard parts when snapping is on
+        let monteCarloHtml = '';
+        if (monteCarlo) {
+            const { tolerances, distribution } = monteCarlo;
+            const freqUnit = getAppropriateUnit(resonantFreq, CONSTANTS.FREQ_UNITS, 'Hz');
+            const bandwidthUnit = getAppropriateUnit(bandwidth3db, CONSTANTS.FREQ_UNITS, 'Hz');
+            const nominalR = buildStandardPart(rOhms, 'R');
+            const nominalL = buildStandardPart(lHenries, 'L');
+            const nominalC = buildStandardPart(cFarads, 'C');
+            const frequencies = [], qFactors = [], bandwidths = [];
+            for (let run = 0; run < monteCarlo.runs; run++) {
+                const r = nominalR * toleranceFactor(tolerances.r, distribution);
+                const l = nominalL * toleranceFactor(tolerances.l, distribution);
+                const c = nominalC * toleranceFactor(tolerances.c, distribution);
+                const f = lcResonantFrequency(l, c);
+                const q = config === 'series' ? seriesQFactor(r, l, c) : r / inductiveReactance(f, l);
+                frequencies.push(f);
+                qFactors.push(q);
+                bandwidths.push(f / q);
+            }
+            
+            const yieldItems = frequencyYieldItems(frequencies, resonantFreq, bandWindow / 100);
+            if (componentSeries !== 'ideal') {
+                yieldItems.push(`<li>Nominal parts: best ${componentSeries} values</li>`);
+            }
+            
+            monteCarloHtml = monteCarloResults('rlc', {
+                title: `${config === 'series' ? 'Series' : 'Parallel'} RLC`,
+                settings: monteCarlo,
+                quantities: [
+                    { label: 'f₀', unit: freqUnit.unit, divisor: CONSTANTS.FREQ_UNITS[freqUnit.unit], digits: 6, values: frequencies },
+                    { label: 'Q', unit: '', divisor: 1, digits: 2, values: qFactors },
+                    { label: '3 dB bandwidth', unit: bandwidthUnit.unit, divisor: CONSTANTS.FREQ_UNITS[bandwidthUnit.unit], digits: 4, values: bandwidths }
+                ]
+            }, yieldItems);
+        }
+        
         let html = `
             <h4>RLC Circuit Analysis</h4>
             <div class="result-grid">
@@ -337,6 +595,7 @@ function calculateRLC() {
                     </ul>
                 </div>
             </div>
+            ${monteCarloHtml}
             
             <div class="info-section">
                 <p><strong>Configuration:</strong> ${config === 'series' ? 'Series RLC' : 'Parallel RLC'}</p>
@@ -357,55 +616,2455 @@ function calculateRLC() {
     }
 }
 
+// Samples of the last Monte Carlo runs, kept for the histograms
+let monteCarloRuns = {};
+
 /**
- * Update component unit options based on component type
+ * Show the tolerance inputs when a card is switched to Monte Carlo analysis
+ * @param {string} prefix - Card input prefix ('lc', 'rlc' or 'match')
  */
-function updateComponentUnits() {
-    const componentType = document.getElementById('component-type').value;
-    const unitSelect = document.getElementById('component-unit');
+function handleMonteCarloChange(prefix) {
+    const monteCarlo = document.getElementById(`${prefix}-analysis`).value === 'montecarlo';
+    document.getElementById(`${prefix}-mc-group`).style.display = monteCarlo ? '' : 'none';
+}
+
+/**
+ * Read the Monte Carlo inputs of a calculator card
+ * @param {string} prefix - Card input prefix ('lc', 'rlc' or 'match')
+ * @param {Array} components - Components with a tolerance input, e.g. ['l', 'c']
+ * @returns {Object|null|boolean} {runs, distribution, tolerances} with tolerances as fractions,
+ *   null for a nominal analysis, or false after an input error was shown
+ */
+function readMonteCarloSettings(prefix, components) {
+    if (document.getElementById(`${prefix}-analysis`).value !== 'montecarlo') return null;
     
-    // Clear existing options
-    unitSelect.innerHTML = '';
+    const runs = parseInt(document.getElementById(`${prefix}-mc-runs`).value);
+    if (!validateInput(runs, 10, CONSTANTS.MONTE_CARLO.MAX_RUNS)) {
+        showError(`${prefix}-mc-runs`, `Runs must be 10-${CONSTANTS.MONTE_CARLO.MAX_RUNS}`);
+        return false;
+    }
+    clearError(`${prefix}-mc-runs`);
     
-    if (componentType === 'inductor') {
-        const inductanceUnits = [
-            {value: 'nH', text: 'nH'},
-            {value: 'uH', text: 'µH'},
-            {value: 'mH', text: 'mH'},
-            {value: 'H', text: 'H'}
-        ];
-        
-        inductanceUnits.forEach(unit => {
-            const option = document.createElement('option');
-            option.value = unit.value;
-            option.textContent = unit.text;
-            if (unit.value === 'uH') option.selected = true;
-            unitSelect.appendChild(option);
-        });
-    } else {
-        const capacitanceUnits = [
-            {value: 'pF', text: 'pF'},
-            {value: 'nF', text: 'nF'},
-            {value: 'uF', text: 'µF'},
-            {value: 'mF', text: 'mF'}
-        ];
-        
-        capacitanceUnits.forEach(unit => {
-            const option = document.createElement('option');
-            option.value = unit.value;
-            option.textContent = unit.text;
-            if (unit.value === 'pF') option.selected = true;
-            unitSelect.appendChild(option);
-        });
+    const tolerances = {};
+    for (const component of components) {
+        const id = `${prefix}-${component}-tol`;
+        const tolerance = parseFloat(document.getElementById(id).value);
+        if (!validateInput(tolerance, 0, CONSTANTS.MONTE_CARLO.MAX_TOLERANCE)) {
+            showError(id, `Tolerance must be 0-${CONSTANTS.MONTE_CARLO.MAX_TOLERANCE}%`);
+            return false;
+        }
+        clearError(id);
+        tolerances[component] = tolerance / 100;
     }
+    
+    return { runs, distribution: document.getElementById(`${prefix}-mc-dist`).value, tolerances };
 }
 
-// Event listeners
-document.addEventListener('DOMContentLoaded', function() {
-    const componentTypeSelect = document.getElementById('component-type');
-    if (componentTypeSelect) {
-        componentTypeSelect.addEventListener('change', updateComponentUnits);
-        // Initialize units
-        updateComponentUnits();
+/**
+ * Render the percentiles of a Monte Carlo run and keep its samples for plotting
+ * @param {string} key - Run name for plotMonteCarlo()
+ * @param {Object} run - {title, settings, quantities: [{label, unit, divisor, digits, values}]}
+ * @param {Array} yieldItems - List items describing how many units meet the spec
+ * @returns {string} Results HTML
+ */
+function monteCarloResults(key, run, yieldItems) {
+    monteCarloRuns[key] = run;
+    
+    const { settings, quantities } = run;
+    const percentiles = CONSTANTS.MONTE_CARLO.PERCENTILES;
+    const rows = quantities.map(q => {
+        const stats = sampleStatistics(q.values);
+        const cell = (v) => `<td>${formatNumber(v / q.divisor, q.digits)}</td>`;
+        return `
+                        <tr>
+                            <td>${q.label}${q.unit ? ` (${q.unit})` : ''}</td>
+                            ${cell(stats.mean)}
+                            ${cell(stats.std)}
+                            ${cell(stats.min)}
+                            ${percentiles.map(p => cell(stats.percentile(p))).join('')}
+                            ${cell(stats.max)}
+                        </tr>`;
+    }).join('');
+    
+    const toleranceItems = Object.entries(settings.tolerances)
+        .map(([component, tolerance]) => `<li>${component.toUpperCase()}: ±${formatNumber(tolerance * 100, 2)}%</li>`).join('');
+    
+    return `
+            <h4>Monte Carlo: ${settings.runs} Runs</h4>
+            <div class="result-grid">
+                <div class="result-item">
+                    <strong>Tolerances:</strong>
+                    <ul>
+                        ${toleranceItems}
+                        <li>${settings.distribution === 'gaussian' ? 'Gaussian, tolerance at 3σ' : 'Uniform across the tolerance'}</li>
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>Yield:</strong>
+                    <ul>
+                        ${yieldItems.join('')}
+                    </ul>
+                </div>
+            </div>
+            
+            <div class="iot-table-scroll">
+                <table class="iot-comparison-table">
+                    <thead>
+                        <tr>
+                            <th>Quantity</th>
+                            <th>Mean</th>
+                            <th>σ</th>
+                            <th>Min</th>
+                            ${percentiles.map(p => `<th>${p === 50 ? 'Median' : `P${p}`}</th>`).join('')}
+                            <th>Max</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}
+                    </tbody>
+                </table>
+            </div>
+            
+            ${quantities.map((q, i) => `<button class="btn" onclick="plotMonteCarlo('${key}', ${i})">Histogram: ${q.label}</button>`).join('\n            ')}`;
+}
+
+/**
+ * Plot the histogram of one quantity of a Monte Carlo run
+ * @param {string} key - Run name
+ * @param {number} index - Quantity index
+ */
+function plotMonteCarlo(key, index) {
+    const run = monteCarloRuns[key];
+    if (!run) return;
+    
+    const q = run.quantities[index];
+    const bins = histogramBins(q.values.map(v => v / q.divisor), CONSTANTS.MONTE_CARLO.HISTOGRAM_BINS);
+    showChart('histogram', {
+        centers: bins.centers,
+        counts: bins.counts,
+        runs: q.values.length,
+        digits: q.digits,
+        xLabel: `${q.label}${q.unit ? ` (${q.unit})` : ''}`,
+        title: `${run.title}: ${q.label} over ${q.values.length} runs`
+    });
+}
+
+/**
+ * Nominal value of a part in a Monte Carlo batch: the best standard part or
+ * pair when snapping is on, so the spread matches what would be built
+ * @param {number} value - Ideal value in Ω, H or F
+ * @param {string} type - 'R', 'L' or 'C'
+ * @returns {number} Nominal value
+ */
+function buildStandardPart(value, type) {
+    return componentSeries === 'ideal' ? value : findComponentCombinations(value, type, componentSeries)[0].value;
+}
+
+/**
+ * Yield lines for a resonant frequency against a window around its nominal value
+ * @param {Array} frequencies - Sampled frequencies in Hz
+ * @param {number} nominal - Nominal frequency in Hz
+ * @param {number} bandWindow - Allowed deviation as a fraction
+ * @returns {Array} List items
+ */
+function frequencyYieldItems(frequencies, nominal, bandWindow) {
+    const deviations = frequencies.map(f => Math.abs(f / nominal - 1));
+    const inBand = deviations.filter(d => d <= bandWindow).length;
+    const stats = sampleStatistics(deviations);
+    return [
+        `<li>Within ±${formatNumber(bandWindow * 100, 2)}% of f₀: ${formatNumber(100 * inBand / frequencies.length, 1)}%</li>`,
+        `<li>95% of units within ±${formatNumber(stats.percentile(95) * 100, 2)}%</li>`,
+        `<li>99% of units within ±${formatNumber(stats.percentile(99) * 100, 2)}%</li>`
+    ];
+}
+
+// Last filter design, kept for the response plot
+let filterDesign = null;
+
+/**
+ * Show the inputs that apply to the selected filter response and class
+ */
+function handleFilterChange() {
+    const response = document.getElementById('filter-response').value;
+    const filterClass = document.getElementById('filter-class').value;
+    const banded = filterClass === 'bandpass' || filterClass === 'bandstop';
+    
+    document.getElementById('filter-ripple-group').style.display =
+        response === 'chebyshev' || response === 'elliptic' ? '' : 'none';
+    document.getElementById('filter-bandwidth-group').style.display = banded ? '' : 'none';
+    document.getElementById('filter-freq-label').textContent = banded ? 'Center Frequency' : 'Cutoff Frequency';
+}
+
+/**
+ * Frequencies where a transformed filter reaches a normalized lowpass frequency
+ * @param {string} filterClass - 'lowpass', 'highpass', 'bandpass' or 'bandstop'
+ * @param {Object} band - {cutoff} or {center, bandwidth} in Hz
+ * @param {number} omega - Normalized frequency (1 = passband edge)
+ * @returns {Array} Frequencies in Hz, lowest first
+ */
+function filterBandEdges(filterClass, band, omega) {
+    switch (filterClass) {
+        case 'lowpass':
+            return [band.cutoff * omega];
+        case 'highpass':
+            return [band.cutoff / omega];
+        default: {
+            // Both edges sit geometrically about the centre, x apart
+            const x = filterClass === 'bandpass' ? band.bandwidth * omega : band.bandwidth / omega;
+            const root = Math.sqrt(x * x + 4 * band.center * band.center);
+            return [(root - x) / 2, (root + x) / 2];
+        }
+    }
+}
+
+/**
+ * Normalized lowpass frequency that a stopband frequency maps to
+ * @param {string} filterClass - Filter class
+ * @param {Object} band - {cutoff} or {center, bandwidth} in Hz
+ * @param {number} freqHz - Stopband frequency in Hz
+ * @returns {number} Normalized frequency; above 1 in the stopband
+ */
+function filterPrototypeFrequency(filterClass, band, freqHz) {
+    switch (filterClass) {
+        case 'lowpass':
+            return freqHz / band.cutoff;
+        case 'highpass':
+            return band.cutoff / freqHz;
+        case 'bandpass':
+            return Math.abs(freqHz * freqHz - band.center * band.center) / (freqHz * band.bandwidth);
+        default:
+            return freqHz * band.bandwidth / Math.abs(band.center * band.center - freqHz * freqHz);
+    }
+}
+
+/**
+ * Lowest order meeting a stopband attenuation at a normalized frequency
+ * @param {string} response - Filter response
+ * @param {Object} spec - {ripple, stopband} in dB
+ * @param {number} omega - Normalized stopband frequency
+ * @returns {number} Order
+ */
+function filterMinimumOrder(response, spec, omega) {
+    if (response === 'elliptic') {
+        for (let n = 3; n <= CONSTANTS.FILTER.MAX_ELLIPTIC_ORDER; n += 2) {
+            if (lowpassCharacteristic(response, n, spec).stopEdge <= omega) return n;
+        }
+        throw new Error(`More than ${CONSTANTS.FILTER.MAX_ELLIPTIC_ORDER} elliptic sections needed - widen the transition band`);
+    }
+    
+    for (let n = 1; n <= CONSTANTS.FILTER.MAX_ORDER; n++) {
+        if (prototypeAttenuation(lowpassCharacteristic(response, n, spec), omega) >= spec.stopband) return n;
+    }
+    throw new Error(`More than ${CONSTANTS.FILTER.MAX_ORDER} sections needed - widen the transition band or use an elliptic response`);
+}
+
+/**
+ * Design an LC ladder filter from a normalized prototype
+ */
+function calculateFilter() {
+    const response = document.getElementById('filter-response').value;
+    const filterClass = document.getElementById('filter-class').value;
+    const freq = parseFloat(document.getElementById('filter-freq').value);
+    const freqUnit = document.getElementById('filter-freq-unit').value;
+    const bandwidth = parseFloat(document.getElementById('filter-bandwidth').value);
+    const bandwidthUnit = document.getElementById('filter-bandwidth-unit').value;
+    const impedance = parseFloat(document.getElementById('filter-impedance').value) || CONSTANTS.DEFAULTS.IMPEDANCE_50;
+    const orderInput = document.getElementById('filter-order').value;
+    const ripple = parseFloat(document.getElementById('filter-ripple').value) || CONSTANTS.FILTER.DEFAULT_RIPPLE;
+    const stopFreq = parseFloat(document.getElementById('filter-stop-freq').value);
+    const stopUnit = document.getElementById('filter-stop-unit').value;
+    const stopband = parseFloat(document.getElementById('filter-atten').value) || CONSTANTS.FILTER.DEFAULT_STOPBAND;
+    const topology = document.getElementById('filter-topology').value;
+    const banded = filterClass === 'bandpass' || filterClass === 'bandstop';
+    
+    if (!validateInput(freq)) {
+        showError('filter-freq', 'Please enter a valid frequency');
+        return;
+    }
+    
+    if (banded && !validateInput(bandwidth)) {
+        showError('filter-bandwidth', 'Please enter a valid bandwidth');
+        return;
+    }
+    
+    if (!validateInput(impedance, 0.1, 10000)) {
+        showError('filter-impedance', 'Termination must be 0.1-10000 Ω');
+        return;
+    }
+    
+    let order = orderInput === '' ? null : parseInt(orderInput);
+    if (order !== null && !validateInput(order, 1, CONSTANTS.FILTER.MAX_ORDER)) {
+        showError('filter-order', `Order must be 1-${CONSTANTS.FILTER.MAX_ORDER}, or blank to size it from the stopband`);
+        return;
+    }
+    
+    if (order === null && !validateInput(stopFreq)) {
+        showError('filter-stop-freq', 'Enter a stopband frequency, or set the order');
+        return;
+    }
+    
+    if ((response === 'chebyshev' || response === 'elliptic') && !validateInput(ripple, 0.001, 3)) {
+        showError('filter-ripple', 'Ripple must be 0.001-3 dB');
+        return;
+    }
+    
+    if (!validateInput(stopband, 3, 150)) {
+        showError('filter-atten', 'Stopband attenuation must be 3-150 dB');
+        return;
+    }
+    
+    ['filter-freq', 'filter-bandwidth', 'filter-impedance', 'filter-order', 'filter-ripple',
+     'filter-stop-freq', 'filter-atten'].forEach(clearError);
+    
+    try {
+        const freqHz = convertUnits(freq, freqUnit, 'Hz', CONSTANTS.FREQ_UNITS);
+        const band = banded ?
+            { center: freqHz, bandwidth: convertUnits(bandwidth, bandwidthUnit, 'Hz', CONSTANTS.FREQ_UNITS) } :
+            { cutoff: freqHz };
+        const stopHz = validateInput(stopFreq) ? convertUnits(stopFreq, stopUnit, 'Hz', CONSTANTS.FREQ_UNITS) : null;
+        const spec = { ripple: response === 'chebyshev' || response === 'elliptic' ? ripple : 0, stopband };
+        const warnings = [];
+        
+        let stopOmega = null;
+        if (stopHz !== null) {
+            stopOmega = filterPrototypeFrequency(filterClass, band, stopHz);
+            if (!(stopOmega > 1)) {
+                showError('filter-stop-freq', 'The stopband frequency must lie outside the passband');
+                return;
+            }
+        }
+        
+        if (order === null) {
+            order = filterMinimumOrder(response, spec, stopOmega);
+        } else if (response === 'elliptic') {
+            // Even orders would need unequal terminations
+            const odd = Math.min(Math.max(order % 2 ? order : order + 1, 3), CONSTANTS.FILTER.MAX_ELLIPTIC_ORDER);
+            if (odd !== order) {
+                warnings.push(`Elliptic ladders use odd orders from 3 to ${CONSTANTS.FILTER.MAX_ELLIPTIC_ORDER} - order ${order} changed to ${odd}`);
+                order = odd;
+            }
+        }
+        
+        const characteristic = lowpassCharacteristic(response, order, spec);
+        let prototype = synthesizeLadder(characteristic);
+        if (topology === 'series') prototype = dualLadder(prototype);
+        const ladder = transformLadder(prototype, filterClass, band, impedance);
+        
+        // Response sweep across the passband and into the stopband
+        let fMin, fMax;
+        if (banded) {
+            fMin = Math.max(band.center - 3 * band.bandwidth, band.center / 100);
+            fMax = band.center + 3 * band.bandwidth;
+        } else {
+            fMin = freqHz / 100;
+            fMax = Math.max(3 * freqHz, filterClass === 'lowpass' && stopHz ? 1.5 * stopHz : 0);
+        }
+        if (stopHz && banded) {
+            fMin = Math.max(Math.min(fMin, 0.8 * stopHz), band.center / 100);
+            fMax = Math.max(fMax, 1.2 * stopHz);
+        }
+        const points = CONSTANTS.FILTER.SWEEP_POINTS;
+        const frequencies = Array.from({ length: points }, (_, i) => fMin + (fMax - fMin) * i / (points - 1));
+        const sweep = frequencies.map(f => ladderResponse(ladder, impedance, f));
+        
+        // Rebuild the ladder from the best standard part or pair for every component
+        let standardLadder = null;
+        let standardSweep = null;
+        if (componentSeries !== 'ideal') {
+            const snapNetwork = (network) => {
+                if (network.parts) return { type: network.type, parts: network.parts.map(snapNetwork) };
+                const choice = findComponentCombinations(network.value, network.type, componentSeries)[0];
+                return { type: network.type, value: choice.value, choice };
+            };
+            standardLadder = {
+                arms: ladder.arms.map(arm => ({ position: arm.position, network: snapNetwork(arm.network) })),
+                load: ladder.load
+            };
+            standardSweep = frequencies.map(f => ladderResponse(standardLadder, impedance, f));
+        }
+        
+        const responseNames = { butterworth: 'Butterworth', chebyshev: 'Chebyshev', bessel: 'Bessel', elliptic: 'Elliptic (Cauer)' };
+        const classNames = { lowpass: 'Lowpass', highpass: 'Highpass', bandpass: 'Bandpass', bandstop: 'Bandstop' };
+        filterDesign = {
+            frequencies,
+            insertionLoss: sweep.map(r => r.insertionLoss),
+            returnLoss: sweep.map(r => r.returnLoss),
+            title: `${order}-pole ${responseNames[response]} ${classNames[filterClass].toLowerCase()}`,
+            ladder,
+            impedance,
+            standardSeries: standardLadder ? componentSeries : null,
+            standardLoss: standardSweep ? standardSweep.map(r => r.insertionLoss) : null
+        };
+        
+        const formatFreq = (f) => {
+            const best = getAppropriateUnit(f, CONSTANTS.FREQ_UNITS, 'Hz');
+            return `${formatNumber(best.value, 4)} ${best.unit}`;
+        };
+        const edgeLoss = response === 'butterworth' || response === 'bessel' ? '−3 dB' : `−${formatNumber(ripple, 3)} dB ripple`;
+        const passEdges = filterBandEdges(filterClass, band, 1);
+        
+        // Element values: scaled components next to the normalized prototype
+        const describe = (network) => {
+            if (network.type === 'L' || network.type === 'C') {
+                return `${network.type} = ${formatComponentValue(network.value, network.type)}`;
+            }
+            return network.parts.map(describe).join(network.type === 'series' ? ' + ' : ' ∥ ');
+        };
+        const describePrototype = (network) => {
+            if (network.type === 'L' || network.type === 'C') return `${network.type} g = ${formatNumber(network.value, 4)}`;
+            return network.parts.map(describePrototype).join(network.type === 'series' ? ' + ' : ' ∥ ');
+        };
+        const describeStandard = (network) => {
+            if (network.type === 'L' || network.type === 'C') {
+                return `${network.type} = ${formatComponentCombination(network.choice, network.type)} (${formatPercentError(network.choice.error)})`;
+            }
+            return network.parts.map(describeStandard).join(network.type === 'series' ? ' + ' : ' ∥ ');
+        };
+        const armLabel = (arm) => {
+            const kind = arm.network.type === 'series' ? 'series LC' : arm.network.type === 'parallel' ? 'parallel LC' : arm.network.type;
+            return `${arm.position === 'series' ? 'Series' : 'Shunt'} ${kind}`;
+        };
+        
+        const rows = ladder.arms.map((arm, i) => `
+                        <tr>
+                            <td>${i + 1}</td>
+                            <td>${armLabel(arm)}</td>
+                            <td>${describe(arm.network)}</td>
+                            ${standardLadder ? `<td>${describeStandard(standardLadder.arms[i].network)}</td>` : ''}
+                            <td>${describePrototype(prototype.arms[i].network)}</td>
+                        </tr>`).join('');
+        
+        const inductors = ladder.arms.reduce((count, arm) => {
+            const countL = (network) => network.parts ? network.parts.reduce((n, part) => n + countL(part), 0) : network.type === 'L' ? 1 : 0;
+            return count + countL(arm.network);
+        }, 0);
+        
+        let stopbandItems = '';
+        if (stopHz !== null) {
+            stopbandItems += `<li>Attenuation at ${formatFreq(stopHz)} = ${formatNumber(ladderResponse(ladder, impedance, stopHz).insertionLoss, 1)} dB (spec ${formatNumber(stopband, 1)} dB)</li>`;
+        }
+        if (response === 'elliptic') {
+            const stopEdges = filterBandEdges(filterClass, band, characteristic.stopEdge);
+            stopbandItems += `<li>${formatNumber(stopband, 1)} dB reached at ${stopEdges.map(formatFreq).join(' and ')}</li>`;
+            const notches = characteristic.zeros.flatMap(w => filterBandEdges(filterClass, band, w));
+            stopbandItems += `<li>Notches: ${notches.sort((a, b) => a - b).map(formatFreq).join(', ')}</li>`;
+        }
+        if (!stopbandItems) {
+            stopbandItems = '<li>No stopband frequency given</li>';
+        }
+        
+        if (Math.abs(ladder.load - impedance) / impedance > 0.01) {
+            warnings.push(`Even-order Chebyshev ladders need a ${formatNumber(ladder.load, 2)} Ω load; use an odd order for equal ${formatNumber(impedance, 1)} Ω terminations`);
+        }
+        if (banded && band.bandwidth / band.center < 0.05) {
+            warnings.push(`Fractional bandwidth is only ${formatNumber(100 * band.bandwidth / band.center, 2)}% - element values spread widely and component Q sets the real insertion loss`);
+        }
+        if (filterClass === 'bandpass' && band.bandwidth > band.center) {
+            warnings.push('Bandwidth exceeds the centre frequency - a highpass and a lowpass in cascade are easier to build');
+        }
+        
+        let standardItem = '';
+        if (standardLadder) {
+            // Worst passband loss with ideal and standard parts
+            const inPassband = (f) => {
+                if (filterClass === 'lowpass') return f <= passEdges[0];
+                if (filterClass === 'highpass') return f >= passEdges[0];
+                if (filterClass === 'bandpass') return f >= passEdges[0] && f <= passEdges[1];
+                return f <= passEdges[0] || f >= passEdges[1];
+            };
+            const worst = (results) => results.reduce((acc, r, i) => inPassband(frequencies[i]) ?
+                { insertionLoss: Math.max(acc.insertionLoss, r.insertionLoss), returnLoss: Math.min(acc.returnLoss, r.returnLoss) } : acc,
+                { insertionLoss: 0, returnLoss: Infinity });
+            const ideal = worst(sweep);
+            const standard = worst(standardSweep);
+            const stopLine = stopHz !== null ?
+                `<li>Attenuation at ${formatFreq(stopHz)}: ${formatNumber(ladderResponse(standardLadder, impedance, stopHz).insertionLoss, 1)} dB</li>` : '';
+            
+            standardItem = `
+                
+                <div class="result-item">
+                    <strong>With ${componentSeries} Values:</strong>
+                    <ul>
+                        <li>Worst passband IL: ${formatNumber(standard.insertionLoss, 2)} dB (ideal ${formatNumber(ideal.insertionLoss, 2)} dB)</li>
+                        <li>Worst passband RL: ${formatNumber(standard.returnLoss, 1)} dB (ideal ${formatNumber(ideal.returnLoss, 1)} dB)</li>
+                        ${stopLine}
+                    </ul>
+                </div>`;
+        }
+        
+        let html = `
+            <h4>${classNames[filterClass]} Filter Design</h4>
+            <div class="result-grid">
+                <div class="result-item">
+                    <strong>Design:</strong>
+                    <ul>
+                        <li>${responseNames[response]}, order ${order}${orderInput === '' ? ' (from the stopband spec)' : ''}</li>
+                        ${spec.ripple ? `<li>Passband ripple: ${formatNumber(ripple, 3)} dB</li>` : ''}
+                        <li>${ladder.arms.length} arms, ${inductors} inductor${inductors === 1 ? '' : 's'}</li>
+                        <li>${topology === 'series' ? 'Series' : 'Shunt'} element first</li>
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>Passband:</strong>
+                    <ul>
+                        ${banded ? `<li>Centre: ${formatFreq(band.center)}, bandwidth ${formatFreq(band.bandwidth)}</li>` : ''}
+                        <li>${filterClass === 'bandstop' ? 'Stop band between' : 'Edges'} (${edgeLoss}): ${passEdges.map(formatFreq).join(' – ')}</li>
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>Terminations:</strong>
+                    <ul>
+                        <li>Source: ${formatNumber(impedance, 2)} Ω</li>
+                        <li>Load: ${formatNumber(ladder.load, 2)} Ω</li>
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>Stopband:</strong>
+                    <ul>
+                        ${stopbandItems}
+                    </ul>
+                </div>${standardItem}
+            </div>
+            
+            <div class="iot-table-scroll">
+                <table class="iot-comparison-table">
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            <th>Arm</th>
+                            <th>Components</th>
+                            ${standardLadder ? `<th>${componentSeries} Values</th>` : ''}
+                            <th>Prototype</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}
+                    </tbody>
+                </table>
+            </div>
+            
+            <button class="btn" onclick="plotFilterResponse()">Plot Response</button>
+            <button class="btn" onclick="simulateFilterNetlist()">Simulate as Netlist</button>
+            
+            <div class="info-section">
+                <p><strong>Notes:</strong></p>
+                <ul>
+                    ${warnings.map(w => `<li>⚠ ${w}</li>`).join('')}
+                    <li>Arms are listed from the source; series arms sit in the signal path, shunt arms go to ground</li>
+                    <li>${response === 'butterworth' || response === 'bessel' ? 'The cutoff is the −3 dB point' : 'The cutoff is the edge of the ripple band, not the −3 dB point'}</li>
+                    ${response === 'bessel' ? '<li>Bessel filters trade selectivity for a nearly constant group delay in the passband</li>' : ''}
+                    ${response === 'elliptic' ? '<li>Parallel LC arms are tuned to the notch frequencies; trim them there before assembly</li>' : ''}
+                    <li>Prototype g-values are for 1 Ω and 1 rad/s; the series-first and shunt-first forms are duals with the same response</li>
+                    <li>Components are ideal; finite inductor Q adds loss and rounds the passband edges</li>
+                </ul>
+            </div>`;
+        
+        document.getElementById('filter-results').innerHTML = html;
+        
+    } catch (error) {
+        document.getElementById('filter-results').innerHTML = 
+            `<div class="error">Error: ${error.message}</div>`;
+    }
+}
+
+/**
+ * Plot insertion and return loss of the last filter design
+ */
+function plotFilterResponse() {
+    if (!filterDesign) return;
+    
+    showChart('filter', filterDesign);
+}
+
+// Last netlist simulation, kept for the probe plot
+let netlistResult = null;
+
+/**
+ * Fill the probe list with the port S-parameters and node voltages of a circuit
+ * @param {Object} circuit - Parsed netlist
+ */
+function updateNetlistProbes(circuit) {
+    const select = document.getElementById('netlist-probe');
+    const previous = select.value;
+    const options = [];
+    
+    if (circuit.ports.length >= 2) options.push({ value: 'sparams', text: 'S11 and S21' });
+    circuit.ports.forEach((_, i) => circuit.ports.forEach((_, j) => {
+        options.push({ value: `S${i + 1}${j + 1}`, text: `S${i + 1}${j + 1}` });
+    }));
+    circuit.nodes.forEach(node => options.push({ value: `V:${node}`, text: `V(${node})` }));
+    
+    select.innerHTML = '';
+    options.forEach(option => {
+        const element = document.createElement('option');
+        element.value = option.value;
+        element.textContent = option.text;
+        if (option.value === previous) element.selected = true;
+        select.appendChild(element);
+    });
+}
+
+/**
+ * Magnitude of a complex value in dB, floored for plotting
+ * @param {Object} value - Complex {re, im}
+ * @returns {number} 20·log10|value|
+ */
+function complexMagnitudeDb(value) {
+    return 20 * Math.log10(Math.max(Complex.abs(value), 1e-10));
+}
+
+/**
+ * Parse and solve the netlist in the editor
+ */
+function runNetlist() {
+    const text = document.getElementById('netlist-text').value;
+    
+    if (!text.trim()) {
+        showError('netlist-text', 'Enter a netlist');
+        return;
+    }
+    
+    clearError('netlist-text');
+    
+    try {
+        const circuit = parseNetlist(text);
+        const points = simulateNetlist(circuit);
+        netlistResult = { circuit, points };
+        updateNetlistProbes(circuit);
+        
+        const formatFreq = (f) => {
+            const best = getAppropriateUnit(f, CONSTANTS.FREQ_UNITS, 'Hz');
+            return `${formatNumber(best.value, 4)} ${best.unit}`;
+        };
+        const first = points[0].frequency;
+        const last = points[points.length - 1].frequency;
+        const ports = circuit.ports;
+        const unknowns = circuit.nodes.length + circuit.elements.reduce((n, e) =>
+            n + (e.kind === 'L' || e.kind === 'V' ? 1 : e.kind === 'T' ? 2 : 0), 0);
+        
+        let portItems = '';
+        let tableHead, tableRow;
+        
+        if (ports.length) {
+            // Port 1 input impedance and the best match across the sweep
+            const inputImpedance = (s11) => {
+                const z = ports[0].impedance;
+                const d = (1 - s11.re) ** 2 + s11.im ** 2;
+                return {
+                    re: z * (1 - s11.re ** 2 - s11.im ** 2) / d,
+                    im: z * 2 * s11.im / d
+                };
+            };
+            const formatZ = (z) => `${formatNumber(z.re, 2)} ${z.im < -0.005 ? '−' : '+'} j${formatNumber(Math.abs(z.im), 2)} Ω`;
+            const best = points.reduce((a, b) =>
+                Complex.abs(b.s[0][0]) < Complex.abs(a.s[0][0]) ? b : a);
+            const gamma = Complex.abs(best.s[0][0]);
+            
+            portItems = `
+                <div class="result-item">
+                    <strong>Best Match at Port 1:</strong>
+                    <ul>
+                        <li>f = ${formatFreq(best.frequency)}</li>
+                        <li>Return loss = ${formatNumber(-complexMagnitudeDb(best.s[0][0]), 2)} dB</li>
+                        <li>VSWR = ${gamma < 1 ? formatNumber(gammaToVSWR(gamma), 3) : '∞'}:1</li>
+                        <li>Z_in = ${formatZ(inputImpedance(best.s[0][0]))}</li>
+                        ${ports.length > 1 ? `<li>|S21| = ${formatNumber(complexMagnitudeDb(best.s[1][0]), 2)} dB</li>` : ''}
+                    </ul>
+                </div>`;
+            
+            tableHead = `<th>Frequency</th><th>|S11| (dB)</th><th>Z_in (Ω)</th>${ports.length > 1 ? '<th>|S21| (dB)</th><th>∠S21 (°)</th>' : ''}`;
+            tableRow = (p) => {
+                const s21 = ports.length > 1 ? p.s[1][0] : null;
+                return `<td>${formatFreq(p.frequency)}</td>
+                        <td>${formatNumber(complexMagnitudeDb(p.s[0][0]), 2)}</td>
+                        <td>${formatZ(inputImpedance(p.s[0][0]))}</td>
+                        ${s21 ? `<td>${formatNumber(complexMagnitudeDb(s21), 2)}</td>
+                        <td>${formatNumber(Math.atan2(s21.im, s21.re) * 180 / Math.PI, 1)}</td>` : ''}`;
+            };
+        } else {
+            // Source-driven circuit: tabulate the first few node voltages
+            const shown = circuit.nodes.slice(0, 4);
+            tableHead = `<th>Frequency</th>${shown.map(n => `<th>|V(${n})| (V)</th>`).join('')}`;
+            tableRow = (p) => `<td>${formatFreq(p.frequency)}</td>` +
+                shown.map((_, i) => `<td>${formatNumber(Complex.abs(p.voltages[0][i]), 4, true)}</td>`).join('');
+        }
+        
+        // About ten rows spread across the sweep
+        const step = Math.max(1, Math.round((points.length - 1) / 10));
+        const rows = points.filter((_, i) => i % step === 0 || i === points.length - 1)
+            .map(p => `<tr>${tableRow(p)}</tr>`).join('');
+        
+        let html = `
+            <h4>Netlist Simulation${circuit.title ? `: ${circuit.title}` : ''}</h4>
+            <div class="result-grid">
+                <div class="result-item">
+                    <strong>Circuit:</strong>
+                    <ul>
+                        <li>${circuit.nodes.length} nodes, ${circuit.elements.length} elements, ${ports.length} port${ports.length === 1 ? '' : 's'}</li>
+                        <li>${unknowns} MNA unknowns</li>
+                        <li>${points.length} frequencies, ${formatFreq(first)} – ${formatFreq(last)}</li>
+                    </ul>
+                </div>
+                ${portItems}
+            </div>
+            
+            <div class="iot-table-scroll">
+                <table class="iot-comparison-table">
+                    <thead><tr>${tableHead}</tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+            
+            <button class="btn" onclick="plotNetlistProbe()">Plot Probe</button>
+            
+            <div class="info-section">
+                <p><strong>Notes:</strong></p>
+                <ul>
+                    ${circuit.warnings.map(w => `<li>⚠ ${w}</li>`).join('')}
+                    ${ports.length ? '<li>Ports are driven one at a time with 1 V incident behind their reference impedance; the others are terminated</li>' : ''}
+                    ${ports.length && circuit.elements.some(e => e.kind === 'V' || e.kind === 'I') ? '<li>Node voltages are plotted with the V/I sources driving; port S-parameters ignore them</li>' : ''}
+                    <li>Values take SPICE suffixes (f, p, n, u, m, k, meg, g); note that M means milli, except in MHz</li>
+                    <li>Transmission lines are lossless; add series R or shunt R to model loss</li>
+                </ul>
+            </div>`;
+        
+        document.getElementById('netlist-results').innerHTML = html;
+        
+    } catch (error) {
+        netlistResult = null;
+        document.getElementById('netlist-results').innerHTML = 
+            `<div class="error">Error: ${error.message}</div>`;
+    }
+}
+
+/**
+ * Plot the selected probe of the last netlist simulation
+ */
+function plotNetlistProbe() {
+    if (!netlistResult) return;
+    
+    const { circuit, points } = netlistResult;
+    const probe = document.getElementById('netlist-probe').value;
+    // Node voltages come from the sources when there are any, else from port 1
+    const voltageColumn = circuit.elements.some(e => e.kind === 'V' || e.kind === 'I') ? circuit.ports.length : 0;
+    
+    const trace = (name) => {
+        if (name.startsWith('V:')) {
+            const index = circuit.nodes.indexOf(name.substring(2));
+            return { label: `|V(${name.substring(2)})| (dBV)`, values: points.map(p => complexMagnitudeDb(p.voltages[voltageColumn][index])) };
+        }
+        const i = parseInt(name[1]) - 1;
+        const j = parseInt(name[2]) - 1;
+        return { label: `|${name}| (dB)`, values: points.map(p => complexMagnitudeDb(p.s[i][j])) };
+    };
+    
+    const traces = probe === 'sparams' ? [trace('S11'), trace('S21')] : [trace(probe)];
+    
+    showChart('netlist', {
+        frequencies: points.map(p => p.frequency),
+        traces,
+        title: circuit.title || 'Netlist AC Sweep'
+    });
+}
+
+/**
+ * Load a netlist into the simulator, switch to it and run it
+ * @param {string} text - Netlist text
+ */
+function openNetlist(text) {
+    document.getElementById('netlist-text').value = text;
+    showTab('rf-circuits');
+    runNetlist();
+    document.getElementById('netlist-text').scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+/**
+ * Write the last filter design as a two-port netlist and simulate it
+ */
+function simulateFilterNetlist() {
+    if (!filterDesign) return;
+    
+    const { ladder, impedance, frequencies, title } = filterDesign;
+    const lines = [`* ${title}`, `P1 in 0 Z0=${formatSpiceValue(impedance)}`];
+    const counts = { L: 0, C: 0, node: 0 };
+    
+    // Place an arm network between two nodes, chaining series parts through new nodes
+    const place = (network, a, b) => {
+        if (network.type === 'L' || network.type === 'C') {
+            counts[network.type]++;
+            lines.push(`${network.type}${counts[network.type]} ${a} ${b} ${formatSpiceValue(network.value)}`);
+        } else if (network.type === 'parallel') {
+            network.parts.forEach(part => place(part, a, b));
+        } else {
+            network.parts.forEach((part, i) => {
+                const next = i === network.parts.length - 1 ? b : `x${++counts.node}`;
+                place(part, a, next);
+                a = next;
+            });
+        }
+    };
+    
+    let node = 'in';
+    ladder.arms.forEach((arm, i) => {
+        if (arm.position === 'series') {
+            const next = i === ladder.arms.length - 1 ? 'out' : `n${i + 1}`;
+            place(arm.network, node, next);
+            node = next;
+        } else {
+            place(arm.network, node, '0');
+        }
+    });
+    
+    lines.push(`P2 ${node} 0 Z0=${formatSpiceValue(ladder.load)}`);
+    lines.push(`.ac lin ${frequencies.length} ${formatSpiceValue(frequencies[0])} ${formatSpiceValue(frequencies[frequencies.length - 1])}`);
+    lines.push('.end');
+    
+    openNetlist(lines.join('\n') + '\n');
+}
+
+/**
+ * Nearest standard values and best two-part combinations for an ideal component
+ */
+function calculateStandardValue() {
+    const value = parseFloat(document.getElementById('std-value').value);
+    const unit = document.getElementById('std-unit').value;
+    const series = document.getElementById('std-series').value;
+    
+    if (!validateInput(value)) {
+        showError('std-value', 'Please enter a valid value');
+        return;
+    }
+    
+    clearError('std-value');
+    
+    try {
+        // The unit picks the component type
+        let type, target;
+        if (CONSTANTS.CAPACITANCE_UNITS[unit]) {
+            type = 'C';
+            target = convertUnits(value, unit, 'F', CONSTANTS.CAPACITANCE_UNITS);
+        } else if (CONSTANTS.INDUCTANCE_UNITS[unit]) {
+            type = 'L';
+            target = convertUnits(value, unit, 'H', CONSTANTS.INDUCTANCE_UNITS);
+        } else {
+            type = 'R';
+            target = convertUnits(value, unit, 'ohm', CONSTANTS.RESISTANCE_UNITS);
+        }
+        
+        const nearest = Object.keys(CONSTANTS.E_SERIES).map(name => {
+            const snapped = snapToESeries(target, name);
+            return `<li>${name}: ${formatComponentValue(snapped, type, 3)} (${formatPercentError(snapped / target - 1)})</li>`;
+        }).join('');
+        
+        const combinations = findComponentCombinations(target, type, series, 8);
+        const arrangementNames = { single: 'Single', series: 'Series', parallel: 'Parallel' };
+        const rows = combinations.map(c => `
+                        <tr>
+                            <td>${arrangementNames[c.arrangement]}</td>
+                            <td>${formatComponentCombination(c, type)}</td>
+                            <td>${formatComponentValue(c.value, type)}</td>
+                            <td>${formatPercentError(c.error)}</td>
+                        </tr>`).join('');
+        
+        const typeNames = { C: 'capacitors', L: 'inductors', R: 'resistors' };
+        
+        let html = `
+            <h4>Standard Values for ${formatComponentValue(target, type)}</h4>
+            <div class="result-grid">
+                <div class="result-item">
+                    <strong>Nearest Single Value:</strong>
+                    <ul>
+                        ${nearest}
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>Best ${series} Choice:</strong>
+                    <ul>
+                        <li>${formatComponentCombination(combinations[0], type)}</li>
+                        <li>Value: ${formatComponentValue(combinations[0].value, type)}</li>
+                        <li>Error: ${formatPercentError(combinations[0].error)}</li>
+                    </ul>
+                </div>
+            </div>
+            
+            <div class="iot-table-scroll">
+                <table class="iot-comparison-table">
+                    <thead>
+                        <tr>
+                            <th>Arrangement</th>
+                            <th>Parts (${series})</th>
+                            <th>Value</th>
+                            <th>Error</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}
+                    </tbody>
+                </table>
+            </div>
+            
+            <div class="info-section">
+                <p><strong>Notes:</strong></p>
+                <ul>
+                    <li>Errors are from nominal values; part tolerance (E6 ±20%, E12 ±10%, E24 ±5%, E96 ±1%) adds to them</li>
+                    <li>${type === 'C' ? 'Capacitors add in parallel' : `${typeNames[type][0].toUpperCase()}${typeNames[type].slice(1)} add in series`}; ∥ marks parallel parts and + series parts</li>
+                    ${type === 'L' ? '<li>Keep paired inductors apart or at right angles so their mutual coupling does not change the total</li>' : ''}
+                    <li>Set Settings → Calculation → Component values to snap the LC, matching and filter results as well</li>
+                </ul>
+            </div>`;
+        
+        document.getElementById('std-results').innerHTML = html;
+        
+    } catch (error) {
+        document.getElementById('std-results').innerHTML = 
+            `<div class="error">Error: ${error.message}</div>`;
+    }
+}
+
+/**
+ * Show the inputs for the selected inductor construction
+ */
+function handleInductorTypeChange() {
+    const toroid = document.getElementById('inductor-type').value === 'toroid';
+    document.getElementById('inductor-air-group').style.display = toroid ? 'none' : '';
+    document.getElementById('inductor-toroid-group').style.display = toroid ? '' : 'none';
+}
+
+/**
+ * Fill the core size and material lists for the selected core family
+ */
+function updateInductorCores() {
+    const family = document.getElementById('inductor-family').value;
+    const coreSelect = document.getElementById('inductor-core');
+    const materialSelect = document.getElementById('inductor-material');
+    const defaults = family === 'iron' ? { core: 'T-50', material: 'mix-2' } : { core: 'FT-50', material: '61' };
+    
+    coreSelect.innerHTML = '';
+    Object.entries(CONSTANTS.TOROID_CORES).forEach(([name, core]) => {
+        if (core.family !== family) return;
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        if (name === defaults.core) option.selected = true;
+        coreSelect.appendChild(option);
+    });
+    
+    materialSelect.innerHTML = '';
+    Object.entries(CONSTANTS.CORE_MATERIALS).forEach(([key, material]) => {
+        if (material.family !== family) return;
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = material.name;
+        if (key === defaults.material) option.selected = true;
+        materialSelect.appendChild(option);
+    });
+}
+
+/**
+ * Nagaoka coefficient of a single-layer solenoid (Lundin's approximation, within 3 ppm)
+ * @param {number} ratio - Diameter / length
+ * @returns {number} Coefficient K, 1 for an infinitely long coil
+ */
+function nagaokaCoefficient(ratio) {
+    const f1 = (x) => (1 + 0.383901 * x + 0.017108 * x * x) / (1 + 0.258952 * x);
+    if (ratio <= 1) {
+        return f1(ratio * ratio) - 4 * ratio / (3 * Math.PI);
+    }
+    const y = 1 / (ratio * ratio);
+    const f2 = 0.093842 * y + 0.002029 * y * y - 0.000801 * y * y * y;
+    return 2 / (Math.PI * ratio) * ((Math.log(4 * ratio) - 0.5) * f1(y) + f2);
+}
+
+/**
+ * Inductance of a single-layer solenoid (current-sheet model)
+ * @param {number} diameter - Coil diameter to the wire centres in meters
+ * @param {number} length - Winding length in meters
+ * @param {number} turns - Number of turns
+ * @returns {number} Inductance in henries
+ */
+function solenoidInductance(diameter, length, turns) {
+    const area = Math.PI * diameter * diameter / 4;
+    return CONSTANTS.MU0 * area * turns * turns / length * nagaokaCoefficient(diameter / length);
+}
+
+/**
+ * Self-capacitance of a single-layer solenoid (Medhurst)
+ * @param {number} diameter - Coil diameter in meters
+ * @param {number} length - Winding length in meters
+ * @returns {number} Capacitance in farads
+ */
+function medhurstCapacitance(diameter, length) {
+    const ratio = length / diameter;
+    // C[pF] = D[cm]·(0.1126·ℓ/D + 0.08 + 0.27/√(ℓ/D))
+    return 1e-12 * diameter * 100 * (0.1126 * ratio + 0.08 + 0.27 / Math.sqrt(ratio));
+}
+
+/**
+ * Turns of a single-layer air-core coil for an inductance
+ * @param {number} inductance - Inductance in henries
+ * @param {number} diameter - Coil diameter to the wire centres in meters
+ * @param {number} pitch - Turn spacing in meters
+ * @returns {number} Turns (fractional)
+ */
+function airCoilTurns(inductance, diameter, pitch) {
+    const inductanceFor = (n) => solenoidInductance(diameter, n * pitch, n);
+    
+    // Inductance rises with the turn count; bracket the target, then bisect
+    let low = 0.1;
+    let high = 1;
+    while (inductanceFor(high) < inductance) {
+        low = high;
+        high *= 2;
+        if (high > CONSTANTS.INDUCTOR.MAX_TURNS) {
+            throw new Error(`More than ${CONSTANTS.INDUCTOR.MAX_TURNS} turns needed - use a larger former or a toroid`);
+        }
+    }
+    for (let i = 0; i < 60; i++) {
+        const mid = (low + high) / 2;
+        if (inductanceFor(mid) < inductance) low = mid; else high = mid;
+    }
+    return (low + high) / 2;
+}
+
+/**
+ * Design a single-layer air-core coil or a toroid for an inductance
+ */
+function calculateInductor() {
+    const type = document.getElementById('inductor-type').value;
+    const value = parseFloat(document.getElementById('inductor-value').value);
+    const unit = document.getElementById('inductor-unit').value;
+    const frequency = parseFloat(document.getElementById('inductor-freq').value);
+    const freqUnit = document.getElementById('inductor-freq-unit').value;
+    const wire = parseFloat(document.getElementById('inductor-wire').value);
+    const wireUnit = document.getElementById('inductor-wire-unit').value;
+    
+    if (!validateInput(value)) {
+        showError('inductor-value', 'Please enter a valid inductance');
+        return;
+    }
+    
+    if (!validateInput(frequency)) {
+        showError('inductor-freq', 'Please enter a valid frequency');
+        return;
+    }
+    
+    if (wireUnit === 'AWG' ? !validateInput(wire, 0, 40) : !validateInput(wire)) {
+        showError('inductor-wire', wireUnit === 'AWG' ? 'Wire gauge must be 0-40 AWG' : 'Please enter a valid wire diameter');
+        return;
+    }
+    
+    clearError('inductor-value');
+    clearError('inductor-freq');
+    clearError('inductor-wire');
+    
+    const inductance = convertUnits(value, unit, 'H', CONSTANTS.INDUCTANCE_UNITS);
+    const freqHz = convertUnits(frequency, freqUnit, 'Hz', CONSTANTS.FREQ_UNITS);
+    const wireDiameter = wireDiameterToMeters(wire, wireUnit);
+    const wireLabel = wireUnit === 'AWG' ? `${wire} AWG (${formatNumber(wireDiameter * 1000, 3)} mm)` : `${formatNumber(wire, 3)} mm`;
+    
+    if (type === 'toroid') {
+        designToroid(inductance, freqHz, wireDiameter, wireLabel);
+        return;
+    }
+    
+    const former = parseFloat(document.getElementById('inductor-former').value);
+    const pitchInput = parseFloat(document.getElementById('inductor-pitch').value);
+    
+    if (!validateInput(former)) {
+        showError('inductor-former', 'Please enter a valid former diameter');
+        return;
+    }
+    
+    if (!isNaN(pitchInput) && !validateInput(pitchInput, wireDiameter * 1000)) {
+        showError('inductor-pitch', `Turn pitch must be at least the wire diameter (${formatNumber(wireDiameter * 1000, 3)} mm)`);
+        return;
+    }
+    
+    clearError('inductor-former');
+    clearError('inductor-pitch');
+    
+    try {
+        const closeWound = isNaN(pitchInput);
+        const pitch = closeWound ? wireDiameter : pitchInput / 1000;
+        const diameter = former / 1000 + wireDiameter;
+        const turns = airCoilTurns(inductance, diameter, pitch);
+        const length = turns * pitch;
+        const wireLength = turns * Math.PI * diameter + CONSTANTS.INDUCTOR.LEAD_LENGTH;
+        
+        // Wheeler's formula as a cross-check: L[µH] = r²n²/(9r + 10ℓ) in inches
+        const r = diameter / 2 / 0.0254;
+        const wheeler = 1e-6 * r * r * turns * turns / (9 * r + 10 * length / 0.0254);
+        
+        // Self-resonance from the Medhurst self-capacitance
+        const selfCapacitance = medhurstCapacitance(diameter, length);
+        const srf = lcResonantFrequency(inductance, selfCapacitance);
+        const aboveSrf = freqHz >= srf;
+        const effectiveInductance = inductance / (1 - Math.pow(freqHz / srf, 2));
+        
+        // Skin-effect resistance of the wire; proximity effect adds to it in close windings
+        const copper = CONSTANTS.CONDUCTORS.copper.conductivity;
+        const skinDepth = 1 / Math.sqrt(Math.PI * freqHz * CONSTANTS.MU0 * copper);
+        const conductingArea = wireDiameter > 2 * skinDepth ?
+            Math.PI * wireDiameter * skinDepth : Math.PI * wireDiameter * wireDiameter / 4;
+        const resistance = wireLength / (copper * conductingArea);
+        const reactance = inductiveReactance(freqHz, inductance);
+        const wavelength = CONSTANTS.SPEED_OF_LIGHT / freqHz;
+        
+        const formatFreq = (f) => {
+            const best = getAppropriateUnit(f, CONSTANTS.FREQ_UNITS, 'Hz');
+            return `${formatNumber(best.value, 4)} ${best.unit}`;
+        };
+        
+        const warnings = [];
+        if (aboveSrf) {
+            warnings.push(`${formatFreq(freqHz)} is at or above the self-resonant frequency - the coil acts as a capacitor; use a smaller former or fewer, wider-spaced turns`);
+        } else if (freqHz > srf / CONSTANTS.INDUCTOR.SRF_MARGIN) {
+            warnings.push(`Operating above SRF/${CONSTANTS.INDUCTOR.SRF_MARGIN}: the inductance rises to ${formatComponentValue(effectiveInductance, 'L')} - use a smaller former or fewer, wider-spaced turns`);
+        }
+        if (wireLength > wavelength / 10) {
+            warnings.push('The wire is longer than λ/10 - the coil behaves partly as a helical line, not a lumped inductor');
+        }
+        if (turns < 2) {
+            warnings.push('Fewer than two turns - lead length and layout dominate; use a smaller former');
+        }
+        if (length / diameter < 0.3 || length / diameter > 5) {
+            warnings.push(`Length/diameter of ${formatNumber(length / diameter, 2)} - Q is best with ℓ/D between about 0.5 and 2`);
+        }
+        
+        let html = `
+            <h4>Air-Core Coil for ${formatComponentValue(inductance, 'L')}</h4>
+            <div class="result-grid">
+                <div class="result-item">
+                    <strong>Winding:</strong>
+                    <ul>
+                        <li>Turns: ${formatNumber(turns, 2)}</li>
+                        <li>Winding length: ${formatNumber(length * 1000, 2)} mm${closeWound ? ' (close-wound)' : ''}</li>
+                        <li>Coil diameter (wire centres): ${formatNumber(diameter * 1000, 2)} mm</li>
+                        <li>ℓ/D = ${formatNumber(length / diameter, 2)}</li>
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>Wire:</strong>
+                    <ul>
+                        <li>${wireLabel} copper</li>
+                        <li>Pitch: ${formatNumber(pitch * 1000, 3)} mm</li>
+                        <li>Length: ${formatNumber(wireLength * 100, 1)} cm including leads</li>
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>Inductance:</strong>
+                    <ul>
+                        <li>Nagaoka: ${formatComponentValue(inductance, 'L')}</li>
+                        <li>Wheeler: ${formatComponentValue(wheeler, 'L')} (${formatPercentError(wheeler / inductance - 1)})</li>
+                        <li>Nagaoka K = ${formatNumber(nagaokaCoefficient(diameter / length), 4)}</li>
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>Self-Resonance:</strong>
+                    <ul>
+                        <li>Self-capacitance: ${formatNumber(selfCapacitance * 1e12, 2)} pF</li>
+                        <li>SRF ≈ ${formatFreq(srf)}</li>
+                        <li>${aboveSrf ? `Acts as a capacitor at ${formatFreq(freqHz)} (above SRF)` :
+                            `Effective L at ${formatFreq(freqHz)}: ${formatComponentValue(effectiveInductance, 'L')}`}</li>
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>At ${formatFreq(freqHz)}:</strong>
+                    <ul>
+                        <li>X_L = ${aboveSrf ? 'n/a above SRF' : `${formatNumber(reactance, 2)} Ω`}</li>
+                        <li>Skin depth: ${formatNumber(skinDepth * 1e6, 2)} µm</li>
+                        <li>Wire resistance: ${formatNumber(resistance, 3)} Ω</li>
+                        <li>${aboveSrf ? 'Q: n/a above SRF' : `Q ≤ ${formatNumber(reactance / resistance, 0)} (skin effect only)`}</li>
+                    </ul>
+                </div>
+            </div>
+            
+            <div class="info-section">
+                <p><strong>Notes:</strong></p>
+                <ul>
+                    ${warnings.map(w => `<li>⚠ ${w}</li>`).join('')}
+                    <li>Inductance uses the current-sheet model with Lundin's Nagaoka coefficient; spread or squeeze the turns to trim it</li>
+                    <li>Proximity effect in close windings typically halves the skin-effect Q; a pitch of about twice the wire diameter recovers most of it</li>
+                    <li>SRF uses Medhurst's self-capacitance and ignores the leads and nearby metal</li>
+                </ul>
+            </div>`;
+        
+        document.getElementById('inductor-results').innerHTML = html;
+        
+    } catch (error) {
+        document.getElementById('inductor-results').innerHTML = 
+            `<div class="error">Error: ${error.message}</div>`;
+    }
+}
+
+/**
+ * Design a toroidal inductor on the selected core and compare the other sizes
+ * @param {number} inductance - Inductance in henries
+ * @param {number} freqHz - Operating frequency in Hz
+ * @param {number} wireDiameter - Wire diameter in meters
+ * @param {string} wireLabel - Wire description for the results
+ */
+function designToroid(inductance, freqHz, wireDiameter, wireLabel) {
+    const coreName = document.getElementById('inductor-core').value;
+    const materialKey = document.getElementById('inductor-material').value;
+    const voltage = parseFloat(document.getElementById('inductor-voltage').value);
+    const material = CONSTANTS.CORE_MATERIALS[materialKey];
+    
+    if (!material || !material.al[coreName]) {
+        showError('inductor-core', 'This core size is not made in the selected material');
+        return;
+    }
+    
+    if (!isNaN(voltage) && !validateInput(voltage)) {
+        showError('inductor-voltage', 'Please enter a valid voltage, or leave it blank');
+        return;
+    }
+    
+    clearError('inductor-core');
+    clearError('inductor-voltage');
+    
+    try {
+        const fMHz = freqHz / 1e6;
+        // Heating guideline: peak flux falls as 1/√f above 1 MHz
+        const fluxLimit = material.fluxLimit / Math.sqrt(Math.max(fMHz, 1));
+        
+        // Turns, wire and voltage capability of one core size
+        const windOn = (name) => {
+            const core = CONSTANTS.TOROID_CORES[name];
+            const al = material.al[name] * 1e-9;
+            const turns = Math.max(1, Math.round(Math.sqrt(inductance / al)));
+            const d = wireDiameter * 1000;
+            return {
+                name,
+                core,
+                al,
+                turns,
+                inductance: al * turns * turns,
+                // Rectangle of the core cross-section grown by half a wire all round
+                wireLength: turns * (2 * core.height + core.od - core.id + 4 * d) / 1000 + CONSTANTS.INDUCTOR.LEAD_LENGTH,
+                capacity: Math.floor(Math.PI * (core.id - d) / d),
+                // V = B·4.44·f·N·Ae with B in gauss and Ae in cm²
+                maxVoltage: fluxLimit * 4.44 * freqHz * turns * core.ae * 1e-8
+            };
+        };
+        
+        const design = windOn(coreName);
+        const { core } = design;
+        const alternatives = Object.keys(material.al).map(windOn);
+        
+        const formatFreq = (f) => {
+            const best = getAppropriateUnit(f, CONSTANTS.FREQ_UNITS, 'Hz');
+            return `${formatNumber(best.value, 4)} ${best.unit}`;
+        };
+        
+        let fluxItems = `<li>Guideline at ${formatFreq(freqHz)}: ${formatNumber(fluxLimit, 1)} G peak</li>
+                        <li>Max voltage: ${formatNumber(design.maxVoltage, 1)} V rms</li>`;
+        const warnings = [];
+        if (!isNaN(voltage)) {
+            const flux = voltage * 1e8 / (4.44 * freqHz * design.turns * core.ae);
+            fluxItems = `<li>B = ${formatNumber(flux, 1)} G peak at ${formatNumber(voltage, 1)} V rms</li>` + fluxItems;
+            if (flux > fluxLimit) {
+                warnings.push(`Flux density exceeds the ${formatNumber(fluxLimit, 1)} G guideline - the core will heat; use a larger core or more turns on a lower-AL mix`);
+            }
+        }
+        if (design.turns > design.capacity) {
+            warnings.push(`${design.turns} turns do not fit in one layer (about ${design.capacity} with this wire) - use thinner wire or a larger core`);
+        }
+        if (fMHz < material.fMin || fMHz > material.fMax) {
+            warnings.push(`${material.name} is intended for ${formatNumber(material.fMin, 3)}-${formatNumber(material.fMax, 3)} MHz - losses rise outside this range`);
+        }
+        if (Math.abs(design.inductance / inductance - 1) > 0.1) {
+            warnings.push(`Whole turns give ${formatComponentValue(design.inductance, 'L')} - a core with a different AL gets closer`);
+        }
+        
+        const rows = alternatives.map(alt => `
+                        <tr${alt.name === coreName ? ' class="highlight-row"' : ''}>
+                            <td>${alt.name}</td>
+                            <td>${formatNumber(alt.al * 1e9, 4)}</td>
+                            <td>${alt.turns}</td>
+                            <td>${formatComponentValue(alt.inductance, 'L')}</td>
+                            <td>${alt.turns <= alt.capacity ? 'Yes' : 'No'} (${alt.capacity})</td>
+                            <td>${formatNumber(alt.maxVoltage, 1)}</td>
+                        </tr>`).join('');
+        
+        let html = `
+            <h4>${coreName}${materialKey.startsWith('mix-') ? materialKey.substring(3) : `-${materialKey}`} Toroid for ${formatComponentValue(inductance, 'L')}</h4>
+            <div class="result-grid">
+                <div class="result-item">
+                    <strong>Winding:</strong>
+                    <ul>
+                        <li>Turns: ${design.turns}</li>
+                        <li>Inductance: ${formatComponentValue(design.inductance, 'L')} (${formatPercentError(design.inductance / inductance - 1)})</li>
+                        <li>N = √(L / A_L), A_L = ${formatNumber(design.al * 1e9, 4)} nH/turn²</li>
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>Core:</strong>
+                    <ul>
+                        <li>${material.name}, µi = ${material.mu}</li>
+                        <li>OD ${formatNumber(core.od, 3)} mm, ID ${formatNumber(core.id, 3)} mm, height ${formatNumber(core.height, 3)} mm</li>
+                        <li>Aₑ = ${formatNumber(core.ae, 3)} cm², ℓₑ = ${formatNumber(core.le, 3)} cm</li>
+                        <li>Range: ${formatNumber(material.fMin, 3)}-${formatNumber(material.fMax, 3)} MHz</li>
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>Wire:</strong>
+                    <ul>
+                        <li>${wireLabel}</li>
+                        <li>Length: ${formatNumber(design.wireLength * 100, 1)} cm including leads</li>
+                        <li>Single layer holds about ${design.capacity} turns</li>
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>Flux Density:</strong>
+                    <ul>
+                        ${fluxItems}
+                    </ul>
+                </div>
+            </div>
+            
+            <div class="iot-table-scroll">
+                <table class="iot-comparison-table">
+                    <thead>
+                        <tr>
+                            <th>Core</th>
+                            <th>A_L (nH/t²)</th>
+                            <th>Turns</th>
+                            <th>Inductance</th>
+                            <th>Single Layer</th>
+                            <th>Max V rms</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}
+                    </tbody>
+                </table>
+            </div>
+            
+            <div class="info-section">
+                <p><strong>Notes:</strong></p>
+                <ul>
+                    ${warnings.map(w => `<li>⚠ ${w}</li>`).join('')}
+                    <li>Each pass through the centre hole counts as one turn; spread the turns evenly over about 300° of the core</li>
+                    <li>A_L is nominal: ${material.family === 'iron' ? 'iron powder cores hold about ±5%' : 'ferrite cores vary by ±20-25% and with temperature'}; measure and adjust a turn if needed</li>
+                    <li>The flux guideline limits core heating; B = V·10⁸ / (4.44·f·N·Aₑ) with Aₑ in cm²</li>
+                </ul>
+            </div>`;
+        
+        document.getElementById('inductor-results').innerHTML = html;
+        
+    } catch (error) {
+        document.getElementById('inductor-results').innerHTML = 
+            `<div class="error">Error: ${error.message}</div>`;
+    }
+}
+
+/**
+ * Load an inductance into the inductor designer, switch to it and run it
+ * @param {number} henries - Inductance in H
+ * @param {number} freqHz - Operating frequency in Hz
+ */
+function openInductorDesigner(henries, freqHz) {
+    const best = getAppropriateUnit(henries, { mH: 1e-3, uH: 1e-6, nH: 1e-9 }, 'nH');
+    document.getElementById('inductor-value').value = parseFloat(best.value.toPrecision(4));
+    document.getElementById('inductor-unit').value = best.unit;
+    document.getElementById('inductor-freq').value = parseFloat((freqHz / 1e6).toPrecision(6));
+    document.getElementById('inductor-freq-unit').value = 'MHz';
+    showTab('rf-circuits');
+    calculateInductor();
+    document.getElementById('inductor-value').scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+// RF lineup analyzer state
+let lineupStageCount = 0;
+let lineupDesign = null;
+
+/**
+ * Default values for a lineup stage
+ * @param {string} type - Key of CONSTANTS.LINEUP.STAGES
+ * @returns {Object} Stage {type, gain, nf, oip3, p1db[, coax, length]}
+ */
+function lineupStageDefaults(type) {
+    const { name, passive, ...values } = CONSTANTS.LINEUP.STAGES[type];
+    return { type, ...values };
+}
+
+/**
+ * Render the editable stage table of the lineup analyzer
+ * @param {Array} stages - Stages in signal order
+ */
+function renderLineupEditor(stages) {
+    const options = (entries, selected) => entries
+        .map(([value, text]) => `<option value="${value}"${value === selected ? ' selected' : ''}>${text}</option>`)
+        .join('');
+    const field = (id, value, placeholder = '', disabled = false) =>
+        `<input type="number" id="${id}" step="any" value="${value === null ? '' : value}"` +
+        `${placeholder ? ` placeholder="${placeholder}"` : ''}${disabled ? ' disabled' : ''}>`;
+    const stageTypes = Object.entries(CONSTANTS.LINEUP.STAGES).map(([key, stage]) => [key, stage.name]);
+    const coaxTypes = Object.keys(CONSTANTS.COAX_TYPES).map(name => [name, name]);
+    
+    let rows = '';
+    stages.forEach((stage, i) => {
+        const id = `lineup-stage-${i}`;
+        const passive = CONSTANTS.LINEUP.STAGES[stage.type].passive;
+        const cable = stage.type === 'cable';
+        rows += `<tr>
+            <td>${i + 1}</td>
+            <td><select id="${id}-type" onchange="changeLineupStageType(${i})">${options(stageTypes, stage.type)}</select></td>
+            <td>${cable ? `<select id="${id}-coax">${options(coaxTypes, stage.coax)}</select> ${field(`${id}-length`, stage.length)} m` : '—'}</td>
+            <td>${field(`${id}-gain`, stage.gain, cable ? 'from cable' : '', cable)}</td>
+            <td>${field(`${id}-nf`, stage.nf, passive ? '= loss' : '', passive)}</td>
+            <td>${field(`${id}-oip3`, stage.oip3, '∞', passive)}</td>
+            <td>${field(`${id}-p1db`, stage.p1db, '∞', passive)}</td>
+            <td>
+                <button class="btn" onclick="moveLineupStage(${i}, -1)"${i === 0 ? ' disabled' : ''}>↑</button>
+                <button class="btn" onclick="moveLineupStage(${i}, 1)"${i === stages.length - 1 ? ' disabled' : ''}>↓</button>
+                <button class="btn" onclick="removeLineupStage(${i})">✕</button>
+            </td>
+        </tr>`;
+    });
+    
+    document.getElementById('lineup-stages').innerHTML = `
+        <div class="iot-table-scroll">
+            <table class="iot-comparison-table lineup-table">
+                <thead>
+                    <tr><th>#</th><th>Stage</th><th>Cable / Length</th><th>Gain (dB)</th><th>NF (dB)</th>
+                        <th>OIP3 (dBm)</th><th>OP1dB (dBm)</th><th></th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>`;
+    lineupStageCount = stages.length;
+}
+
+/**
+ * Read the lineup stage table back into stage objects
+ * @returns {Array} Stages with empty fields as null
+ */
+function readLineupEditor() {
+    const stages = [];
+    for (let i = 0; i < lineupStageCount; i++) {
+        const id = `lineup-stage-${i}`;
+        const value = (field) => {
+            const v = parseFloat(document.getElementById(`${id}-${field}`).value);
+            return isNaN(v) ? null : v;
+        };
+        
+        const stage = {
+            type: document.getElementById(`${id}-type`).value,
+            gain: value('gain'),
+            nf: value('nf'),
+            oip3: value('oip3'),
+            p1db: value('p1db')
+        };
+        if (stage.type === 'cable') {
+            stage.coax = document.getElementById(`${id}-coax`).value;
+            stage.length = value('length');
+        }
+        stages.push(stage);
+    }
+    return stages;
+}
+
+/**
+ * Append an amplifier stage to the lineup
+ */
+function addLineupStage() {
+    const stages = readLineupEditor();
+    if (stages.length >= CONSTANTS.LINEUP.MAX_STAGES) return;
+    
+    stages.push(lineupStageDefaults('amplifier'));
+    renderLineupEditor(stages);
+}
+
+/**
+ * Remove a stage from the lineup
+ * @param {number} index - Row index
+ */
+function removeLineupStage(index) {
+    const stages = readLineupEditor();
+    if (stages.length === 1) return;
+    
+    stages.splice(index, 1);
+    renderLineupEditor(stages);
+}
+
+/**
+ * Move a stage up or down the lineup
+ * @param {number} index - Row index
+ * @param {number} offset - -1 to move towards the input, 1 towards the output
+ */
+function moveLineupStage(index, offset) {
+    const stages = readLineupEditor();
+    const target = index + offset;
+    if (target < 0 || target >= stages.length) return;
+    
+    [stages[index], stages[target]] = [stages[target], stages[index]];
+    renderLineupEditor(stages);
+}
+
+/**
+ * Reset a stage to the defaults of its newly selected type
+ * @param {number} index - Row index
+ */
+function changeLineupStageType(index) {
+    const stages = readLineupEditor();
+    stages[index] = lineupStageDefaults(stages[index].type);
+    renderLineupEditor(stages);
+}
+
+/**
+ * Cascade gain, noise figure, IP3 and P1dB through a lineup
+ * Friis for noise; IP3 and P1dB add as in-phase (worst case) input-referred terms.
+ * @param {Array} stages - [{gain, nf, oip3, p1db}] in dB/dBm, Infinity for no limit
+ * @returns {Object} {gain, nf, iip3, oip3, ip1db, op1db, stages: [{gain, nf, iip3, noiseShare, ip3Share}]}
+ */
+function cascadeLineup(stages) {
+    const linear = (db) => Math.pow(10, db / 10);
+    const decibels = (value) => 10 * Math.log10(value);
+    
+    let gain = 1;
+    let factor = 1;
+    let ip3Sum = 0;
+    let p1dbSum = 0;
+    const terms = stages.map(stage => {
+        const g = linear(stage.gain);
+        // Each stage referred to the lineup input through the gain ahead of it
+        const term = {
+            noise: (linear(stage.nf) - 1) / gain,
+            ip3: isFinite(stage.oip3) ? gain * g / linear(stage.oip3) : 0,
+            p1db: isFinite(stage.p1db) ? gain * g / linear(stage.p1db + 1) : 0
+        };
+        factor += term.noise;
+        ip3Sum += term.ip3;
+        p1dbSum += term.p1db;
+        gain *= g;
+        term.cumulative = {
+            gain: decibels(gain),
+            nf: decibels(factor),
+            iip3: ip3Sum > 0 ? -decibels(ip3Sum) : Infinity
+        };
+        return term;
+    });
+    
+    const totalGain = decibels(gain);
+    const iip3 = ip3Sum > 0 ? -decibels(ip3Sum) : Infinity;
+    const ip1db = p1dbSum > 0 ? -decibels(p1dbSum) : Infinity;
+    return {
+        gain: totalGain,
+        nf: decibels(factor),
+        iip3,
+        oip3: iip3 + totalGain,
+        ip1db,
+        op1db: ip1db + totalGain - 1,
+        stages: terms.map(term => ({
+            ...term.cumulative,
+            noiseShare: factor > 1 ? term.noise / (factor - 1) : 0,
+            ip3Share: ip3Sum > 0 ? term.ip3 / ip3Sum : 0
+        }))
+    };
+}
+
+/**
+ * Analyze the RF lineup: cascaded NF, IP3, P1dB, sensitivity and SFDR
+ */
+function calculateLineup() {
+    const frequency = parseFloat(document.getElementById('lineup-freq').value);
+    const freqUnit = document.getElementById('lineup-freq-unit').value;
+    const bandwidth = parseFloat(document.getElementById('lineup-bw').value);
+    const bwUnit = document.getElementById('lineup-bw-unit').value;
+    const snr = parseFloat(document.getElementById('lineup-snr').value);
+    
+    if (!validateInput(frequency)) {
+        showError('lineup-freq', 'Please enter a valid frequency');
+        return;
+    }
+    
+    if (!validateInput(bandwidth)) {
+        showError('lineup-bw', 'Please enter a valid noise bandwidth');
+        return;
+    }
+    
+    if (isNaN(snr)) {
+        showError('lineup-snr', 'Please enter the required SNR');
+        return;
+    }
+    
+    clearError('lineup-freq');
+    clearError('lineup-bw');
+    clearError('lineup-snr');
+    
+    try {
+        const freqHz = convertUnits(frequency, freqUnit, 'Hz', CONSTANTS.FREQ_UNITS);
+        const bwHz = convertUnits(bandwidth, bwUnit, 'Hz', CONSTANTS.FREQ_UNITS);
+        
+        const stages = readLineupEditor().map((stage, i) => {
+            const definition = CONSTANTS.LINEUP.STAGES[stage.type];
+            const label = `Stage ${i + 1} (${definition.name})`;
+            let gain = stage.gain;
+            let detail = definition.name;
+            
+            if (stage.type === 'cable') {
+                if (!validateInput(stage.length)) {
+                    throw new Error(`${label}: please enter a valid cable length`);
+                }
+                const coax = CONSTANTS.COAX_TYPES[stage.coax];
+                gain = -coax.loss_db_100m_1ghz * (stage.length / 100) * Math.sqrt(freqHz / 1e9);
+                detail = `${formatNumber(stage.length, 1)} m ${stage.coax}`;
+            } else if (gain === null) {
+                throw new Error(`${label}: please enter a gain`);
+            }
+            
+            if (definition.passive) {
+                if (gain > 0) {
+                    throw new Error(`${label}: a passive stage cannot have gain - enter its loss as a negative gain`);
+                }
+                return { name: definition.name, detail, gain, nf: -gain, oip3: Infinity, p1db: Infinity };
+            }
+            
+            if (stage.nf === null || stage.nf < 0) {
+                throw new Error(`${label}: please enter a noise figure of 0 dB or more`);
+            }
+            return {
+                name: definition.name,
+                detail,
+                gain,
+                nf: stage.nf,
+                oip3: stage.oip3 === null ? Infinity : stage.oip3,
+                p1db: stage.p1db === null ? Infinity : stage.p1db
+            };
+        });
+        
+        const cascade = cascadeLineup(stages);
+        const noiseFloor = 10 * Math.log10(CONSTANTS.BOLTZMANN * CONSTANTS.T0 * bwHz * 1000) + cascade.nf;
+        const sensitivity = noiseFloor + snr;
+        const sfdr = 2 / 3 * (cascade.iip3 - noiseFloor);
+        const compressionRange = cascade.ip1db - noiseFloor;
+        const noiseTemperature = CONSTANTS.T0 * (Math.pow(10, cascade.nf / 10) - 1);
+        
+        const dbm = (v) => isFinite(v) ? `${formatNumber(v, 1)} dBm` : '∞';
+        const db = (v) => isFinite(v) ? `${formatNumber(v, 1)} dB` : '∞';
+        const percent = (share) => `${formatNumber(100 * share, 1)}%`;
+        const largest = (key) => cascade.stages.reduce((best, s, i) => s[key] > cascade.stages[best][key] ? i : best, 0);
+        const noiseLeader = largest('noiseShare');
+        const ip3Leader = largest('ip3Share');
+        const bwBest = getAppropriateUnit(bwHz, CONSTANTS.FREQ_UNITS, 'Hz');
+        
+        lineupDesign = {
+            labels: stages.map((s, i) => `${i + 1}. ${s.name}`),
+            noise: cascade.stages.map(s => 100 * s.noiseShare),
+            ip3: cascade.stages.map(s => 100 * s.ip3Share)
+        };
+        
+        const warnings = [];
+        const firstGain = stages.findIndex(s => s.gain > 0);
+        const lossAhead = stages.slice(0, Math.max(firstGain, 0)).reduce((sum, s) => sum - s.gain, 0);
+        if (lossAhead >= 0.5) {
+            warnings.push(`${formatNumber(lossAhead, 2)} dB of loss ahead of the first gain stage adds directly to the noise figure`);
+        }
+        if (noiseLeader > Math.max(firstGain, 0) && cascade.stages[noiseLeader].noiseShare > 0.5) {
+            warnings.push(`Stage ${noiseLeader + 1} (${stages[noiseLeader].name}) adds most of the noise - more gain ahead of it would lower the NF`);
+        }
+        if (isFinite(cascade.iip3) && cascade.stages[ip3Leader].ip3Share > 0.5 && ip3Leader > 0 && cascade.stages[ip3Leader - 1].gain > 20) {
+            warnings.push(`Stage ${ip3Leader + 1} (${stages[ip3Leader].name}) sets the IP3 behind ${formatNumber(cascade.stages[ip3Leader - 1].gain, 1)} dB of gain - raise its OIP3 or trim the gain ahead of it`);
+        }
+        if (sfdr < 0) {
+            warnings.push('The input IP3 is below the noise floor - no spurious-free range in this bandwidth');
+        }
+        
+        let rows = '';
+        stages.forEach((stage, i) => {
+            const s = cascade.stages[i];
+            rows += `<tr${i === noiseLeader ? ' class="highlight-row"' : ''}>
+                <td>${i + 1}</td>
+                <td>${stage.detail}</td>
+                <td>${formatNumber(stage.gain, 2)}</td>
+                <td>${formatNumber(stage.nf, 2)}</td>
+                <td>${isFinite(stage.oip3) ? formatNumber(stage.oip3, 1) : '∞'}</td>
+                <td>${isFinite(stage.p1db) ? formatNumber(stage.p1db, 1) : '∞'}</td>
+                <td>${formatNumber(s.gain, 2)}</td>
+                <td>${formatNumber(s.nf, 2)}</td>
+                <td>${isFinite(s.iip3) ? formatNumber(s.iip3, 1) : '∞'}</td>
+                <td>${percent(s.noiseShare)}</td>
+                <td>${percent(s.ip3Share)}</td>
+            </tr>`;
+        });
+        
+        let html = `
+            <h4>Cascaded Lineup (${stages.length} stages)</h4>
+            <div class="result-grid">
+                <div class="result-item">
+                    <strong>Cascade:</strong>
+                    <ul>
+                        <li>Gain: ${formatNumber(cascade.gain, 2)} dB</li>
+                        <li>Noise figure: ${formatNumber(cascade.nf, 2)} dB</li>
+                        <li>Noise temperature: ${formatNumber(noiseTemperature, 1)} K</li>
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>Linearity:</strong>
+                    <ul>
+                        <li>IIP3: ${dbm(cascade.iip3)}</li>
+                        <li>OIP3: ${dbm(cascade.oip3)}</li>
+                        <li>Input P1dB: ${dbm(cascade.ip1db)}</li>
+                        <li>Output P1dB: ${dbm(cascade.op1db)}</li>
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>In ${formatNumber(bwBest.value, 4)} ${bwBest.unit}:</strong>
+                    <ul>
+                        <li>Noise floor: ${dbm(noiseFloor)}</li>
+                        <li>Sensitivity (SNR ${formatNumber(snr, 1)} dB): ${dbm(sensitivity)}</li>
+                        <li>SFDR: ${db(sfdr)}</li>
+                        <li>Compression dynamic range: ${db(compressionRange)}</li>
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>Largest Contributors:</strong>
+                    <ul>
+                        <li>Noise: stage ${noiseLeader + 1} (${stages[noiseLeader].name}), ${percent(cascade.stages[noiseLeader].noiseShare)}</li>
+                        <li>IP3: ${isFinite(cascade.iip3) ? `stage ${ip3Leader + 1} (${stages[ip3Leader].name}), ${percent(cascade.stages[ip3Leader].ip3Share)}` : 'none (all stages linear)'}</li>
+                    </ul>
+                </div>
+            </div>
+            
+            <div class="iot-table-scroll">
+                <table class="iot-comparison-table">
+                    <thead>
+                        <tr><th>#</th><th>Stage</th><th>Gain (dB)</th><th>NF (dB)</th><th>OIP3 (dBm)</th><th>OP1dB (dBm)</th>
+                            <th>Cum. Gain (dB)</th><th>Cum. NF (dB)</th><th>Cum. IIP3 (dBm)</th><th>Noise Share</th><th>IP3 Share</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+            
+            <button class="btn" onclick="showChart('lineup', lineupDesign)">Plot Contributions</button>
+            
+            <div class="info-section">
+                <p><strong>Notes:</strong></p>
+                <ul>
+                    ${warnings.map(w => `<li>⚠ ${w}</li>`).join('')}
+                    <li>Noise figure uses the Friis formula at ${CONSTANTS.T0} K; passive stages have NF equal to their loss</li>
+                    <li>IP3 and P1dB cascade as in-phase input-referred terms (worst case); stage shares are of the input-referred total</li>
+                    <li>Sensitivity = kTB + NF + SNR; SFDR = ⅔(IIP3 − noise floor)</li>
+                    <li>Cable loss scales from the 1 GHz figure as √f</li>
+                </ul>
+            </div>`;
+        
+        document.getElementById('lineup-results').innerHTML = html;
+        
+    } catch (error) {
+        document.getElementById('lineup-results').innerHTML = 
+            `<div class="error">Error: ${error.message}</div>`;
+    }
+}
+
+// Mixer spur planner state
+let spurDesign = null;
+
+/**
+ * Label a mixer product m×RF ± n×LO
+ * @param {number} m - RF harmonic
+ * @param {number} n - LO harmonic
+ * @param {number} sign - 1 for the sum, -1 for the difference
+ * @returns {string} Product label
+ */
+function spurProductLabel(m, n, sign) {
+    if (m === 0) return `${n}×LO`;
+    if (n === 0) return `${m}×RF`;
+    return `${m}×RF ${sign > 0 ? '+' : '−'} ${n}×LO`;
+}
+
+/**
+ * Find the RF frequencies at which |m×RF ± n×LO| falls in the IF passband
+ * @param {Object} plan - {rfLow, rfHigh, lo, ifLow, ifHigh} in Hz
+ * @param {number} maxOrder - Highest m + n to enumerate
+ * @returns {Array} [{m, n, sign, order, from, to}] in order of m + n, one per RF interval
+ */
+function findMixerSpurs(plan, maxOrder) {
+    const spurs = [];
+    for (let order = 1; order <= maxOrder; order++) {
+        for (let m = 0; m <= order; m++) {
+            const n = order - m;
+            // Sum and difference coincide when either harmonic is zero
+            const signs = m === 0 || n === 0 ? [1] : [1, -1];
+            for (const sign of signs) {
+                const offset = sign * n * plan.lo;
+                let intervals;
+                if (m === 0) {
+                    intervals = n * plan.lo >= plan.ifLow && n * plan.lo <= plan.ifHigh ?
+                        [[plan.rfLow, plan.rfHigh]] : [];
+                } else {
+                    // m×RF + offset in [ifLow, ifHigh], or folded into [−ifHigh, −ifLow]
+                    intervals = [
+                        [(plan.ifLow - offset) / m, (plan.ifHigh - offset) / m],
+                        [(-plan.ifHigh - offset) / m, (-plan.ifLow - offset) / m]
+                    ];
+                }
+                intervals.forEach(([from, to]) => {
+                    from = Math.max(from, plan.rfLow);
+                    to = Math.min(to, plan.rfHigh);
+                    if (from <= to) spurs.push({ m, n, sign, order, from, to });
+                });
+            }
+        }
+    }
+    return spurs;
+}
+
+/**
+ * Two-tone and three-tone intermodulation products of a set of transmitters
+ * @param {Array} transmitters - Frequencies in Hz
+ * @returns {Array} [{order, label, frequency}] with positive frequencies only
+ */
+function intermodProducts(transmitters) {
+    const products = [];
+    const name = (i) => `f${i + 1}`;
+    transmitters.forEach((fi, i) => {
+        transmitters.forEach((fj, j) => {
+            if (i === j) return;
+            products.push({ order: 3, label: `2${name(i)} − ${name(j)}`, frequency: 2 * fi - fj });
+            products.push({ order: 5, label: `3${name(i)} − 2${name(j)}`, frequency: 3 * fi - 2 * fj });
+            // Three-tone products fi + fj − fk, each pair once
+            if (j < i) return;
+            transmitters.forEach((fk, k) => {
+                if (k === i || k === j) return;
+                products.push({ order: 3, label: `${name(i)} + ${name(j)} − ${name(k)}`, frequency: fi + fj - fk });
+            });
+        });
+    });
+    return products.filter(p => p.frequency > 0);
+}
+
+/**
+ * Plan a mixer frequency scheme: spur responses, image and transmitter IMD
+ */
+function calculateSpurs() {
+    const rfLow = parseFloat(document.getElementById('spur-rf-low').value);
+    const rfHigh = parseFloat(document.getElementById('spur-rf-high').value);
+    const lo = parseFloat(document.getElementById('spur-lo').value);
+    const injection = document.getElementById('spur-injection').value;
+    const intermediate = parseFloat(document.getElementById('spur-if').value);
+    const ifBandwidth = parseFloat(document.getElementById('spur-if-bw').value);
+    const maxOrder = parseFloat(document.getElementById('spur-order').value);
+    const txText = document.getElementById('spur-tx').value.trim();
+    
+    if (!validateInput(rfLow)) {
+        showError('spur-rf-low', 'Please enter a valid RF frequency');
+        return;
+    }
+    
+    if (!validateInput(rfHigh, rfLow)) {
+        showError('spur-rf-high', 'The upper RF frequency must be at least the lower one');
+        return;
+    }
+    
+    if (!validateInput(lo)) {
+        showError('spur-lo', 'Please enter a valid LO frequency');
+        return;
+    }
+    
+    if (!validateInput(intermediate)) {
+        showError('spur-if', 'Please enter a valid IF');
+        return;
+    }
+    
+    if (!validateInput(ifBandwidth, null, intermediate * 2000)) {
+        showError('spur-if-bw', 'IF bandwidth must be positive and less than twice the IF');
+        return;
+    }
+    
+    if (!Number.isInteger(maxOrder) || !validateInput(maxOrder, 2, CONSTANTS.SPUR.MAX_ORDER)) {
+        showError('spur-order', `Maximum order must be a whole number from 2 to ${CONSTANTS.SPUR.MAX_ORDER}`);
+        return;
+    }
+    
+    const transmitters = txText ? txText.split(/[\s,;]+/).filter(Boolean).map(parseFloat) : [];
+    if (transmitters.some(f => !validateInput(f)) || transmitters.length > CONSTANTS.SPUR.MAX_TRANSMITTERS) {
+        showError('spur-tx', `Enter up to ${CONSTANTS.SPUR.MAX_TRANSMITTERS} transmitter frequencies separated by commas`);
+        return;
+    }
+    
+    ['spur-rf-low', 'spur-rf-high', 'spur-lo', 'spur-if', 'spur-if-bw', 'spur-order', 'spur-tx'].forEach(clearError);
+    
+    try {
+        const ifHz = intermediate * 1e6;
+        const halfBandwidth = ifBandwidth * 1e3 / 2;
+        const plan = {
+            rfLow: rfLow * 1e6,
+            rfHigh: rfHigh * 1e6,
+            lo: lo * 1e6,
+            ifLow: ifHz - halfBandwidth,
+            ifHigh: ifHz + halfBandwidth
+        };
+        const desired = injection === 'high' ? plan.lo - ifHz : plan.lo + ifHz;
+        const image = injection === 'high' ? plan.lo + ifHz : plan.lo - ifHz;
+        if (desired <= 0) {
+            throw new Error('High-side injection needs the LO above the IF');
+        }
+        
+        const mhz = (f) => `${formatNumber(f / 1e6, 4)} MHz`;
+        const inRange = (f) => f >= plan.rfLow && f <= plan.rfHigh;
+        const onChannel = (from, to) => from <= desired + halfBandwidth && to >= desired - halfBandwidth;
+        
+        const spurs = findMixerSpurs(plan, maxOrder)
+            .filter(s => !(s.m === 1 && s.n === 1 && s.sign < 0 && s.from <= desired && s.to >= desired))
+            .map(s => {
+                let type = '';
+                if (s.m === 1 && s.n === 1 && s.sign < 0) type = 'Image';
+                else if (s.m === 0) type = 'LO harmonic';
+                else if (s.n === 0) type = s.m === 1 ? 'IF feedthrough' : 'RF harmonic';
+                else if (s.m === 2 && s.n === 2 && s.sign < 0) type = 'Half-IF';
+                return { ...s, type, birdie: onChannel(s.from, s.to) };
+            })
+            .sort((a, b) => a.order - b.order || a.from - b.from);
+        const birdies = spurs.filter(s => s.birdie);
+        
+        // Spur chart: output frequency of each product crossing the IF, against RF
+        const frequencies = Array.from({ length: CONSTANTS.SPUR.PLOT_POINTS },
+            (_, i) => plan.rfLow + (plan.rfHigh - plan.rfLow) * i / (CONSTANTS.SPUR.PLOT_POINTS - 1));
+        const ceiling = 2 * plan.ifHigh;
+        const trace = (m, n, sign) => frequencies.map(f => {
+            const product = Math.abs(m * f + sign * n * plan.lo);
+            return product <= ceiling ? product / 1e6 : null;
+        });
+        const products = [];
+        spurs.forEach(s => {
+            if (!products.some(p => p.m === s.m && p.n === s.n && p.sign === s.sign)) products.push(s);
+        });
+        spurDesign = {
+            frequencies,
+            desired: trace(1, 1, -1),
+            ifLow: plan.ifLow / 1e6,
+            ifHigh: plan.ifHigh / 1e6,
+            spurs: products.slice(0, CONSTANTS.SPUR.MAX_PLOT_LINES).map(s => ({
+                label: `${spurProductLabel(s.m, s.n, s.sign)} (order ${s.order})`,
+                values: trace(s.m, s.n, s.sign)
+            })),
+            title: `Spur Chart: LO ${mhz(plan.lo)}, IF ${mhz(ifHz)}` +
+                (products.length > CONSTANTS.SPUR.MAX_PLOT_LINES ? ` (lowest ${CONSTANTS.SPUR.MAX_PLOT_LINES} products)` : '')
+        };
+        
+        const warnings = [];
+        if (!inRange(desired)) {
+            warnings.push(`The desired RF ${mhz(desired)} is outside the RF range - check the LO, IF and injection side`);
+        }
+        if (inRange(image)) {
+            warnings.push('The image lies inside the RF range - no preselector can reject it; raise the IF');
+        }
+        if (birdies.length > 0) {
+            warnings.push(`${birdies.length} spur product${birdies.length > 1 ? 's coincide' : ' coincides'} with the desired channel (birdies) - move the LO/IF or filter the harmonics`);
+        }
+        
+        let spurRows = '';
+        spurs.forEach(s => {
+            spurRows += `<tr${s.birdie ? ' class="highlight-row"' : ''}>
+                <td>${s.order}</td>
+                <td>${spurProductLabel(s.m, s.n, s.sign)}</td>
+                <td>${s.to - s.from < 1 ? mhz(s.from) : `${mhz(s.from)} – ${mhz(s.to)}`}</td>
+                <td>${s.type || '—'}${s.birdie ? ' (on channel)' : ''}</td>
+            </tr>`;
+        });
+        
+        let html = `
+            <h4>Frequency Plan: ${mhz(desired)} → ${mhz(ifHz)}</h4>
+            <div class="result-grid">
+                <div class="result-item">
+                    <strong>Conversion:</strong>
+                    <ul>
+                        <li>Desired RF: ${mhz(desired)}</li>
+                        <li>LO: ${mhz(plan.lo)} (${injection}-side)</li>
+                        <li>IF passband: ${mhz(plan.ifLow)} – ${mhz(plan.ifHigh)}</li>
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>Image:</strong>
+                    <ul>
+                        <li>Image frequency: ${image > 0 ? mhz(image) : 'none (LO below IF)'}</li>
+                        <li>${formatNumber(2 * intermediate, 4)} MHz from the desired RF</li>
+                        <li>${inRange(image) ? '⚠ Inside the RF range' :
+                            `${mhz(Math.min(Math.abs(image - plan.rfLow), Math.abs(image - plan.rfHigh)))} outside the RF range`}</li>
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>Spur Responses (order ≤ ${maxOrder}):</strong>
+                    <ul>
+                        <li>${spurs.length} product${spurs.length === 1 ? ' reaches' : 's reach'} the IF from the RF range</li>
+                        <li>Lowest order: ${spurs.length > 0 ? Math.min(...spurs.map(s => s.order)) : '—'}</li>
+                        <li>On the desired channel: ${birdies.length}</li>
+                    </ul>
+                </div>
+            </div>`;
+        
+        if (spurs.length > 0) {
+            html += `
+            <div class="iot-table-scroll">
+                <table class="iot-comparison-table">
+                    <thead>
+                        <tr><th>Order</th><th>Product</th><th>RF Reaching the IF</th><th>Type</th></tr>
+                    </thead>
+                    <tbody>${spurRows}</tbody>
+                </table>
+            </div>`;
+        }
+        
+        if (transmitters.length > 0) {
+            const hits = intermodProducts(transmitters.map(f => f * 1e6))
+                .filter(p => inRange(p.frequency))
+                .map(p => ({ ...p, onChannel: Math.abs(p.frequency - desired) <= halfBandwidth }))
+                .sort((a, b) => a.frequency - b.frequency);
+            const onChannelHits = hits.filter(p => p.onChannel);
+            if (onChannelHits.length > 0) {
+                warnings.push(`${onChannelHits.length} transmitter IMD product${onChannelHits.length > 1 ? 's land' : ' lands'} on the desired channel`);
+            }
+            
+            html += `
+            <h4>Transmitter IMD (${transmitters.map((f, i) => `f${i + 1} = ${formatNumber(f, 4)}`).join(', ')} MHz)</h4>`;
+            if (transmitters.length < 2) {
+                html += `
+            <p>Enter at least two transmitters for intermodulation products.</p>`;
+            } else if (hits.length === 0) {
+                html += `
+            <p>No 3rd- or 5th-order products fall in the RF range.</p>`;
+            } else {
+                html += `
+            <div class="iot-table-scroll">
+                <table class="iot-comparison-table">
+                    <thead>
+                        <tr><th>Order</th><th>Product</th><th>Frequency</th><th>Lands</th></tr>
+                    </thead>
+                    <tbody>${hits.map(p => `<tr${p.onChannel ? ' class="highlight-row"' : ''}>
+                        <td>${p.order}</td>
+                        <td>${p.label}</td>
+                        <td>${mhz(p.frequency)}</td>
+                        <td>${p.onChannel ? 'On channel' : 'In RF range'}</td>
+                    </tr>`).join('')}</tbody>
+                </table>
+            </div>`;
+            }
+        }
+        
+        html += `
+            <button class="btn" onclick="showChart('spur', spurDesign)">Plot Spur Chart</button>
+            
+            <div class="info-section">
+                <p><strong>Notes:</strong></p>
+                <ul>
+                    ${warnings.map(w => `<li>⚠ ${w}</li>`).join('')}
+                    <li>Spur responses are RF inputs whose product |m×RF ± n×LO| falls in the IF passband; low orders are the strongest</li>
+                    <li>The LO is fixed; for a tuned receiver, plan each channel's LO in turn</li>
+                    <li>IMD lists 2f1 − f2, 3f1 − 2f2 and three-tone f1 + f2 − f3 products landing in the RF range</li>
+                </ul>
+            </div>`;
+        
+        document.getElementById('spur-results').innerHTML = html;
+        
+    } catch (error) {
+        document.getElementById('spur-results').innerHTML = 
+            `<div class="error">Error: ${error.message}</div>`;
+    }
+}
+
+// Amplifier designer state: the last analysis and an imported Touchstone sweep
+let amplifierDesign = null;
+let amplifierSweep = null;
+
+/**
+ * Pick a .s2p file and import it into the amplifier designer
+ */
+function importTouchstoneFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.s2p,.txt';
+    
+    input.onchange = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            document.getElementById('amp-s2p-text').value = e.target.result;
+            loadTouchstone();
+        };
+        
+        reader.readAsText(file);
+    };
+    
+    input.click();
+}
+
+/**
+ * Parse the pasted Touchstone file and offer its frequency points
+ */
+function loadTouchstone() {
+    const text = document.getElementById('amp-s2p-text').value;
+    
+    if (!text.trim()) {
+        showError('amp-s2p-text', 'Paste a Touchstone .s2p file or load one');
+        return;
+    }
+    
+    clearError('amp-s2p-text');
+    
+    try {
+        amplifierSweep = parseTouchstone(text);
+        
+        const select = document.getElementById('amp-point');
+        select.innerHTML = '';
+        amplifierSweep.points.forEach((point, i) => {
+            const best = getAppropriateUnit(point.frequency, CONSTANTS.FREQ_UNITS, 'Hz');
+            const option = document.createElement('option');
+            option.value = i;
+            option.textContent = `${formatNumber(best.value, 4)} ${best.unit}`;
+            select.appendChild(option);
+        });
+        select.value = '0';
+        document.getElementById('amp-point-group').style.display = '';
+        document.getElementById('amp-z0').value = amplifierSweep.z0;
+        
+        selectAmplifierPoint();
+    } catch (error) {
+        amplifierSweep = null;
+        document.getElementById('amp-point-group').style.display = 'none';
+        document.getElementById('amp-results').innerHTML = 
+            `<div class="error">Error: ${error.message}</div>`;
+    }
+}
+
+/**
+ * Copy the selected Touchstone point into the S-parameter fields and analyze it
+ */
+function selectAmplifierPoint() {
+    if (!amplifierSweep) return;
+    
+    const point = amplifierSweep.points[parseInt(document.getElementById('amp-point').value)];
+    const unit = point.frequency >= 1e9 ? 'GHz' : 'MHz';
+    document.getElementById('amp-freq').value = parseFloat((point.frequency / CONSTANTS.FREQ_UNITS[unit]).toPrecision(6));
+    document.getElementById('amp-freq-unit').value = unit;
+    ['s11', 's21', 's12', 's22'].forEach(name => {
+        const value = point[name];
+        document.getElementById(`amp-${name}-mag`).value = parseFloat(Complex.abs(value).toPrecision(5));
+        document.getElementById(`amp-${name}-ang`).value = parseFloat((Math.atan2(value.im, value.re) * 180 / Math.PI).toFixed(2));
+    });
+    
+    calculateAmplifier();
+}
+
+/**
+ * Analyze a transistor's S-parameters: stability, maximum gain, stability and
+ * constant-gain circles, the simultaneous conjugate match (or a stable source and
+ * load when there is none) and L-network matching to the reference impedance
+ */
+function calculateAmplifier() {
+    const frequency = parseFloat(document.getElementById('amp-freq').value);
+    const freqUnit = document.getElementById('amp-freq-unit').value;
+    const z0 = parseFloat(document.getElementById('amp-z0').value);
+    
+    if (!validateInput(frequency)) {
+        showError('amp-freq', 'Please enter a valid frequency');
+        return;
+    }
+    
+    if (!validateInput(z0)) {
+        showError('amp-z0', 'Please enter a valid reference impedance');
+        return;
+    }
+    
+    clearError('amp-freq');
+    clearError('amp-z0');
+    
+    const s = {};
+    for (const name of ['s11', 's21', 's12', 's22']) {
+        const magnitude = parseFloat(document.getElementById(`amp-${name}-mag`).value);
+        const angle = parseFloat(document.getElementById(`amp-${name}-ang`).value);
+        // S21 and S12 must be non-zero for K and the gain ratio to exist
+        const valid = name === 's21' || name === 's12' ? validateInput(magnitude) : validateInput(magnitude, 0);
+        if (!valid) {
+            showError(`amp-${name}-mag`, `Please enter a valid ${name.toUpperCase()} magnitude`);
+            return;
+        }
+        if (isNaN(angle)) {
+            showError(`amp-${name}-ang`, `Please enter the ${name.toUpperCase()} angle`);
+            return;
+        }
+        clearError(`amp-${name}-mag`);
+        clearError(`amp-${name}-ang`);
+        s[name] = { re: magnitude * Math.cos(angle * Math.PI / 180), im: magnitude * Math.sin(angle * Math.PI / 180) };
+    }
+    
+    try {
+        const freqHz = convertUnits(frequency, freqUnit, 'Hz', CONSTANTS.FREQ_UNITS);
+        const stability = twoPortStability(s);
+        const maximum = twoPortMaximumGain(s, stability.k);
+        const circles = stabilityCircles(s, stability.delta);
+        const match = stability.unconditional ? conjugateMatch(s, stability.delta) : null;
+        const msg = Complex.abs(s.s21) / Complex.abs(s.s12);
+        const design = match || stableGainDesign(s, stability, circles, msg);
+        const gainCircles = CONSTANTS.AMPLIFIER.GAIN_CIRCLE_STEPS.map(step => {
+            const gain = maximum.gain / Math.pow(10, step / 10);
+            return {
+                step,
+                gain,
+                available: gainCircle(s, stability.delta, stability.k, gain, 'source'),
+                operating: gainCircle(s, stability.delta, stability.k, gain, 'load')
+            };
+        });
+        
+        const db = (ratio) => `${formatNumber(10 * Math.log10(ratio), 2)} dB`;
+        const polar = (g) => `${formatNumber(Complex.abs(g), 3)}∠${formatNumber(Math.atan2(g.im, g.re) * 180 / Math.PI, 1)}°`;
+        const ohms = (z) => `${formatNumber(z.re, 2)} ${z.im < 0 ? '−' : '+'} j${formatNumber(Math.abs(z.im), 2)} Ω`;
+        const impedance = (g) => Complex.scale(Complex.div({ re: 1 + g.re, im: g.im }, { re: 1 - g.re, im: -g.im }), z0);
+        const circleItems = (circle) => `
+                        <li>Centre: ${polar(circle.center)}</li>
+                        <li>Radius: ${formatNumber(circle.radius, 3)}</li>
+                        <li>Stable ${circle.stableInside ? 'inside' : 'outside'} the circle</li>`;
+        
+        amplifierDesign = {
+            source: circles.source,
+            load: circles.load,
+            gammaS: design ? design.source : null,
+            gammaL: design ? design.load : null,
+            designLabel: match ? 'conjugate match' : 'stable design',
+            gainCircles,
+            sweep: null,
+            title: `Stability Circles at ${formatNumber(frequency, 4)} ${freqUnit}`
+        };
+        
+        const warnings = [];
+        let matchHtml = '';
+        if (design) {
+            const zs = impedance(design.source);
+            const zl = impedance(design.load);
+            // A lossless network that matches z0 to conj(Z) presents Z at its far side
+            const networkItems = (target) => designComplexLNetwork(z0, Complex.conj(target), freqHz).map((network, i) => {
+                const presented = complexLNetworkImpedance(network, z0, freqHz);
+                const parts = [];
+                if (network.parallel) {
+                    parts.push(`${network.parallel.type} shunt at the ${network.shunt === 'source' ? `${formatNumber(z0, 1)} Ω port` : 'transistor'}: ${formatComponentValue(network.parallel.value, network.parallel.type, 3)}`);
+                }
+                if (network.series) {
+                    parts.push(`${network.series.type} in series: ${formatComponentValue(network.series.value, network.series.type, 3)}`);
+                }
+                return `
+                        <li>Option ${i + 1}: ${parts.join(', ') || 'direct connection'}</li>
+                        <li>Presents ${ohms(presented)}</li>`;
+            }).join('');
+            
+            if (Complex.abs(design.source) > 0.9 || Complex.abs(design.load) > 0.9) {
+                warnings.push('A match above |Γ| = 0.9 is high-Q: narrowband and sensitive to component tolerance');
+            }
+            if (!match) {
+                warnings.push(`Potentially unstable: no simultaneous conjugate match exists, so Γ_L is taken on the ${db(design.gain)} operating-gain circle (${formatNumber(10 * Math.log10(msg / design.gain), 1)} dB below MSG) with Γ_S = Γ_in*, both at least ${formatNumber(design.margin, 2)} clear of the stability circles and |Γ| = 1 - resistive loading or feedback adds margin`);
+            }
+            
+            matchHtml = `
+                <div class="result-item">
+                    <strong>${match ? 'Conjugate Match' : 'Stable Design'}:</strong>
+                    <ul>
+                        <li>Γ_S = ${polar(design.source)} (Z_S = ${ohms(zs)})</li>
+                        <li>Γ_L = ${polar(design.load)} (Z_L = ${ohms(zl)})</li>
+                        <li>Transducer gain: ${db(transducerGain(s, design.source, design.load))}</li>
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>Input Match (${formatNumber(z0, 1)} Ω → Z_S):</strong>
+                    <ul>${networkItems(zs)}
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>Output Match (Z_L ← ${formatNumber(z0, 1)} Ω):</strong>
+                    <ul>${networkItems(zl)}
+                    </ul>
+                </div>`;
+        } else {
+            warnings.push(`Potentially unstable: no simultaneous conjugate match exists, and no load within ${CONSTANTS.AMPLIFIER.MAX_BACKOFF} dB of the MSG keeps both ports clear of the stability circles - add resistive loading or feedback`);
+        }
+        
+        let sweepHtml = '';
+        if (amplifierSweep) {
+            const sweep = amplifierSweep.points.map(point => {
+                const result = twoPortStability(point);
+                return { frequency: point.frequency, ...result, maximum: twoPortMaximumGain(point, result.k) };
+            });
+            const unstable = sweep.filter(p => !p.unconditional);
+            const worst = sweep.reduce((a, b) => b.mu < a.mu ? b : a);
+            const formatFreq = (f) => {
+                const best = getAppropriateUnit(f, CONSTANTS.FREQ_UNITS, 'Hz');
+                return `${formatNumber(best.value, 4)} ${best.unit}`;
+            };
+            amplifierDesign.sweep = {
+                frequencies: sweep.map(p => p.frequency),
+                k: sweep.map(p => p.k),
+                mu: sweep.map(p => p.mu),
+                gain: sweep.map(p => 10 * Math.log10(p.maximum.gain))
+            };
+            if (unstable.length > 0) {
+                warnings.push(`Potentially unstable at ${unstable.length} of ${sweep.length} file frequencies (${formatFreq(unstable[0].frequency)}${unstable.length > 1 ? ` to ${formatFreq(unstable[unstable.length - 1].frequency)}` : ''})`);
+            }
+            
+            sweepHtml = `
+                <div class="result-item">
+                    <strong>Across the File:</strong>
+                    <ul>
+                        <li>${sweep.length} points, ${formatFreq(sweep[0].frequency)} – ${formatFreq(sweep[sweep.length - 1].frequency)}</li>
+                        <li>Unconditionally stable at ${sweep.length - unstable.length} of ${sweep.length}</li>
+                        <li>Lowest μ: ${formatNumber(worst.mu, 3)} at ${formatFreq(worst.frequency)}</li>
+                    </ul>
+                </div>`;
+        }
+        
+        const gainCircleRows = gainCircles.map(c => `
+                        <tr>
+                            <td>${db(c.gain)} (${maximum.stable ? 'MAG' : 'MSG'} − ${c.step} dB)</td>
+                            <td>${c.available ? polar(c.available.center) : '—'}</td>
+                            <td>${c.available ? formatNumber(c.available.radius, 3) : 'unreachable'}</td>
+                            <td>${c.operating ? polar(c.operating.center) : '—'}</td>
+                            <td>${c.operating ? formatNumber(c.operating.radius, 3) : 'unreachable'}</td>
+                        </tr>`).join('');
+        
+        let html = `
+            <h4>Two-Port at ${formatNumber(frequency, 4)} ${freqUnit} (Z0 = ${formatNumber(z0, 1)} Ω)</h4>
+            <div class="result-grid">
+                <div class="result-item">
+                    <strong>Stability:</strong>
+                    <ul>
+                        <li>Rollett K = ${formatNumber(stability.k, 3)}</li>
+                        <li>|Δ| = ${formatNumber(Complex.abs(stability.delta), 3)}</li>
+                        <li>μ = ${formatNumber(stability.mu, 3)}, μ′ = ${formatNumber(stability.muLoad, 3)}</li>
+                        <li>${stability.unconditional ? 'Unconditionally stable' : '⚠ Potentially unstable'}</li>
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>Gain:</strong>
+                    <ul>
+                        <li>|S21|² (${formatNumber(z0, 1)} Ω terminations): ${db(Complex.abs(s.s21) ** 2)}</li>
+                        <li>${maximum.stable ? 'MAG' : 'MSG'}: ${db(maximum.gain)}</li>
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>Source Stability Circle:</strong>
+                    <ul>${circleItems(circles.source)}
+                    </ul>
+                </div>
+                
+                <div class="result-item">
+                    <strong>Load Stability Circle:</strong>
+                    <ul>${circleItems(circles.load)}
+                    </ul>
+                </div>
+                ${matchHtml}
+                ${sweepHtml}
+            </div>
+            
+            <div class="iot-table-scroll">
+                <table class="iot-comparison-table">
+                    <thead>
+                        <tr>
+                            <th>Gain</th>
+                            <th>G_A circle centre (Γ_S)</th>
+                            <th>G_A radius</th>
+                            <th>G_P circle centre (Γ_L)</th>
+                            <th>G_P radius</th>
+                        </tr>
+                    </thead>
+                    <tbody>${gainCircleRows}
+                    </tbody>
+                </table>
+            </div>
+            
+            <button class="btn" onclick="showChart('stability', amplifierDesign)">Plot Stability &amp; Gain Circles</button>
+            ${amplifierSweep ? `<button class="btn" onclick="showChart('amplifier-sweep', amplifierDesign.sweep)">Plot Stability vs Frequency</button>` : ''}
+            
+            <div class="info-section">
+                <p><strong>Notes:</strong></p>
+                <ul>
+                    ${warnings.map(w => `<li>⚠ ${w}</li>`).join('')}
+                    <li>μ &gt; 1 alone proves unconditional stability; K &gt; 1 needs |Δ| &lt; 1 as well</li>
+                    <li>Check stability at every frequency the device has gain, not only in band</li>
+                    <li>Available-gain circles (source plane) assume a conjugately matched output; operating-gain circles (load plane) a conjugately matched input</li>
+                    <li>The conjugate match gives maximum gain, not minimum noise figure; matching networks are lossless L-sections</li>
+                </ul>
+            </div>`;
+        
+        document.getElementById('amp-results').innerHTML = html;
+        
+    } catch (error) {
+        document.getElementById('amp-results').innerHTML = 
+            `<div class="error">Error: ${error.message}</div>`;
+    }
+}
+
+/**
+ * Update component unit options based on component type
+ */
+function updateComponentUnits() {
+    const componentType = document.getElementById('component-type').value;
+    const unitSelect = document.getElementById('component-unit');
+    
+    // Clear existing options
+    unitSelect.innerHTML = '';
+    
+    if (componentType === 'inductor') {
+        const inductanceUnits = [
+            {value: 'nH', text: 'nH'},
+            {value: 'uH', text: 'µH'},
+            {value: 'mH', text: 'mH'},
+            {value: 'H', text: 'H'}
+        ];
+        
+        inductanceUnits.forEach(unit => {
+            const option = document.createElement('option');
+            option.value = unit.value;
+            option.textContent = unit.text;
+            if (unit.value === 'uH') option.selected = true;
+            unitSelect.appendChild(option);
+        });
+    } else {
+        const capacitanceUnits = [
+            {value: 'pF', text: 'pF'},
+            {value: 'nF', text: 'nF'},
+            {value: 'uF', text: 'µF'},
+            {value: 'mF', text: 'mF'}
+        ];
+        
+        capacitanceUnits.forEach(unit => {
+            const option = document.createElement('option');
+            option.value = unit.value;
+            option.textContent = unit.text;
+            if (unit.value === 'pF') option.selected = true;
+            unitSelect.appendChild(option);
+        });
+    }
+}
+
+// Event listeners
+document.addEventListener('DOMContentLoaded', function() {
+    const componentTypeSelect = document.getElementById('component-type');
+    if (componentTypeSelect) {
+        componentTypeSelect.addEventListener('change', updateComponentUnits);
+        componentTypeSelect.addEventListener('change', applyComponentPackage);
+        // Initialize units
+        updateComponentUnits();
+    }
+    
+    if (document.getElementById('lineup-stages')) {
+        renderLineupEditor(CONSTANTS.LINEUP.DEFAULT_CHAIN.map(lineupStageDefaults));
     }
 });
\ No newline at end of file
@@ -301,6 +301,199 @@ function calculateTransmissionLine() {
     }
 }
 
+// Last L-network design, kept for the netlist simulation
+let matchingDesign = null;
+
+/**
+ * Signed reactance of an ideal L-network element
+ * @param {Object} comp - {type: 'L' or 'C', value} in H or F
+ * @param {number} freqHz - Frequency in Hz
+ * @returns {number} Reactance in ohms, negative for a capacitor
+ */
+function elementReactance(comp, freqHz) {
+    return comp.type === 'L' ? inductiveReactance(freqHz, comp.value) : -capacitiveReactance(freqHz, comp.value);
+}
+
+/**
+ * Two impedances in parallel
+ * @param {Object} a - Complex impedance {re, im}
+ * @param {Object} b - Complex impedance {re, im}
+ * @returns {Object} a·b / (a + b)
+ */
+function parallelImpedance(a, b) {
+    return Complex.div(Complex.mul(a, b), Complex.add(a, b));
+}
+
+/**
+ * Impedance seen by the source looking into a terminated L-network
+ * @param {Object} network - {parallel: {type, value}, series: {type, value}} in H or F
+ * @param {number} rs - Source resistance in ohms
+ * @param {number} rl - Load resistance in ohms
+ * @param {number} freqHz - Frequency in Hz
+ * @returns {Object} Complex impedance {re, im}
+ */
+function lNetworkInputImpedance(network, rs, rl, freqHz) {
+    const zp = { re: 0, im: elementReactance(network.parallel, freqHz) };
+    const zs = { re: 0, im: elementReactance(network.series, freqHz) };
+    const load = { re: rl, im: 0 };
+    
+    // The shunt element sits across the higher resistance
+    return rs > rl ? parallelImpedance(zp, Complex.add(zs, load)) : Complex.add(zs, parallelImpedance(zp, load));
+}
+
+/**
+ * Reactances and the two component choices of an L-network matching rs to rl
+ * @param {number} rs - Source resistance in ohms
+ * @param {number} rl - Load resistance in ohms
+ * @param {number} freqHz - Frequency in Hz
+ * @param {number|null} targetQ - Q to design for, null for the minimum the ratio needs
+ * @returns {Object} {qRequired, q, xp, xs, networks: [network1, network2], configs: [config1, config2]}
+ */
+function designLNetwork(rs, rl, freqHz, targetQ = null) {
+    const omega = 2 * Math.PI * freqHz;
+    
+    // Determine which resistance is higher
+    const rHigh = Math.max(rs, rl);
+    const rLow = Math.min(rs, rl);
+    
+    // Calculate required Q for matching
+    const qRequired = Math.sqrt(rHigh / rLow - 1);
+    const qActual = targetQ || qRequired;
+    
+    // Calculate component values for L-network
+    let xp, xs; // Parallel and series reactances
+    
+    if (rs > rl) {
+        // Step down from source to load
+        xp = rs / qActual;
+        xs = qActual * rl;
+    } else {
+        // Step up from source to load  
+        xs = qActual * rs;
+        xp = rl / qActual;
+    }
+    
+    // Calculate component values
+    const lSeries = Math.abs(xs) / omega;
+    const cSeries = 1 / (Math.abs(xs) * omega);
+    const lParallel = Math.abs(xp) / omega;
+    const cParallel = 1 / (Math.abs(xp) * omega);
+    
+    // Determine network configuration
+    let config1, config2, network1, network2;
+    
+    if (rs > rl) {
+        // High to low impedance
+        config1 = 'C parallel to source, L series to load';
+        config2 = 'L parallel to source, C series to load';
+        network1 = {
+            parallel: { type: 'C', value: cParallel },
+            series: { type: 'L', value: lSeries }
+        };
+        network2 = {
+            parallel: { type: 'L', value: lParallel },
+            series: { type: 'C', value: cSeries }
+        };
+    } else {
+        // Low to high impedance: the shunt element goes across the load
+        config1 = 'C series from source, L parallel to load';
+        config2 = 'L series from source, C parallel to load';
+        network1 = {
+            parallel: { type: 'L', value: lParallel },
+            series: { type: 'C', value: cSeries }
+        };
+        network2 = {
+            parallel: { type: 'C', value: cParallel },
+            series: { type: 'L', value: lSeries }
+        };
+    }
+    
+    return {
+        qRequired,
+        q: qActual,
+        xp,
+        xs,
+        networks: [network1, network2],
+        configs: [config1, config2]
+    };
+}
+
+/**
+ * L-networks matching a source resistance to a complex load, absorbing the load reactance
+ * into the element next to it
+ * @param {number} rs - Source resistance in ohms
+ * @param {Object} zl - Load impedance {re, im}
+ * @param {number} freqHz - Frequency in Hz
+ * @returns {Array} [{parallel, series, shunt, config}] with shunt 'source' or 'load';
+ *   an element the match does not need is null
+ */
+function designComplexLNetwork(rs, zl, freqHz) {
+    const omega = 2 * Math.PI * freqHz;
+    const element = (x) => x > 0 ? { type: 'L', value: x / omega } : { type: 'C', value: -1 / (omega * x) };
+    const name = (comp) => comp ? comp.type : 'no';
+    const tolerance = 1e-6;
+    
+    if (!(zl.re > 0)) {
+        throw new Error('The load must have a positive resistance');
+    }
+    
+    if (zl.re < rs) {
+        // Shunt across the source; the series element also cancels the load reactance
+        return designLNetwork(rs, zl.re, freqHz).networks.map(network => {
+            const x = elementReactance(network.series, freqHz) - zl.im;
+            const series = Math.abs(x) < tolerance * rs ? null : element(x);
+            return {
+                parallel: network.parallel,
+                series,
+                shunt: 'source',
+                config: `${network.parallel.type} parallel to source, ${name(series)} series to load`
+            };
+        });
+    }
+    
+    // Shunt across the load: match to its parallel resistance and cancel its susceptance
+    const magnitude = zl.re * zl.re + zl.im * zl.im;
+    const rp = magnitude / zl.re;
+    const bl = -zl.im / magnitude;
+    const shuntElement = (b) => Math.abs(b) < tolerance / rs ? null : element(-1 / b);
+    
+    if (rp - rs < tolerance * rs) {
+        const parallel = shuntElement(-bl);
+        return [{
+            parallel,
+            series: null,
+            shunt: 'load',
+            config: parallel ? `${parallel.type} parallel to load only` : 'Direct connection (already matched)'
+        }];
+    }
+    
+    return designLNetwork(rs, rp, freqHz).networks.map(network => {
+        const parallel = shuntElement(-1 / elementReactance(network.parallel, freqHz) - bl);
+        return {
+            parallel,
+            series: network.series,
+            shunt: 'load',
+            config: `${network.series.type} series from source, ${name(parallel)} parallel to load`
+        };
+    });
+}
+
+/**
+ * Impedance a designComplexLNetwork network presents at its load side when fed from rs
+ * @param {Object} network - {parallel, series, shunt}
+ * @param {number} rs - Source resistance in ohms
+ * @param {number} freqHz - Frequency in Hz
+ * @returns {Object} Complex impedance {re, im}
+ */
+function complexLNetworkImpedance(network, rs, freqHz) {
+    const impedance = (comp) => ({ re: 0, im: elementReactance(comp, freqHz) });
+    const shunt = (z) => network.parallel ? parallelImpedance(impedance(network.parallel), z) : z;
+    const series = network.series ? impedance(network.series) : { re: 0, im: 0 };
+    const source = { re: rs, im: 0 };
+    
+    return network.shunt === 'source' ? Complex.add(series, shunt(source)) : shunt(Complex.add(series, source));
+}
+
 /**
  * Calculate L-network matching parameters
  */
@@ -330,6 +523,16 @@ function calculateMatching() {
     clearError('match-rl');
     clearError('match-rs');
     
+    const monteCarlo = readMonteCarloSettings('match', ['l', 'c']);
+    if (monteCarlo === false) return;
+    
+    const vswrLimit = parseFloat(document.getElementById('match-mc-vswr').value);
+    if (monteCarlo && !validateInput(vswrLimit, 1)) {
+        showError('match-mc-vswr', 'VSWR limit must be at least 1');
+        return;
+    }
+    clearError('match-mc-vswr');
+    
     if (Math.abs(rs - rl) < 0.1) {
         document.getElementById('matching-results').innerHTML = 
             '<div class="info-section"><p>Source and load resistances are already matched - no matching network needed.</p></div>';
@@ -338,66 +541,19 @@ function calculateMatching() {
     
     try {
         const freqHz = frequency * CONSTANTS.FREQ_UNITS[freqUnit];
-        const omega = 2 * Math.PI * freqHz;
-        
-        // Determine which resistance is higher
         const rHigh = Math.max(rs, rl);
         const rLow = Math.min(rs, rl);
         
-        // Calculate required Q for matching
-        const qRequired = Math.sqrt(rHigh / rLow - 1);
-        const qActual = targetQ && validateInput(targetQ) ? targetQ : qRequired;
-        
-        // Calculate component values for L-network
-        let xp, xs; // Parallel and series reactances
-        
-        if (rs > rl) {
-            // Step down from source to load
-            xp = rs / qActual;
-            xs = qActual * rl;
-        } else {
-            // Step up from source to load  
-            xs = qActual * rs;
-            xp = rl / qActual;
-        }
-        
-        // Calculate component values
-        const lSeries = Math.abs(xs) / omega;
-        const cSeries = 1 / (Math.abs(xs) * omega);
-        const lParallel = Math.abs(xp) / omega;
-        const cParallel = 1 / (Math.abs(xp) * omega);
+        const design = designLNetwork(rs, rl, freqHz, targetQ && validateInput(targetQ) ? targetQ : null);
+        const { qRequired, xp, xs } = design;
+        const qActual = design.q;
+        const [network1, network2] = design.networks;
+        const [config1, config2] = design.configs;
         
         // Calculate bandwidth
         const bandwidth = freqHz / qActual;
         
-        // Determine network configuration
-        let config1, config2, network1, network2;
-        
-        if (rs > rl) {
-            // High to low impedance
-            config1 = 'C parallel to source, L series to load';
-            config2 = 'L parallel to source, C series to load';
-            network1 = {
-                parallel: { type: 'C', value: cParallel },
-                series: { type: 'L', value: lSeries }
-            };
-            network2 = {
-                parallel: { type: 'L', value: lParallel },
-                series: { type: 'C', value: cSeries }
-            };
-        } else {
-            // Low to high impedance
-            config1 = 'L parallel to source, C series to load';
-            config2 = 'C parallel to source, L series to load';
-            network1 = {
-                parallel: { type: 'L', value: lParallel },
-                series: { type: 'C', value: cSeries }
-            };
-            network2 = {
-                parallel: { type: 'C', value: cParallel },
-                series: { type: 'L', value: lSeries }
-            };
-        }
+        matchingDesign = { rs, rl, freqHz, networks: [network1, network2], configs: [config1, config2] };
         
         // Format component values with appropriate units
         function formatComponent(comp) {
@@ -410,6 +566,62 @@ function calculateMatching() {
             }
         }
         
+        // Match achieved with the nearest standard parts and with the best two-part combinations
+        function standardItems(network) {
+            if (componentSeries === 'ideal') return '';
+            const describeMatch = (parallel, series) => {
+                const zin = lNetworkInputImpedance({ parallel, series }, rs, rl, freqHz);
+                const gamma = Math.hypot(zin.re - rs, zin.im) / Math.hypot(zin.re + rs, zin.im);
+                const sign = zin.im < 0 ? '−' : '+';
+                return `Z_in = ${formatNumber(zin.re, 1)} ${sign} j${formatNumber(Math.abs(zin.im), 1)} Ω, VSWR ${formatNumber(gammaToVSWR(gamma), 2)}`;
+            };
+            const choose = (comp) => findComponentCombinations(comp.value, comp.type, componentSeries)[0];
+            const single = (comp) => ({ type: comp.type, value: snapToESeries(comp.value, componentSeries) });
+            const pairP = choose(network.parallel);
+            const pairS = choose(network.series);
+            
+            return `
+                        <li>${componentSeries}: ${network.parallel.type}p = ${formatComponentValue(single(network.parallel).value, network.parallel.type, 3)}, ${network.series.type}s = ${formatComponentValue(single(network.series).value, network.series.type, 3)}</li>
+                        <li>${describeMatch(single(network.parallel), single(network.series))}</li>
+                        <li>Best pairs: ${network.parallel.type}p = ${formatComponentCombination(pairP, network.parallel.type)}, ${network.series.type}s = ${formatComponentCombination(pairS, network.series.type)}</li>
+                        <li>${describeMatch({ type: network.parallel.type, value: pairP.value }, { type: network.series.type, value: pairS.value })}</li>`;
+        }
+        
+        // Achieved VSWR across a production batch, built from the standard parts when snapping is on
+        let monteCarloHtml = '';
+        if (monteCarlo) {
+            const { tolerances, distribution } = monteCarlo;
+            const vary = (comp, value) => ({
+                type: comp.type,
+                value: value * toleranceFactor(comp.type === 'L' ? tolerances.l : tolerances.c, distribution)
+            });
+            
+            const quantities = [network1, network2].map((network, i) => {
+                const parallelValue = buildStandardPart(network.parallel.value, network.parallel.type);
+                const seriesValue = buildStandardPart(network.series.value, network.series.type);
+                const values = Array.from({ length: monteCarlo.runs }, () => {
+                    const zin = lNetworkInputImpedance({
+                        parallel: vary(network.parallel, parallelValue),
+                        series: vary(network.series, seriesValue)
+                    }, rs, rl, freqHz);
+                    return gammaToVSWR(Math.hypot(zin.re - rs, zin.im) / Math.hypot(zin.re + rs, zin.im));
+                });
+                return { label: `VSWR, network ${i + 1}`, unit: '', divisor: 1, digits: 3, values };
+            });
+            
+            const yieldItems = quantities.map((q, i) =>
+                `<li>Network ${i + 1}: ${formatNumber(100 * q.values.filter(v => v <= vswrLimit).length / q.values.length, 1)}% at VSWR ≤ ${formatNumber(vswrLimit, 2)}</li>`);
+            if (componentSeries !== 'ideal') {
+                yieldItems.push(`<li>Nominal parts: best ${componentSeries} values</li>`);
+            }
+            
+            monteCarloHtml = monteCarloResults('match', {
+                title: `L-Network ${formatNumber(rs, 1)} → ${formatNumber(rl, 1)} Ω`,
+                settings: monteCarlo,
+                quantities
+            }, yieldItems);
+        }
+        
         let html = `
             <h4>L-Network Matching Results</h4>
             <div class="result-grid">
@@ -430,7 +642,7 @@ function calculateMatching() {
                         <li>Parallel: ${network1.parallel.type} = ${formatComponent(network1.parallel)}</li>
                         <li>Series: ${network1.series.type} = ${formatComponent(network1.series)}</li>
                         <li>X_parallel = ${formatNumber(xp, 1)} Ω</li>
-                        <li>X_series = ${formatNumber(xs, 1)} Ω</li>
+                        <li>X_series = ${formatNumber(xs, 1)} Ω</li>${standardItems(network1)}
                     </ul>
                 </div>
                 
@@ -440,7 +652,7 @@ function calculateMatching() {
                         <li>Parallel: ${network2.parallel.type} = ${formatComponent(network2.parallel)}</li>
                         <li>Series: ${network2.series.type} = ${formatComponent(network2.series)}</li>
                         <li>X_parallel = ${formatNumber(xp, 1)} Ω</li>
-                        <li>X_series = ${formatNumber(xs, 1)} Ω</li>
+                        <li>X_series = ${formatNumber(xs, 1)} Ω</li>${standardItems(network2)}
                     </ul>
                 </div>
                 
@@ -454,6 +666,10 @@ function calculateMatching() {
                     </ul>
                 </div>
             </div>
+            ${monteCarloHtml}
+            
+            <button class="btn" onclick="simulateMatchingNetwork(0)">Simulate Network 1</button>
+            <button class="btn" onclick="simulateMatchingNetwork(1)">Simulate Network 2</button>
             
             <div class="info-section">
                 <p><strong>Design Notes:</strong></p>
@@ -477,6 +693,32 @@ function calculateMatching() {
     }
 }
 
+/**
+ * Write one of the L-networks as a two-port netlist between the source and
+ * load resistances and simulate it across ±50% of the design frequency
+ * @param {number} index - 0 for network 1, 1 for network 2
+ */
+function simulateMatchingNetwork(index) {
+    if (!matchingDesign) return;
+    
+    const { rs, rl, freqHz, networks, configs } = matchingDesign;
+    const network = networks[index];
+    // The shunt element sits across the higher resistance
+    const shuntNode = rs > rl ? 'in' : 'out';
+    
+    const lines = [
+        `* L-network ${index + 1}: ${configs[index]}`,
+        `P1 in 0 Z0=${formatSpiceValue(rs)}`,
+        `${network.parallel.type}p ${shuntNode} 0 ${formatSpiceValue(network.parallel.value)}`,
+        `${network.series.type}s in out ${formatSpiceValue(network.series.value)}`,
+        `P2 out 0 Z0=${formatSpiceValue(rl)}`,
+        `.ac lin 201 ${formatSpiceValue(freqHz / 2)} ${formatSpiceValue(freqHz * 1.5)}`,
+        '.end'
+    ];
+    
+    openNetlist(lines.join('\n') + '\n');
+}
+
 /**
  * Update VSWR input fields based on input type
  */
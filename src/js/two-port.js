@@ -0,0 +1,264 @@
+// Two-port S-parameter analysis
+//
+// Reads Touchstone v1 .s2p files and computes the small-signal amplifier
+// figures of a transistor: Rollett K, |Δ| and Edwards-Sinsky μ stability,
+// maximum available (or stable) gain, input and output stability circles,
+// constant available-gain and operating-power-gain circles, and either the
+// simultaneous conjugate match or, for a potentially unstable device, a stable
+// source and load on an operating-gain circle. Reflection coefficients are complex
+// {re, im} values using the Complex helpers, normalized to the file's reference
+// impedance.
+
+// Frequency multipliers of the Touchstone option line
+const TOUCHSTONE_UNITS = { HZ: 1, KHZ: 1e3, MHZ: 1e6, GHZ: 1e9 };
+
+/**
+ * Parse a Touchstone v1 two-port (.s2p) file
+ * @param {string} text - File contents
+ * @returns {Object} {z0, points: [{frequency, s11, s21, s12, s22}], warnings}
+ */
+function parseTouchstone(text) {
+    const warnings = [];
+    const points = [];
+    let unit = 1e9;
+    let format = 'MA';
+    let z0 = 50;
+    let options = false;
+    let values = [];
+    
+    const lines = text.split(/\r?\n/);
+    for (let n = 0; n < lines.length; n++) {
+        const line = lines[n].replace(/!.*$/, '').trim();
+        if (!line) continue;
+        
+        if (line.startsWith('#')) {
+            if (options) {
+                warnings.push(`Line ${n + 1}: extra option line ignored`);
+                continue;
+            }
+            options = true;
+            const fields = line.substring(1).trim().toUpperCase().split(/\s+/).filter(Boolean);
+            for (let i = 0; i < fields.length; i++) {
+                const field = fields[i];
+                if (TOUCHSTONE_UNITS[field]) {
+                    unit = TOUCHSTONE_UNITS[field];
+                } else if (['MA', 'DB', 'RI'].includes(field)) {
+                    format = field;
+                } else if (field === 'R') {
+                    z0 = parseFloat(fields[++i]);
+                    if (!(z0 > 0)) {
+                        throw new Error(`Line ${n + 1}: invalid reference impedance`);
+                    }
+                } else if (['Y', 'Z', 'H', 'G'].includes(field)) {
+                    throw new Error(`Line ${n + 1}: only S-parameter files are supported, not ${field}-parameters`);
+                }
+            }
+            continue;
+        }
+        
+        const numbers = line.split(/\s+/).map(Number);
+        if (numbers.some(isNaN)) {
+            throw new Error(`Line ${n + 1}: expected numbers`);
+        }
+        
+        // Noise parameters follow the S-parameters, restarting at a lower frequency
+        if (values.length === 0 && points.length > 0 && numbers[0] * unit <= points[points.length - 1].frequency) {
+            warnings.push('Noise parameters ignored');
+            break;
+        }
+        
+        values.push(...numbers);
+        if (values.length > 9) {
+            throw new Error(`Line ${n + 1}: a two-port frequency point has 9 values`);
+        }
+        if (values.length < 9) continue;
+        
+        const pair = (a, b) => {
+            if (format === 'RI') return { re: a, im: b };
+            const magnitude = format === 'DB' ? Math.pow(10, a / 20) : a;
+            const angle = b * Math.PI / 180;
+            return { re: magnitude * Math.cos(angle), im: magnitude * Math.sin(angle) };
+        };
+        // Version 1 files list S11, S21, S12, S22
+        points.push({
+            frequency: values[0] * unit,
+            s11: pair(values[1], values[2]),
+            s21: pair(values[3], values[4]),
+            s12: pair(values[5], values[6]),
+            s22: pair(values[7], values[8])
+        });
+        values = [];
+    }
+    
+    if (values.length > 0) {
+        throw new Error('The last frequency point is incomplete');
+    }
+    if (points.length === 0) {
+        throw new Error('No S-parameter data found');
+    }
+    if (!options) {
+        warnings.push('No option line - assumed GHz, magnitude/angle, 50 Ω');
+    }
+    
+    return { z0, points, warnings };
+}
+
+/**
+ * Stability of a two-port
+ * @param {Object} s - {s11, s21, s12, s22}
+ * @returns {Object} {delta, k, mu, muLoad, unconditional} where mu tests the source
+ *   side and muLoad the load side; μ > 1 alone proves unconditional stability
+ */
+function twoPortStability(s) {
+    const delta = Complex.sub(Complex.mul(s.s11, s.s22), Complex.mul(s.s12, s.s21));
+    const loop = Complex.abs(Complex.mul(s.s12, s.s21));
+    const s11 = Complex.abs(s.s11);
+    const s22 = Complex.abs(s.s22);
+    
+    const k = (1 - s11 * s11 - s22 * s22 + Complex.abs(delta) ** 2) / (2 * loop);
+    const mu = (1 - s11 * s11) / (Complex.abs(Complex.sub(s.s22, Complex.mul(delta, Complex.conj(s.s11)))) + loop);
+    const muLoad = (1 - s22 * s22) / (Complex.abs(Complex.sub(s.s11, Complex.mul(delta, Complex.conj(s.s22)))) + loop);
+    
+    return { delta, k, mu, muLoad, unconditional: mu > 1 };
+}
+
+/**
+ * Maximum available gain, or the maximum stable gain when K ≤ 1
+ * @param {Object} s - {s11, s21, s12, s22}
+ * @param {number} k - Rollett K
+ * @returns {Object} {gain, stable} with gain as a power ratio; stable is false for MSG
+ */
+function twoPortMaximumGain(s, k) {
+    const ratio = Complex.abs(s.s21) / Complex.abs(s.s12);
+    return k > 1 ? { gain: ratio * (k - Math.sqrt(k * k - 1)), stable: true } : { gain: ratio, stable: false };
+}
+
+/**
+ * Input (source-plane) and output (load-plane) stability circles
+ * @param {Object} s - {s11, s21, s12, s22}
+ * @param {Object} delta - S11·S22 − S12·S21
+ * @returns {Object} {source, load}: each {center, radius, stableInside}, where
+ *   stableInside tells whether the stable region is inside the circle
+ */
+function stabilityCircles(s, delta) {
+    const loop = Complex.abs(Complex.mul(s.s12, s.s21));
+    const delta2 = Complex.abs(delta) ** 2;
+    const circle = (sii, sjj) => {
+        const denominator = Complex.abs(sii) ** 2 - delta2;
+        const center = Complex.scale(Complex.conj(Complex.sub(sii, Complex.mul(delta, Complex.conj(sjj)))), 1 / denominator);
+        const radius = loop / Math.abs(denominator);
+        // Γ = 0 is stable when |Sjj| < 1; the stable side is the one holding the origin
+        const originInside = Complex.abs(center) < radius;
+        return { center, radius, stableInside: originInside === (Complex.abs(sjj) < 1) };
+    };
+    return { source: circle(s.s11, s.s22), load: circle(s.s22, s.s11) };
+}
+
+/**
+ * Simultaneous conjugate match of an unconditionally stable two-port
+ * @param {Object} s - {s11, s21, s12, s22}
+ * @param {Object} delta - S11·S22 − S12·S21
+ * @returns {Object} {source, load} reflection coefficients Γ_MS and Γ_ML
+ */
+function conjugateMatch(s, delta) {
+    const delta2 = Complex.abs(delta) ** 2;
+    const solve = (sii, sjj) => {
+        const b = 1 + Complex.abs(sii) ** 2 - Complex.abs(sjj) ** 2 - delta2;
+        const c = Complex.sub(sii, Complex.mul(delta, Complex.conj(sjj)));
+        const root = Math.sqrt(Math.max(0, b * b - 4 * Complex.abs(c) ** 2));
+        // The root giving |Γ| < 1
+        return Complex.scale(Complex.conj(c), (b - Math.sign(b) * root) / (2 * Complex.abs(c) ** 2));
+    };
+    return { source: solve(s.s11, s.s22), load: solve(s.s22, s.s11) };
+}
+
+/**
+ * Transducer power gain with the given source and load reflection coefficients
+ * @param {Object} s - {s11, s21, s12, s22}
+ * @param {Object} gammaS - Source reflection coefficient
+ * @param {Object} gammaL - Load reflection coefficient
+ * @returns {number} Power ratio
+ */
+function transducerGain(s, gammaS, gammaL) {
+    const one = { re: 1, im: 0 };
+    const denominator = Complex.sub(
+        Complex.mul(Complex.sub(one, Complex.mul(s.s11, gammaS)), Complex.sub(one, Complex.mul(s.s22, gammaL))),
+        Complex.mul(Complex.mul(s.s12, s.s21), Complex.mul(gammaL, gammaS)));
+    return (1 - Complex.abs(gammaS) ** 2) * Complex.abs(s.s21) ** 2 * (1 - Complex.abs(gammaL) ** 2) / Complex.abs(denominator) ** 2;
+}
+
+/**
+ * Constant-gain circle: available gain in the source plane, or operating
+ * power gain in the load plane
+ * @param {Object} s - {s11, s21, s12, s22}
+ * @param {Object} delta - S11·S22 − S12·S21
+ * @param {number} k - Rollett K
+ * @param {number} gain - Gain as a power ratio
+ * @param {string} plane - 'source' (available gain) or 'load' (operating power gain)
+ * @returns {Object|null} {center, radius}, or null when the gain cannot be reached
+ */
+function gainCircle(s, delta, k, gain, plane) {
+    const [sii, sjj] = plane === 'source' ? [s.s11, s.s22] : [s.s22, s.s11];
+    const loop = Complex.abs(Complex.mul(s.s12, s.s21));
+    const g = gain / Complex.abs(s.s21) ** 2;
+    const c = Complex.sub(sii, Complex.mul(delta, Complex.conj(sjj)));
+    const denominator = 1 + g * (Complex.abs(sii) ** 2 - Complex.abs(delta) ** 2);
+    const radicand = 1 - 2 * k * loop * g + (loop * g) ** 2;
+    if (radicand < 0 || Math.abs(denominator) < 1e-12) return null;
+    return {
+        center: Complex.scale(Complex.conj(c), g / denominator),
+        radius: Math.sqrt(radicand) / Math.abs(denominator)
+    };
+}
+
+/**
+ * Reflection coefficient looking into one port with the other terminated
+ * @param {Object} s - {s11, s21, s12, s22}
+ * @param {Object} gamma - Termination on the other port
+ * @param {string} port - 'input' (Γ_in for a load Γ) or 'output' (Γ_out for a source Γ)
+ * @returns {Object} Reflection coefficient
+ */
+function portReflection(s, gamma, port) {
+    const [sii, sjj] = port === 'input' ? [s.s11, s.s22] : [s.s22, s.s11];
+    const one = { re: 1, im: 0 };
+    return Complex.add(sii, Complex.div(Complex.mul(Complex.mul(s.s12, s.s21), gamma), Complex.sub(one, Complex.mul(sjj, gamma))));
+}
+
+/**
+ * Source and load for a potentially unstable two-port: walks the operating-gain
+ * circles down from the MSG in 0.5 dB steps and takes the load on the first
+ * circle where the load and the conjugate source Γ_S = Γ_in* both keep
+ * CONSTANTS.AMPLIFIER.STABILITY_MARGIN from the stability circles and |Γ| = 1
+ * @param {Object} s - {s11, s21, s12, s22}
+ * @param {Object} stability - Result of twoPortStability()
+ * @param {Object} circles - Result of stabilityCircles()
+ * @param {number} msg - Maximum stable gain as a power ratio
+ * @returns {Object|null} {source, load, gain, margin}, or null if no design is found
+ */
+function stableGainDesign(s, stability, circles, msg) {
+    const { STABILITY_MARGIN, MAX_BACKOFF } = CONSTANTS.AMPLIFIER;
+    // Signed distance into the stable region of a stability circle
+    const clearance = (gamma, circle) => {
+        const distance = Complex.abs(Complex.sub(gamma, circle.center)) - circle.radius;
+        return circle.stableInside ? -distance : distance;
+    };
+    
+    for (let backoff = 0.5; backoff <= MAX_BACKOFF + 1e-9; backoff += 0.5) {
+        const gain = msg / Math.pow(10, backoff / 10);
+        const circle = gainCircle(s, stability.delta, stability.k, gain, 'load');
+        if (!circle) continue;
+        
+        let best = null;
+        for (let deg = 0; deg < 360; deg += 2) {
+            const angle = deg * Math.PI / 180;
+            const load = Complex.add(circle.center, { re: circle.radius * Math.cos(angle), im: circle.radius * Math.sin(angle) });
+            if (Complex.abs(load) >= 1) continue;
+            const source = Complex.conj(portReflection(s, load, 'input'));
+            const margin = Math.min(1 - Complex.abs(load), 1 - Complex.abs(source),
+                                    clearance(load, circles.load), clearance(source, circles.source));
+            if (!best || margin > best.margin) best = { source, load, gain, margin };
+        }
+        if (best && best.margin >= STABILITY_MARGIN) return best;
+    }
+    return null;
+}
@@ -2,6 +2,16 @@
 
 let currentTheme = 'light';
 let presets = {};
+let componentSeries = 'ideal';
+
+/**
+ * Whether a stored component-series setting names a known series
+ * @param {string} series - 'ideal' or an E-series name
+ * @returns {boolean} True if the setting can be used
+ */
+function isComponentSeries(series) {
+    return series === 'ideal' || Object.prototype.hasOwnProperty.call(CONSTANTS.E_SERIES, series);
+}
 
 /**
  * Initialize the UI
@@ -14,6 +24,12 @@ function initializeUI() {
         applyTheme(currentTheme);
     }
     
+    // Load standard component series
+    const savedSeries = localStorage.getItem('freqradio-component-series');
+    if (isComponentSeries(savedSeries)) {
+        componentSeries = savedSeries;
+    }
+    
     // Load saved presets
     const savedPresets = localStorage.getItem('freqradio-presets');
     if (savedPresets) {
@@ -97,24 +113,64 @@ function getCalculatorForInput(inputId) {
     // Map input IDs to calculator functions
     const calculatorMap = {
         'freq-wavelength': calculateWavelength,
-        'dipole-freq': calculateDipole,
+        'dipole-freq': autoCalculateDipole,
         'yagi-freq': calculateYagi,
         'loop-freq': calculateLoop,
+        'loop-size': calculateLoop,
+        'loop-tx-power': calculateLoop,
+        'ground-freq': calculateGroundPattern,
+        'ground-height': calculateGroundPattern,
+        'vert-freq': calculateVertical,
+        'vert-height': calculateVertical,
         'patch-freq': calculatePatch,
+        'helix-freq': calculateHelix,
+        'dish-freq': calculateDish,
+        'dish-diameter': calculateDish,
+        'horn-freq': calculateHorn,
+        'moxon-freq': calculateMoxon,
+        'nec-edit-freq': analyzeNecDesign,
         'lc-inductance': calculateLCResonance,
         'lc-capacitance': calculateLCResonance,
         'react-freq': calculateReactance,
         'rlc-resistance': calculateRLC,
+        'lc-mc-runs': calculateLCResonance,
+        'rlc-mc-runs': calculateRLC,
+        'filter-freq':     calculateFilter,
+        'filter-bandwidth': calculateFilter,
+        'filter-order':    calculateFilter,
+        'filter-stop-freq': calculateFilter,
+        'filter-atten':    calculateFilter,
+        'std-value':       calculateStandardValue,
+        'inductor-value':  calculateInductor,
+        'inductor-freq':   calculateInductor,
+        'lineup-freq':     calculateLineup,
+        'lineup-bw':       calculateLineup,
+        'lineup-snr':      calculateLineup,
+        'spur-lo':         calculateSpurs,
+        'spur-if':         calculateSpurs,
+        'spur-order':      calculateSpurs,
+        'spur-tx':         calculateSpurs,
+        'amp-freq':        calculateAmplifier,
+        'amp-z0':          calculateAmplifier,
         'vswr-z0': calculateVSWR,
         'vswr-zl': calculateVSWR,
         'tl-freq': calculateTransmissionLine,
         'match-freq': calculateMatching,
+        'match-mc-runs': calculateMatching,
         'fspl-freq': calculateFSPL,
         'lb-freq': calculateLinkBudget,
+        'lb-tx-azimuth': calculateLinkBudget,
+        'lb-tx-elevation': calculateLinkBudget,
+        'lb-rx-azimuth': calculateLinkBudget,
+        'lb-rx-elevation': calculateLinkBudget,
         'fresnel-freq': calculateFresnel,
         'conv-freq': convertFreqToWavelength,
         'power-input': convertPower,
         'field-power': calculateFieldStrength,
+        'atten-db': calculateAttenuator,
+        'atten-z1': calculateAttenuator,
+        'atten-z2': calculateAttenuator,
+        'atten-power': calculateAttenuator,
         // Radar & Satellite
         'radar-freq':      calculateRadarRange,
         'radar-rcs':       calculateRadarRange,
@@ -124,10 +180,16 @@ function getCalculatorForInput(inputId) {
         'slb-freq':        calculateSatelliteLinkBudget,
         'slb-altitude':    calculateSatelliteLinkBudget,
         'const-altitude':  calculateConstellationCoverage,
+        'array-elements-x': calculateArrayFactor,
+        'array-spacing-x': calculateArrayFactor,
         // IoT Communications
         'lora-payload':    calculateLoRa,
         'iot-lb-freq':     calculateIoTLinkBudget,
         'iot-lb-tx-power': calculateIoTLinkBudget,
+        'iot-lb-tx-azimuth':   calculateIoTLinkBudget,
+        'iot-lb-tx-elevation': calculateIoTLinkBudget,
+        'iot-lb-rx-azimuth':   calculateIoTLinkBudget,
+        'iot-lb-rx-elevation': calculateIoTLinkBudget,
         'iot-batt-capacity': calculateIoTBatteryLife,
         'iot-batt-interval': calculateIoTBatteryLife,
         // BLE
@@ -189,12 +251,14 @@ function applyTheme(theme) {
         themeIcon.textContent = theme === 'dark' ? '☀️' : '🌙';
     }
     
-    // Update chart colors if chart is visible
-    if (currentChart) {
+    // Update chart colors if chart is visible; pattern views redraw in the theme colours
+    if (currentChart && currentChart.options.scales) {
         const isDark = theme === 'dark';
         currentChart.options.scales.x.grid.color = isDark ? 'rgba(255, 255, 255, 0.2)' : 'rgba(128, 128, 128, 0.2)';
         currentChart.options.scales.y.grid.color = isDark ? 'rgba(255, 255, 255, 0.2)' : 'rgba(128, 128, 128, 0.2)';
         currentChart.update();
+    } else if (currentChart) {
+        currentChart.update();
     }
 }
 
@@ -297,6 +361,17 @@ function showSettings() {
                 <input type="checkbox" id="show-graphs" checked>
                 Show interactive graphs
             </label>
+            
+            <label>
+                Component values:
+                <select id="component-series">
+                    <option value="ideal" ${componentSeries === 'ideal' ? 'selected' : ''}>Ideal</option>
+                    <option value="E6" ${componentSeries === 'E6' ? 'selected' : ''}>Snap to E6</option>
+                    <option value="E12" ${componentSeries === 'E12' ? 'selected' : ''}>Snap to E12</option>
+                    <option value="E24" ${componentSeries === 'E24' ? 'selected' : ''}>Snap to E24</option>
+                    <option value="E96" ${componentSeries === 'E96' ? 'selected' : ''}>Snap to E96</option>
+                </select>
+            </label>
         </div>
         
         <div class="settings-section">
@@ -317,6 +392,12 @@ function showSettings() {
         });
     });
     
+    const seriesSelect = document.getElementById('component-series');
+    seriesSelect.addEventListener('change', (e) => {
+        componentSeries = e.target.value;
+        localStorage.setItem('freqradio-component-series', componentSeries);
+    });
+    
     modal.style.display = 'block';
 }
 
@@ -335,11 +416,11 @@ function showHelp() {
             
             <h4>Calculator Categories:</h4>
             <ul>
-                <li><strong>Antenna:</strong> Wavelength, dipole, Yagi, loop, and patch antenna calculations</li>
-                <li><strong>RF Circuits:</strong> LC resonance, reactance, and RLC circuit analysis</li>
-                <li><strong>Transmission:</strong> VSWR, transmission line parameters, and matching networks</li>
-                <li><strong>Propagation:</strong> Path loss, link budgets, and Fresnel zones</li>
-                <li><strong>Conversions:</strong> Frequency/wavelength, power, and field strength conversions</li>
+                <li><strong>Antenna:</strong> Wavelength, dipole (including multiband trap and fan dipoles), Yagi (with optimizer), LPDA, cubical quad, Moxon rectangle, loop, short loaded vertical, patch, helix, dish and horn antenna calculations, plus elevation patterns and take-off angle over real ground, and vendor pattern import (MSI/Planet, .ant, CSV) for the link budgets</li>
+                <li><strong>RF Circuits:</strong> LC resonance, reactance (ideal, or with ESR/ESL/winding-capacitance package models showing SRF, effective value and Q) and RLC circuit analysis (with a Monte Carlo tolerance mode giving percentiles, histograms and in-band yield), LC ladder filter design (Butterworth, Chebyshev, Bessel, elliptic), an AC netlist simulator (SPICE-style R, L, C, K, T elements with S-parameter ports) that also checks the filter and L-network designs, a standard value finder (E6–E96 parts and two-part combinations; set Settings → Component values to snap every result), an inductor designer (air-core coils with Nagaoka inductance and self-resonance, or Micrometals/Fair-Rite toroids with turns, wire length and flux check), an RF lineup analyzer (ordered amplifier, filter, mixer, attenuator and cable stages giving cascaded NF, IP3 and P1dB, sensitivity and SFDR with per-stage contributions), a mixer spur planner (m×RF ± n×LO products reaching the IF, image frequency, spur chart and transmitter 3rd/5th-order IMD), and an amplifier stability and matching module (typed S-parameters or a Touchstone .s2p file; K, |Δ| and μ, MAG/MSG, stability circles, constant available-gain and operating-power-gain circles, simultaneous conjugate match or, for a potentially unstable device, a stable design on an operating-gain circle clear of the stability circles, and L-network input/output matching)</li>
+                <li><strong>Transmission:</strong> VSWR, transmission line parameters, and matching networks (with Monte Carlo VSWR yield over component tolerances)</li>
+                <li><strong>Propagation:</strong> Path loss, link budgets (with imported antenna patterns and pointing angles), and Fresnel zones</li>
+                <li><strong>Conversions:</strong> Frequency/wavelength, power, and field strength conversions; Pi, T, bridged-T and minimum-loss attenuator pads with standard resistor values</li>
                 <li><strong>Radar &amp; Satellite:</strong> Radar range equation, pulse parameters, EW/jamming, orbital parameters, Starlink/LEO/GEO link budget, constellation coverage</li>
                 <li><strong>IoT Communications:</strong> LoRa/LoRaWAN time on air &amp; link budget, generic IoT link budget (LoRa, BLE, Zigbee, NB-IoT, LTE-M, Sigfox, Z-Wave, Wi-Fi HaLow), battery life estimator, technology comparison table, <strong>BLE calculator</strong> (1M/2M/Coded S=2/S=8 — ToA, link budget, power, PHY comparison)</li>
             </ul>
@@ -352,7 +433,7 @@ function showHelp() {
                 <li>Select appropriate units from dropdown menus</li>
                 <li>Click "Calculate" or wait for auto-calculation</li>
                 <li>Review results and additional information</li>
-                <li>Use "Plot" buttons to visualize data (where available)</li>
+                <li>Use "Plot" buttons to visualize data (where available); radiation patterns open as polar E/H-plane cuts, and the 3D button shows a surface you can drag to rotate</li>
             </ol>
         </div>
         
@@ -547,6 +628,7 @@ function loadPreset(name) {
 function exportSettings() {
     const settings = {
         theme: currentTheme,
+        componentSeries: componentSeries,
         presets: presets,
         version: '0.1',
         timestamp: Date.now()
@@ -586,6 +668,11 @@ function importSettings() {
                     localStorage.setItem('freqradio-theme', currentTheme);
                 }
                 
+                if (isComponentSeries(settings.componentSeries)) {
+                    componentSeries = settings.componentSeries;
+                    localStorage.setItem('freqradio-component-series', componentSeries);
+                }
+                
                 if (settings.presets) {
                     presets = settings.presets;
                     localStorage.setItem('freqradio-presets', JSON.stringify(presets));
@@ -616,6 +703,10 @@ function resetSettings() {
     applyTheme(currentTheme);
     localStorage.removeItem('freqradio-theme');
     
+    // Reset component values to ideal
+    componentSeries = 'ideal';
+    localStorage.removeItem('freqradio-component-series');
+    
     // Clear presets
     presets = {};
     localStorage.removeItem('freqradio-presets');
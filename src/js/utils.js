@@ -94,6 +94,16 @@ function formatNumber(value, precision = 3, scientific = false) {
     return parseFloat(value.toFixed(precision)).toString();
 }
 
+/**
+ * Escape text from files or user input for use inside HTML
+ * @param {string} text - Raw text
+ * @returns {string} Text with &, <, >, " and ' replaced by entities
+ */
+function escapeHtml(text) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(text).replace(/[&<>"']/g, ch => entities[ch]);
+}
+
 /**
  * Get the appropriate unit prefix for a value
  * @param {number} value - Value to analyze
@@ -118,6 +128,178 @@ function getAppropriateUnit(value, unitMap, baseUnit) {
     return { value, unit: baseUnit };
 }
 
+/**
+ * Format a resistance, inductance or capacitance with a readable prefix
+ * @param {number} value - Value in Ω, H or F
+ * @param {string} type - 'R', 'L' or 'C'
+ * @param {number} precision - Significant figures
+ * @returns {string} e.g. "1.234 µH"
+ */
+function formatComponentValue(value, type, precision = 4) {
+    const units = { R: CONSTANTS.RESISTANCE_UNITS, L: CONSTANTS.INDUCTANCE_UNITS, C: CONSTANTS.CAPACITANCE_UNITS }[type];
+    const symbols = { ohm: 'Ω', kohm: 'kΩ', mohm: 'MΩ' };
+    
+    // Largest prefix that keeps the mantissa at 1 or more, else the smallest one
+    const sorted = Object.entries(units).sort(([,a], [,b]) => b - a);
+    const [unit, factor] = sorted.find(([, f]) => Math.abs(value) >= f * (1 - 1e-9)) || sorted[sorted.length - 1];
+    return `${parseFloat((value / factor).toPrecision(precision))} ${symbols[unit] || unit.replace('u', 'µ')}`;
+}
+
+/**
+ * Nearest standard value of an E-series
+ * @param {number} value - Ideal value (any unit)
+ * @param {string} series - 'E6', 'E12', 'E24' or 'E96'
+ * @returns {number} Standard value in the same unit
+ */
+function snapToESeries(value, series) {
+    const decade = Math.floor(Math.log10(value));
+    let best = value;
+    let bestDistance = Infinity;
+    
+    // Compare on a log scale; the neighbouring decades cover values near 1 and 10
+    for (let d = decade - 1; d <= decade + 1; d++) {
+        CONSTANTS.E_SERIES[series].forEach(mantissa => {
+            const candidate = mantissa * Math.pow(10, d);
+            const distance = Math.abs(Math.log(candidate / value));
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        });
+    }
+    
+    return parseFloat(best.toPrecision(3));
+}
+
+/**
+ * Standard values of an E-series within a range
+ * @param {number} low - Lower bound
+ * @param {number} high - Upper bound
+ * @param {string} series - 'E6', 'E12', 'E24' or 'E96'
+ * @returns {Array} Values in ascending order
+ */
+function eSeriesValues(low, high, series) {
+    const values = [];
+    for (let d = Math.floor(Math.log10(low)); d <= Math.floor(Math.log10(high)); d++) {
+        CONSTANTS.E_SERIES[series].forEach(mantissa => {
+            const value = parseFloat((mantissa * Math.pow(10, d)).toPrecision(3));
+            if (value >= low && value <= high) values.push(value);
+        });
+    }
+    return values;
+}
+
+/**
+ * Best standard values or two-part series/parallel combinations for a component
+ * @param {number} target - Ideal value in Ω, H or F
+ * @param {string} type - 'R', 'L' or 'C'
+ * @param {string} series - 'E6', 'E12', 'E24' or 'E96'
+ * @param {number} limit - Number of candidates to return
+ * @returns {Array} [{arrangement: 'single'|'series'|'parallel', parts, value, error}] best first,
+ *   with error as a fraction of the target
+ */
+function findComponentCombinations(target, type, series, limit = 1) {
+    const single = snapToESeries(target, series);
+    const candidates = [{ arrangement: 'single', parts: [single], value: single }];
+    
+    // Capacitors add in parallel; resistors and inductors add in series
+    const adding = type === 'C' ? 'parallel' : 'series';
+    const reciprocal = type === 'C' ? 'series' : 'parallel';
+    
+    // The larger part of a sum is at least half the target
+    eSeriesValues(target / 2, target, series).forEach(a => {
+        if (a >= target) return;
+        const b = snapToESeries(target - a, series);
+        candidates.push({ arrangement: adding, parts: [a, b], value: a + b });
+    });
+    
+    // The smaller part of a reciprocal sum is at most twice the target
+    eSeriesValues(target, 2 * target, series).forEach(a => {
+        if (a <= target) return;
+        const b = snapToESeries(1 / (1 / target - 1 / a), series);
+        candidates.push({ arrangement: reciprocal, parts: [a, b], value: a * b / (a + b) });
+    });
+    
+    candidates.forEach(c => { c.error = c.value / target - 1; });
+    // Prefer a single part unless a pair is clearly closer
+    candidates.sort((x, y) => Math.abs(x.error) + (x.parts.length - 1) * 1e-4 -
+                              Math.abs(y.error) - (y.parts.length - 1) * 1e-4);
+    return candidates.slice(0, limit);
+}
+
+/**
+ * Describe a standard-value choice, e.g. "33 pF ∥ 4.7 pF"
+ * @param {Object} choice - Result of findComponentCombinations()
+ * @param {string} type - 'R', 'L' or 'C'
+ * @returns {string} Parts joined with ∥ (parallel) or "in series with"
+ */
+function formatComponentCombination(choice, type) {
+    return choice.parts.map(v => formatComponentValue(v, type, 3))
+        .join(choice.arrangement === 'parallel' ? ' ∥ ' : ' in series with ');
+}
+
+/**
+ * Format a fractional error as a signed percentage
+ * @param {number} error - Fractional error
+ * @returns {string} e.g. "+1.23%"
+ */
+function formatPercentError(error) {
+    return `${error >= 0 ? '+' : '−'}${formatNumber(Math.abs(error) * 100, 2)}%`;
+}
+
+/**
+ * Random factor for a component with a tolerance
+ * @param {number} tolerance - Tolerance as a fraction (0.05 for ±5%)
+ * @param {string} distribution - 'uniform' across the tolerance, or 'gaussian' with the tolerance at 3σ
+ * @returns {number} Factor to apply to the nominal value
+ */
+function toleranceFactor(tolerance, distribution) {
+    if (distribution === 'gaussian') {
+        // Box-Muller transform
+        const u = 1 - Math.random();
+        const z = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * Math.random());
+        return 1 + z * tolerance / 3;
+    }
+    return 1 + (2 * Math.random() - 1) * tolerance;
+}
+
+/**
+ * Summary statistics of a set of samples
+ * @param {Array} values - Samples
+ * @returns {Object} {mean, std, min, max, percentile(p)} with p in percent
+ */
+function sampleStatistics(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const n = sorted.length;
+    const mean = sorted.reduce((sum, v) => sum + v, 0) / n;
+    const variance = sorted.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / Math.max(n - 1, 1);
+    
+    // Linear interpolation between closest ranks
+    const percentile = (p) => {
+        const position = (n - 1) * p / 100;
+        const i = Math.floor(position);
+        return i + 1 < n ? sorted[i] + (sorted[i + 1] - sorted[i]) * (position - i) : sorted[n - 1];
+    };
+    
+    return { mean, std: Math.sqrt(variance), min: sorted[0], max: sorted[n - 1], percentile };
+}
+
+/**
+ * Count samples into equal-width bins
+ * @param {Array} values - Samples
+ * @param {number} bins - Number of bins
+ * @returns {Object} {centers, counts}
+ */
+function histogramBins(values, bins) {
+    const min = values.reduce((a, v) => Math.min(a, v), Infinity);
+    const max = values.reduce((a, v) => Math.max(a, v), -Infinity);
+    // All samples equal: a single bin holds them
+    const width = (max - min) / bins || 1;
+    const counts = new Array(bins).fill(0);
+    values.forEach(v => counts[Math.min(Math.floor((v - min) / width), bins - 1)]++);
+    return { centers: counts.map((_, i) => min + (i + 0.5) * width), counts };
+}
+
 /**
  * Calculate reactance of an inductor
  * @param {number} frequency - Frequency in Hz
@@ -138,6 +320,55 @@ function capacitiveReactance(frequency, capacitance) {
     return 1 / (CONSTANTS.TWO_PI * frequency * capacitance);
 }
 
+/**
+ * Impedance of a capacitor or inductor including its parasitics
+ * @param {string} componentType - 'inductor' or 'capacitor'
+ * @param {number} value - Inductance in H or capacitance in F
+ * @param {Object} parasitics - {esr, esl, cp}: a capacitor is ESR + ESL in series with C,
+ *   an inductor is ESR in series with L, shunted by the winding capacitance cp; inductor ESR
+ *   is given at CONSTANTS.INDUCTOR_ESR_REFERENCE and rises as √f (skin effect)
+ * @param {number} frequency - Frequency in Hz
+ * @returns {Object} {real, imaginary} in ohms
+ */
+function componentImpedance(componentType, value, parasitics, frequency) {
+    const omega = CONSTANTS.TWO_PI * frequency;
+    if (componentType === 'capacitor') {
+        return { real: parasitics.esr, imaginary: omega * parasitics.esl - 1 / (omega * value) };
+    }
+    
+    // (R + jX) ∥ 1/(jB) = (R + jX) / ((1 − BX) + jBR)
+    const r = parasitics.esr * Math.sqrt(frequency / CONSTANTS.INDUCTOR_ESR_REFERENCE);
+    const x = omega * value;
+    const b = omega * parasitics.cp;
+    const denRe = 1 - b * x;
+    const denIm = b * r;
+    const den = denRe * denRe + denIm * denIm;
+    return { real: (r * denRe + x * denIm) / den, imaginary: (x * denRe - r * denIm) / den };
+}
+
+/**
+ * ESR of a packaged inductor at CONSTANTS.INDUCTOR_ESR_REFERENCE, from the
+ * package's typical Q
+ * @param {Object} preset - Entry of CONSTANTS.COMPONENT_PACKAGES
+ * @param {number} inductance - Inductance in H
+ * @returns {number} ESR in ohms
+ */
+function packageInductorEsr(preset, inductance) {
+    return inductiveReactance(CONSTANTS.INDUCTOR_ESR_REFERENCE, inductance) / preset.inductor.q;
+}
+
+/**
+ * Self-resonant frequency of a capacitor or inductor with parasitics
+ * @param {string} componentType - 'inductor' or 'capacitor'
+ * @param {number} value - Inductance in H or capacitance in F
+ * @param {Object} parasitics - {esr, esl, cp} as for componentImpedance()
+ * @returns {number} SRF in Hz (Infinity without ESL or winding capacitance)
+ */
+function componentSelfResonance(componentType, value, parasitics) {
+    const partner = componentType === 'capacitor' ? parasitics.esl : parasitics.cp;
+    return partner > 0 ? lcResonantFrequency(value, partner) : Infinity;
+}
+
 /**
  * Calculate LC resonant frequency
  * @param {number} inductance - Inductance in H
@@ -348,6 +579,237 @@ function complexImpedance(real, imaginary) {
     };
 }
 
+/**
+ * Convert a wire or tube diameter to meters
+ * @param {number} value - Diameter value (or AWG gauge number)
+ * @param {string} unit - Length unit from CONSTANTS.LENGTH_UNITS, or 'AWG'
+ * @returns {number} Diameter in meters
+ */
+function wireDiameterToMeters(value, unit) {
+    if (unit === 'AWG') {
+        // d = 0.127 mm × 92^((36 − n) / 39)
+        return 0.127e-3 * Math.pow(92, (36 - value) / 39);
+    }
+    return convertUnits(value, unit, 'm', CONSTANTS.LENGTH_UNITS);
+}
+
+/**
+ * Microstrip width-to-height ratio for a characteristic impedance
+ * (Wheeler/Hammerstad synthesis)
+ * @param {number} z0 - Characteristic impedance in ohms
+ * @param {number} er - Substrate relative permittivity (1 for air)
+ * @returns {number} W/h ratio
+ */
+function microstripWidthRatio(z0, er) {
+    const a = z0 / 60 * Math.sqrt((er + 1) / 2) + (er - 1) / (er + 1) * (0.23 + 0.11 / er);
+    // The narrow-strip formula goes negative for low impedances, which need the wide one
+    const narrow = 8 * Math.exp(a) / (Math.exp(2 * a) - 2);
+    if (narrow > 0 && narrow < 2) return narrow;
+    
+    const b = 377 * Math.PI / (2 * z0 * Math.sqrt(er));
+    return 2 / Math.PI * (b - 1 - Math.log(2 * b - 1) +
+        (er - 1) / (2 * er) * (Math.log(b - 1) + 0.39 - 0.61 / er));
+}
+
+/**
+ * Effective permittivity of a microstrip line (Hammerstad)
+ * @param {number} er - Substrate relative permittivity
+ * @param {number} wOverH - Strip width to substrate height ratio
+ * @returns {number} Effective relative permittivity
+ */
+function microstripEffectivePermittivity(er, wOverH) {
+    let eEff = (er + 1) / 2 + (er - 1) / 2 / Math.sqrt(1 + 12 / wOverH);
+    if (wOverH < 1) {
+        eEff += (er - 1) / 2 * 0.04 * Math.pow(1 - wOverH, 2);
+    }
+    return eEff;
+}
+
+/**
+ * Integrate a function with Simpson's rule
+ * @param {Function} f - Integrand
+ * @param {number} a - Lower limit
+ * @param {number} b - Upper limit
+ * @param {number} steps - Number of intervals (made even)
+ * @returns {number} Integral estimate
+ */
+function simpsonIntegral(f, a, b, steps = 200) {
+    const n = steps + (steps % 2);
+    const h = (b - a) / n;
+    let sum = f(a) + f(b);
+    for (let i = 1; i < n; i++) {
+        sum += (i % 2 === 0 ? 2 : 4) * f(a + i * h);
+    }
+    return sum * h / 3;
+}
+
+/**
+ * Bessel function of the first kind of integer order, from the integral
+ * Jn(x) = (1/π)∫₀^π cos(nτ − x·sin τ) dτ (Simpson's rule)
+ * @param {number} n - Integer order
+ * @param {number} x - Argument
+ * @returns {number} Jn(x)
+ */
+function besselJ(n, x) {
+    // Accurate to ~1e-8 for |x| up to ~30
+    return simpsonIntegral(tau => Math.cos(n * tau - x * Math.sin(tau)), 0, Math.PI, 64) / Math.PI;
+}
+
+/**
+ * Fresnel plane-wave reflection coefficient of a lossy ground
+ * @param {number} epsilonRe - Relative permittivity εr
+ * @param {number} epsilonIm - Imaginary part of the complex permittivity (−60·λ·σ)
+ * @param {number} elevation - Grazing angle above the horizon in radians
+ * @param {string} polarization - 'horizontal' or 'vertical'
+ * @returns {Object} {re, im} reflection coefficient
+ */
+function fresnelReflection(epsilonRe, epsilonIm, elevation, polarization) {
+    const sin = Math.sin(elevation);
+    const cos = Math.cos(elevation);
+    
+    // root = √(εc − cos²ψ), principal branch
+    const a = epsilonRe - cos * cos;
+    const mag = Math.hypot(a, epsilonIm);
+    const rootRe = Math.sqrt((mag + a) / 2);
+    const rootIm = Math.sign(epsilonIm) * Math.sqrt((mag - a) / 2);
+    
+    // Γh = (sinψ − root)/(sinψ + root), Γv = (εc·sinψ − root)/(εc·sinψ + root)
+    const scaleRe = polarization === 'vertical' ? epsilonRe * sin : sin;
+    const scaleIm = polarization === 'vertical' ? epsilonIm * sin : 0;
+    const numRe = scaleRe - rootRe;
+    const numIm = scaleIm - rootIm;
+    const denRe = scaleRe + rootRe;
+    const denIm = scaleIm + rootIm;
+    const den = denRe * denRe + denIm * denIm;
+    
+    return {
+        re: (numRe * denRe + numIm * denIm) / den,
+        im: (numIm * denRe - numRe * denIm) / den
+    };
+}
+
+/**
+ * Complex arithmetic on {re, im} values, shared by the filter, matching and two-port code
+ */
+const Complex = {
+    add: (a, b) => ({ re: a.re + b.re, im: a.im + b.im }),
+    sub: (a, b) => ({ re: a.re - b.re, im: a.im - b.im }),
+    mul: (a, b) => ({ re: a.re * b.re - a.im * b.im, im: a.re * b.im + a.im * b.re }),
+    div: (a, b) => {
+        const d = b.re * b.re + b.im * b.im;
+        return { re: (a.re * b.re + a.im * b.im) / d, im: (a.im * b.re - a.re * b.im) / d };
+    },
+    scale: (a, k) => ({ re: a.re * k, im: a.im * k }),
+    abs: (a) => Math.hypot(a.re, a.im),
+    conj: (a) => ({ re: a.re, im: -a.im }),
+    sqrt: (a) => {
+        const r = Complex.abs(a);
+        const re = Math.sqrt((r + a.re) / 2);
+        const im = Math.sqrt(Math.max(0, (r - a.re) / 2));
+        return { re, im: a.im < 0 ? -im : im };
+    },
+    cos: (a) => ({ re: Math.cos(a.re) * Math.cosh(a.im), im: -Math.sin(a.re) * Math.sinh(a.im) }),
+    sin: (a) => ({ re: Math.sin(a.re) * Math.cosh(a.im), im: Math.cos(a.re) * Math.sinh(a.im) }),
+    // asin(z) = −j·ln(jz + √(1 − z²))
+    asin: (a) => {
+        const w = Complex.add({ re: -a.im, im: a.re }, Complex.sqrt(Complex.sub({ re: 1, im: 0 }, Complex.mul(a, a))));
+        return { re: Math.atan2(w.im, w.re), im: -Math.log(Complex.abs(w)) };
+    }
+};
+
+/**
+ * Solve a dense complex linear system A·x = b by Gaussian elimination
+ * with partial pivoting. Matrices are stored as separate real/imaginary
+ * row-major arrays so large systems avoid per-element allocations.
+ * @param {Float64Array} aRe - Real part of A (n×n, row-major); overwritten
+ * @param {Float64Array} aIm - Imaginary part of A (n×n, row-major); overwritten
+ * @param {Float64Array} bRe - Real part of b (length n, or n×m row-major for m right-hand sides); overwritten
+ * @param {Float64Array} bIm - Imaginary part of b, same layout as bRe; overwritten
+ * @returns {Object} {re, im} solutions in the layout of b
+ */
+function solveComplexLinearSystem(aRe, aIm, bRe, bIm) {
+    const n = Math.round(Math.sqrt(aRe.length));
+    const m = bRe.length / n;
+    
+    for (let col = 0; col < n; col++) {
+        // Pick the largest pivot in this column
+        let pivot = col;
+        let pivotMag = aRe[col * n + col] ** 2 + aIm[col * n + col] ** 2;
+        for (let row = col + 1; row < n; row++) {
+            const mag = aRe[row * n + col] ** 2 + aIm[row * n + col] ** 2;
+            if (mag > pivotMag) {
+                pivot = row;
+                pivotMag = mag;
+            }
+        }
+        
+        if (pivotMag === 0) {
+            throw new Error('Singular matrix - check the circuit or structure for floating parts');
+        }
+        
+        if (pivot !== col) {
+            for (let k = 0; k < n; k++) {
+                const i = col * n + k, j = pivot * n + k;
+                [aRe[i], aRe[j]] = [aRe[j], aRe[i]];
+                [aIm[i], aIm[j]] = [aIm[j], aIm[i]];
+            }
+            for (let j = 0; j < m; j++) {
+                const i = col * m + j, k = pivot * m + j;
+                [bRe[i], bRe[k]] = [bRe[k], bRe[i]];
+                [bIm[i], bIm[k]] = [bIm[k], bIm[i]];
+            }
+        }
+        
+        const pRe = aRe[col * n + col];
+        const pIm = aIm[col * n + col];
+        
+        for (let row = col + 1; row < n; row++) {
+            // factor = A[row][col] / A[col][col]
+            const eRe = aRe[row * n + col];
+            const eIm = aIm[row * n + col];
+            if (eRe === 0 && eIm === 0) continue;
+            const fRe = (eRe * pRe + eIm * pIm) / pivotMag;
+            const fIm = (eIm * pRe - eRe * pIm) / pivotMag;
+            
+            for (let k = col; k < n; k++) {
+                const cRe = aRe[col * n + k];
+                const cIm = aIm[col * n + k];
+                aRe[row * n + k] -= fRe * cRe - fIm * cIm;
+                aIm[row * n + k] -= fRe * cIm + fIm * cRe;
+            }
+            for (let j = 0; j < m; j++) {
+                const cRe = bRe[col * m + j];
+                const cIm = bIm[col * m + j];
+                bRe[row * m + j] -= fRe * cRe - fIm * cIm;
+                bIm[row * m + j] -= fRe * cIm + fIm * cRe;
+            }
+        }
+    }
+    
+    // Back substitution, one right-hand side at a time
+    const xRe = new Float64Array(n * m);
+    const xIm = new Float64Array(n * m);
+    for (let j = 0; j < m; j++) {
+        for (let row = n - 1; row >= 0; row--) {
+            let sRe = bRe[row * m + j];
+            let sIm = bIm[row * m + j];
+            for (let k = row + 1; k < n; k++) {
+                const cRe = aRe[row * n + k];
+                const cIm = aIm[row * n + k];
+                sRe -= cRe * xRe[k * m + j] - cIm * xIm[k * m + j];
+                sIm -= cRe * xIm[k * m + j] + cIm * xRe[k * m + j];
+            }
+            const dRe = aRe[row * n + row];
+            const dIm = aIm[row * n + row];
+            const dMag = dRe * dRe + dIm * dIm;
+            xRe[row * m + j] = (sRe * dRe + sIm * dIm) / dMag;
+            xIm[row * m + j] = (sIm * dRe - sRe * dIm) / dMag;
+        }
+    }
+    
+    return { re: xRe, im: xIm };
+}
+
 /**
  * Debounce function for input handling
  * @param {Function} func - Function to debounce
@@ -364,4 +826,12 @@ function debounce(func, wait) {
         clearTimeout(timeout);
         timeout = setTimeout(later, wait);
     };
+}
+
+/**
+ * Give the browser a chance to repaint and handle input during a long calculation
+ * @returns {Promise} Resolves on the next task
+ */
+function yieldToBrowser() {
+    return new Promise(resolve => setTimeout(resolve, 0));
 }
\ No newline at end of file